@@ -11,6 +11,7 @@ const STATE = {
     rhythm: null,
     beatTracker: null,
     loudness: null,
+    key: null,
   },
 };
 
@@ -185,6 +186,16 @@ function runAnalysis(essentia, payload) {
     }
   }
 
+  let key = null;
+  if (extractors.key) {
+    try {
+      const { key: tonic, scale, strength } = extractors.key(mono);
+      if (tonic) key = { key: tonic, scale, strength: typeof strength === 'number' ? strength : 0 };
+    } catch (_) {
+      key = null;
+    }
+  }
+
   return {
     bpm,
     confidence,
@@ -192,6 +203,7 @@ function runAnalysis(essentia, payload) {
     beatTimes,
     downbeats,
     loudness,
+    key,
   };
 }
 
@@ -238,6 +250,14 @@ function ensureExtractors(essentia, sampleRate) {
       console.warn('[EssentiaWorker] BeatsLoudness unavailable', err);
       store.loudness = null;
     }
+
+    try {
+      // EDMA profile is tuned for electronic dance music
+      store.key = essentia.KeyExtractor({ sampleRate, profileType: 'edma' });
+    } catch (err) {
+      console.warn('[EssentiaWorker] KeyExtractor unavailable', err);
+      store.key = null;
+    }
   }
   return store;
 }
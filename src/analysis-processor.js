@@ -0,0 +1,1218 @@
+import { beatDecision } from './feature-core.js';
+
+const FRAME_SIZE = 512;
+const MAX_CHANNELS = 4;
+const FLUX_HISTORY = 64;
+const DC_ALPHA = 0.995;
+// Clipping shows up as flat tops at the running peak; counting plateaus instead of samples
+// near full scale keeps the measure independent of the input gain in front of the worklet
+const CLIP_MIN_LEVEL = 0.1;
+const CLIP_PEAK_DECAY = 0.99995;
+
+// EBU R128 / ITU-R BS.1770 loudness: K-weighting, 100 ms blocks, 400 ms momentary, 3 s short-term,
+// integrated over 400 ms gating blocks (absolute gate -70 LUFS, relative gate -10 LU)
+const LOUDNESS_BLOCK_SEC = 0.1;
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+const LUFS_FLOOR = -70;
+const HIST_STEP_LU = 0.1;
+const HIST_BINS = 800; // -70 .. +10 LUFS
+
+function powerToLufs(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+// K-weighting biquads for an arbitrary sample rate (pre-filter high shelf + RLB high-pass)
+function kWeightingCoefficients(fs) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / fs);
+  const Q1 = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q1 + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q1 + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q1 + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q1 + K * K) / a0,
+  };
+  K = Math.tan(Math.PI * 38.13547087602444 / fs);
+  const Q2 = 0.5003270373238773;
+  a0 = 1 + K / Q2 + K * K;
+  const highpass = {
+    b0: 1, b1: -2, b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q2 + K * K) / a0,
+  };
+  return [shelf, highpass];
+}
+
+// Harmonic/percussive separation (median filtering, Fitzgerald 2010) on a longer STFT that hops
+// one analysis frame at a time. The harmonic median runs over past frames only, so the
+// percussive part has no added latency; the resynthesised harmonic signal lags by HPSS_FFT - FRAME_SIZE.
+const HPSS_FFT = 2048;
+const HPSS_BINS = HPSS_FFT / 2;
+const HPSS_TIME_KERNEL = 17;  // frames (~180 ms at 48 kHz)
+const HPSS_FREQ_KERNEL = 17;  // bins (~400 Hz at 48 kHz)
+const HPSS_OLA_GAIN = 1 / 1.5; // periodic Hann analysis x synthesis at 75% overlap sums to 1.5
+const CHROMA_MIN_HZ = 55;
+const CHROMA_MAX_HZ = 5000;
+
+// Core feature pipeline: the AnalyserNode read-out (Blackman window, |X| / N, temporal smoothing,
+// dB -> byte) at a fixed hop of sampleRate / rateHz, then the noise gate, bands, centroid, flux,
+// bass flux and the adaptive beat detector, mirroring src/feature-core.js so the main thread's
+// thresholds keep their meaning at any render frame rate (the beat decision is feature-core's
+// beatDecision() itself, bundled in with this file). One record per hop goes to the
+// SharedArrayBuffer ring (layout and field indices: src/worklet-features.js) or, without a ring,
+// to the main thread by postMessage.
+const CORE_HEADER_INTS = 4;
+const CORE_FIELD_COUNT = 32;
+const CORE_FIELDS = {
+  time: 0, hop: 1, rms: 2,
+  sub: 3, bass: 4, mid: 5, treble: 6,
+  normSub: 7, normBass: 8, normMid: 9, normTreble: 10,
+  envSub: 11, envBass: 12, envMid: 13, envTreble: 14,
+  centroidHz: 15, centroidNorm: 16,
+  flux: 17, fluxMean: 18, fluxStd: 19, bassFlux: 20,
+  detectFlux: 21, detectMean: 22, detectStd: 23,
+  beat: 24, gateGain: 25, processMs: 26,
+  levelDb: 27, subDb: 28, bassDb: 29, midDb: 30, trebleDb: 31,
+};
+const CORE_HISTORY = 512; // upper bound for fluxWindow / bassFluxWindow
+
+// Multi-resolution front end (copy of src/spectral-frontend.js): float Hann spectra over a long
+// window for sub/bass and a short one for mid/treble and the flux above the low split, on the
+// analyser's normalised scale.
+const LEVEL_FLOOR_DB = -100;
+const ANALYSER_SCALE_DB = 20 * Math.log10(0.42 / 2);
+const BLACKMAN_POWER = 0.3046;
+const frontEndSize = (seconds) => 1 << Math.max(8, Math.min(15, Math.round(Math.log2(sampleRate * seconds))));
+const toDbfs = (meanSquare) => (meanSquare > 0 ? Math.max(LEVEL_FLOOR_DB, 10 * Math.log10(meanSquare / 0.5)) : LEVEL_FLOOR_DB);
+
+function makeFrontEndResolution(size, smoothing) {
+  const window = new Float32Array(size);
+  let sum = 0, sumSq = 0;
+  for (let i = 0; i < size; i++) {
+    const w = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+    window[i] = w;
+    sum += w;
+    sumSq += w * w;
+  }
+  const bins = size >> 1;
+  return {
+    size, bins, smoothing, window,
+    ampScale: 2 / sum,
+    powerScale: sum * sum / (2 * size * sumSq),
+    tables: makeFftTables(size),
+    re: new Float32Array(size),
+    im: new Float32Array(size),
+    amp: new Float32Array(bins),
+    prev: new Float32Array(bins),
+  };
+}
+const clockMs = typeof performance !== 'undefined' && typeof performance.now === 'function'
+  ? () => performance.now()
+  : () => Date.now();
+
+const hannWindow = new Float32Array(FRAME_SIZE);
+for (let i = 0; i < FRAME_SIZE; i++) {
+  hannWindow[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+}
+
+const hpssWindow = new Float32Array(HPSS_FFT);
+for (let i = 0; i < HPSS_FFT; i++) {
+  hpssWindow[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / HPSS_FFT);
+}
+
+function makeFftTables(n) {
+  const cos = new Float32Array(n / 2);
+  const sin = new Float32Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    const angle = (2 * Math.PI * i) / n;
+    cos[i] = Math.cos(angle);
+    sin[i] = Math.sin(angle);
+  }
+  return { n, cos, sin };
+}
+
+const frameTables = makeFftTables(FRAME_SIZE);
+const hpssTables = makeFftTables(HPSS_FFT);
+
+// Running mean / std over the newest `window` entries of a ring, written into `out`
+function ringStats(ring, index, count, window, out) {
+  const n = Math.min(count, window);
+  if (!n) { out.mean = 0; out.std = 0; return out; }
+  const size = ring.length;
+  let mean = 0;
+  for (let i = 1; i <= n; i++) mean += ring[(index - i + size) % size];
+  mean /= n;
+  let variance = 0;
+  for (let i = 1; i <= n; i++) { const d = ring[(index - i + size) % size] - mean; variance += d * d; }
+  out.mean = mean;
+  out.std = Math.sqrt(variance / n);
+  return out;
+}
+
+// Sorted windows for running medians: arr[off .. off+n) is kept ascending
+function sortedInsert(arr, off, n, v) {
+  let j = off + n - 1;
+  while (j >= off && arr[j] > v) { arr[j + 1] = arr[j]; j--; }
+  arr[j + 1] = v;
+}
+
+function sortedRemove(arr, off, n, v) {
+  let i = off;
+  const end = off + n;
+  while (i < end - 1 && arr[i] !== v) i++;
+  for (; i < end - 1; i++) arr[i] = arr[i + 1];
+}
+
+function sortedMedian(arr, off, n) {
+  return n & 1 ? arr[off + (n >> 1)] : 0.5 * (arr[off + (n >> 1) - 1] + arr[off + (n >> 1)]);
+}
+
+function fft(re, im, tables = frameTables) {
+  const n = re.length;
+  const cosTable = tables.cos;
+  const sinTable = tables.sin;
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    if (i < j) {
+      const tempRe = re[i]; re[i] = re[j]; re[j] = tempRe;
+      const tempIm = im[i]; im[i] = im[j]; im[j] = tempIm;
+    }
+    let bit = n >> 1;
+    while (j & bit) {
+      j ^= bit;
+      bit >>= 1;
+    }
+    j ^= bit;
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const halfSize = size >> 1;
+    const tableStep = tables.n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let i = 0; i < halfSize; i++) {
+        const k = i * tableStep;
+        const tRe = cosTable[k] * re[start + i + halfSize] + sinTable[k] * im[start + i + halfSize];
+        const tIm = -sinTable[k] * re[start + i + halfSize] + cosTable[k] * im[start + i + halfSize];
+        const uRe = re[start + i];
+        const uIm = im[start + i];
+        re[start + i] = uRe + tRe;
+        im[start + i] = uIm + tIm;
+        re[start + i + halfSize] = uRe - tRe;
+        im[start + i + halfSize] = uIm - tIm;
+      }
+    }
+  }
+}
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this._dcState = new Float32Array(MAX_CHANNELS);
+    this._clipPrev = new Float32Array(MAX_CHANNELS);
+    this._clipPeak = 0;
+    this._clipCount = 0;
+    this._clipSamples = 0;
+    this._frameBuffer = new Float32Array(FRAME_SIZE);
+    this._frameOffset = 0;
+    this._fftRe = new Float32Array(FRAME_SIZE);
+    this._fftIm = new Float32Array(FRAME_SIZE);
+    this._prevMagnitudes = new Float32Array(FRAME_SIZE / 2);
+    this._fluxRing = new Float32Array(FLUX_HISTORY);
+    this._fluxIndex = 0;
+    this._fluxCount = 0;
+    this._frameCounter = 0;
+    this._bufferPool = [];
+    this._nextBufferId = 1;
+
+    // Stereo field: per-channel frames for L/R bands, width, pan and correlation
+    this._frameL = new Float32Array(FRAME_SIZE);
+    this._frameR = new Float32Array(FRAME_SIZE);
+    this._stereoRe = new Float32Array(FRAME_SIZE);
+    this._stereoIm = new Float32Array(FRAME_SIZE);
+    this._channelCount = 1;
+    this._bandSplit = { low: 180, mid: 2500 };
+
+    // Loudness meter (L/R only; surround weights are not needed for a stereo feed)
+    this._kCoeffs = kWeightingCoefficients(sampleRate);
+    this._kState = new Float64Array(2 * 2 * 4); // channel x stage x [x1, x2, y1, y2]
+    this._blockSize = Math.max(1, Math.round(sampleRate * LOUDNESS_BLOCK_SEC));
+    this._blockRing = new Float64Array(SHORT_TERM_BLOCKS);
+    this._histCount = new Uint32Array(HIST_BINS);
+    this._histEnergy = new Float64Array(HIST_BINS);
+    this._resetLoudness();
+
+    // Harmonic/percussive separation
+    this._hpssEnabled = true;
+    this._hpssInput = new Float32Array(HPSS_FFT);
+    this._hpssRe = new Float32Array(HPSS_FFT);
+    this._hpssIm = new Float32Array(HPSS_FFT);
+    this._hpssMag = new Float32Array(HPSS_BINS);
+    this._hpssHistory = new Float32Array(HPSS_TIME_KERNEL * HPSS_BINS);
+    this._hpssSorted = new Float32Array(HPSS_TIME_KERNEL * HPSS_BINS); // per-bin sorted copy of the history
+    this._hpssMask = new Float32Array(HPSS_BINS); // harmonic mask; percussive is 1 - mask
+    this._percMag = new Float32Array(HPSS_BINS);
+    this._harmOla = new Float32Array(HPSS_FFT);
+    this._harmFrame = new Float32Array(FRAME_SIZE);
+    this._freqWindow = new Float32Array(HPSS_FREQ_KERNEL + 1);
+    this._percFluxRing = new Float32Array(FLUX_HISTORY);
+    this._chromaBin = new Int8Array(HPSS_BINS); // pitch class per bin, -1 outside the chroma range
+    for (let k = 0; k < HPSS_BINS; k++) {
+      const hz = (k * sampleRate) / HPSS_FFT;
+      this._chromaBin[k] = hz >= CHROMA_MIN_HZ && hz <= CHROMA_MAX_HZ
+        ? ((Math.round(12 * Math.log2(hz / 440) + 69) % 12) + 12) % 12
+        : -1;
+    }
+    this._resetHpss();
+
+    // Core feature pipeline (created by the first 'config' message carrying `core`)
+    this._core = null;
+    this._frameRms = 0;
+    this._percFluxSinceHop = -1; // max percussive flux since the last core hop, -1 = none
+    this._percShareBass = 1;
+
+    // Optional direct line to the Meyda/Aubio analysis worker (MessagePort from AudioEngine)
+    this._analysisPort = null;
+
+    this.port.onmessage = (event) => {
+      const data = event?.data;
+      if (!data || !data.type) return;
+      if (data.type === 'reset') {
+        this._prevMagnitudes.fill(0);
+        this._fluxRing.fill(0);
+        this._fluxIndex = 0;
+        this._fluxCount = 0;
+        this._resetLoudness();
+        this._resetHpss();
+        if (this._core) this._resetCore();
+      } else if (data.type === 'reset-loudness') {
+        this._resetLoudness();
+      } else if (data.type === 'config') {
+        const split = data.bandSplit;
+        if (split && Number.isFinite(split.low) && Number.isFinite(split.mid)) {
+          this._bandSplit = { low: split.low, mid: split.mid };
+        }
+        if (typeof data.hpss === 'boolean' && data.hpss !== this._hpssEnabled) {
+          this._hpssEnabled = data.hpss;
+          this._resetHpss();
+          if (this._core) this._core.detectCount = 0; // beat thresholds were learnt on the other flux
+        }
+        if (data.core) this._configureCore(data.core);
+      } else if (data.type === 'analysis-port') {
+        this._setAnalysisPort(data.port || null);
+      } else if (data.type === 'release-buffer') {
+        const bufferId = data.bufferId;
+        const buffer = data.buffer;
+        if (typeof bufferId === 'number' && buffer instanceof ArrayBuffer) {
+          this._bufferPool.push({ buffer, id: bufferId });
+        }
+      }
+    };
+  }
+
+  /**
+   * Send every analysis frame (and its harmonic resynthesis) to a worker as well. The worker
+   * hands the buffers back with 'release-buffer' on the same port, so they share the pool.
+   */
+  _setAnalysisPort(port) {
+    if (this._analysisPort) {
+      try { this._analysisPort.close(); } catch (_) {}
+    }
+    this._analysisPort = port;
+    if (!port) return;
+    port.onmessage = (event) => {
+      const data = event?.data;
+      if (data && data.type === 'release-buffer' && typeof data.bufferId === 'number' && data.buffer instanceof ArrayBuffer) {
+        this._bufferPool.push({ buffer: data.buffer, id: data.bufferId });
+      }
+    };
+  }
+
+  _resetHpss() {
+    this._hpssInput.fill(0);
+    this._hpssHistory.fill(0);
+    this._hpssSorted.fill(0);
+    this._hpssHistIndex = 0;
+    this._hpssHistCount = 0;
+    this._percMag.fill(0);
+    this._harmOla.fill(0);
+    this._percFluxRing.fill(0);
+    this._percFluxIndex = 0;
+    this._percFluxCount = 0;
+  }
+
+  /**
+   * Apply a core pipeline config. Tuning fields are copied as they come; the analysis buffers
+   * are rebuilt when the FFT size or the front end changes. `ring` (SharedArrayBuffer, or null for postMessage)
+   * and `noiseProfile` (layout, or null) are only replaced when present.
+   */
+  _configureCore(cfg) {
+    if (!cfg.enabled) {
+      this._core = null;
+      return;
+    }
+    const fftSize = 1 << Math.round(Math.log2(Math.max(32, Math.min(32768, cfg.fftSize || 2048))));
+    const frontEnd = cfg.frontEnd === 'analyser' ? 'analyser' : 'multires';
+    let c = this._core;
+    if (!c || c.fftSize !== fftSize || c.frontEnd !== frontEnd) {
+      const bins = fftSize >> 1;
+      let multiRes = null;
+      if (frontEnd === 'multires') {
+        const long = makeFrontEndResolution(frontEndSize(0.085), 0.5);
+        const short = makeFrontEndResolution(frontEndSize(0.021), 0.5);
+        multiRes = { long, short, both: [long, short] };
+      }
+      const inputSize = multiRes ? Math.max(fftSize, multiRes.long.size) : fftSize;
+      const win = new Float32Array(fftSize);
+      for (let i = 0; i < fftSize; i++) {
+        win[i] = 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / fftSize) + 0.08 * Math.cos((4 * Math.PI * i) / fftSize);
+      }
+      c = {
+        ...(c || {}),
+        fftSize,
+        bins,
+        frontEnd,
+        multiRes,
+        window: win,
+        tables: makeFftTables(fftSize),
+        input: new Float32Array(inputSize),
+        re: new Float32Array(fftSize),
+        im: new Float32Array(fftSize),
+        smoothed: new Float32Array(bins),
+        mags: new Float32Array(bins),
+        bytes: new Uint8Array(bins),
+        gateGains: new Float32Array(bins),
+        levels: new Float64Array(5),
+        prevMag: new Float32Array(bins),
+        prevBass: new Float32Array(bins),
+        fluxRing: new Float32Array(CORE_HISTORY),
+        bassFluxRing: new Float32Array(CORE_HISTORY),
+        detectRing: new Float32Array(CORE_HISTORY),
+        record: new Float64Array(CORE_FIELD_COUNT),
+        // Per-hop scratch, so a hop allocates nothing on the audio thread
+        raw: new Float64Array(4),
+        norm: new Float64Array(4),
+        bandSums: new Float64Array(4),
+        bandCounts: new Float64Array(4),
+        bandPower: new Float64Array(4),
+        fluxStats: { mean: 0, std: 0 },
+        detectStats: { mean: 0, std: 0 },
+        centroidHz: 0,
+        flux: 0,
+        bassFlux: 0,
+        ringHeader: c ? c.ringHeader : null,
+        ringFields: c ? c.ringFields : null,
+        ringSpectra: c ? c.ringSpectra : null,
+        profile: c ? c.profile : null,
+      };
+      this._core = c;
+      this._resetCore();
+    }
+    c.rateHz = Math.max(10, Math.min(200, cfg.rateHz || 60));
+    c.hopSamples = sampleRate / c.rateHz;
+    c.smoothing = Math.max(0, Math.min(1, Number.isFinite(cfg.smoothing) ? cfg.smoothing : 0.5));
+    if (c.multiRes) c.multiRes.long.smoothing = c.multiRes.short.smoothing = c.smoothing;
+    c.minDb = Number.isFinite(cfg.minDb) ? cfg.minDb : -100;
+    c.maxDb = Number.isFinite(cfg.maxDb) ? cfg.maxDb : -30;
+    const split = cfg.bandSplit || {};
+    c.split = { sub: split.sub || 90, low: split.low || 180, mid: split.mid || 2500 };
+    c.envAttack = Number.isFinite(cfg.envAttack) ? cfg.envAttack : 0.7;
+    c.envRelease = Number.isFinite(cfg.envRelease) ? cfg.envRelease : 0.12;
+    c.agcEnabled = cfg.agcEnabled !== false;
+    c.agcDecay = Number.isFinite(cfg.agcDecay) ? cfg.agcDecay : 0.995;
+    // Beat tuning under feature-core's field names, so beatDecision() reads it off the core state
+    c.sensitivity = Number.isFinite(cfg.sensitivity) ? cfg.sensitivity : 1;
+    c.beatRefractoryMs = cfg.refractoryMs > 0 ? cfg.refractoryMs : 350;
+    c.beatEnergyFloor = Number.isFinite(cfg.energyFloor) ? cfg.energyFloor : 0.28;
+    c.fluxWindow = Math.max(1, Math.min(CORE_HISTORY, Math.floor(cfg.fluxWindow || 43)));
+    c.bassFluxWindow = Math.max(1, Math.min(CORE_HISTORY, Math.floor(cfg.bassFluxWindow || 43)));
+    c.bpm = cfg.bpm > 0 ? cfg.bpm : 0;
+    c.gateThreshold = cfg.noiseGate && cfg.noiseGate.enabled ? Math.max(0, Math.min(0.95, cfg.noiseGate.threshold || 0)) : -1;
+    if (cfg.noiseProfile !== undefined) {
+      const p = cfg.noiseProfile;
+      c.profile = p && p.noiseMag && p.noiseMag.length === c.bins ? {
+        ...p,
+        bandOpen: new Uint8Array(p.bandCount),
+        bandGain: new Float32Array(p.bandCount),
+        sig: new Float64Array(p.bandCount),
+        noise: new Float64Array(p.bandCount),
+      } : null;
+    }
+    if (cfg.ring !== undefined) {
+      const sab = cfg.ring;
+      if (sab && typeof SharedArrayBuffer === 'function' && sab instanceof SharedArrayBuffer) {
+        const header = new Int32Array(sab, 0, CORE_HEADER_INTS);
+        const slots = header[2];
+        c.ringHeader = header;
+        c.ringFields = new Float64Array(sab, CORE_HEADER_INTS * 4, slots * CORE_FIELD_COUNT);
+        c.ringSpectra = new Uint8Array(sab, CORE_HEADER_INTS * 4 + slots * CORE_FIELD_COUNT * 8, slots * header[1]);
+      } else {
+        c.ringHeader = c.ringFields = c.ringSpectra = null;
+      }
+    }
+  }
+
+  _resetCore() {
+    const c = this._core;
+    c.input.fill(0);
+    c.writePos = 0;
+    c.untilHop = c.hopSamples || sampleRate / 60;
+    c.hop = 0;
+    c.smoothed.fill(0);
+    c.prevMag.fill(0);
+    c.prevBass.fill(0);
+    if (c.multiRes) {
+      for (const r of c.multiRes.both) { r.amp.fill(0); r.prev.fill(0); }
+    }
+    c.hasPrev = false;
+    c.env = [0, 0, 0, 0];
+    c.peak = [0.2, 0.2, 0.2, 0.2];
+    c.fluxIndex = 0; c.fluxCount = 0;
+    c.bassFluxIndex = 0; c.bassFluxCount = 0;
+    c.detectIndex = 0; c.detectCount = 0;
+    c._lastBeatMs = -99999;
+    c.percShareBass = 1;
+    if (c.profile) { c.profile.bandOpen.fill(0); c.profile.bandGain.fill(0); }
+  }
+
+  _resetLoudness() {
+    this._kState.fill(0);
+    this._blockRing.fill(0);
+    this._blockIndex = 0;
+    this._blockTotal = 0;
+    this._blockSum = 0;
+    this._blockSamples = 0;
+    this._histCount.fill(0);
+    this._histEnergy.fill(0);
+    this._loudness = { momentary: LUFS_FLOOR, shortTerm: LUFS_FLOOR, integrated: LUFS_FLOOR };
+  }
+
+  // One sample through both K-weighting stages for a channel; returns the weighted sample
+  _kWeight(ch, x) {
+    const st = this._kState;
+    let v = x;
+    for (let stage = 0; stage < 2; stage++) {
+      const c = this._kCoeffs[stage];
+      const o = (ch * 2 + stage) * 4;
+      const y = c.b0 * v + c.b1 * st[o] + c.b2 * st[o + 1] - c.a1 * st[o + 2] - c.a2 * st[o + 3];
+      st[o + 1] = st[o]; st[o] = v;
+      st[o + 3] = st[o + 2]; st[o + 2] = y;
+      v = y;
+    }
+    return v;
+  }
+
+  _meanBlockPower(count) {
+    const n = Math.min(count, this._blockTotal);
+    if (!n) return 0;
+    let sum = 0;
+    for (let i = 1; i <= n; i++) sum += this._blockRing[(this._blockIndex - i + SHORT_TERM_BLOCKS) % SHORT_TERM_BLOCKS];
+    return sum / n;
+  }
+
+  // Close a 100 ms block: update momentary / short-term and feed the integrated-loudness histogram
+  _finishLoudnessBlock() {
+    this._blockRing[this._blockIndex] = this._blockSum / this._blockSamples;
+    this._blockIndex = (this._blockIndex + 1) % SHORT_TERM_BLOCKS;
+    this._blockTotal++;
+    this._blockSum = 0;
+    this._blockSamples = 0;
+
+    const momentaryPower = this._meanBlockPower(MOMENTARY_BLOCKS);
+    const momentary = powerToLufs(momentaryPower);
+    if (this._blockTotal >= MOMENTARY_BLOCKS && momentary > LUFS_FLOOR) {
+      const bin = Math.min(HIST_BINS - 1, Math.floor((momentary - LUFS_FLOOR) / HIST_STEP_LU));
+      this._histCount[bin]++;
+      this._histEnergy[bin] += momentaryPower;
+    }
+
+    let count = 0, energy = 0;
+    for (let i = 0; i < HIST_BINS; i++) { count += this._histCount[i]; energy += this._histEnergy[i]; }
+    let integrated = LUFS_FLOOR;
+    if (count) {
+      const relGate = powerToLufs(energy / count) - 10;
+      const first = Math.max(0, Math.ceil((relGate - LUFS_FLOOR) / HIST_STEP_LU));
+      count = 0; energy = 0;
+      for (let i = first; i < HIST_BINS; i++) { count += this._histCount[i]; energy += this._histEnergy[i]; }
+      if (count) integrated = powerToLufs(energy / count);
+    }
+
+    const floor = (v) => (v > LUFS_FLOOR ? v : LUFS_FLOOR);
+    this._loudness = {
+      momentary: floor(momentary),
+      shortTerm: floor(powerToLufs(this._meanBlockPower(SHORT_TERM_BLOCKS))),
+      integrated: floor(integrated),
+    };
+  }
+
+  _acquireBuffer() {
+    if (this._bufferPool.length) {
+      return this._bufferPool.pop();
+    }
+    const buffer = new ArrayBuffer(FRAME_SIZE * Float32Array.BYTES_PER_ELEMENT);
+    const id = this._nextBufferId++;
+    return { buffer, id };
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    if (!input || !input.length || !input[0]) {
+      return true;
+    }
+
+    const output = outputs && outputs[0] ? outputs[0] : null;
+    const channelCount = Math.min(input.length, MAX_CHANNELS);
+
+    const frameBuf = this._frameBuffer;
+    this._channelCount = channelCount;
+
+    for (let i = 0; i < input[0].length; i++) {
+      let mix = 0;
+      let left = 0;
+      let right = 0;
+      for (let ch = 0; ch < channelCount; ch++) {
+        const sample = input[ch][i];
+        const level = sample < 0 ? -sample : sample;
+        if (level > CLIP_MIN_LEVEL && level >= this._clipPeak * 0.999 && Math.abs(level - this._clipPrev[ch]) <= level * 1e-6) this._clipCount++;
+        this._clipPrev[ch] = level;
+        this._clipPeak = level > this._clipPeak ? level : this._clipPeak * CLIP_PEAK_DECAY;
+        this._clipSamples++;
+        const dc = this._dcState[ch] + (1 - DC_ALPHA) * (sample - this._dcState[ch]); // one-pole DC tracker
+        this._dcState[ch] = dc;
+        const filtered = sample - dc;
+        mix += filtered;
+        if (ch === 0) left = filtered;
+        else if (ch === 1) right = filtered;
+      }
+      if (channelCount < 2) right = left;
+
+      let weighted = this._kWeight(0, input[0][i]);
+      let power = weighted * weighted;
+      if (channelCount >= 2) {
+        weighted = this._kWeight(1, input[1][i]);
+        power += weighted * weighted;
+      }
+      this._blockSum += power;
+      if (++this._blockSamples >= this._blockSize) this._finishLoudnessBlock();
+
+      const mono = mix / channelCount;
+      const core = this._core;
+      if (core) {
+        core.input[core.writePos] = mono;
+        core.writePos = (core.writePos + 1) % core.input.length;
+        if (--core.untilHop <= 0) {
+          core.untilHop += core.hopSamples;
+          this._coreHop(currentFrame + i + 1);
+        }
+      }
+      this._frameL[this._frameOffset] = left;
+      this._frameR[this._frameOffset] = right;
+      frameBuf[this._frameOffset++] = mono;
+
+      if (output && output[0]) {
+        output[0][i] = mono;
+      }
+
+      if (this._frameOffset >= FRAME_SIZE) {
+        this._analyzeFrame(frameBuf, currentFrame + i + 1);
+        this._frameOffset = 0;
+      }
+    }
+
+    return true;
+  }
+
+  _analyzeFrame(frame, frameEnd) {
+    const re = this._fftRe;
+    const im = this._fftIm;
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const sample = frame[i];
+      energy += sample * sample;
+      re[i] = sample * hannWindow[i];
+      im[i] = 0;
+    }
+
+    fft(re, im);
+
+    let flux = 0;
+    const prev = this._prevMagnitudes;
+    for (let i = 0; i < FRAME_SIZE / 2; i++) {
+      const mag = Math.hypot(re[i], im[i]);
+      const diff = mag - prev[i];
+      if (diff > 0) flux += diff;
+      prev[i] = mag;
+    }
+    flux /= FRAME_SIZE / 2;
+
+    this._fluxRing[this._fluxIndex] = flux;
+    this._fluxIndex = (this._fluxIndex + 1) % FLUX_HISTORY;
+    if (this._fluxCount < FLUX_HISTORY) this._fluxCount++;
+
+    let fluxMean = 0;
+    for (let i = 0; i < this._fluxCount; i++) fluxMean += this._fluxRing[i];
+    fluxMean = this._fluxCount ? fluxMean / this._fluxCount : 0;
+    let fluxVar = 0;
+    for (let i = 0; i < this._fluxCount; i++) {
+      const d = this._fluxRing[i] - fluxMean;
+      fluxVar += d * d;
+    }
+    fluxVar = this._fluxCount ? fluxVar / this._fluxCount : 0;
+
+    const stereo = this._analyzeStereo();
+    const hpss = this._hpssEnabled ? this._analyzeHpss(frame) : null;
+    this._frameRms = Math.sqrt(energy / FRAME_SIZE);
+    if (hpss) {
+      this._percFluxSinceHop = Math.max(this._percFluxSinceHop, hpss.perc.flux);
+      this._percShareBass = hpss.perc.shares[0];
+    }
+
+    const bufferEntry = this._acquireBuffer();
+    const frameCopy = new Float32Array(bufferEntry.buffer);
+    frameCopy.set(frame);
+    const transfer = [frameCopy.buffer];
+    let harmEntry = null;
+    if (hpss) {
+      harmEntry = this._acquireBuffer();
+      new Float32Array(harmEntry.buffer).set(hpss.harmSamples);
+      transfer.push(harmEntry.buffer);
+    }
+
+    const frameId = this._frameCounter++;
+    this.port.postMessage({
+      type: 'frame',
+      frameId,
+      rms: this._frameRms,
+      flux,
+      fluxMean,
+      fluxStd: Math.sqrt(Math.max(fluxVar, 0)),
+      dc: this._dcState[0] || 0,
+      clip: this._clipSamples ? this._clipCount / this._clipSamples : 0,
+      stereo,
+      loudness: this._loudness,
+      bufferId: bufferEntry.id,
+      samples: frameCopy.buffer,
+      perc: hpss ? hpss.perc : null,
+      harm: hpss ? hpss.harm : null,
+      harmBufferId: harmEntry ? harmEntry.id : -1,
+      harmSamples: harmEntry ? harmEntry.buffer : null,
+    }, transfer);
+
+    this._clipCount = 0;
+    this._clipSamples = 0;
+
+    if (this._analysisPort) this._postAnalysisFrame(frame, hpss, frameId, frameEnd);
+  }
+
+  _postAnalysisFrame(frame, hpss, frameId, frameEnd) {
+    const samples = this._acquireBuffer();
+    new Float32Array(samples.buffer).set(frame);
+    const transfer = [samples.buffer];
+    let harm = null;
+    if (hpss) {
+      harm = this._acquireBuffer();
+      new Float32Array(harm.buffer).set(hpss.harmSamples);
+      transfer.push(harm.buffer);
+    }
+    try {
+      this._analysisPort.postMessage({
+        type: 'pcm',
+        frameId,
+        time: frameEnd / sampleRate, // audio time of the frame's last sample
+        bufferId: samples.id,
+        samples: samples.buffer,
+        harmBufferId: harm ? harm.id : -1,
+        harmSamples: harm ? harm.buffer : null,
+      }, transfer);
+    } catch (_) {
+      this._analysisPort = null;
+    }
+  }
+
+  /**
+   * One core hop ending at sample frame `frameEnd`: analyser read-out of the newest fftSize
+   * samples and noise gate, then the feature-core.js chain on either the byte spectrum or the
+   * multi-resolution front end (which reuses the gate's per-bin gains).
+   */
+  _coreHop(frameEnd) {
+    const started = clockMs();
+    const c = this._core;
+    const N = c.fftSize;
+    const bins = c.bins;
+    const re = c.re;
+    const im = c.im;
+    this._coreWindowed(c, N, c.window, re, im);
+    fft(re, im, c.tables);
+    const tau = c.smoothing;
+    const mags = c.mags;
+    const smoothed = c.smoothed;
+    for (let k = 0; k < bins; k++) {
+      const m = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / N;
+      const s = tau * smoothed[k] + (1 - tau) * m;
+      smoothed[k] = Number.isFinite(s) ? s : 0;
+      mags[k] = smoothed[k];
+    }
+
+    let gateGain = 1;
+    // A noise profile is only sent while the gate is on, and replaces the flat threshold
+    if (c.profile) gateGain = this._coreProfileGate(c, mags);
+    const bytes = c.bytes;
+    const range = c.maxDb - c.minDb;
+    for (let k = 0; k < bins; k++) {
+      const m = mags[k];
+      const db = m > 0 ? 20 * Math.log10(m) : -Infinity;
+      const b = Math.floor((255 / range) * (db - c.minDb));
+      bytes[k] = b > 255 ? 255 : (b > 0 ? b : 0);
+    }
+    if (c.gateThreshold >= 0 && !c.profile) {
+      // Flat threshold gate on the normalised bytes (AudioEngine's scalar gate)
+      const thr = c.gateThreshold;
+      let sumIn = 0, sumOut = 0;
+      for (let k = 0; k < bins; k++) {
+        const v = bytes[k] / 255;
+        const out = v <= thr ? 0 : (v - thr) / (1 - thr);
+        const b = Math.round(out * 255);
+        bytes[k] = b > 255 ? 255 : (b > 0 ? b : 0);
+        sumIn += v; sumOut += out;
+      }
+      gateGain = sumIn > 0 ? sumOut / sumIn : 1;
+    }
+
+    const split = c.split;
+    const subHz = Math.max(20, Math.min(split.sub, split.low - 5));
+    const raw = c.raw;
+    let centroidHz = 0;
+    let flux = 0;
+    let bassFlux = 0;
+    if (c.multiRes) {
+      if (c.profile) {
+        for (let k = 0; k < bins; k++) c.gateGains[k] = smoothed[k] > 0 ? mags[k] / smoothed[k] : 1;
+      }
+      this._coreMultiRes(c, subHz);
+      centroidHz = c.centroidHz;
+      flux = c.flux;
+      bassFlux = c.bassFlux;
+    } else {
+      // Bands, centroid and flux on the byte spectrum (feature-core computeBands / computeFlux)
+      const binHz = sampleRate / 2 / bins;
+      const sums = c.bandSums.fill(0);
+      const counts = c.bandCounts.fill(0);
+      const power = c.bandPower.fill(0);
+      let num = 0, den = 0;
+      const prev = c.prevMag;
+      for (let k = 0; k < bins; k++) {
+        const f = k * binHz;
+        const v = bytes[k] / 255;
+        const band = f < subHz ? 0 : (f < split.low ? 1 : (f < split.mid ? 2 : 3));
+        sums[band] += v;
+        counts[band]++;
+        power[band] += (2 / BLACKMAN_POWER) * mags[k] * mags[k];
+        num += f * v;
+        den += v;
+        if (c.hasPrev) { const d = v - prev[k]; if (d > 0) flux += d; }
+        prev[k] = v;
+      }
+      for (let b = 0; b < 4; b++) raw[b] = counts[b] ? sums[b] / counts[b] : 0;
+      centroidHz = den > 0 ? num / den : 0;
+      c.levels[0] = toDbfs(power[0] + power[1] + power[2] + power[3]);
+      for (let b = 0; b < 4; b++) c.levels[b + 1] = toDbfs(power[b]);
+
+      // Bass flux over bins below the low split (feature-core computeBassFlux)
+      const cutoffHz = Math.max(40, Math.min(split.low, 600));
+      const cutoffBin = Math.max(1, Math.min(bins >> 1, Math.floor(cutoffHz / binHz)));
+      for (let k = 0; k < cutoffBin; k++) {
+        const v = bytes[k] / 255;
+        const d = v - c.prevBass[k];
+        if (d > 0) bassFlux += d;
+        c.prevBass[k] = v;
+      }
+      bassFlux /= cutoffBin;
+    }
+    c.hasPrev = true;
+
+    // Rolling-peak AGC and attack/release envelopes (feature-core computeBands)
+    const norm = c.norm;
+    for (let b = 0; b < 4; b++) {
+      if (c.agcEnabled) c.peak[b] = Math.max(c.peak[b] * c.agcDecay, raw[b]);
+      const n = c.agcEnabled && c.peak[b] > 1e-6 ? raw[b] / c.peak[b] : raw[b];
+      norm[b] = n < 0 ? 0 : (n > 1 ? 1 : n);
+      const env = c.env[b];
+      c.env[b] = norm[b] > env ? env + (norm[b] - env) * c.envAttack : env + (norm[b] - env) * c.envRelease;
+    }
+
+    c.fluxRing[c.fluxIndex] = flux;
+    c.fluxIndex = (c.fluxIndex + 1) % CORE_HISTORY;
+    if (c.fluxCount < CORE_HISTORY) c.fluxCount++;
+    c.bassFluxRing[c.bassFluxIndex] = bassFlux;
+    c.bassFluxIndex = (c.bassFluxIndex + 1) % CORE_HISTORY;
+    if (c.bassFluxCount < CORE_HISTORY) c.bassFluxCount++;
+    const fluxStats = ringStats(c.fluxRing, c.fluxIndex, c.fluxCount, c.fluxWindow, c.fluxStats);
+
+    // Beats are detected on the percussive flux while the HPSS stage runs, with the bass
+    // energy gate on the percussive share of the bass envelope
+    let detectFlux = flux;
+    let gateEnv = c.env[1];
+    if (this._hpssEnabled && this._percFluxSinceHop >= 0) {
+      detectFlux = this._percFluxSinceHop;
+      c.percShareBass += (Math.max(0, Math.min(1, this._percShareBass)) - c.percShareBass) * 0.5;
+      gateEnv *= c.percShareBass;
+    }
+    this._percFluxSinceHop = -1;
+    c.detectRing[c.detectIndex] = detectFlux;
+    c.detectIndex = (c.detectIndex + 1) % CORE_HISTORY;
+    if (c.detectCount < CORE_HISTORY) c.detectCount++;
+    const detectStats = ringStats(c.detectRing, c.detectIndex, c.detectCount, c.fluxWindow, c.detectStats);
+
+    // Adaptive threshold with a tempo-aware refractory period (src/feature-core.js)
+    const nowMs = (frameEnd / sampleRate) * 1000;
+    const beat = beatDecision(c, detectFlux, detectStats.mean, detectStats.std, Math.min(c.detectCount, c.fluxWindow), gateEnv, c.bpm, nowMs);
+
+    const F = CORE_FIELDS;
+    const rec = c.record;
+    rec[F.time] = frameEnd / sampleRate;
+    rec[F.hop] = c.hop++;
+    rec[F.rms] = this._frameRms;
+    rec[F.sub] = raw[0]; rec[F.bass] = raw[1]; rec[F.mid] = raw[2]; rec[F.treble] = raw[3];
+    rec[F.normSub] = norm[0]; rec[F.normBass] = norm[1]; rec[F.normMid] = norm[2]; rec[F.normTreble] = norm[3];
+    rec[F.envSub] = c.env[0]; rec[F.envBass] = c.env[1]; rec[F.envMid] = c.env[2]; rec[F.envTreble] = c.env[3];
+    rec[F.centroidHz] = centroidHz;
+    rec[F.centroidNorm] = Math.min(1, centroidHz / 8000);
+    rec[F.flux] = flux;
+    rec[F.fluxMean] = fluxStats.mean;
+    rec[F.fluxStd] = fluxStats.std;
+    rec[F.bassFlux] = bassFlux;
+    rec[F.detectFlux] = detectFlux;
+    rec[F.detectMean] = detectStats.mean;
+    rec[F.detectStd] = detectStats.std;
+    rec[F.beat] = beat ? 1 : 0;
+    rec[F.gateGain] = gateGain;
+    rec[F.levelDb] = c.levels[0];
+    rec[F.subDb] = c.levels[1]; rec[F.bassDb] = c.levels[2]; rec[F.midDb] = c.levels[3]; rec[F.trebleDb] = c.levels[4];
+    rec[F.processMs] = clockMs() - started;
+
+    const header = c.ringHeader;
+    if (header && header[1] === bins) {
+      const count = Atomics.load(header, 0);
+      const slot = count % header[2];
+      c.ringFields.set(rec, slot * CORE_FIELD_COUNT);
+      c.ringSpectra.set(bytes, slot * bins);
+      Atomics.store(header, 0, count + 1);
+    } else if (!header) {
+      const fields = rec.slice();
+      const spectrum = bytes.slice();
+      this.port.postMessage({ type: 'core', fields, spectrum }, [fields.buffer, spectrum.buffer]);
+    }
+  }
+
+  // Newest `size` input samples, windowed, into re (im cleared)
+  _coreWindowed(c, size, window, re, im) {
+    const input = c.input;
+    const L = input.length;
+    const start = c.writePos - size + L;
+    for (let i = 0; i < size; i++) {
+      re[i] = input[(start + i) % L] * window[i];
+      im[i] = 0;
+    }
+  }
+
+  /**
+   * Multi-resolution front end (MultiResolutionFrontEnd.analyse in src/spectral-frontend.js):
+   * fills c.raw with band values, c.levels with dBFS levels and sets c.centroidHz, c.flux
+   * and c.bassFlux.
+   */
+  _coreMultiRes(c, subHz) {
+    const { long, short } = c.multiRes;
+    const raw = c.raw;
+    const split = c.split;
+    const refBins = c.bins;
+    const refBinHz = sampleRate / 2 / refBins;
+    const range = c.maxDb - c.minDb;
+    const gains = c.profile ? c.gateGains : null;
+    const thr = c.gateThreshold >= 0 && !c.profile ? c.gateThreshold : -1;
+    const sums = c.bandSums.fill(0);
+    const counts = c.bandCounts.fill(0);
+    const power = c.bandPower.fill(0);
+    let num = 0, den = 0, flux = 0, bassFlux = 0, bassFluxBins = 0;
+    const cutoffHz = Math.max(40, Math.min(split.low, 600));
+    const both = c.multiRes.both;
+    for (let i = 0; i < both.length; i++) {
+      const r = both[i];
+      const isLong = r === long;
+      const { bins, amp, prev } = r;
+      this._coreWindowed(c, r.size, r.window, r.re, r.im);
+      fft(r.re, r.im, r.tables);
+      const binHz = sampleRate / 2 / bins;
+      const tau = r.smoothing;
+      const cutoffBin = Math.max(1, Math.min(bins >> 1, Math.floor(cutoffHz / binHz)));
+      for (let k = 0; k < bins; k++) {
+        const f = k * binHz;
+        if (isLong ? f >= split.low : f < split.low) { prev[k] = 0; continue; }
+        const a = Math.sqrt(r.re[k] * r.re[k] + r.im[k] * r.im[k]) * r.ampScale;
+        const s = tau * amp[k] + (1 - tau) * a;
+        amp[k] = Number.isFinite(s) ? s : 0;
+        const ag = gains ? amp[k] * gains[Math.min(refBins - 1, Math.round(f / refBinHz))] : amp[k];
+        const db = ag > 0 ? 20 * Math.log10(ag) : -Infinity;
+        let v = (db + ANALYSER_SCALE_DB - c.minDb) / range;
+        v = v > 1 ? 1 : (v > 0 ? v : 0);
+        if (thr >= 0) v = v <= thr ? 0 : (v - thr) / (1 - thr);
+        const band = f < subHz ? 0 : (f < split.low ? 1 : (f < split.mid ? 2 : 3));
+        sums[band] += v;
+        counts[band]++;
+        power[band] += ag * ag * r.powerScale;
+        num += f * v * binHz;
+        den += v * binHz;
+        if (isLong) {
+          if (k < cutoffBin) {
+            if (c.hasPrev) { const d = v - prev[k]; if (d > 0) bassFlux += d; }
+            bassFluxBins++;
+          }
+        } else if (c.hasPrev) {
+          const d = v - prev[k];
+          if (d > 0) flux += d;
+        }
+        prev[k] = v;
+      }
+    }
+    for (let b = 0; b < 4; b++) raw[b] = counts[b] ? sums[b] / counts[b] : 0;
+    c.levels[0] = toDbfs(power[0] + power[1] + power[2] + power[3]);
+    for (let b = 0; b < 4; b++) c.levels[b + 1] = toDbfs(power[b]);
+    c.centroidHz = den > 0 ? num / den : 0;
+    c.flux = flux * (refBins / short.bins);
+    c.bassFlux = bassFluxBins ? bassFlux / bassFluxBins : 0;
+  }
+
+  /**
+   * Venue noise profile on the smoothed magnitudes (NoiseProfileGate in src/noise-profile.js,
+   * with the profile already resampled to these bins and shifted to the current input gain).
+   * @returns {number} Broadband gain applied (0..1)
+   */
+  _coreProfileGate(c, mags) {
+    const p = c.profile;
+    const n = mags.length;
+    let energyIn = 0, energyOut = 0;
+    for (let i = 0; i < n; i++) energyIn += mags[i] * mags[i];
+    if (p.mode === 'gate') {
+      const sig = p.sig.fill(0);
+      const noise = p.noise.fill(0);
+      for (let i = 0; i < n; i++) {
+        const band = p.bandOf[i];
+        sig[band] += mags[i] * mags[i];
+        const thr = p.peakMag[i] * p.reduction;
+        noise[band] += thr * thr;
+      }
+      const dtMs = 1000 / c.rateHz;
+      const att = 1 - Math.exp(-dtMs / Math.max(1, p.attackMs));
+      const rel = 1 - Math.exp(-dtMs / Math.max(1, p.releaseMs));
+      for (let band = 0; band < p.bandCount; band++) {
+        const ratioDb = noise[band] > 0 ? 10 * Math.log10((sig[band] + 1e-20) / noise[band]) : Infinity;
+        if (p.bandOpen[band]) { if (ratioDb < p.closeDb) p.bandOpen[band] = 0; }
+        else if (ratioDb > p.openDb) p.bandOpen[band] = 1;
+        const target = p.bandOpen[band] ? 1 : 0;
+        const g = p.bandGain[band];
+        p.bandGain[band] = g + (target - g) * (target > g ? att : rel);
+      }
+      for (let i = 0; i < n; i++) mags[i] *= p.bandGain[p.bandOf[i]];
+    } else {
+      for (let i = 0; i < n; i++) {
+        const m = mags[i];
+        mags[i] = Math.max(m - p.reduction * p.noiseMag[i], m * p.floor);
+      }
+    }
+    for (let i = 0; i < n; i++) energyOut += mags[i] * mags[i];
+    return energyIn > 0 ? Math.sqrt(energyOut / energyIn) : 0;
+  }
+
+  /**
+   * Median-filter HPSS on the latest HPSS_FFT samples. Returns percussive flux (with running
+   * mean/std) and per-band energy shares, harmonic band shares and chroma, and FRAME_SIZE samples
+   * of harmonic-only audio (overlap-add resynthesis) for pitch tracking downstream.
+   */
+  _analyzeHpss(frame) {
+    const input = this._hpssInput;
+    input.copyWithin(0, FRAME_SIZE);
+    input.set(frame, HPSS_FFT - FRAME_SIZE);
+    const re = this._hpssRe;
+    const im = this._hpssIm;
+    for (let i = 0; i < HPSS_FFT; i++) {
+      re[i] = input[i] * hpssWindow[i];
+      im[i] = 0;
+    }
+    fft(re, im, hpssTables);
+
+    // Harmonic estimate: running median of each bin over the past HPSS_TIME_KERNEL frames
+    const mag = this._hpssMag;
+    const history = this._hpssHistory;
+    const sorted = this._hpssSorted;
+    const row = this._hpssHistIndex * HPSS_BINS;
+    const full = this._hpssHistCount === HPSS_TIME_KERNEL;
+    const before = this._hpssHistCount;
+    for (let k = 0; k < HPSS_BINS; k++) {
+      const m = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      mag[k] = m;
+      const off = k * HPSS_TIME_KERNEL;
+      if (full) sortedRemove(sorted, off, before, history[row + k]);
+      sortedInsert(sorted, off, full ? before - 1 : before, m);
+      history[row + k] = m;
+    }
+    this._hpssHistIndex = (this._hpssHistIndex + 1) % HPSS_TIME_KERNEL;
+    if (this._hpssHistCount < HPSS_TIME_KERNEL) this._hpssHistCount++;
+
+    const frames = this._hpssHistCount;
+    const halfFreq = HPSS_FREQ_KERNEL >> 1;
+    const win = this._freqWindow;
+    let winCount = 0;
+    for (let b = 0; b <= halfFreq; b++) sortedInsert(win, 0, winCount++, mag[b]);
+    const binHz = sampleRate / HPSS_FFT;
+    const lowHz = this._bandSplit.low;
+    const midHz = this._bandSplit.mid;
+    const percE = [0, 0, 0];
+    const harmE = [0, 0, 0];
+    const chroma = new Array(12).fill(0);
+    const mask = this._hpssMask;
+    const prevPerc = this._percMag;
+    let percFlux = 0;
+    let percTotal = 0;
+    let harmTotal = 0;
+    for (let k = 0; k < HPSS_BINS; k++) {
+      // Harmonic: median across time (sustained partials); percussive: median across frequency (broadband hits)
+      const h = sortedMedian(sorted, k * HPSS_TIME_KERNEL, frames);
+      const p = sortedMedian(win, 0, winCount);
+      // Slide the frequency window to k + 1
+      if (k - halfFreq >= 0) sortedRemove(win, 0, winCount--, mag[k - halfFreq]);
+      if (k + 1 + halfFreq < HPSS_BINS) sortedInsert(win, 0, winCount++, mag[k + 1 + halfFreq]);
+      const h2 = h * h;
+      const p2 = p * p;
+      const mh = h2 + p2 > 1e-12 ? h2 / (h2 + p2) : 0.5;
+      mask[k] = mh;
+
+      const m = mag[k];
+      const percM = m * (1 - mh);
+      const harmM = m * mh;
+      const diff = percM - prevPerc[k];
+      if (diff > 0) percFlux += diff;
+      prevPerc[k] = percM;
+      if (k === 0) continue; // DC
+      const pe = percM * percM;
+      const he = harmM * harmM;
+      const hz = k * binHz;
+      const band = hz < lowHz ? 0 : (hz < midHz ? 1 : 2);
+      percE[band] += pe;
+      harmE[band] += he;
+      percTotal += pe;
+      harmTotal += he;
+      const pc = this._chromaBin[k];
+      if (pc >= 0) chroma[pc] += he;
+    }
+    // Same scale as the full-frame flux: per bin, magnitudes normalised to a FRAME_SIZE window
+    percFlux /= HPSS_BINS * (HPSS_FFT / FRAME_SIZE);
+
+    this._percFluxRing[this._percFluxIndex] = percFlux;
+    this._percFluxIndex = (this._percFluxIndex + 1) % FLUX_HISTORY;
+    if (this._percFluxCount < FLUX_HISTORY) this._percFluxCount++;
+    const n = this._percFluxCount;
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += this._percFluxRing[i];
+    mean /= n;
+    let variance = 0;
+    for (let i = 0; i < n; i++) { const d = this._percFluxRing[i] - mean; variance += d * d; }
+    variance /= n;
+
+    let chromaMax = 0;
+    for (let i = 0; i < 12; i++) if (chroma[i] > chromaMax) chromaMax = chroma[i];
+    for (let i = 0; i < 12; i++) chroma[i] = chromaMax > 1e-12 ? chroma[i] / chromaMax : 0;
+
+    // Harmonic resynthesis: mask the full spectrum (mirrored bins share a mask), inverse FFT, overlap-add
+    for (let k = 0; k < HPSS_FFT; k++) {
+      const bin = k < HPSS_BINS ? k : Math.max(1, HPSS_FFT - k);
+      const g = mask[Math.min(bin, HPSS_BINS - 1)];
+      re[k] *= g;
+      im[k] = -im[k] * g; // conjugate: forward FFT of conj(X) = N * conj(x)
+    }
+    fft(re, im, hpssTables);
+    const ola = this._harmOla;
+    for (let i = 0; i < HPSS_FFT; i++) ola[i] += (re[i] / HPSS_FFT) * hpssWindow[i];
+    const harmSamples = this._harmFrame;
+    for (let i = 0; i < FRAME_SIZE; i++) harmSamples[i] = ola[i] * HPSS_OLA_GAIN;
+    ola.copyWithin(0, FRAME_SIZE);
+    ola.fill(0, HPSS_FFT - FRAME_SIZE);
+
+    const share = (a, b) => (a + b > 1e-12 ? a / (a + b) : 0);
+    return {
+      perc: {
+        flux: percFlux,
+        fluxMean: mean,
+        fluxStd: Math.sqrt(Math.max(variance, 0)),
+        shares: [share(percE[0], harmE[0]), share(percE[1], harmE[1]), share(percE[2], harmE[2])],
+        ratio: share(percTotal, harmTotal),
+      },
+      harm: {
+        chroma,
+        shares: [share(harmE[0], percE[0]), share(harmE[1], percE[1]), share(harmE[2], percE[2])],
+        ratio: share(harmTotal, percTotal),
+      },
+      harmSamples,
+    };
+  }
+
+  /**
+   * L/R band energies plus width (side share of energy: 0 mono, ~0.5 wide, 1 out of phase),
+   * pan (-1 left .. +1 right) and phase correlation (-1..1).
+   */
+  _analyzeStereo() {
+    const L = this._frameL;
+    const R = this._frameR;
+    let ll = 0, rr = 0, lr = 0, midE = 0, sideE = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const l = L[i];
+      const r = R[i];
+      ll += l * l;
+      rr += r * r;
+      lr += l * r;
+      const m = (l + r) * 0.5;
+      const s = (l - r) * 0.5;
+      midE += m * m;
+      sideE += s * s;
+    }
+    const total = ll + rr;
+    const bandsL = this._channelBands(L);
+    const bandsR = this._channelCount >= 2 ? this._channelBands(R) : bandsL;
+    return {
+      channels: this._channelCount,
+      rmsL: Math.sqrt(ll / FRAME_SIZE),
+      rmsR: Math.sqrt(rr / FRAME_SIZE),
+      bandsL,
+      bandsR,
+      width: (midE + sideE) > 1e-12 ? sideE / (midE + sideE) : 0,
+      pan: total > 1e-12 ? (rr - ll) / total : 0,
+      correlation: (ll > 1e-12 && rr > 1e-12) ? lr / Math.sqrt(ll * rr) : 1,
+    };
+  }
+
+  _channelBands(samples) {
+    const re = this._stereoRe;
+    const im = this._stereoIm;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = samples[i] * hannWindow[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    const binHz = sampleRate / FRAME_SIZE;
+    const lowHz = this._bandSplit.low;
+    const midHz = this._bandSplit.mid;
+    let bass = 0, mid = 0, treble = 0; let bC = 0, mC = 0, tC = 0;
+    // Skip the DC bin; at 512 points the first real bin is ~90Hz
+    for (let k = 1; k < FRAME_SIZE / 2; k++) {
+      const mag = Math.hypot(re[k], im[k]) / FRAME_SIZE;
+      const hz = k * binHz;
+      if (hz < lowHz) { bass += mag; bC++; }
+      else if (hz < midHz) { mid += mag; mC++; }
+      else { treble += mag; tC++; }
+    }
+    return [bC ? bass / bC : 0, mC ? mid / mC : 0, tC ? treble / tC : 0];
+  }
+}
+
+registerProcessor('analysis-processor', AnalysisProcessor);
@@ -0,0 +1,262 @@
+/**
+ * Analysis worker - Meyda and Aubio off the main thread
+ *
+ * AudioEngine creates a MessageChannel and gives one end to
+ * analysis-processor.js and the other to this worker, so the worklet's
+ * 512-sample mono frames (plus the harmonic resynthesis when HPSS is on) come
+ * straight here without touching the UI thread. Each frame runs through:
+ *
+ * - Meyda (MFCC, chroma, flatness, rolloff), throttled in audio time to the
+ *   engine's Meyda rate
+ * - Aubio onset and tempo on the full mix, pitch (YIN) on the harmonic layer
+ *
+ * Results go back to AudioEngine in one 'features' message per drain, stamped
+ * with the audio time of the frame that produced them. Frames wait in a
+ * bounded queue while the libraries load or when analysis falls behind; the
+ * oldest are dropped past `queueMax` and the counts travel with every message
+ * as `stats` (same shape as AudioEngine.aubioMetrics).
+ *
+ * Messages in: 'init' { sampleRate, port, meydaIntervalMs, queueMax },
+ * 'config' { meydaIntervalMs?, queueMax? }, 'reset'.
+ * Messages out: 'features' { meyda[], onsets[], tempo, pitch, stats }, 'error'.
+ *
+ * @example
+ * const worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+ * const channel = new MessageChannel();
+ * workletNode.port.postMessage({ type: 'analysis-port', port: channel.port1 }, [channel.port1]);
+ * worker.postMessage({ type: 'init', sampleRate: ctx.sampleRate, port: channel.port2 }, [channel.port2]);
+ */
+
+import { loadMeyda, loadAubio } from './lazy.js';
+
+const FRAME_SIZE = 512;
+const MFCC_COUNT = 13;
+const MEYDA_FEATURES = ['mfcc', 'chroma', 'spectralFlatness', 'spectralRolloff'];
+
+const state = {
+  sampleRate: 44100,
+  port: null,
+  meyda: null,
+  meydaFailed: false,
+  aubio: null,          // { onset, tempo, pitch }
+  aubioFailed: false,
+  meydaIntervalSec: 1 / 75,
+  lastMeydaTime: -Infinity,
+  queue: [],
+  queueMax: 12,
+  highWater: 0,
+  dropped: 0,
+  drainScheduled: false,
+  processTotalMs: 0,
+  processMaxMs: 0,
+  processCount: 0,
+};
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+function loadLibraries() {
+  loadMeyda()
+    .then((meyda) => {
+      meyda.bufferSize = FRAME_SIZE;
+      meyda.sampleRate = state.sampleRate;
+      meyda.numberOfMFCCCoefficients = MFCC_COUNT;
+      state.meyda = meyda;
+      scheduleDrain();
+    })
+    .catch((err) => {
+      state.meydaFailed = true;
+      postError(err);
+      scheduleDrain();
+    });
+
+  loadAubio()
+    .then(async (factory) => {
+      const module = typeof factory === 'function' ? await factory() : factory;
+      state.aubio = createAubioNodes(module, state.sampleRate);
+      scheduleDrain();
+    })
+    .catch((err) => {
+      state.aubioFailed = true;
+      postError(err);
+      scheduleDrain();
+    });
+}
+
+function createAubioNodes(module, sr) {
+  const nodes = { onset: null, tempo: null, pitch: null };
+  try { nodes.onset = new module.Onset('default', FRAME_SIZE, FRAME_SIZE, sr); } catch (err) { console.warn('[AnalysisWorker] Aubio onset unavailable', err); }
+  try { nodes.tempo = new module.Tempo('default', FRAME_SIZE, FRAME_SIZE, sr); } catch (err) { console.warn('[AnalysisWorker] Aubio tempo unavailable', err); }
+  try {
+    nodes.pitch = new module.Pitch('yin', FRAME_SIZE, FRAME_SIZE, sr);
+    if (nodes.pitch.setTolerance) nodes.pitch.setTolerance(0.2);
+  } catch (err) {
+    console.warn('[AnalysisWorker] Aubio pitch unavailable', err);
+  }
+  return nodes;
+}
+
+// Frames wait for the libraries unless both have given up
+function librariesSettled() {
+  return (state.meyda || state.meydaFailed) && (state.aubio || state.aubioFailed);
+}
+
+function onFrame(event) {
+  const data = event?.data;
+  if (!data || data.type !== 'pcm' || !(data.samples instanceof ArrayBuffer)) return;
+  state.queue.push(data);
+  if (state.queue.length > state.highWater) state.highWater = state.queue.length;
+  while (state.queue.length > state.queueMax) {
+    release(state.queue.shift());
+    state.dropped++;
+  }
+  scheduleDrain();
+}
+
+// A timeout runs after the frame messages already waiting, so one drain sees the whole backlog
+function scheduleDrain() {
+  if (state.drainScheduled) return;
+  state.drainScheduled = true;
+  setTimeout(drain, 0);
+}
+
+function drain() {
+  state.drainScheduled = false;
+  if (!state.queue.length) return;
+  if (!state.meyda && !state.aubio && !librariesSettled()) return;
+  const out = { meyda: [], onsets: [], tempo: null, pitch: null };
+  while (state.queue.length) {
+    const item = state.queue.shift();
+    const started = now();
+    try {
+      analyse(item, out);
+    } finally {
+      release(item);
+    }
+    const ms = now() - started;
+    state.processTotalMs += ms;
+    state.processCount++;
+    if (ms > state.processMaxMs) state.processMaxMs = ms;
+  }
+  self.postMessage({ type: 'features', ...out, stats: takeStats() });
+}
+
+function analyse(item, out) {
+  const frame = new Float32Array(item.samples);
+  const harm = item.harmSamples instanceof ArrayBuffer ? new Float32Array(item.harmSamples) : null;
+  const time = item.time;
+
+  if (state.meyda && time - state.lastMeydaTime >= state.meydaIntervalSec) {
+    state.lastMeydaTime = time;
+    try {
+      const result = state.meyda.extract(MEYDA_FEATURES, frame);
+      if (result) {
+        out.meyda.push({
+          frameId: item.frameId,
+          time,
+          mfcc: Array.isArray(result.mfcc) ? result.mfcc.slice(0, MFCC_COUNT) : [],
+          chroma: Array.isArray(result.chroma) ? result.chroma.slice(0, 12) : [],
+          flatness: result.spectralFlatness,
+          rolloff: result.spectralRolloff,
+        });
+      }
+    } catch (_) {
+      // Meyda may throw if fed denormal data; skip frame
+    }
+  }
+
+  const aubio = state.aubio;
+  if (!aubio) return;
+  try {
+    if (aubio.onset && aubio.onset.do(frame)) out.onsets.push(time);
+  } catch (_) {}
+  try {
+    if (aubio.tempo) {
+      aubio.tempo.do(frame);
+      const bpm = typeof aubio.tempo.getBpm === 'function' ? aubio.tempo.getBpm() : null;
+      const confidence = typeof aubio.tempo.getConfidence === 'function' ? aubio.tempo.getConfidence() : 0;
+      if (typeof bpm === 'number' && isFinite(bpm) && bpm > 30 && bpm < 300) {
+        out.tempo = { bpm, confidence: confidence || 0, time };
+      }
+    }
+  } catch (_) {}
+  try {
+    if (aubio.pitch) {
+      const hz = aubio.pitch.do(harm && harm.length === frame.length ? harm : frame);
+      const confidence = typeof aubio.pitch.getConfidence === 'function' ? aubio.pitch.getConfidence() : 0;
+      out.pitch = { hz: typeof hz === 'number' && isFinite(hz) && hz > 0 ? hz : 0, confidence: confidence || 0, time };
+    }
+  } catch (_) {}
+}
+
+// Hand the buffers back to the worklet's pool
+function release(item) {
+  if (!state.port || !item) return;
+  try {
+    state.port.postMessage({ type: 'release-buffer', bufferId: item.bufferId, buffer: item.samples }, [item.samples]);
+    if (item.harmSamples instanceof ArrayBuffer) {
+      state.port.postMessage({ type: 'release-buffer', bufferId: item.harmBufferId, buffer: item.harmSamples }, [item.harmSamples]);
+    }
+  } catch (_) {}
+}
+
+function takeStats() {
+  const stats = {
+    queueDepth: state.queue.length,
+    highWater: state.highWater,
+    dropped: state.dropped,
+    maxDepth: state.queueMax,
+    avgProcessMs: state.processCount ? state.processTotalMs / state.processCount : 0,
+    maxProcessMs: state.processMaxMs,
+    meydaReady: !!state.meyda,
+    aubioReady: !!(state.aubio && state.aubio.tempo),
+  };
+  state.processTotalMs = 0;
+  state.processMaxMs = 0;
+  state.processCount = 0;
+  return stats;
+}
+
+function applyConfig(data) {
+  if (Number.isFinite(data.meydaIntervalMs) && data.meydaIntervalMs > 0) {
+    state.meydaIntervalSec = data.meydaIntervalMs / 1000;
+  }
+  if (Number.isFinite(data.queueMax) && data.queueMax > 0) {
+    state.queueMax = Math.max(1, Math.floor(data.queueMax));
+    while (state.queue.length > state.queueMax) {
+      release(state.queue.shift());
+      state.dropped++;
+    }
+  }
+}
+
+function postError(err) {
+  try { self.postMessage({ type: 'error', error: err?.message || String(err) }); } catch (_) {}
+}
+
+self.onmessage = (event) => {
+  const data = event.data;
+  if (!data || !data.type) return;
+
+  if (data.type === 'init') {
+    if (Number.isFinite(data.sampleRate) && data.sampleRate > 0) state.sampleRate = data.sampleRate;
+    applyConfig(data);
+    if (data.port) {
+      state.port = data.port;
+      state.port.onmessage = onFrame;
+    }
+    loadLibraries();
+    return;
+  }
+
+  if (data.type === 'config') {
+    applyConfig(data);
+    return;
+  }
+
+  if (data.type === 'reset') {
+    while (state.queue.length) release(state.queue.shift());
+    state.highWater = 0;
+    state.dropped = 0;
+    state.lastMeydaTime = -Infinity;
+  }
+};
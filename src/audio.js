@@ -30,6 +30,46 @@ import { loadAubio, loadMeyda, clearModuleCache } from './lazy.js';
 import { showToast } from './toast.js';
 import { ResourceLifecycle, STATES } from './resource-lifecycle.js';
 import { AsyncOperationRegistry } from './async-registry.js';
+import { FeatureTimeline } from './feature-timeline.js';
+import { TempoMap } from './tempo-map.js';
+import { TempoOctaveResolver, rescaleBeatGrid } from './tempo-octave.js';
+import { DeckAnalyzer, blendDeckFeatures } from './deck-analyzer.js';
+import { Filterbank } from './filterbank.js';
+import { KeyEstimator, describeKey } from './key-detector.js';
+import { BeatClock } from './beat-clock.js';
+import { DropPredictor } from './drop-predictor.js';
+import { OnsetClassifier } from './onset-classifier.js';
+import { NoiseProfileAccumulator, NoiseProfileGate, NoiseProfileStore } from './noise-profile.js';
+import { AvLatencyCompensator, measureRoundTripLatency } from './av-latency.js';
+import { WorkletFeatureReader, CORE_FIELDS, CORE_RATE_HZ } from './worklet-features.js';
+import { analyserLevelsDb } from './spectral-frontend.js';
+import { renderTestSignal, describeTruthPosition, normalizeGeneratorOptions, GENERATOR_LABELS } from './signal-generator.js';
+// Bundled like a worker, so the worklet can import feature-core.js
+import analysisProcessorUrl from './analysis-processor.js?worker&url';
+import {
+  SourceHealthMonitor,
+  FailoverPolicyStore,
+  normalizeFailoverPolicy,
+  describeFailoverEntry,
+  findVirtualDevice,
+  SOURCE_ISSUE_LABELS,
+} from './source-health.js';
+import {
+  safeBpmToInterval,
+  computeRMS,
+  computeBands,
+  computeCentroid,
+  computeFlux,
+  computeBassFlux,
+  trimFluxHistory,
+  trimBassFluxHistory,
+  detectBeat,
+  updateFallbackTempo,
+  smoothLiveTempo,
+  stepTempoGrid,
+  percentile,
+  updateDropBuild,
+} from './feature-core.js';
 
 /**
  * Cache for the beat detector function to avoid re-loading from CDN
@@ -38,6 +78,13 @@ let _guessBpmFn = null;
 let _guessBpmFnFailed = false; // Track if all attempts failed (allows retry on next call)
 let _guessBpmFnLastError = null; // Store last error for diagnostics
 
+// Beat grids computed from the loaded file itself (vs. live estimates)
+const FILE_GRID_SOURCES = new Set(['essentia', 'tempo-map']);
+
+// Auto-gain loop: hold below this short-term loudness (silence / noise floor), and cap the slew
+const AUTO_GAIN_SILENCE_LUFS = -60;
+const AUTO_GAIN_MAX_DB_PER_SEC = 6;
+
 /**
  * Lazy-load web-audio-beat-detector at runtime with graceful fallbacks.
  * 
@@ -126,32 +173,6 @@ function isBeatDetectorAvailable() {
   return _guessBpmFn && !_guessBpmFnFailed && typeof _guessBpmFn === 'function';
 }
 
-/**
- * Safely convert BPM to interval in milliseconds with validation.
- *
- * Prevents division by zero and validates BPM is in reasonable range.
- * Returns 0 for invalid input rather than NaN/Infinity to prevent propagation.
- *
- * @param {number} bpm - Beats per minute value
- * @returns {number} Interval in milliseconds, or 0 if invalid
- */
-function safeBpmToInterval(bpm) {
-  // Validate input is a finite number
-  if (typeof bpm !== 'number' || !isFinite(bpm)) {
-    return 0;
-  }
-
-  // Validate BPM is in reasonable range for music
-  // Slower than 20 BPM is not musically useful
-  // Faster than 500 BPM is beyond human capability
-  if (bpm <= 0 || bpm < 20 || bpm > 500) {
-    return 0;
-  }
-
-  // Safe to divide now
-  return 60000 / bpm;
-}
-
 /**
  * AudioEngine Class
  *
@@ -189,6 +210,7 @@ export class AudioEngine {
     this.sampleRate = 48000;            // Audio sample rate (samples per second)
     this.monitorGain = null;            // Gain node for optional monitoring to speakers
     this.monitorEnabled = true;         // Monitor output to destination by default (can be toggled)
+    this._monitorMuted = false;         // monitorGain at 0 for the current source only (muted failover file)
     this._monitorConnected = false;
 
     // Feature extraction state
@@ -198,7 +220,11 @@ export class AudioEngine {
     this._maxFluxHistoryLength = 512;
     this.sensitivity = 1.0; // beat threshold multiplier
     this.smoothing = 0.55; // EMA smoothing for RMS/bands (rave tuned)
-    this.bandSplit = { sub: 90, low: 180, mid: 2500 }; // Hz (rave tuned)
+    // Named-band crossovers (Hz, rave tuned) as set by the user; bandSplit is what the analysis
+    // reads: the same values, or moved onto the filterbank's edges when snapping is on (see _applyBandSplit)
+    this.bandSplitHz = { sub: 90, low: 180, mid: 2500 };
+    this.bandSplit = { ...this.bandSplitHz };
+    this.bandSplitSnapEnabled = false;
     this.beatCooldownMs = 350;
     // Beat gating & noise gate (production-hardening)
     this.beatRefractoryMs = 350; // minimum time between beats (ms)
@@ -206,6 +232,14 @@ export class AudioEngine {
     this.noiseGateEnabled = false; // attenuate low-level noise before extraction
     this.noiseGateThreshold = 0.10; // 0..1 amplitude/energy threshold for gate
     this._noiseGateCalibrationPromise = null; // Promise-based lock for calibration
+    // Per-venue noise spectra learned by calibration; when one is active the gate removes that
+    // spectrum per bin instead of subtracting the scalar threshold everywhere
+    this.noiseProfiles = new NoiseProfileStore();
+    this.noiseProfileGate = new NoiseProfileGate();
+    this.noiseProfileGate.setProfile(this.noiseProfiles.active);
+    // Audio-to-visual offset (ms, per venue profile): > 0 delays features, < 0 fires beats early
+    this.avLatency = new AvLatencyCompensator();
+    this.avOffsetMs = this.avLatency.setOffsetMs(this.noiseProfiles.getVenueSetting('avOffsetMs', 0));
     this._lastBeatMs = -99999;
 
     // Tap tempo configuration
@@ -220,6 +254,8 @@ export class AudioEngine {
     this.envRelease = 0.12; // 0..1 per-frame release (fall) speed
     this.bandAGCDecay = 0.995; // decay factor for rolling maxima
     this.bandAGCEnabled = true;
+    // Configurable N-band view (log-spaced or custom edges); shares envelope/AGC settings with bandEnv
+    this.filterbank = new Filterbank({ count: 8, minHz: 30, maxHz: 16000 });
 
     // Drop/build detection state
     this.dropEnabled = false;
@@ -234,6 +270,10 @@ export class AudioEngine {
     this._centroidSlopeEma = 0;
     this._centroidSlopeAlpha = 0.6; // EMA factor
     this._lastDropMs = -99999;
+    // Countdown to the next drop while a build runs (needs drop detection on)
+    this.dropPredictionEnabled = true;
+    this.dropPredictArmThreshold = 0.5;
+    this.dropPredictor = new DropPredictor({ beatsPerBar: 4, armThreshold: this.dropPredictArmThreshold });
 
     // Optional: gate drops to bar downbeats
     this.dropBarGatingEnabled = false;
@@ -258,9 +298,49 @@ export class AudioEngine {
     this._autoThrMaxSamples = 200; // Sliding window: keep newest 200 samples, automatically discard oldest for fresh calibration during rapid track changes
 
     // File playback timeline tracking (for downbeat gating)
+    // Invariant while playing: unwrapped position = (ctx.currentTime - _fileStartCtxTimeSec) * playbackRate
     this._fileStartCtxTimeSec = 0;
     this._fileDurationSec = 0;
 
+    // File transport (pause/seek/loop region/rate)
+    this._fileBuffer = null;       // AudioBuffer of the loaded file (kept so playback can restart at any offset)
+    this.filePaused = false;
+    this._filePausedAtSec = 0;
+    this.playbackRate = 1;
+    this._fileLoop = null;         // { startBar, endBar, startSec, endSec } | null
+    this._fileBaseBpm = 0;         // analysed file tempo at rate 1 (bpmEstimate follows it * playbackRate)
+    this._fileFadeGain = null;     // fade-in gain between the file source and gainNode during a crossfade
+    this.currentFile = null;       // File being played (lets the playlist tell its tracks from ad-hoc loads)
+    this.generator = null;         // { options, truth, startCtxTimeSec } while the signal generator runs
+    this.generatorOptions = normalizeGeneratorOptions({});
+
+    // Offline pre-analysis of loaded files (read back by playback time with lookahead)
+    this.timelineEnabled = true;
+    this.timelineLookaheadMs = 500;
+    this.featureTimeline = null; // FeatureTimeline | null
+    this._timelineStartedAt = 0;
+    this._lastSectionIndex = -1;
+
+    // Tempo map of loaded files (BPM vs time); for mixes with tempo changes it drives
+    // bpmEstimate by playhead and, without an Essentia grid, supplies the beat grid
+    this.tempoMapEnabled = true;
+    this.tempoMap = null; // TempoMap | null
+    this._tempoMapSegmentIndex = -1;
+
+    // Preferred BPM range (set by presets); every tempo source folds ×½/×2 readings into it
+    this.tempoOctave = new TempoOctaveResolver();
+
+    // Musical key: live sliding-window estimate from Meyda chroma, plus a whole-track Essentia estimate for files
+    this.keyEstimator = new KeyEstimator({ windowSec: 12 });
+    this.trackKey = null; // describeKey() result from Essentia | null
+    this._liveKey = null;
+    this._lastKeyEstimateMs = 0;
+
+    // Dual-deck analysis (independent of the main source; see startDeck)
+    this.decks = { a: null, b: null }; // DeckAnalyzer | null
+    this.crossfader = 0.5;             // 0 = deck A, 1 = deck B
+    this.deckBlendDrivesVisuals = false; // when true, blended deck features replace the main levels/beat
+
     this.timeDataFloat = null;
 
     this._meydaPromise = null;
@@ -307,6 +387,42 @@ export class AudioEngine {
     this._lastFluxFrameId = -1;
     this._lastMeydaFrameId = -1;
     this._workletFeatures = { rms: 0, flux: 0, fluxMean: 0, fluxStd: 0 };
+    this._workletStereo = null; // latest per-frame stereo analysis from the worklet
+
+    // Core features (gate, bands, centroid, flux, bass flux, beat) computed in the worklet at a
+    // fixed hop; update() reads them instead of the analyser whenever records are arriving
+    this.workletFeaturesEnabled = true;
+    this._coreReader = new WorkletFeatureReader();
+    this._coreConfigKey = '';
+    this._coreProfileKey = '';
+    this._coreBinCount = 0;
+    this._coreSyncMs = 0;
+    // 'multires': float long/short-window spectra in the worklet core (spectral-frontend.js);
+    // 'analyser': the AnalyserNode byte read-out. Calibrated dBFS band levels come from either.
+    this.spectralFrontEnd = 'multires';
+    this._freqDataDb = null;
+
+    // Harmonic/percussive separation in the worklet: percussive flux and envelopes drive beat/drop
+    // detection, harmonic chroma and audio drive chroma/key/pitch (only with the worklet)
+    this.hpssEnabled = true;
+    this._workletPerc = null;
+    this._workletHarm = null;
+    this._harmFrame = new Float32Array(512); // latest harmonic-only worklet frame (for Aubio pitch)
+    this._harmFrameId = -1;
+    this._hpssShares = { perc: [0, 0, 0], harm: [0, 0, 0] };
+    this.perc = { flux: 0, fluxMean: 0, fluxStd: 0, env: { bass: 0, mid: 0, treble: 0 }, ratio: 0 };
+    this.harm = { env: { bass: 0, mid: 0, treble: 0 }, chroma: new Array(12).fill(0), ratio: 0 };
+
+    // Stereo field features (smoothed; only available with the worklet)
+    this.stereo = {
+      channels: 1,
+      left: { bass: 0, mid: 0, treble: 0 },
+      right: { bass: 0, mid: 0, treble: 0 },
+      width: 0,       // 0 mono .. ~0.5 wide .. 1 out of phase
+      pan: 0,         // -1 left .. +1 right
+      correlation: 1, // -1..1 phase correlation
+    };
+    this._stereoPeak = { bass: 1e-4, mid: 1e-4, treble: 1e-4 }; // shared L/R AGC keeps balance meaningful
     this._graphConnected = false;
     this._workletInitAttempted = false;
     this._workletFrameTimestamp = 0;
@@ -335,6 +451,15 @@ export class AudioEngine {
       lastOnsetMs: 0,
     };
     this._aubioFallbackCounter = 0;
+
+    // Meyda/Aubio in a worker fed straight from the worklet; the main-thread path above
+    // stays as the fallback without AudioWorklet or Worker support
+    this.analysisWorkerEnabled = true;
+    this._analysisWorker = null;
+    this._analysisWorkerActive = false;
+    this._analysisWorkerStats = null;
+    this._analysisWorkerAubioReady = false;
+    this._analysisWorkerLastWarningAt = 0;
     this._lastAubioTempoAt = 0;
     this._lastLiveTempoFallbackMs = 0;
     this._lastLiveTempoSource = null;
@@ -365,6 +490,25 @@ export class AudioEngine {
     this.activeStream = null; // to stop tracks when switching
     this.isPlayingFile = false;
 
+    // Source health and failover: the running source is watched every frame, and when it ends,
+    // stops delivering data or goes silent the engine switches to the next entry of the
+    // failover chain ('virtual' | 'mic:<deviceId>' | 'file'). Policy persists.
+    this.failoverStore = new FailoverPolicyStore();
+    this.failoverPolicy = this.failoverStore.load();
+    this.sourceHealth = new SourceHealthMonitor(this.failoverPolicy);
+    this.currentSource = null;          // chain entry of the running source, null when stopped
+    this.currentSourceLabel = '';
+    this._sourceHealthStatus = null;
+    this._lastSourceFile = null;        // File for the 'file' entry (survives stop())
+    this._failoverInProgress = false;
+    this._failoverExhausted = false;    // silent source, nothing to switch to: wait for signal
+    this._failoverTried = new Set();    // entries that already went bad since the last healthy stretch
+    this._lastFailover = null;          // { from, to, reason, at }
+    this._sourceClipSum = 0;
+    this._sourceClipFrames = 0;
+    this._sourceDc = 0;
+    this._sourceWarnedState = 'ok';
+
     // Tempo assist (optional, for file playback)
     this.bpmEstimate = null; // number | null
     this.bpmEstimateConfidence = 0;
@@ -386,6 +530,28 @@ export class AudioEngine {
     this._lastQuantizeMs = 0;
     this._tapMultiplier = 1;
 
+    // Phase-locked musical clock (beat/bar phase) fed by detected beats, tempo estimates and taps
+    this.beatClock = new BeatClock({ beatsPerBar: 4 });
+
+    // Kick / snare / hat events from per-band flux (separate triggers next to the generic beat)
+    this.onsetClassifier = new OnsetClassifier({ midLowHz: this.bandSplit?.low || 180 });
+    this._applyBandSplit();
+
+    // EBU R128 loudness (LUFS, metered in the analysis worklet) and loudness-driven input auto-gain.
+    // Auto-gain trims the analysis branch (autoGainNode, after gainNode) toward a target short-term
+    // loudness so quiet rooms and hot club feeds land in the same feature range; a limiter after it
+    // catches the overshoot. The monitor taps gainNode, so the trim never changes what is heard.
+    this.gain = 1.0;                    // manual input gain; auto-gain multiplies on top
+    this.loudness = { momentary: -70, shortTerm: -70, integrated: -70 };
+    this.autoGainEnabled = false;
+    this.autoGainTargetLufs = -18;
+    this.autoGainMaxDb = 24;            // max boost / cut
+    this.autoGainResponseSec = 6;       // time constant of the gain loop (slow keeps drops punchy)
+    this._autoGainDb = 0;
+    this._autoGainLastMs = 0;
+    this.autoGainNode = null;           // GainNode - auto-gain trim, analysis branch only
+    this.limiterNode = null;
+
     // Rolling live-audio buffer (for BPM recalc on live sources)
     this._liveBufferMaxSec = 30; // hard ceiling to prevent runaway allocations
     this._liveBufferMinSec = 4;  // minimum window that still yields stable BPM
@@ -458,7 +624,11 @@ export class AudioEngine {
     // Create gain node (volume control)
     if (!this.gainNode) {
       this.gainNode = this.ctx.createGain();
-      this.gainNode.gain.value = 1.0; // Default: full volume
+      this.gainNode.gain.value = this.gain; // Manual gain survives context rebuilds; auto-gain re-applies on top
+    }
+    if (!this.autoGainNode) {
+      this.autoGainNode = this.ctx.createGain();
+      this.autoGainNode.gain.value = Math.pow(10, this.getAutoGainDb() / 20);
     }
     
     // Create analyser node (extracts frequency and time domain data)
@@ -473,10 +643,10 @@ export class AudioEngine {
 
     if (!this.monitorGain) {
       this.monitorGain = this.ctx.createGain();
-      this.monitorGain.gain.value = 1;
+      this.monitorGain.gain.value = this._monitorMuted ? 0 : 1;
     }
 
-    // Connect audio graph: source → gain → worklet (optional) → analyser
+    // Connect audio graph: source → gain → auto-gain → worklet (optional) → analyser, gain → monitor
     if (!this._graphConnected && this.gainNode && this.analyser) {
       this._ensureGraph();
       this._graphConnected = true;
@@ -532,6 +702,7 @@ export class AudioEngine {
     // Request microphone access
     const stream = await navigator.mediaDevices.getUserMedia(constraints);
     this._useStream(stream);
+    this._setCurrentSource(`mic:${deviceId || ''}`, stream.getAudioTracks()[0]?.label || 'Mic');
     return stream;
   }
 
@@ -615,7 +786,7 @@ export class AudioEngine {
         const handler = () => {
           track.removeEventListener('ended', handler);
           if (this.activeStream === stream) {
-            this.stop();
+            this._handleSourceLost('ended');
           }
         };
         // Store handler reference on track for cleanup later
@@ -643,6 +814,7 @@ export class AudioEngine {
       } catch (_) {}
 
       this._useStream(stream);
+      this._setCurrentSource('system', 'System audio');
       return stream;
     } catch (e) {
       // Provide targeted guidance
@@ -673,6 +845,61 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Play a synthetic test signal (see signal-generator.js) through the analysis graph.
+   *
+   * The signal loops and runs as a live source (no file analysis, live tempo
+   * tracking), so beat detection, drop logic and the tempo pipeline can be
+   * compared against the known ground truth via getGeneratorState().
+   *
+   * @param {Object} [options] - Generator options (type, bpm, beatsPerBar, introBars, buildBars, dropBars, ...);
+   *   merged over the last ones used
+   * @returns {Promise<Object>} getGeneratorState()
+   */
+  async startGenerator(options = {}) {
+    await this.ensureContext();
+    this.stop();
+    this._resumeWorkletMessages();
+    const rendered = renderTestSignal({ ...this.generatorOptions, ...options, sampleRate: this.ctx.sampleRate });
+    this.generatorOptions = rendered.options;
+    const buf = this.ctx.createBuffer(1, rendered.samples.length, rendered.sampleRate);
+    buf.copyToChannel(rendered.samples, 0);
+    const src = this.ctx.createBufferSource();
+    src.buffer = buf;
+    src.loop = true;
+    src.connect(this.gainNode);
+    this._ensureGraph();
+    const startCtxTimeSec = this.ctx.currentTime;
+    src.start(startCtxTimeSec);
+    this.source = src;
+    this.generator = { options: rendered.options, truth: rendered.truth, startCtxTimeSec };
+    const o = rendered.options;
+    const label = `${GENERATOR_LABELS[o.type]}${rendered.truth.bpm ? ` ${o.bpm} BPM` : ''}`;
+    this._setCurrentSource('generator', label);
+    return this.getGeneratorState();
+  }
+
+  /**
+   * Ground truth at the current playback position next to what the engine detects.
+   * @returns {{type:string, options:Object, truth:Object, position:Object, truthBpm:number, detectedBpm:number, bpmErrorPct:number|null}|null}
+   *   null when the generator isn't running
+   */
+  getGeneratorState() {
+    const gen = this.generator;
+    if (!gen || !this.ctx) return null;
+    const truthBpm = gen.truth.bpm;
+    const detectedBpm = Number(this.bpmEstimate) || 0;
+    return {
+      type: gen.options.type,
+      options: gen.options,
+      truth: gen.truth,
+      position: describeTruthPosition(gen.truth, this.ctx.currentTime - gen.startCtxTimeSec),
+      truthBpm,
+      detectedBpm,
+      bpmErrorPct: truthBpm > 0 && detectedBpm > 0 ? ((detectedBpm - truthBpm) / truthBpm) * 100 : null,
+    };
+  }
+
   /**
    * Load and play an audio file.
    * 
@@ -680,18 +907,30 @@ export class AudioEngine {
    * and triggers BPM estimation and Essentia analysis in the background.
    * 
    * @param {File} file - The audio file to load
+   * @param {Object} [options]
+   * @param {number} [options.crossfadeSec=0] - Fade the currently playing file out while this one fades in
+   * @param {boolean} [options.muted=false] - Keep this file off the monitor output; the next source is heard again
    * @returns {Promise<void>} Resolves when file is loaded and playing
    */
-  async loadFile(file) {
+  async loadFile(file, { crossfadeSec = 0, muted = false } = {}) {
     await this.ensureContext();
+    // Keep the outgoing file sounding (outside stop()) so it can be faded under the new one
+    const outgoing = crossfadeSec > 0 ? this._detachFileSourceForCrossfade() : null;
     this.stop(); // Stop any existing audio
+    if (muted) this._setMonitorMuted(true);
 
-    // Clear draining flag when starting new audio file to accept new worklet messages
-    this._workletDraining = false;
+    // Accept worklet messages again for the new file
+    this._resumeWorkletMessages();
 
     // Decode the audio file into an AudioBuffer
-    const arrayBuf = await file.arrayBuffer();
-    const audioBuf = await this.ctx.decodeAudioData(arrayBuf);
+    let audioBuf;
+    try {
+      const arrayBuf = await file.arrayBuffer();
+      audioBuf = await this.ctx.decodeAudioData(arrayBuf);
+    } catch (err) {
+      if (outgoing) this._fadeOutDetachedSource(outgoing, 0.05);
+      throw err;
+    }
 
     // Disconnect old source to prevent memory leak
     try {
@@ -701,22 +940,26 @@ export class AudioEngine {
     } catch(_){}
 
     // Create a buffer source node and start looping playback
-    const src = this.ctx.createBufferSource();
-    src.buffer = audioBuf;
-    src.loop = true;        // Loop the audio
-    src.start(0);           // Start immediately
-    src.connect(this.gainNode);
+    this._fileBuffer = audioBuf;
+    this.currentFile = file;
+    this._lastSourceFile = file;
+    this._fileDurationSec = audioBuf.duration || 0;
+    this._fileBaseBpm = 0;
+    // Octave continuity is per track for file-derived tempos
+    for (const source of ['file', 'essentia', 'tempo-map']) this.tempoOctave.reset(source);
+    this._startFileSource(0);
     this._ensureGraph();
-    this.source = src;
     this.isPlayingFile = true;
     this.activeStream = null;
+    this._setCurrentSource('file', file?.name || 'File');
+    if (outgoing) {
+      this._fadeInFileSource(crossfadeSec);
+      this._fadeOutDetachedSource(outgoing, crossfadeSec);
+    }
     const monoForAnalysis = this._downmixToMono(audioBuf);
     this._lastMonoBuffer = monoForAnalysis;
     this._lastMonoSampleRate = audioBuf.sampleRate || this.sampleRate || 44100;
     this._lastMonoDuration = audioBuf.duration || (monoForAnalysis ? monoForAnalysis.length / Math.max(1, this._lastMonoSampleRate) : 0);
-    // Track playback timeline for downbeat gating
-    this._fileStartCtxTimeSec = this.ctx.currentTime;
-    this._fileDurationSec = audioBuf.duration || 0;
 
     // Track analysis promises to prevent race conditions
     // Use unique IDs instead of object identity for reliable tracking
@@ -789,6 +1032,402 @@ export class AudioEngine {
     ]).then(() => {
       console.log('[AudioEngine] BPM analysis complete (or timed out gracefully)');
     });
+
+    this._startTimelineAnalysis(monoForAnalysis, this._lastMonoSampleRate);
+    this._startTempoMapAnalysis(monoForAnalysis, this._lastMonoSampleRate);
+  }
+
+  /**
+   * (Re)start the file's buffer source at an offset, honouring the loop region and
+   * playback rate, and re-anchor the playback clock so position reads stay exact.
+   */
+  _startFileSource(offsetSec) {
+    const buf = this._fileBuffer;
+    if (!buf || !this.ctx) return;
+    try { this.source?.stop?.(); } catch (_) {}
+    try { this.source?.disconnect?.(); } catch (_) {}
+    if (this._fileFadeGain) {
+      try { this._fileFadeGain.disconnect(); } catch (_) {}
+      this._fileFadeGain = null;
+    }
+    const src = this.ctx.createBufferSource();
+    src.buffer = buf;
+    src.loop = true;        // Loop the audio (whole file, or the loop region below)
+    if (this._fileLoop) {
+      src.loopStart = this._fileLoop.startSec;
+      src.loopEnd = this._fileLoop.endSec;
+    }
+    src.playbackRate.value = this.playbackRate;
+    const offset = this._clamp(offsetSec || 0, 0, Math.max(0, buf.duration - 0.001));
+    src.start(0, offset);
+    src.connect(this.gainNode);
+    this.source = src;
+    this._fileStartCtxTimeSec = this.ctx.currentTime - offset / this.playbackRate;
+  }
+
+  /**
+   * Take the playing file source out of the engine's hands so stop() leaves it
+   * running; it is re-routed through its own gain for the fade-out.
+   * @returns {{source:AudioBufferSourceNode, gain:GainNode}|null}
+   */
+  _detachFileSourceForCrossfade() {
+    if (!this.ctx || !this.isPlayingFile || this.filePaused || !this.source || !this.gainNode) return null;
+    const source = this.source;
+    try {
+      const gain = this.ctx.createGain();
+      gain.gain.value = 1;
+      source.disconnect();
+      source.connect(gain);
+      gain.connect(this.gainNode);
+      if (this._fileFadeGain) {
+        // Mid-crossfade: carry the current level over instead of jumping back to full
+        try { gain.gain.value = this._fileFadeGain.gain.value; } catch (_) {}
+        try { this._fileFadeGain.disconnect(); } catch (_) {}
+        this._fileFadeGain = null;
+      }
+      this.source = null;
+      return { source, gain };
+    } catch (err) {
+      console.warn('[AudioEngine] Crossfade detach failed', err);
+      return null;
+    }
+  }
+
+  _fadeOutDetachedSource(outgoing, seconds) {
+    const t = this.ctx.currentTime;
+    const dur = Math.max(0.02, seconds || 0);
+    try {
+      outgoing.gain.gain.cancelScheduledValues(t);
+      outgoing.gain.gain.setValueAtTime(outgoing.gain.gain.value, t);
+      outgoing.gain.gain.linearRampToValueAtTime(0, t + dur);
+      outgoing.source.stop(t + dur + 0.05);
+    } catch (_) {}
+    outgoing.source.onended = () => {
+      try { outgoing.source.disconnect(); } catch (_) {}
+      try { outgoing.gain.disconnect(); } catch (_) {}
+      outgoing.source.onended = null;
+    };
+  }
+
+  // Route the current file source through a gain ramping 0 -> 1
+  _fadeInFileSource(seconds) {
+    const src = this.source;
+    if (!src || !this.ctx) return;
+    try {
+      const gain = this.ctx.createGain();
+      const t = this.ctx.currentTime;
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(1, t + Math.max(0.02, seconds));
+      src.disconnect();
+      src.connect(gain);
+      gain.connect(this.gainNode);
+      this._fileFadeGain = gain;
+    } catch (err) {
+      console.warn('[AudioEngine] Crossfade fade-in failed', err);
+    }
+  }
+
+  /**
+   * Decode a file and run the Essentia analysis on it without touching playback,
+   * e.g. to precompute BPM/key for queued tracks. Results are returned, not applied.
+   * Jobs still pending when the worker is torn down (stop()/loadFile()) resolve to null.
+   * @param {File|Blob} file
+   * @returns {Promise<{bpm:number, confidence:number, duration:number, key:Object|null}|null>}
+   */
+  async analyzeFileInBackground(file) {
+    await this.ensureContext();
+    const arrayBuf = await file.arrayBuffer();
+    const audioBuf = await this.ctx.decodeAudioData(arrayBuf);
+    return new Promise((resolve) => {
+      const analysis = {
+        background: true,
+        onResult: (result) => {
+          if (!result) { resolve(null); return; }
+          resolve({
+            bpm: result.bpm || 0,
+            confidence: result.confidence || 0,
+            duration: result.duration || audioBuf.duration || 0,
+            key: result.key ? describeKey(result.key.key, result.key.scale, result.key.strength, 'essentia') : null,
+            result, // raw worker result, for applyPrecomputedAnalysis()
+          });
+        },
+      };
+      this._runEssentiaAnalysis(audioBuf, analysis)
+        .then(() => {
+          // Worker unavailable: nothing was queued
+          if (!this._essentiaAnalysisByJobId || ![...this._essentiaAnalysisByJobId.values()].includes(analysis)) resolve(null);
+        })
+        .catch(() => resolve(null));
+    });
+  }
+
+  /**
+   * Adopt an Essentia result computed earlier (see analyzeFileInBackground) for the
+   * file that is playing now, so the beat grid and BPM are there from the first bar.
+   * Ignored if the durations don't match.
+   * @returns {boolean}
+   */
+  applyPrecomputedAnalysis(result) {
+    if (!result || !this.isPlayingFile) return false;
+    if (Math.abs((result.duration || 0) - (this._fileDurationSec || 0)) > 0.5) return false;
+    this._applyEssentiaResult(result, this._analysisPromises?.essentia);
+    return true;
+  }
+
+  /** Resume file playback after pause(). */
+  play() {
+    if (!this.isPlayingFile || !this.filePaused) return;
+    this.filePaused = false;
+    this._startFileSource(this._filePausedAtSec);
+    this.beatClock.reset();
+    this.dropPredictor.reset();
+  }
+
+  /** Pause file playback, keeping the file and position. */
+  pause() {
+    if (!this.isPlayingFile || this.filePaused) return;
+    this._filePausedAtSec = this._getPlaybackTimeSeconds() || 0;
+    this.filePaused = true;
+    try { this.source?.stop?.(); } catch (_) {}
+    try { this.source?.disconnect?.(); } catch (_) {}
+    this.source = null;
+  }
+
+  /**
+   * Jump to a file position. Seeking outside the loop region releases the loop.
+   * @param {number} seconds
+   */
+  seek(seconds) {
+    if (!this.isPlayingFile || !Number.isFinite(seconds)) return;
+    const t = this._clamp(seconds, 0, Math.max(0, (this._fileDurationSec || 0) - 0.001));
+    const loop = this._fileLoop;
+    if (loop && (t < loop.startSec || t >= loop.endSec)) this._fileLoop = null;
+    // Drop gating and the section tracker must not carry state across the jump
+    this._buildBeats = 0;
+    this._lastSectionIndex = -1;
+    if (this.filePaused) {
+      this._filePausedAtSec = t;
+      return;
+    }
+    this._startFileSource(t);
+  }
+
+  /**
+   * Playback rate for files (0.5..2). The reported BPM follows the rate.
+   * @param {number} rate
+   */
+  setRate(rate) {
+    const r = this._clamp(Number(rate) || 1, 0.5, 2);
+    const pos = this._getPlaybackTimeSeconds();
+    this.playbackRate = r;
+    if (this.source && this.isPlayingFile && !this.filePaused && this.source.playbackRate) {
+      this.source.playbackRate.value = r;
+      if (pos !== null && this.ctx) this._fileStartCtxTimeSec = this.ctx.currentTime - pos / r;
+    }
+    if (this.isPlayingFile && this._fileBaseBpm > 0) {
+      this.bpmEstimate = this._fileBaseBpm * r;
+      this.tempoIntervalMs = safeBpmToInterval(this.bpmEstimate);
+    }
+  }
+
+  /**
+   * Bar start times for the loaded file: Essentia downbeats, then timeline
+   * downbeats, then bars derived from the file BPM.
+   * @returns {number[]}
+   */
+  getFileBarTimes() {
+    const dur = this._fileDurationSec || 0;
+    const grid = this.beatGrid;
+    if (grid && FILE_GRID_SOURCES.has(grid.source) && Array.isArray(grid.downbeats) && grid.downbeats.length >= 2
+      && Math.abs((grid.duration || 0) - dur) < 0.5) {
+      return grid.downbeats;
+    }
+    const tl = this.featureTimeline;
+    if (tl && tl.ready && tl.downbeatTimes && tl.downbeatTimes.length >= 2) return Array.from(tl.downbeatTimes);
+    const bpm = this._fileBaseBpm || 0;
+    if (!(bpm > 0) || !(dur > 0)) return [];
+    const barSec = (60 / bpm) * (this.dropGateBeatsPerBar || 4);
+    const bars = [];
+    for (let t = 0; t < dur; t += barSec) bars.push(t);
+    return bars;
+  }
+
+  /** Bar index (0-based) containing a file position, or -1 without a bar grid. */
+  barIndexAt(seconds) {
+    const bars = this.getFileBarTimes();
+    if (!bars.length || !Number.isFinite(seconds)) return -1;
+    let lo = 0, hi = bars.length;
+    while (lo < hi) { const m = (lo + hi) >> 1; if (bars[m] <= seconds) lo = m + 1; else hi = m; }
+    return Math.max(0, lo - 1);
+  }
+
+  /**
+   * Loop a bar range (startBar inclusive, endBar exclusive, 0-based), snapped to the beat grid.
+   * Call with no arguments (or null) to clear the loop.
+   * @returns {boolean} false if there is no bar grid or the range is empty
+   */
+  setLoop(startBar, endBar) {
+    if (startBar === undefined || startBar === null) {
+      // Read the position while the region still wraps it, then re-anchor on it
+      const pos = this._getPlaybackTimeSeconds();
+      this._fileLoop = null;
+      if (this.source && this.isPlayingFile) {
+        try {
+          this.source.loopStart = 0;
+          this.source.loopEnd = 0;
+          if (pos !== null && !this.filePaused) this._fileStartCtxTimeSec = this.ctx.currentTime - pos / this.playbackRate;
+        } catch (_) {}
+      }
+      return true;
+    }
+    if (!this.isPlayingFile) return false;
+    const bars = this.getFileBarTimes();
+    const dur = this._fileDurationSec || 0;
+    const s = Math.floor(startBar);
+    const e = Math.floor(endBar);
+    if (!bars.length || !(s >= 0) || !(e > s) || s >= bars.length) return false;
+    const startSec = bars[s];
+    const endSec = e < bars.length ? bars[e] : dur;
+    if (!(endSec - startSec > 0.25)) return false;
+    const pos = this._getPlaybackTimeSeconds();
+    this._fileLoop = { startBar: s, endBar: Math.min(e, bars.length), startSec, endSec };
+    if (this.filePaused) {
+      if (!(this._filePausedAtSec >= startSec && this._filePausedAtSec < endSec)) this._filePausedAtSec = startSec;
+      return true;
+    }
+    if (pos !== null && pos >= startSec && pos < endSec && this.source) {
+      // Already inside the region: update the live node without a click
+      try {
+        this.source.loopStart = startSec;
+        this.source.loopEnd = endSec;
+        this._fileStartCtxTimeSec = this.ctx.currentTime - pos / this.playbackRate;
+        return true;
+      } catch (_) {}
+    }
+    this._startFileSource(startSec);
+    return true;
+  }
+
+  /**
+   * Snapshot for transport UIs.
+   * @returns {{loaded:boolean, playing:boolean, positionSec:number, durationSec:number, rate:number, bar:number, barCount:number, loop:Object|null}}
+   */
+  getTransportState() {
+    const loaded = this.isPlayingFile && !!this._fileBuffer;
+    const pos = loaded ? (this._getPlaybackTimeSeconds() || 0) : 0;
+    return {
+      loaded,
+      playing: loaded && !this.filePaused,
+      positionSec: pos,
+      durationSec: loaded ? this._fileDurationSec || 0 : 0,
+      rate: this.playbackRate,
+      bar: loaded ? this.barIndexAt(pos) : -1,
+      barCount: loaded ? this.getFileBarTimes().length : 0,
+      loop: this._fileLoop ? { ...this._fileLoop } : null,
+    };
+  }
+
+  /**
+   * Walks the whole decoded file in the background and builds a FeatureTimeline
+   * (bands, flux, beats, downbeats, builds, drops) that update() reads with lookahead.
+   * Superseded automatically when another file is loaded.
+   */
+  _startTimelineAnalysis(mono, sampleRate) {
+    this.featureTimeline = null;
+    if (!this.timelineEnabled || !mono || !mono.length) return;
+
+    const token = this._asyncRegistry.register('timeline-analysis');
+    const startedAt = performance.now();
+    this._timelineStartedAt = startedAt;
+    const timeline = new FeatureTimeline({ bandSplit: this.bandSplit });
+
+    token.wrap(timeline.analyze(mono, sampleRate, { isCancelled: () => token.isCancelled() }))
+      .then((result) => {
+        if (!result || !this.isPlayingFile) return;
+        // Essentia or the tempo map may have finished first; adopt the grid if it belongs to this file
+        if (this.beatGrid && FILE_GRID_SOURCES.has(this.beatGrid.source) && this.beatGrid.updatedAt >= startedAt) {
+          result.applyBeatGrid(this.beatGrid);
+        }
+        this.featureTimeline = result;
+        const summary = result.getSummary();
+        console.log(`[AudioEngine] Timeline ready: ${summary.frameCount} frames, ${summary.beats} beats, ${summary.drops.length} drops (${Math.round(performance.now() - startedAt)}ms)`);
+      })
+      .catch((err) => {
+        if (err?.isCancelled) return;
+        console.warn('[AudioEngine] Timeline pre-analysis failed:', err);
+      });
+  }
+
+  /**
+   * Builds the file's tempo map in the background. Single-tempo files only get the
+   * map for display; with tempo changes it also becomes the beat grid (unless Essentia
+   * produced one) and update() follows it by playhead.
+   */
+  _startTempoMapAnalysis(mono, sampleRate) {
+    this._asyncRegistry.cancelCategory('tempo-map-analysis');
+    this.tempoMap = null;
+    this._tempoMapSegmentIndex = -1;
+    if (!this.tempoMapEnabled || !mono || !mono.length) return;
+
+    const token = this._asyncRegistry.register('tempo-map-analysis');
+    const startedAt = performance.now();
+    const map = new TempoMap({ beatsPerBar: this.dropGateBeatsPerBar || 4 });
+
+    token.wrap(map.analyze(mono, sampleRate, { isCancelled: () => token.isCancelled() }))
+      .then((result) => {
+        if (!result || !this.isPlayingFile) return;
+        this.tempoMap = result;
+        const summary = result.getSummary();
+        console.log(`[AudioEngine] Tempo map ready: ${summary.segments} segment(s), ${summary.minBpm}–${summary.maxBpm} BPM (${Math.round(performance.now() - startedAt)}ms)`);
+        if (!result.variable) return;
+        const essentiaGrid = this.beatGrid && this.beatGrid.source === 'essentia' && this.beatGrid.updatedAt >= startedAt;
+        if (!essentiaGrid) {
+          const grid = result.toBeatGrid();
+          this.beatGrid = rescaleBeatGrid(grid, this.tempoOctave.fold(grid.bpm, grid.confidence).factor);
+          if (this.featureTimeline && this.featureTimeline.ready) {
+            try { this.featureTimeline.applyBeatGrid(this.beatGrid); } catch (_) {}
+          }
+        }
+      })
+      .catch((err) => {
+        if (err?.isCancelled) return;
+        console.warn('[AudioEngine] Tempo map analysis failed:', err);
+      });
+  }
+
+  /**
+   * Switch the file tempo to the tempo-map segment under the playhead (variable-tempo files).
+   */
+  _followTempoMap() {
+    const map = this.tempoMap;
+    if (!map || !map.variable) return;
+    const sec = this._getPlaybackTimeSeconds();
+    if (sec === null) return;
+    const idx = map.segmentIndexAt(sec);
+    // Re-apply when a late single-tempo estimate overwrote the segment tempo
+    if (idx < 0 || (idx === this._tempoMapSegmentIndex && this.bpmEstimateSource === 'tempo-map')) return;
+    const seg = map.segments[idx];
+    const bpm = this.tempoOctave.resolve('tempo-map', seg.bpm, seg.confidence).bpm;
+    this._tempoMapSegmentIndex = idx;
+    this._fileBaseBpm = bpm;
+    this.bpmEstimate = bpm * this.playbackRate;
+    this.tempoIntervalMs = safeBpmToInterval(this.bpmEstimate);
+    this.bpmEstimateConfidence = this._clamp(seg.confidence, 0, 1);
+    this.bpmEstimateSource = 'tempo-map';
+    this._lastTempoMs = performance.now();
+  }
+
+  /** @returns {TempoMap|null} Tempo map of the playing file once analysed. */
+  getTempoMap() { return this.tempoMap && this.tempoMap.ready ? this.tempoMap : null; }
+
+  /** Enable/disable tempo-map analysis (takes effect on next load). */
+  setTempoMapEnabled(v) {
+    this.tempoMapEnabled = !!v;
+    if (!this.tempoMapEnabled) {
+      this._asyncRegistry.cancelCategory('tempo-map-analysis');
+      this.tempoMap = null;
+      this._tempoMapSegmentIndex = -1;
+    }
   }
 
   /**
@@ -825,18 +1464,55 @@ export class AudioEngine {
       }
     }
 
+    if (this._fileFadeGain) {
+      try { this._fileFadeGain.disconnect(); } catch (_) {}
+      this._fileFadeGain = null;
+    }
+
+    // A muted failover file only mutes itself
+    this._setMonitorMuted(false);
+
     // Clear source references
     this.source = null;
     this.activeStream = null;
+    this.currentSource = null;
+    this.currentSourceLabel = '';
+    this._sourceHealthStatus = null;
     this.isPlayingFile = false;
     this._fileStartCtxTimeSec = 0;
     this._fileDurationSec = 0;
+    this._fileBuffer = null;
+    this.currentFile = null;
+    this.generator = null;
+    this.filePaused = false;
+    this._filePausedAtSec = 0;
+    this._fileLoop = null;
+    this._fileBaseBpm = 0;
     this._lastMonoBuffer = null;
     this._lastMonoSampleRate = 0;
     this._lastMonoDuration = 0;
 
+    // Timeline and tempo map belong to the file that was playing
+    this._asyncRegistry.cancelCategory('timeline-analysis');
+    this.featureTimeline = null;
+    this._asyncRegistry.cancelCategory('tempo-map-analysis');
+    this.tempoMap = null;
+    this._tempoMapSegmentIndex = -1;
+
+    // Key history and clock phase belong to the previous source
+    this.beatClock.reset();
+    this.dropPredictor.reset();
+    this.onsetClassifier.reset();
+    this.avLatency.reset();
+    this.keyEstimator.reset();
+    this.trackKey = null;
+    this._liveKey = null;
+
     this._releaseWorkletFrameBuffer();
     this._flushAubioQueue();
+    if (this._analysisWorker) {
+      try { this._analysisWorker.postMessage({ type: 'reset' }); } catch (_) {}
+    }
     this._disposeLiveBuffer();
 
     this._lastWorkletLatencyMs = null;
@@ -845,6 +1521,7 @@ export class AudioEngine {
     if (this.workletNode) {
       try {
         this.workletNode.port.postMessage({ type: 'reset' });
+        this._coreReader.reset();
 
         // Set draining flag to discard new messages but keep handler alive
         this._workletDraining = true;
@@ -874,6 +1551,15 @@ export class AudioEngine {
         this._essentiaReadyResolver = null;
       }
 
+      // Background analyses waiting on this worker will never get a result
+      if (this._essentiaAnalysisByJobId) {
+        for (const [jobId, analysis] of this._essentiaAnalysisByJobId) {
+          if (!analysis?.background) continue;
+          this._essentiaAnalysisByJobId.delete(jobId);
+          try { analysis.onResult(null); } catch (_) {}
+        }
+      }
+
       // Clear pending job IDs to prevent processing stale results
       this._essentiaCurrentJobId = 0;
       this._essentiaPendingJobId = 0;
@@ -900,9 +1586,21 @@ export class AudioEngine {
 
   // Webcam feature removed: startWebcam/stopWebcam et al removed
 
-  _useStream(stream) {
-    // Clear draining flag when starting new audio source to accept new worklet messages
+  // stop() detaches the port handler after a short drain; a new source needs it back
+  _resumeWorkletMessages() {
     this._workletDraining = false;
+    if (this._workletDrainTimeout) {
+      clearTimeout(this._workletDrainTimeout);
+      this._workletDrainTimeout = null;
+    }
+    if (this.workletNode?.port && !this.workletNode.port.onmessage) {
+      this.workletNode.port.onmessage = (event) => this._handleWorkletMessage(event);
+    }
+  }
+
+  _useStream(stream) {
+    // Accept worklet messages again for the new source
+    this._resumeWorkletMessages();
 
     // Defensive check: ensure context exists before creating nodes
     if (!this.ctx) {
@@ -925,6 +1623,17 @@ export class AudioEngine {
 
     this.activeStream = stream;
 
+    // Tracks that end on their own (device unplugged, share stopped) trigger failover
+    for (const track of stream.getAudioTracks()) {
+      if (track._endedHandler || typeof track.addEventListener !== 'function') continue;
+      const handler = () => {
+        track.removeEventListener('ended', handler);
+        if (this.activeStream === stream) this._handleSourceLost('ended');
+      };
+      track._endedHandler = handler;
+      track.addEventListener('ended', handler);
+    }
+
     try {
       const src = this.ctx.createMediaStreamSource(stream);
       src.connect(this.gainNode);
@@ -941,7 +1650,211 @@ export class AudioEngine {
     }
   }
 
-  setGain(v) { if (this.gainNode) this.gainNode.gain.value = v; }
+  /** @returns {Object} Copy of the failover policy (see source-health.js) */
+  getFailoverPolicy() {
+    return { ...this.failoverPolicy, chain: [...this.failoverPolicy.chain] };
+  }
+
+  /**
+   * Update and persist the failover policy.
+   * @param {Object} patch - Any of enabled, chain, failOnSilence, silenceSec, silenceDb, deadMs
+   * @returns {Object} The policy now in effect
+   */
+  setFailoverPolicy(patch = {}) {
+    this.failoverPolicy = normalizeFailoverPolicy({ ...this.failoverPolicy, ...patch });
+    this.sourceHealth.configure(this.failoverPolicy);
+    this.failoverStore.save(this.failoverPolicy);
+    return this.getFailoverPolicy();
+  }
+
+  /**
+   * Running source and its health, for the HUD and settings.
+   * @returns {{source:string|null, label:string, state:string, since:number, levelDb:number|null, clip:number, dc:number, failoverEnabled:boolean, lastFailover:Object|null}}
+   */
+  getSourceHealth() {
+    const status = this._sourceHealthStatus;
+    return {
+      source: this.currentSource,
+      label: this.currentSourceLabel,
+      state: this.currentSource ? (status?.state || 'ok') : 'stopped',
+      since: status?.since ?? 0,
+      levelDb: status ? status.levelDb : null,
+      clip: status ? status.clip : 0,
+      dc: status ? status.dc : 0,
+      failoverEnabled: this.failoverPolicy.enabled,
+      lastFailover: this._lastFailover,
+    };
+  }
+
+  _setCurrentSource(entry, label) {
+    this.currentSource = entry;
+    this.currentSourceLabel = label || describeFailoverEntry(entry);
+    this.sourceHealth.reset(performance.now());
+    this._sourceHealthStatus = null;
+    this._sourceClipSum = 0;
+    this._sourceClipFrames = 0;
+    this._sourceDc = 0;
+    this._sourceWarnedState = 'ok';
+    // A source picked by hand starts the chain over
+    if (!this._failoverInProgress) {
+      this._failoverTried.clear();
+      this._failoverExhausted = false;
+    }
+  }
+
+  // Once per frame: classify the running source, warn about clipping / DC, fail over when it's gone
+  _checkSourceHealth(now, rms) {
+    if (!this.currentSource || this._failoverInProgress) return;
+    if (this.isPlayingFile && this.filePaused) {
+      this.sourceHealth.reset(now); // paused files are silent on purpose
+      return;
+    }
+    const fromWorklet = this.workletEnabled && this._workletFrameId >= 0;
+    const clip = fromWorklet && this._sourceClipFrames ? this._sourceClipSum / this._sourceClipFrames : 0;
+    this._sourceClipSum = 0;
+    this._sourceClipFrames = 0;
+    const tracks = this.activeStream ? this.activeStream.getAudioTracks() : null;
+    const status = this.sourceHealth.observe({ nowMs: now, rms, dc: fromWorklet ? this._sourceDc : 0, clip, tracks });
+    this._sourceHealthStatus = status;
+    // Real signal again: every entry is worth another try
+    if (status.levelDb >= this.failoverPolicy.silenceDb) {
+      this._failoverTried.clear();
+      this._failoverExhausted = false;
+    }
+    const wantsFailover = status.failover && this.activeStream && this.failoverPolicy.enabled &&
+      !(status.state === 'silent' && this._failoverExhausted);
+    if (wantsFailover) {
+      this._handleSourceLost(status.state);
+      return;
+    }
+    if (status.state !== 'ok' && status.state !== this._sourceWarnedState) {
+      showToast(`Audio input ${SOURCE_ISSUE_LABELS[status.state] || status.state}: ${this.currentSourceLabel}`, 2500);
+    }
+    this._sourceWarnedState = status.state;
+  }
+
+  /**
+   * The running source ended, stopped delivering data or went silent: switch to the
+   * next usable entry of the failover chain.
+   * @param {string} reason - 'ended' | 'dead' | 'silent'
+   */
+  _handleSourceLost(reason) {
+    if (this._failoverInProgress) return;
+    const from = this.currentSource;
+    const fromLabel = this.currentSourceLabel || 'input';
+    if (!this.failoverPolicy.enabled) {
+      this.stop();
+      showToast(`Audio source ${SOURCE_ISSUE_LABELS[reason] || reason}: ${fromLabel}`, 3000);
+      return;
+    }
+    if (from) this._failoverTried.add(from);
+    // A silent source keeps running until a backup actually starts
+    if (reason !== 'silent') this.stop();
+    this._failover(from, fromLabel, reason).catch((err) => {
+      this._failoverInProgress = false;
+      console.warn('[AudioEngine] Source failover failed', err);
+    });
+  }
+
+  async _failover(from, fromLabel, reason) {
+    this._failoverInProgress = true;
+    const why = SOURCE_ISSUE_LABELS[reason] || reason;
+    let switched = null;
+    try {
+      const devices = await this.getInputDevices().catch(() => []);
+      const candidates = this.failoverPolicy.chain
+        .map(entry => this._resolveFailoverEntry(entry, devices))
+        .filter(target => target && target.key !== from && !this._failoverTried.has(target.key));
+      for (const target of candidates) {
+        this._failoverTried.add(target.key);
+        try {
+          await target.start();
+          switched = target;
+          break;
+        } catch (err) {
+          console.warn(`[AudioEngine] Failover to ${target.label} failed`, err);
+        }
+      }
+      // Nothing else worked: a silent input is still better than none
+      if (!switched && reason === 'silent' && this.currentSource !== from && from && from.startsWith('mic:')) {
+        try { await this.startMic(from.slice(4) || undefined); } catch (_) {}
+      }
+    } finally {
+      this._failoverInProgress = false;
+    }
+    this._lastFailover = { from: fromLabel, to: switched ? switched.label : null, reason, at: Date.now() };
+    if (switched) {
+      showToast(`Audio source ${why}: ${fromLabel} → ${switched.label}`, 3500);
+      return;
+    }
+    if (this.currentSource === from) this._failoverExhausted = true;
+    showToast(`Audio source ${why}: ${fromLabel}. No backup source available.`, 3500);
+  }
+
+  /**
+   * @param {string} entry - Failover chain entry
+   * @param {MediaDeviceInfo[]} devices
+   * @returns {{key:string, label:string, start:Function}|null} null when the entry can't be used now
+   */
+  _resolveFailoverEntry(entry, devices) {
+    if (entry === 'virtual') {
+      const device = findVirtualDevice(devices);
+      if (!device) return null;
+      return { key: `mic:${device.deviceId}`, label: device.label, start: () => this.startMic(device.deviceId) };
+    }
+    if (entry === 'file') {
+      const file = this._lastSourceFile;
+      if (!file) return null;
+      // Keeps the visuals moving without the old track reaching the speakers
+      const start = () => this.loadFile(file, { muted: true });
+      return { key: 'file', label: `${file.name || 'Last file'} (muted)`, start };
+    }
+    if (typeof entry === 'string' && entry.startsWith('mic:')) {
+      const id = entry.slice(4);
+      if (id && !devices.some(d => d.deviceId === id)) return null; // unplugged
+      return { key: entry, label: describeFailoverEntry(entry, devices), start: () => this.startMic(id || undefined) };
+    }
+    return null;
+  }
+
+  setGain(v) {
+    this.gain = Math.max(0, Number(v) || 0);
+    this._applyInputGain();
+  }
+
+  // gainNode = manual gain (analysis and monitor), autoGainNode = auto-gain trim (analysis only)
+  _applyInputGain() {
+    const set = (node, g) => {
+      if (!node) return;
+      try {
+        node.gain.setTargetAtTime(g, this.ctx.currentTime, 0.05);
+      } catch (_) {
+        node.gain.value = g;
+      }
+    };
+    set(this.gainNode, this.gain);
+    set(this.autoGainNode, Math.pow(10, this.getAutoGainDb() / 20));
+  }
+
+  setAutoGainEnabled(v) {
+    this.autoGainEnabled = !!v;
+    if (!this.autoGainEnabled) this._autoGainDb = 0;
+    this._ensureGraph();
+    this._applyInputGain();
+  }
+
+  setAutoGainTarget(lufs) { this.autoGainTargetLufs = this._clamp(Number(lufs) || -18, -40, -6); }
+
+  setAutoGainMaxDb(db) { this.autoGainMaxDb = this._clamp(Number(db) || 0, 0, 40); }
+
+  /** Restart integrated loudness (e.g. at the start of a set). */
+  resetLoudness() {
+    this.loudness = { momentary: -70, shortTerm: -70, integrated: -70 };
+    try { this.workletNode?.port?.postMessage({ type: 'reset-loudness' }); } catch (_) {}
+  }
+
+  /** Current auto-gain trim in dB (0 when disabled). */
+  getAutoGainDb() { return this.autoGainEnabled ? this._autoGainDb : 0; }
   setFFTSize(size) {
     this.fftSize = size;
     if (this.analyser) {
@@ -950,8 +1863,12 @@ export class AudioEngine {
       this.timeData = new Uint8Array(this.analyser.fftSize);
       this.timeDataFloat = new Float32Array(this.analyser.fftSize);
     }
+    this._syncWorkletCore(true);
+  }
+  setSensitivity(v) {
+    this.sensitivity = v;
+    for (const deck of [this.decks.a, this.decks.b]) if (deck) deck.sensitivity = v;
   }
-  setSensitivity(v) { this.sensitivity = v; }
   setSmoothing(v) {
     this.smoothing = v;
     this._meydaSmoothing = this._clamp(v, 0.1, 0.9);
@@ -960,9 +1877,46 @@ export class AudioEngine {
     this.lowCpuMode = !!enabled;
     // Reduce Meyda extraction rate when enabled
     this._meydaIntervalMs = this.lowCpuMode ? (1000 / 50) : (1000 / 75);
+    this._postAnalysisWorkerConfig();
+  }
+  setBandSplit(lowHz, midHz) {
+    this.bandSplitHz.low = lowHz; this.bandSplitHz.mid = midHz;
+    this._applyBandSplit();
+  }
+  setSubHz(hz) {
+    this.bandSplitHz.sub = Math.max(20, Math.min(200, hz));
+    this._applyBandSplit();
+  }
+  /**
+   * Move the named-band crossovers onto the filterbank's active edges, so each named band is a
+   * run of whole filterbank bands. Off by default: the analysis uses the crossovers as set.
+   * @param {boolean} enabled
+   */
+  setBandSplitSnapEnabled(enabled) {
+    this.bandSplitSnapEnabled = !!enabled;
+    this._applyBandSplit();
+  }
+  /** Named-band crossovers moved onto the filterbank's edges, whether or not the analysis uses them. */
+  getFilterbankBandSplit() { return this.filterbank.namedSplit(this.bandSplitHz); }
+  // bandSplit is updated in place because decks and the timeline share it
+  _applyBandSplit() {
+    Object.assign(this.bandSplit, this.bandSplitSnapEnabled ? this.getFilterbankBandSplit() : this.bandSplitHz);
+    this.onsetClassifier.setMidRange(this.bandSplit.low, Math.max(this.bandSplit.mid, 5000));
+    this._postWorkletConfig();
   }
-  setBandSplit(lowHz, midHz) { this.bandSplit.low = lowHz; this.bandSplit.mid = midHz; }
-  setSubHz(hz) { this.bandSplit.sub = Math.max(20, Math.min(200, hz)); }
+  /**
+   * Configure the N-band filterbank. With band-split snapping on, the named bands' crossovers follow the new edges.
+   * @param {Object} config - { count, minHz, maxHz, edges } — edges (Hz, ascending) override count/range; pass edges: null to return to log spacing
+   */
+  setFilterbankConfig(config) {
+    this.filterbank.configure(config || {});
+    this._applyBandSplit();
+  }
+  setFilterbankBandCount(count) {
+    this.filterbank.configure({ count, edges: null });
+    this._applyBandSplit();
+  }
+  getFilterbankConfig() { return this.filterbank.getConfig(); }
   /**
    * Set the refractory window for beat detection.
    * Alias maintained via setBeatCooldown for backward compatibility.
@@ -986,6 +1940,89 @@ export class AudioEngine {
   setNoiseGateEnabled(v) { this.noiseGateEnabled = !!v; }
   /** Set the noise gate threshold (0..1). Typical: 0.05–0.20. */
   setNoiseGateThreshold(v) { this.noiseGateThreshold = this._clamp(v, 0, 0.95); }
+
+  /** @returns {Array<{id:string,name:string,createdAt:number}>} saved noise profiles */
+  getNoiseProfiles() { return this.noiseProfiles.list(); }
+
+  getActiveNoiseProfileId() { return this.noiseProfiles.activeId; }
+
+  /**
+   * Switch the gate to a saved noise profile (null = scalar threshold gate).
+   * @param {string|null} id
+   */
+  setNoiseProfile(id) {
+    const profile = this.noiseProfiles.setActive(id);
+    this.noiseProfileGate.setProfile(profile);
+    this.avOffsetMs = this.avLatency.setOffsetMs(this.noiseProfiles.getVenueSetting('avOffsetMs', 0));
+    return profile;
+  }
+
+  renameNoiseProfile(id, name) { return this.noiseProfiles.rename(id, name); }
+
+  deleteNoiseProfile(id) {
+    this.noiseProfiles.remove(id);
+    this.noiseProfileGate.setProfile(this.noiseProfiles.active);
+    this.avOffsetMs = this.avLatency.setOffsetMs(this.noiseProfiles.getVenueSetting('avOffsetMs', 0));
+  }
+
+  /**
+   * Set the audio-to-visual offset; stored on the active venue profile.
+   * @param {number} ms - > 0 delays all features, < 0 advances beats (grid / locked clock)
+   */
+  setAvOffsetMs(ms) {
+    this.avOffsetMs = this.avLatency.setOffsetMs(ms);
+    this.noiseProfiles.setVenueSetting('avOffsetMs', this.avOffsetMs);
+    return this.avOffsetMs;
+  }
+
+  /**
+   * Latency calibration: play clicks through the output, detect them on a mic and
+   * measure the round trip. Suggests an offset that advances beats by the input-side
+   * delay (round trip minus output latency) plus half the analyser window.
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Microphone to listen with
+   * @param {number} [options.clicks=6]
+   * @param {Function} [options.onProgress]
+   * @returns {Promise<{roundTripMs:number, spreadMs:number, hits:number, clicks:number, outputLatencyMs:number, suggestedOffsetMs:number}>}
+   */
+  async calibrateAvLatency({ deviceId, clicks = 6, onProgress } = {}) {
+    await this.ensureContext();
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+      throw new Error('getUserMedia unavailable');
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        echoCancellation: false,   // would cancel the click itself
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+    try {
+      const result = await measureRoundTripLatency(this.ctx, stream, { clicks, onProgress });
+      const outputLatencyMs = ((this.ctx.outputLatency || this.ctx.baseLatency || 0) * 1000);
+      const analysisMs = (this.fftSize / (this.sampleRate || 48000)) * 1000 / 2;
+      const inputSideMs = Math.max(0, result.roundTripMs - outputLatencyMs);
+      return {
+        ...result,
+        outputLatencyMs,
+        suggestedOffsetMs: -Math.round(inputSideMs + analysisMs),
+      };
+    } finally {
+      for (const t of stream.getTracks()) t.stop();
+    }
+  }
+
+  /** @param {'subtract'|'gate'} mode - spectral subtraction or per-band gate with hysteresis */
+  setNoiseGateMode(mode) { this.noiseProfileGate.setMode(mode); }
+
+  setNoiseReduction(v) { this.noiseProfileGate.setReduction(v); }
+
+  // Total input gain (manual x auto-gain) in dB; noise profiles are shifted by changes to it
+  _inputGainDb() {
+    const g = this.gain * Math.pow(10, this.getAutoGainDb() / 20);
+    return g > 0 ? 20 * Math.log10(g) : -120;
+  }
   setEnvAttack(v) { this.envAttack = this._clamp(v, 0.0, 1.0); }
   setEnvRelease(v) { this.envRelease = this._clamp(v, 0.0, 1.0); }
   setBandAgcEnabled(v) { this.bandAGCEnabled = !!v; }
@@ -1007,6 +2044,14 @@ export class AudioEngine {
   }
   setDropDownbeatToleranceMs(v) { this.dropDownbeatGateToleranceMs = Math.max(10, Math.floor(v || 80)); }
   setDropUseBassFlux(v) { this.dropUseBassFlux = !!v; }
+  setDropPredictionEnabled(v) {
+    this.dropPredictionEnabled = !!v;
+    this.dropPredictor.reset();
+  }
+  setDropPredictArmThreshold(v) {
+    this.dropPredictArmThreshold = this._clamp(v, 0.1, 0.95);
+    this.dropPredictor.armThreshold = this.dropPredictArmThreshold;
+  }
   setAutoDropThresholdsEnabled(v) {
     this.autoDropThresholdsEnabled = !!v;
     this._autoThrApplied = false;
@@ -1015,17 +2060,94 @@ export class AudioEngine {
     this._autoThrStartMs = performance.now();
   }
 
+  // File pre-analysis timeline controls
+  /** Enable/disable offline pre-analysis for files (takes effect on next load). */
+  setTimelineEnabled(v) {
+    this.timelineEnabled = !!v;
+    if (!this.timelineEnabled) {
+      this._asyncRegistry.cancelCategory('timeline-analysis');
+      this.featureTimeline = null;
+    }
+  }
+  /** How far ahead features.timeline.ahead reads (ms, 0..4000). */
+  setTimelineLookaheadMs(ms) { this.timelineLookaheadMs = this._clamp(Math.floor(ms || 0), 0, 4000); }
+  /** @returns {FeatureTimeline|null} The timeline for the playing file once analysed. */
+  getFeatureTimeline() { return this.featureTimeline && this.featureTimeline.ready ? this.featureTimeline : null; }
+
+  /**
+   * Start an independent analysis chain on deck 'a' or 'b'.
+   *
+   * Decks run alongside the main source (which keeps analysing the master)
+   * and are reported in features.decks, blended by the crossfader.
+   *
+   * @param {'a'|'b'} deckId
+   * @param {Object} source - { kind: 'device', deviceId, label } | { kind: 'file', file } | { kind: 'stream', stream, label }
+   * @returns {Promise<DeckAnalyzer>}
+   */
+  async startDeck(deckId, source = {}) {
+    if (deckId !== 'a' && deckId !== 'b') throw new Error(`Unknown deck: ${deckId}`);
+    await this.ensureContext();
+    let deck = this.decks[deckId];
+    if (!deck) {
+      deck = new DeckAnalyzer(this.ctx, deckId, { fftSize: this.fftSize, bandSplit: this.bandSplit });
+      deck.sensitivity = this.sensitivity;
+      this.decks[deckId] = deck;
+    }
+    try {
+      if (source.kind === 'file' && source.file) {
+        await deck.startFile(source.file);
+      } else if (source.kind === 'stream' && source.stream) {
+        deck.startStream(source.stream, 'stream', source.label);
+      } else {
+        await deck.startDevice(source.deviceId, source.label);
+      }
+    } catch (err) {
+      console.warn(`[AudioEngine] Deck ${deckId.toUpperCase()} failed to start:`, err);
+      showToast(`Deck ${deckId.toUpperCase()} unavailable`);
+      throw err;
+    }
+    return deck;
+  }
+
+  /** Stop a deck's input (its analyser is kept for a quick restart). */
+  stopDeck(deckId) {
+    const deck = this.decks[deckId];
+    if (deck) deck.stop();
+  }
+
+  /** Crossfader position, 0 = deck A .. 1 = deck B. */
+  setCrossfader(v) { this.crossfader = this._clamp(Number.isFinite(v) ? v : 0.5, 0, 1); }
+  setDeckBlendDrivesVisuals(v) { this.deckBlendDrivesVisuals = !!v; }
+
+  /** @returns {{a: Object|null, b: Object|null, crossfader: number}} Lightweight deck status for UI. */
+  getDeckStates() {
+    const describe = (deck) => (deck && deck.active ? { kind: deck.kind, label: deck.label, bpm: deck.bpm } : null);
+    return { a: describe(this.decks.a), b: describe(this.decks.b), crossfader: this.crossfader };
+  }
+
+  _updateDecks(nowMs) {
+    const a = this.decks.a ? this.decks.a.update(nowMs) : null;
+    const b = this.decks.b ? this.decks.b.update(nowMs) : null;
+    if (!a && !b) return null;
+    return { a, b, crossfader: this.crossfader, blend: blendDeckFeatures(a, b, this.crossfader) };
+  }
+
   /**
    * Calibrate the ambient noise floor for the noise gate by sampling bass-band
    * energy from the current input for a short window.
    * The resulting threshold is slightly above the 90th percentile of measured
    * ambient bass energy, with a small safety margin.
    *
+   * The same window also records the full per-bin noise spectrum, which is
+   * saved as a named noise profile and made active (spectral gate).
+   *
    * Failure modes: if no analyser or sampleRate is available, resolves to 0.
    * @param {number} durationMs - Sampling duration in ms (default 5000ms)
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name for the saved noise profile (e.g. the venue)
    * @returns {Promise<number>} resolved gate threshold (0..1)
    */
-  async calibrateNoiseGate(durationMs = 5000) {
+  async calibrateNoiseGate(durationMs = 5000, { name } = {}) {
     // Bug fix #11: Use AsyncOperationRegistry to prevent concurrent calibration
     // Automatically cancels previous calibration if a new one starts
     const token = this._asyncRegistry.register('noise-gate-calibration', {
@@ -1037,7 +2159,7 @@ export class AudioEngine {
 
     try {
       // Wrap the calibration operation with the token for automatic superseding
-      return await token.wrap(this._doNoiseGateCalibration(durationMs));
+      return await token.wrap(this._doNoiseGateCalibration(durationMs, name));
     } catch (err) {
       if (err.isCancelled) {
         console.log('[AudioEngine] Calibration cancelled, likely superseded by newer request');
@@ -1050,7 +2172,7 @@ export class AudioEngine {
     }
   }
 
-  async _doNoiseGateCalibration(durationMs) {
+  async _doNoiseGateCalibration(durationMs, name) {
     const ENSURE_CONTEXT_TIMEOUT_MS = 10000;
     try {
       await Promise.race([
@@ -1071,6 +2193,7 @@ export class AudioEngine {
     const lowHz = Math.max(80, this.bandSplit.low || 180);
     const subHz = Math.max(20, Math.min(this.bandSplit.sub || 90, (this.bandSplit.low || 180) - 5));
     const samples = [];
+    const spectrum = new NoiseProfileAccumulator(scratch.length);
     const start = performance.now();
 
     // Temporarily disable the gate to get raw floor
@@ -1085,6 +2208,7 @@ export class AudioEngine {
       }
       const avg = count ? (sum / count) : 0;
       samples.push(this._clamp(avg, 0, 1));
+      spectrum.push(scratch, this.analyser.minDecibels, this.analyser.maxDecibels);
       // ~50Hz sampling without blocking the UI thread - use RAF to allow animation loop to continue
       await new Promise(r => requestAnimationFrame(r));
     }
@@ -1098,7 +2222,18 @@ export class AudioEngine {
     const threshold = this._clamp(p90 * 1.15 + 0.02, 0.01, 0.5);
     this.noiseGateThreshold = threshold;
     this.noiseGateEnabled = true;
-    try { showToast(`Noise gate calibrated: ${threshold.toFixed(2)}`); } catch (_) {}
+    const profile = spectrum.finish({
+      name: name || `Noise ${new Date().toLocaleString()}`,
+      binHz,
+      gainDb: this._inputGainDb(),
+    });
+    if (profile) profile.settings = { avOffsetMs: this.avOffsetMs }; // a new venue keeps the current offset
+    if (profile && this.noiseProfiles.save(profile)) {
+      this.setNoiseProfile(profile.id);
+      try { showToast(`Noise profile "${profile.name}" saved (gate ${threshold.toFixed(2)})`); } catch (_) {}
+    } else {
+      try { showToast(`Noise gate calibrated: ${threshold.toFixed(2)}`); } catch (_) {}
+    }
     return threshold;
   }
 
@@ -1114,9 +2249,45 @@ export class AudioEngine {
       }
     }
   }
+  /**
+   * Preferred BPM range for octave folding (usually from the active preset); null disables folding.
+   * A playing file's tempo and grid are re-folded immediately; live sources fold from their next estimate.
+   * @param {{min:number, max:number}|null} range
+   */
+  setPreferredBpmRange(range) {
+    const prev = this.tempoOctave.getRange();
+    const next = this.tempoOctave.setRange(range);
+    if ((prev?.min ?? null) === (next?.min ?? null) && (prev?.max ?? null) === (next?.max ?? null)) return;
+    if (!this.isPlayingFile) return;
+    this._tempoMapSegmentIndex = -1; // the tempo map re-resolves its segment on the next frame
+    if (this.bpmEstimateSource === 'tempo-map' || !(this._fileBaseBpm > 0)) return;
+    const folded = this.tempoOctave.resolve('file', this._fileBaseBpm, this.bpmEstimateConfidence || 0);
+    if (folded.factor === 1) return;
+    this._fileBaseBpm = folded.bpm;
+    this.bpmEstimate = folded.bpm * this.playbackRate;
+    this.tempoIntervalMs = safeBpmToInterval(this.bpmEstimate);
+    this._lastTempoMs = performance.now();
+    if (this.beatGrid && FILE_GRID_SOURCES.has(this.beatGrid.source)) {
+      this.beatGrid = rescaleBeatGrid(this.beatGrid, folded.factor);
+      if (this.featureTimeline && this.featureTimeline.ready) {
+        try { this.featureTimeline.applyBeatGrid(this.beatGrid); } catch (_) {}
+      }
+    }
+  }
+  /** @returns {{min:number, max:number}|null} */
+  getPreferredBpmRange() { return this.tempoOctave.getRange(); }
   getBpm() { return this.bpmEstimate || 0; }
   getBpmConfidence() { return this.bpmEstimateConfidence || 0; }
   getBpmSource() { return this.bpmEstimateSource || ''; }
+  setKeyWindowSec(sec) { this.keyEstimator.setWindowSec(sec); }
+  /** @returns {Object|null} Current key ({ key, mode, name, camelot, confidence, source }) — live estimate, else the file's Essentia key */
+  getKey() { return this._selectKey(); }
+
+  _selectKey() {
+    const live = this._liveKey;
+    if (live && (!this.trackKey || live.confidence >= 0.25)) return live;
+    return this.trackKey || live || null;
+  }
   
   /**
    * Get diagnostics about BPM detection system status
@@ -1137,7 +2308,8 @@ export class AudioEngine {
         ? (this._liveBufferFilled / (this.sampleRate || 44100)).toFixed(1) + 's'
         : '0s',
       essentiaReady: this._essentiaReady || false,
-      aubioReady: !!(this._aubioModule && this._aubio.tempo),
+      aubioReady: this._aubioTempoReady(),
+      octave: this.tempoOctave.getDiagnostics(),
     };
   }
   
@@ -1269,6 +2441,7 @@ export class AudioEngine {
         }
       }
     }
+    this.beatClock.tap(now);
   }
   resetTapTempo() { this.tapTimestamps = []; this.tapBpm = null; this.tapTempoIntervalMs = 0; }
   getTapBpm() { return this.tapBpm || 0; }
@@ -1291,10 +2464,12 @@ export class AudioEngine {
       || (this.tempoAssistEnabled && this.tempoIntervalMs > 0);
     if (!gridActive) return;
     this._lastQuantizeMs += deltaMs;
+    this.beatClock.nudge(deltaMs);
   }
 
   alignQuantizePhase() {
     this._lastQuantizeMs = performance.now();
+    this.beatClock.alignDownbeat(this._lastQuantizeMs);
   }
 
   _ensureGraph() {
@@ -1302,29 +2477,78 @@ export class AudioEngine {
     this._teardownMonitorRouting();
     try { this.gainNode.disconnect(); } catch (_) {}
     try { this.analyser.disconnect(); } catch (_) {}
+    if (this.autoGainNode) { try { this.autoGainNode.disconnect(); } catch (_) {} }
+    if (this.limiterNode) { try { this.limiterNode.disconnect(); } catch (_) {} }
+    let head = this.gainNode;
+    if (this.autoGainNode) {
+      this.gainNode.connect(this.autoGainNode);
+      head = this.autoGainNode;
+    }
+    // The limiter only sits in the chain while auto-gain can push the level up
+    if (this.autoGainEnabled && this._ensureLimiter()) {
+      head.connect(this.limiterNode);
+      head = this.limiterNode;
+    }
     if (this.workletNode) {
       try { this.workletNode.disconnect(); } catch (_) {}
-      this.gainNode.connect(this.workletNode);
+      head.connect(this.workletNode);
       this.workletNode.connect(this.analyser);
     } else {
-      this.gainNode.connect(this.analyser);
+      head.connect(this.analyser);
     }
     this._updateMonitorRouting();
   }
 
+  _ensureLimiter() {
+    if (this.limiterNode) return this.limiterNode;
+    if (!this.ctx || typeof this.ctx.createDynamicsCompressor !== 'function') return null;
+    try {
+      const lim = this.ctx.createDynamicsCompressor();
+      lim.threshold.value = -2;
+      lim.knee.value = 0;
+      lim.ratio.value = 20;
+      lim.attack.value = 0.003;
+      lim.release.value = 0.1;
+      this.limiterNode = lim;
+    } catch (err) {
+      console.warn('[AudioEngine] Limiter unavailable', err);
+      this.limiterNode = null;
+    }
+    return this.limiterNode;
+  }
+
+  // Slow gain loop toward the target short-term loudness. Holds during silence so it never
+  // pumps up the noise floor between tracks.
+  _updateAutoGain(now) {
+    const dt = this._autoGainLastMs ? Math.min(0.25, (now - this._autoGainLastMs) / 1000) : 0;
+    this._autoGainLastMs = now;
+    if (!this.autoGainEnabled || !this.workletEnabled || dt <= 0) return;
+    const st = this.loudness.shortTerm;
+    if (!(st > AUTO_GAIN_SILENCE_LUFS)) return;
+    const error = this.autoGainTargetLufs - st;
+    if (Math.abs(error) < 0.5) return;
+    const maxStep = AUTO_GAIN_MAX_DB_PER_SEC * dt;
+    const step = this._clamp(error * dt / this.autoGainResponseSec, -maxStep, maxStep);
+    const next = this._clamp(this._autoGainDb + step, -this.autoGainMaxDb, this.autoGainMaxDb);
+    if (Math.abs(next - this._autoGainDb) < 1e-3) return;
+    this._autoGainDb = next;
+    this._applyInputGain();
+  }
+
   _updateMonitorRouting() {
-    if (!this.analyser || !this.ctx) return;
+    if (!this.gainNode || !this.ctx) return;
     if (!this.monitorEnabled) {
       this._teardownMonitorRouting();
       return;
     }
     if (!this.monitorGain) {
       this.monitorGain = this.ctx.createGain();
-      this.monitorGain.gain.value = 1;
+      this.monitorGain.gain.value = this._monitorMuted ? 0 : 1;
     }
     if (this._monitorConnected) return;
     try { this.monitorGain.disconnect(); } catch (_) {}
-    try { this.analyser.connect(this.monitorGain); } catch (_) {}
+    // Before the auto-gain trim: the monitor plays the source at the manual gain
+    try { this.gainNode?.connect(this.monitorGain); } catch (_) {}
     try { this.monitorGain.connect(this.ctx.destination); } catch (_) {}
     this._monitorConnected = true;
   }
@@ -1334,7 +2558,7 @@ export class AudioEngine {
       this._monitorConnected = false;
       return;
     }
-    try { if (this.analyser) this.analyser.disconnect(this.monitorGain); } catch (_) {}
+    try { if (this.gainNode) this.gainNode.disconnect(this.monitorGain); } catch (_) {}
     try { this.monitorGain.disconnect(); } catch (_) {}
     this._monitorConnected = false;
   }
@@ -1349,6 +2573,12 @@ export class AudioEngine {
     return !!this.monitorEnabled;
   }
 
+  // Silences the current source on monitorGain without touching monitorEnabled; stop() lifts it
+  _setMonitorMuted(muted) {
+    this._monitorMuted = !!muted;
+    if (this.monitorGain) this.monitorGain.gain.value = this._monitorMuted ? 0 : 1;
+  }
+
   async _maybeInitWorklet() {
     if (!this.ctx || !this.ctx.audioWorklet || typeof this.ctx.audioWorklet.addModule !== 'function') {
       this.workletEnabled = false;
@@ -1364,8 +2594,7 @@ export class AudioEngine {
       return null;
     }
     this._workletInitAttempted = true;
-    const workletUrl = new URL('../public/worklets/analysis-processor.js', import.meta.url);
-    this._workletInitPromise = this.ctx.audioWorklet.addModule(workletUrl.href)
+    this._workletInitPromise = this.ctx.audioWorklet.addModule(analysisProcessorUrl)
       .then(() => {
         const node = new AudioWorkletNode(this.ctx, 'analysis-processor', {
           numberOfInputs: 1,
@@ -1377,6 +2606,7 @@ export class AudioEngine {
           this.workletNode.port.onmessage = null;
         }
         node.port.onmessage = (event) => this._handleWorkletMessage(event);
+        try { node.port.postMessage({ type: 'config', bandSplit: { low: this.bandSplit.low, mid: this.bandSplit.mid }, hpss: !!this.hpssEnabled }); } catch (_) {}
         node.onprocessorerror = (err) => {
           console.error('Analysis processor error', err);
           this.workletEnabled = false;
@@ -1384,6 +2614,8 @@ export class AudioEngine {
         this.workletNode = node;
         this.workletEnabled = true;
         this._ensureGraph();
+        this._syncWorkletCore(true);
+        this._startAnalysisWorker();
         return node;
       })
       .catch((err) => {
@@ -1406,6 +2638,10 @@ export class AudioEngine {
     }
 
     const data = event?.data;
+    if (data && data.type === 'core') {
+      this._coreReader.push(data.fields, data.spectrum);
+      return;
+    }
     if (!data || data.type !== 'frame') return;
     const frameId = typeof data.frameId === 'number' ? data.frameId : this._workletFrameId + 1;
     this._workletFrameId = frameId;
@@ -1426,8 +2662,27 @@ export class AudioEngine {
     if (typeof data.flux === 'number') this._workletFeatures.flux = data.flux;
     if (typeof data.fluxMean === 'number') this._workletFeatures.fluxMean = data.fluxMean;
     if (typeof data.fluxStd === 'number') this._workletFeatures.fluxStd = data.fluxStd;
+    if (typeof data.clip === 'number') { this._sourceClipSum += data.clip; this._sourceClipFrames++; }
+    if (typeof data.dc === 'number') this._sourceDc = data.dc;
+    if (data.stereo) this._workletStereo = data.stereo;
+    if (data.loudness) this.loudness = data.loudness;
+    this._workletPerc = data.perc || null;
+    this._workletHarm = data.harm || null;
+    if (data.harmSamples instanceof ArrayBuffer) {
+      const harm = new Float32Array(data.harmSamples);
+      if (this._harmFrame.length !== harm.length) this._harmFrame = new Float32Array(harm.length);
+      this._harmFrame.set(harm);
+      this._harmFrameId = frameId;
+      try {
+        this.workletNode.port.postMessage({ type: 'release-buffer', bufferId: data.harmBufferId, buffer: data.harmSamples }, [data.harmSamples]);
+      } catch (_) {}
+    }
 
-    if (frameArray) {
+    if (frameArray && this._analysisWorkerActive) {
+      // The worker has its own copy of this frame for Meyda/Aubio
+      this._appendToLiveBuffer(frameArray);
+      this._releaseWorkletFrameBuffer();
+    } else if (frameArray) {
       const aubioBuffer = this._acquireAubioScratch(frameArray.length);
       aubioBuffer.set(frameArray);
       // Append to rolling live buffer for later BPM estimation
@@ -1436,6 +2691,240 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Start the Meyda/Aubio worker and connect the worklet to it with a MessageChannel.
+   * Main-thread Meyda/Aubio stay idle while it runs.
+   */
+  _startAnalysisWorker() {
+    if (!this.analysisWorkerEnabled || this._analysisWorker || !this.workletNode?.port) return;
+    if (typeof Worker === 'undefined' || typeof MessageChannel === 'undefined') return;
+    try {
+      const worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+      const channel = new MessageChannel();
+      worker.onmessage = (event) => this._handleAnalysisWorkerMessage(event);
+      worker.onerror = (err) => {
+        console.warn('[AudioEngine] Analysis worker failed, running Meyda/Aubio on the main thread', err);
+        this._stopAnalysisWorker();
+      };
+      worker.postMessage({
+        type: 'init',
+        sampleRate: this.sampleRate || this.ctx?.sampleRate || 44100,
+        port: channel.port2,
+        meydaIntervalMs: this._meydaIntervalMs,
+        queueMax: this._aubioQueueMax,
+      }, [channel.port2]);
+      this.workletNode.port.postMessage({ type: 'analysis-port', port: channel.port1 }, [channel.port1]);
+      this._analysisWorker = worker;
+      this._analysisWorkerActive = true;
+      this._flushAubioQueue();
+    } catch (err) {
+      console.warn('[AudioEngine] Analysis worker unavailable, running Meyda/Aubio on the main thread', err);
+      this._analysisWorker = null;
+      this._analysisWorkerActive = false;
+    }
+  }
+
+  _stopAnalysisWorker() {
+    try { this.workletNode?.port?.postMessage({ type: 'analysis-port', port: null }); } catch (_) {}
+    if (this._analysisWorker) {
+      try { this._analysisWorker.terminate(); } catch (_) {}
+    }
+    this._analysisWorker = null;
+    this._analysisWorkerActive = false;
+    this._analysisWorkerStats = null;
+    this._analysisWorkerAubioReady = false;
+    this._resetAubioMetrics();
+  }
+
+  /**
+   * Run Meyda/Aubio in the analysis worker (true) or on the main thread (false).
+   * @param {boolean} v
+   */
+  setAnalysisWorkerEnabled(v) {
+    const next = !!v;
+    if (next === this.analysisWorkerEnabled) return;
+    this.analysisWorkerEnabled = next;
+    if (next) this._startAnalysisWorker();
+    else this._stopAnalysisWorker();
+  }
+
+  _postAnalysisWorkerConfig() {
+    if (!this._analysisWorker) return;
+    try {
+      this._analysisWorker.postMessage({ type: 'config', meydaIntervalMs: this._meydaIntervalMs, queueMax: this._aubioQueueMax });
+    } catch (_) {}
+  }
+
+  /**
+   * Apply a batch of worker results. Onsets and tempo keep the audio time of the frame
+   * they came from, mapped onto performance.now() like the worklet core's beats.
+   */
+  _handleAnalysisWorkerMessage(event) {
+    const data = event?.data;
+    if (!data) return;
+    if (data.type === 'error') {
+      const now = performance.now();
+      if (now - this._analysisWorkerLastWarningAt > 5000) {
+        this._analysisWorkerLastWarningAt = now;
+        console.warn('[AudioEngine] Analysis worker:', data.error);
+      }
+      return;
+    }
+    if (data.type !== 'features' || this._workletDraining) return;
+    if (data.stats) {
+      this._analysisWorkerStats = data.stats;
+      this._analysisWorkerAubioReady = !!data.stats.aubioReady;
+    }
+
+    const now = performance.now();
+    const ctxNow = this.ctx ? this.ctx.currentTime : 0;
+    const toPerfMs = (t) => Math.min(now, now - Math.max(0, ctxNow - t) * 1000);
+
+    if (Array.isArray(data.meyda)) {
+      for (const r of data.meyda) this._applyMeydaResult(r);
+    }
+    if (Array.isArray(data.onsets) && data.onsets.length) {
+      this.aubioFeatures.lastOnsetMs = toPerfMs(data.onsets[data.onsets.length - 1]);
+    }
+    const tempo = data.tempo;
+    if (tempo && tempo.bpm > 30 && tempo.bpm < 300) {
+      this.aubioFeatures.tempoBpm = this.tempoOctave.resolve('aubio', tempo.bpm, tempo.confidence || 0).bpm;
+      this.aubioFeatures.tempoConf = tempo.confidence || 0;
+      const stamp = toPerfMs(tempo.time);
+      this._lastAubioTempoAt = stamp;
+      this._lastLiveTempoSource = 'aubio-live';
+      this._lastLiveTempoSourceAt = stamp;
+    }
+    const pitch = data.pitch;
+    if (pitch) {
+      if (pitch.hz > 0) {
+        this.aubioFeatures.pitchHz = pitch.hz;
+        this.aubioFeatures.pitchConf = pitch.confidence || 0;
+      } else {
+        this.aubioFeatures.pitchConf = pitch.confidence || this.aubioFeatures.pitchConf;
+      }
+    }
+  }
+
+  // Whether an Aubio tempo tracker (worker or main thread) is feeding aubioFeatures
+  _aubioTempoReady() {
+    if (this._analysisWorkerActive) return this._analysisWorkerAubioReady;
+    return !!(this._aubioModule && this._aubio && this._aubio.tempo);
+  }
+
+  /**
+   * Advance the shared beat clock. Files with an Essentia grid drive it directly;
+   * otherwise the PLL follows the best tempo estimate and the raw detected beats
+   * (not the quantized/onset-merged `beat`, which would feed the clock its own output).
+   */
+  _updateBeatClock(now, detectedBeat, beatMs = now) {
+    const clock = this.beatClock;
+    clock.setBeatsPerBar(this.dropGateBeatsPerBar || 4);
+    const grid = this.beatGrid;
+    const gridMatchesFile = this.isPlayingFile && grid && FILE_GRID_SOURCES.has(grid.source)
+      && Array.isArray(grid.beatTimes) && grid.beatTimes.length >= 8
+      && Math.abs((grid.duration || 0) - (this._fileDurationSec || 0)) < 0.5;
+    const playbackSec = gridMatchesFile ? this._getPlaybackTimeSeconds() : null;
+    if (playbackSec === null || !clock.syncToGrid(playbackSec, now, grid, this.filePaused ? 1 : this.playbackRate)) {
+      const useTap = this.tapQuantizeEnabled && this.tapBpm > 0;
+      const bpm = useTap ? this.tapBpm : (this.bpmEstimate || this.tapBpm || 0);
+      const conf = useTap ? 0.9 : (this.bpmEstimateConfidence || 0.3);
+      if (bpm > 0) clock.setTempo(bpm, conf, now);
+      if (detectedBeat) clock.onBeat(beatMs);
+    }
+    return clock.update(now);
+  }
+
+  _postWorkletConfig() {
+    if (!this.workletNode?.port) return;
+    try {
+      this.workletNode.port.postMessage({ type: 'config', bandSplit: { low: this.bandSplit.low, mid: this.bandSplit.mid }, hpss: !!this.hpssEnabled });
+    } catch (_) {}
+  }
+
+  /** Enable/disable the worklet's harmonic/percussive split (detection falls back to full-mix flux/bands). */
+  setHpssEnabled(v) {
+    const next = !!v;
+    if (next === this.hpssEnabled) return;
+    this.hpssEnabled = next;
+    this._workletPerc = null;
+    this._workletHarm = null;
+    this._harmFrameId = -1;
+    this.fluxHistory = []; // beat thresholds were learnt on the other flux
+    this._postWorkletConfig();
+  }
+
+  _hpssActive() {
+    return this.hpssEnabled && this.workletEnabled && !!this._workletPerc && !!this._workletHarm;
+  }
+
+  /**
+   * Split the analyser band envelopes into percussive and harmonic parts with the worklet's
+   * per-band energy shares, so both stay on the bandEnv scale that detection thresholds expect.
+   * @returns {boolean} Whether HPSS data is available this frame
+   */
+  _updateHpss(bands) {
+    if (!this._hpssActive()) return false;
+    const wp = this._workletPerc;
+    const wh = this._workletHarm;
+    const shares = this._hpssShares;
+    const keys = ['bass', 'mid', 'treble'];
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      shares.perc[i] += (this._clamp(wp.shares?.[i] ?? 0, 0, 1) - shares.perc[i]) * 0.5;
+      shares.harm[i] = 1 - shares.perc[i];
+      const env = bands.env?.[key] ?? 0;
+      this.perc.env[key] = env * shares.perc[i];
+      this.harm.env[key] = env * shares.harm[i];
+    }
+    this.perc.flux = wp.flux || 0;
+    this.perc.fluxMean = wp.fluxMean || 0;
+    this.perc.fluxStd = wp.fluxStd || 0;
+    this.perc.ratio = this._clamp(wp.ratio || 0, 0, 1);
+    this.harm.ratio = this._clamp(wh.ratio || 0, 0, 1);
+    if (Array.isArray(wh.chroma)) {
+      for (let i = 0; i < 12; i++) this.harm.chroma[i] = this._clamp(wh.chroma[i] || 0, 0, 1);
+    }
+    return true;
+  }
+
+  /**
+   * Smooths the worklet's stereo frame into this.stereo: L/R bands through the
+   * same attack/release envelopes as bandEnv, width/pan/correlation through an EMA.
+   * @returns {Object|null} Copy of the stereo features, or null without the worklet
+   */
+  _computeStereo() {
+    const s = this._workletStereo;
+    if (!this.workletEnabled || !s || !Array.isArray(s.bandsL) || !Array.isArray(s.bandsR)) return null;
+    const st = this.stereo;
+    const attack = this.envAttack; const release = this.envRelease;
+    const stepEnv = (env, val) => (val > env) ? (env + (val - env) * attack) : (env + (val - env) * release);
+    const keys = ['bass', 'mid', 'treble'];
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      const l = s.bandsL[i] || 0;
+      const r = s.bandsR[i] || 0;
+      this._stereoPeak[key] = Math.max(this._stereoPeak[key] * this.bandAGCDecay, l, r, 1e-4);
+      st.left[key] = stepEnv(st.left[key], this._clamp(l / this._stereoPeak[key], 0, 1));
+      st.right[key] = stepEnv(st.right[key], this._clamp(r / this._stereoPeak[key], 0, 1));
+    }
+    const k = 0.25;
+    st.width += (this._clamp(s.width || 0, 0, 1) - st.width) * k;
+    st.pan += (this._clamp(s.pan || 0, -1, 1) - st.pan) * k;
+    st.correlation += (this._clamp(Number.isFinite(s.correlation) ? s.correlation : 1, -1, 1) - st.correlation) * k;
+    st.channels = s.channels || 1;
+    return {
+      channels: st.channels,
+      rmsL: s.rmsL || 0,
+      rmsR: s.rmsR || 0,
+      left: { ...st.left },
+      right: { ...st.right },
+      width: st.width,
+      pan: st.pan,
+      correlation: st.correlation,
+    };
+  }
+
   _releaseWorkletFrameBuffer() {
     if (!this._workletFrameBuffer) return;
     if (!this.workletNode || typeof this.workletNode.port?.postMessage !== 'function') {
@@ -1463,6 +2952,167 @@ export class AudioEngine {
     this._workletFrameTimestamp = 0;
   }
 
+  /**
+   * Turn the worklet's core feature pipeline on/off. Off falls back to reading the
+   * AnalyserNode once per render frame.
+   * @param {boolean} v
+   */
+  setWorkletFeaturesEnabled(v) {
+    const next = !!v;
+    if (next === this.workletFeaturesEnabled) return;
+    this.workletFeaturesEnabled = next;
+    this.fluxHistory = [];
+    this.bassFluxHistory = [];
+    this.prevMag = null;
+    this._prevMagBass = null;
+    this._syncWorkletCore(true);
+  }
+
+  /**
+   * Choose the worklet core's spectral front end. Only takes effect while the
+   * worklet feature pipeline runs; the main-thread fallback always reads the analyser.
+   * @param {'multires'|'analyser'} mode
+   */
+  setSpectralFrontEnd(mode) {
+    const next = mode === 'analyser' ? 'analyser' : 'multires';
+    if (next === this.spectralFrontEnd) return;
+    this.spectralFrontEnd = next;
+    // Flux scales differ slightly between the two; relearn the beat thresholds
+    this.fluxHistory = [];
+    this.bassFluxHistory = [];
+    this._syncWorkletCore(true);
+  }
+
+  /**
+   * Calibrated band levels (dBFS) from the analyser's float spectrum, for the
+   * main-thread path.
+   * @returns {{total:number, sub:number, bass:number, mid:number, treble:number}|null}
+   */
+  _readAnalyserLevelsDb() {
+    const bins = this.analyser.frequencyBinCount;
+    if (!this._freqDataDb || this._freqDataDb.length !== bins) this._freqDataDb = new Float32Array(bins);
+    try { this.analyser.getFloatFrequencyData(this._freqDataDb); } catch (_) { return null; }
+    return analyserLevelsDb(this._freqDataDb, this.sampleRate || 44100, this.bandSplit);
+  }
+
+  /**
+   * Push the analyser/detector settings the worklet core needs. Cheap to call every
+   * frame: the message is only posted when something changed.
+   * @param {boolean} [force=false] - Re-post even if unchanged (new node, new FFT size)
+   */
+  _syncWorkletCore(force = false) {
+    const port = this.workletNode?.port;
+    if (!port || !this.analyser) return;
+    if (!this.workletFeaturesEnabled) {
+      if (this._coreReader.transport === 'none' && !force) return;
+      try { port.postMessage({ type: 'config', core: { enabled: false } }); } catch (_) {}
+      this._coreReader.detach();
+      this._coreBinCount = 0;
+      this._coreConfigKey = '';
+      this._coreProfileKey = '';
+      return;
+    }
+    const binCount = this.analyser.frequencyBinCount;
+    const bpm = this.bpmEstimate || this.tapBpm || 0;
+    const profiled = this.noiseGateEnabled && !!this.noiseProfileGate.profile;
+    const core = {
+      enabled: true,
+      rateHz: CORE_RATE_HZ,
+      fftSize: this.analyser.fftSize,
+      frontEnd: this.spectralFrontEnd,
+      smoothing: this.analyser.smoothingTimeConstant,
+      minDb: this.analyser.minDecibels,
+      maxDb: this.analyser.maxDecibels,
+      bandSplit: { sub: this.bandSplit.sub, low: this.bandSplit.low, mid: this.bandSplit.mid },
+      envAttack: this.envAttack,
+      envRelease: this.envRelease,
+      agcEnabled: !!this.bandAGCEnabled,
+      agcDecay: this.bandAGCDecay,
+      sensitivity: this.sensitivity,
+      refractoryMs: this.beatRefractoryMs || this.beatCooldownMs,
+      energyFloor: this.beatEnergyFloor,
+      fluxWindow: this.fluxWindow,
+      bassFluxWindow: this.bassFluxWindow,
+      bpm: Math.round(bpm * 2) / 2,
+      // With a profile the worklet runs the profile gate instead of the flat threshold
+      noiseGate: { enabled: !!this.noiseGateEnabled, threshold: this._clamp(this.noiseGateThreshold || 0, 0, 0.95) },
+    };
+    const key = JSON.stringify(core);
+    // The profile layout is large; resend it only when the profile, mode or input gain moves
+    const layout = profiled
+      ? this.noiseProfileGate.getLayout(binCount, (this.sampleRate || 44100) / 2 / binCount, this._inputGainDb())
+      : null;
+    const profileKey = layout ? layout.key : '';
+    if (force || profileKey !== this._coreProfileKey) {
+      core.noiseProfile = layout;
+      this._coreProfileKey = profileKey;
+    }
+    if (force || binCount !== this._coreBinCount || this._coreReader.transport === 'none') {
+      core.ring = this._coreReader.allocate(binCount);
+      this._coreBinCount = binCount;
+    }
+    if (!force && key === this._coreConfigKey && !('noiseProfile' in core) && !('ring' in core)) return;
+    this._coreConfigKey = key;
+    try { port.postMessage({ type: 'config', core }); } catch (_) {}
+  }
+
+  /**
+   * Drain the worklet core's records since the last frame into engine state
+   * (flux histories, band envelopes, spectrum) and summarise them.
+   * @param {number} now - performance.now() of this frame
+   * @returns {Object|null} Latest core features, or null to use the analyser path
+   */
+  _readWorkletCore(now) {
+    if (!this.workletEnabled || !this.workletFeaturesEnabled || this._coreReader.transport === 'none') return null;
+    const batch = this._coreReader.read();
+    if (!batch) return null;
+    const spectrum = this._coreReader.spectrum;
+    if (!spectrum || !this.freqData || spectrum.length !== this.freqData.length) return null;
+    this.freqData.set(spectrum);
+
+    const F = CORE_FIELDS;
+    for (const rec of batch.records) {
+      this.fluxHistory.push(rec[F.detectFlux]);
+      this.bassFluxHistory.push(rec[F.bassFlux]);
+    }
+    if (batch.records.length) {
+      this._trimFluxHistory();
+      this._trimBassFluxHistory();
+      this.prevMag = null;
+    }
+
+    const r = this._coreReader.latest;
+    const env = { sub: r[F.envSub], bass: r[F.envBass], mid: r[F.envMid], treble: r[F.envTreble] };
+    this.bandEnv = { ...env };
+    // Beats keep the audio time of the hop that fired them, not the frame that read them
+    const ctxNow = this.ctx ? this.ctx.currentTime : 0;
+    let beatMs = null;
+    if (batch.beat && batch.beatTime !== null) {
+      beatMs = Math.min(now, now - Math.max(0, ctxNow - batch.beatTime) * 1000);
+      this._lastBeatMs = beatMs;
+    }
+    return {
+      rms: r[F.rms],
+      bands: {
+        sub: r[F.sub], bass: r[F.bass], mid: r[F.mid], treble: r[F.treble],
+        norm: { sub: r[F.normSub], bass: r[F.normBass], mid: r[F.normMid], treble: r[F.normTreble] },
+        env,
+      },
+      centroid: { hz: r[F.centroidHz], norm: r[F.centroidNorm] },
+      flux: r[F.flux],
+      fluxMean: r[F.fluxMean],
+      fluxStd: r[F.fluxStd],
+      bassFlux: r[F.bassFlux],
+      detectFlux: r[F.detectFlux],
+      detectMean: r[F.detectMean],
+      detectStd: r[F.detectStd],
+      beat: batch.beat,
+      beatMs,
+      levelsDb: { total: r[F.levelDb], sub: r[F.subDb], bass: r[F.bassDb], mid: r[F.midDb], treble: r[F.trebleDb] },
+      latencyMs: Math.max(0, (ctxNow - r[F.time]) * 1000),
+    };
+  }
+
   _consumeWorkletFlux() {
     if (!this.workletEnabled || this._workletFrameId < 0) {
       return null;
@@ -1471,7 +3121,8 @@ export class AudioEngine {
     const flux = this._workletFeatures.flux ?? 0;
     if (frameId !== this._lastFluxFrameId) {
       this._lastFluxFrameId = frameId;
-      this.fluxHistory.push(flux);
+      // The history sets beat thresholds, so it tracks the flux beats are detected on
+      this.fluxHistory.push(this._hpssActive() ? (this._workletPerc.flux || 0) : flux);
       this._trimFluxHistory();
       this.prevMag = null; // reset FFT state when using worklet
     }
@@ -1493,10 +3144,14 @@ export class AudioEngine {
     if (!segments.length) return null;
 
     const candidates = [];
+    let foldedCount = 0;
     const recordCandidate = (value, source, weight = 1) => {
       const normalized = this._normalizeBpmCandidate(value);
       if (!normalized) return;
-      candidates.push({ bpm: normalized, source, weight: Math.max(0.1, weight) });
+      // Fold before bucketing so half/double-time readings vote together (weight 2 ≈ full confidence)
+      const folded = this.tempoOctave.fold(normalized, weight / 2);
+      if (folded.factor !== 1) foldedCount++;
+      candidates.push({ bpm: folded.bpm, source, weight: Math.max(0.1, weight) });
     };
 
     let guessFn = null;
@@ -1537,6 +3192,7 @@ export class AudioEngine {
 
     const selection = this._selectBestBpmCandidate(candidates);
     if (selection && selection.bpm && selection.bpm > 0) {
+      this.tempoOctave.resolve('file', selection.bpm, selection.confidence, { candidates: candidates.length, folded: foldedCount });
       // Update if:
       // 1. This is a manual recalculation (always update)
       // 2. OR this analysis is still current (prevent race condition)
@@ -1548,8 +3204,9 @@ export class AudioEngine {
          this._analysisPromises.bpm.id === thisAnalysis.id);
       
       if (shouldUpdate) {
-        this.bpmEstimate = selection.bpm;
-        this.tempoIntervalMs = safeBpmToInterval(selection.bpm);
+        this._fileBaseBpm = selection.bpm;
+        this.bpmEstimate = selection.bpm * this.playbackRate;
+        this.tempoIntervalMs = safeBpmToInterval(this.bpmEstimate);
         this._lastTempoMs = performance.now();
         this.bpmEstimateConfidence = selection.confidence;
         this.bpmEstimateSource = selection.source;
@@ -1923,27 +3580,11 @@ export class AudioEngine {
   }
 
   _trimFluxHistory() {
-    const maxLimit = Number.isFinite(this._maxFluxHistoryLength)
-      ? Math.max(1, Math.floor(this._maxFluxHistoryLength))
-      : Number.POSITIVE_INFINITY;
-    const desired = Math.max(1, Math.floor(this.fluxWindow || 1));
-    const limit = Math.min(desired, maxLimit);
-    if (limit !== this.fluxWindow) this.fluxWindow = limit;
-    while (this.fluxHistory.length > limit) {
-      this.fluxHistory.shift();
-    }
+    trimFluxHistory(this);
   }
 
   _trimBassFluxHistory() {
-    const maxLimit = Number.isFinite(this._maxBassFluxHistoryLength)
-      ? Math.max(1, Math.floor(this._maxBassFluxHistoryLength))
-      : Number.POSITIVE_INFINITY;
-    const desired = Math.max(1, Math.floor(this.bassFluxWindow || 1));
-    const limit = Math.min(desired, maxLimit);
-    if (limit !== this.bassFluxWindow) this.bassFluxWindow = limit;
-    while (this.bassFluxHistory.length > limit) {
-      this.bassFluxHistory.shift();
-    }
+    trimBassFluxHistory(this);
   }
 
   setMaxFluxHistoryLength(limit) {
@@ -1963,6 +3604,7 @@ export class AudioEngine {
     this._aubioQueueMax = Math.max(1, Math.floor(capacity));
     this.aubioMetrics.maxDepth = this._aubioQueueMax;
     this._enforceAubioQueueCapacity();
+    this._postAnalysisWorkerConfig();
   }
 
   _resetAubioMetrics({ resetHighWater = true } = {}) {
@@ -1986,8 +3628,24 @@ export class AudioEngine {
     this.aubioMetrics.maxDepth = this._aubioQueueMax;
   }
 
+  /**
+   * Meyda/Aubio queue back-pressure: the worker's queue while it runs, else the main-thread Aubio queue.
+   * @returns {{queueDepth:number, highWater:number, dropped:number, maxDepth:number, thread:'worker'|'main', avgProcessMs?:number, maxProcessMs?:number}}
+   */
   getAubioQueueStats() {
-    return { ...this.aubioMetrics };
+    if (this._analysisWorkerActive) {
+      const s = this._analysisWorkerStats;
+      return {
+        queueDepth: s ? s.queueDepth : 0,
+        highWater: s ? s.highWater : 0,
+        dropped: s ? s.dropped : 0,
+        maxDepth: this._aubioQueueMax,
+        thread: 'worker',
+        avgProcessMs: s ? s.avgProcessMs : 0,
+        maxProcessMs: s ? s.maxProcessMs : 0,
+      };
+    }
+    return { ...this.aubioMetrics, thread: 'main' };
   }
 
   _enforceAubioQueueCapacity() {
@@ -2275,7 +3933,7 @@ export class AudioEngine {
         const bpm = typeof this._aubio.tempo.getBpm === 'function' ? this._aubio.tempo.getBpm() : null;
         const conf = typeof this._aubio.tempo.getConfidence === 'function' ? this._aubio.tempo.getConfidence() : 0;
         if (typeof bpm === 'number' && isFinite(bpm) && bpm > 30 && bpm < 300) {
-          this.aubioFeatures.tempoBpm = bpm;
+          this.aubioFeatures.tempoBpm = this.tempoOctave.resolve('aubio', bpm, conf || 0).bpm;
           this.aubioFeatures.tempoConf = conf || 0;
           const stamp = performance.now();
           this._lastAubioTempoAt = stamp;
@@ -2289,7 +3947,11 @@ export class AudioEngine {
 
     try {
       if (this._aubio.pitch) {
-        const pitch = this._aubio.pitch.do(buffer);
+        // Pitch follows the harmonic-only signal of the same worklet frame when HPSS is on
+        const pitchBuffer = this._hpssActive() && frameId >= 0 && frameId === this._harmFrameId && this._harmFrame.length === buffer.length
+          ? this._harmFrame
+          : buffer;
+        const pitch = this._aubio.pitch.do(pitchBuffer);
         const conf = typeof this._aubio.pitch.getConfidence === 'function' ? this._aubio.pitch.getConfidence() : 0;
         if (typeof pitch === 'number' && isFinite(pitch) && pitch > 0) {
           this.aubioFeatures.pitchHz = pitch;
@@ -2346,6 +4008,14 @@ export class AudioEngine {
       return;
     }
     if (data.type === 'error') {
+      const background = this._essentiaAnalysisByJobId?.get(data.jobId);
+      if (background && background.background) {
+        // A queued track failed to analyse; playback is unaffected
+        this._essentiaAnalysisByJobId.delete(data.jobId);
+        console.warn('[AudioEngine] Background analysis failed', data.error);
+        try { background.onResult(null); } catch (_) {}
+        return;
+      }
       // Keep console details for developers, but show a concise toast to users
       console.warn('Essentia worker error', data.error);
       try {
@@ -2355,6 +4025,12 @@ export class AudioEngine {
     }
     if (data.type === 'result') {
       const { jobId, result } = data;
+      const background = this._essentiaAnalysisByJobId?.get(jobId);
+      if (background && background.background) {
+        this._essentiaAnalysisByJobId.delete(jobId);
+        try { background.onResult(result); } catch (err) { console.warn('[AudioEngine] Background analysis callback failed', err); }
+        return;
+      }
       if (jobId && jobId === this._essentiaCurrentJobId) {
         // Retrieve the analysis reference for race condition checking
         const thisAnalysis = this._essentiaAnalysisByJobId?.get(jobId);
@@ -2383,8 +4059,11 @@ export class AudioEngine {
     const mono = (monoData && monoData.length) ? monoData : this._extractMonoBuffer(buffer);
     if (!mono) return;
 
-    const jobId = ++this._essentiaCurrentJobId;
-    this._essentiaPendingJobId = jobId;
+    // Background jobs get negative ids so they never supersede the playing file's job
+    const jobId = thisAnalysis.background
+      ? -(this._essentiaBackgroundJobSeq = (this._essentiaBackgroundJobSeq || 0) + 1)
+      : ++this._essentiaCurrentJobId;
+    if (!thisAnalysis.background) this._essentiaPendingJobId = jobId;
 
     // Store analysis reference indexed by jobId for race condition checking
     if (!this._essentiaAnalysisByJobId) {
@@ -2452,7 +4131,8 @@ export class AudioEngine {
 
   _applyEssentiaResult(result, thisAnalysis) {
     if (!result) return;
-    this.beatGrid = {
+    const octave = result.bpm > 0 ? this.tempoOctave.resolve('essentia', result.bpm, result.confidence || 0) : null;
+    const grid = {
       bpm: result.bpm || 0,
       confidence: result.confidence || 0,
       beatTimes: Array.isArray(result.beatTimes) ? result.beatTimes.slice() : [],
@@ -2462,9 +4142,20 @@ export class AudioEngine {
       updatedAt: performance.now(),
       duration: result.duration || 0,
     };
+    // Beat times follow the folded tempo so grid and bpmEstimate agree
+    this.beatGrid = octave ? rescaleBeatGrid(grid, octave.factor) : grid;
+
+    if (result.key) {
+      this.trackKey = describeKey(result.key.key, result.key.scale, result.key.strength, 'essentia');
+    }
+
+    // Swap the timeline's flux-picked beats for the real grid
+    if (this.featureTimeline && this.featureTimeline.ready) {
+      try { this.featureTimeline.applyBeatGrid(this.beatGrid); } catch (_) {}
+    }
 
     // Also propagate BPM estimate from analysis so UI updates even if guess() failed.
-    const bpm = typeof result.bpm === 'number' && isFinite(result.bpm) ? Math.round(result.bpm) : 0;
+    const bpm = typeof result.bpm === 'number' && isFinite(result.bpm) ? Math.round(result.bpm * (octave ? octave.factor : 1)) : 0;
     if (bpm > 30 && bpm < 300) {
       // Only update if this analysis is still current (prevent race condition)
       // Compare IDs instead of object identity for reliable tracking
@@ -2473,8 +4164,9 @@ export class AudioEngine {
           thisAnalysis.id &&
           this._analysisPromises.essentia &&
           this._analysisPromises.essentia.id === thisAnalysis.id) {
-        this.bpmEstimate = bpm;
-        this.tempoIntervalMs = safeBpmToInterval(bpm);
+        this._fileBaseBpm = bpm;
+        this.bpmEstimate = bpm * this.playbackRate;
+        this.tempoIntervalMs = safeBpmToInterval(this.bpmEstimate);
         this._lastTempoMs = performance.now();
         this.bpmEstimateConfidence = this._clamp(result.confidence || 0, 0, 1);
         this.bpmEstimateSource = 'essentia';
@@ -2513,7 +4205,7 @@ export class AudioEngine {
   }
 
   _maybeRunMeyda(now) {
-    if (!this.analyser) return this.meydaFeatures;
+    if (!this.analyser || this._analysisWorkerActive) return this.meydaFeatures;
     this._ensureMeydaLoaded();
     if (!this.meyda || typeof this.meyda.extract !== 'function') return this.meydaFeatures;
 
@@ -2583,22 +4275,38 @@ export class AudioEngine {
       this._appendToLiveBuffer(bufferForAnalysis);
     }
 
-    if (!result) {
-      if (usedWorkletBuffer) this._releaseWorkletFrameBuffer();
-      return this.meydaFeatures;
+    if (result) {
+      this._applyMeydaResult({
+        mfcc: result.mfcc,
+        chroma: result.chroma,
+        flatness: result.spectralFlatness,
+        rolloff: result.spectralRolloff,
+      });
     }
+    if (usedWorkletBuffer) this._releaseWorkletFrameBuffer();
 
+    return this.meydaFeatures;
+  }
+
+  /**
+   * Normalise one raw Meyda extraction (main thread or analysis worker) and smooth it
+   * into this.meydaFeatures.
+   * @param {{mfcc:number[], chroma:number[], flatness:number, rolloff:number}} result - rolloff in Hz
+   */
+  _applyMeydaResult(result) {
     const mfccRaw = Array.isArray(result.mfcc) ? result.mfcc.slice(0, 13) : [];
     while (mfccRaw.length < 13) mfccRaw.push(0);
-    const chromaRaw = Array.isArray(result.chroma) ? result.chroma.slice(0, 12) : [];
+    // Harmonic-only chroma (2048-point, percussion removed) replaces Meyda's when the worklet splits HPSS
+    const chromaRaw = this._hpssActive() ? this._workletHarm.chroma.slice(0, 12)
+      : (Array.isArray(result.chroma) ? result.chroma.slice(0, 12) : []);
     while (chromaRaw.length < 12) chromaRaw.push(0);
 
     const normalizedMfcc = mfccRaw.map((v) => 0.5 + 0.5 * Math.tanh((Number.isFinite(v) ? v : 0) / 20));
     const normalizedChroma = chromaRaw.map((v) => this._clamp(Number.isFinite(v) ? v : 0, 0, 1));
-    const flatness = this._clamp(Number.isFinite(result.spectralFlatness) ? result.spectralFlatness : 0, 0, 1);
+    const flatness = this._clamp(Number.isFinite(result.flatness) ? result.flatness : 0, 0, 1);
     const rolloffNorm = this._clamp(
-      Number.isFinite(result.spectralRolloff) && this.sampleRate
-        ? result.spectralRolloff / (this.sampleRate / 2)
+      Number.isFinite(result.rolloff) && this.sampleRate
+        ? result.rolloff / (this.sampleRate / 2)
         : 0,
       0,
       1,
@@ -2614,10 +4322,6 @@ export class AudioEngine {
     }
     this.meydaFeatures.flatness = this.meydaFeatures.flatness * alpha + flatness * inv;
     this.meydaFeatures.rolloff = this.meydaFeatures.rolloff * alpha + rolloffNorm * inv;
-
-    if (usedWorkletBuffer) this._releaseWorkletFrameBuffer();
-
-    return this.meydaFeatures;
   }
 
   _clamp(v, min, max) {
@@ -2652,75 +4356,16 @@ export class AudioEngine {
   }
 
   _updateFallbackTempo(beat, nowMs) {
-    const aubioHasTempo = !!(this._aubioModule && this._aubio && this._aubio.tempo);
-    if (aubioHasTempo) {
+    if (this._aubioTempoReady()) {
       this._fallbackBeatTimes.length = 0;
       return;
     }
 
-    if (this._fallbackBeatTimes.length) {
-      const lastBeat = this._fallbackBeatTimes[this._fallbackBeatTimes.length - 1];
-      if (nowMs - lastBeat > 6000) {
-        this._fallbackBeatTimes.length = 0;
-        this._fallbackTempoConfidence = 0;
-        this.aubioFeatures.tempoConf = 0;
-        if (!this._aubioModule || !this._aubio?.tempo) {
-          this.aubioFeatures.tempoBpm = 0;
-        }
-      }
-    }
-
-    if (!beat) return;
-
-    if (this._fallbackBeatTimes.length) {
-      const lastBeat = this._fallbackBeatTimes[this._fallbackBeatTimes.length - 1];
-      if (nowMs - lastBeat < 180) return;
-    }
-
-    this._fallbackBeatTimes.push(nowMs);
-    if (this._fallbackBeatTimes.length > 12) {
-      this._fallbackBeatTimes.shift();
-    }
-
-    if (this._fallbackBeatTimes.length < 3) return;
-
-    const intervals = [];
-    for (let i = 1; i < this._fallbackBeatTimes.length; i++) {
-      const delta = this._fallbackBeatTimes[i] - this._fallbackBeatTimes[i - 1];
-      if (Number.isFinite(delta) && delta > 120 && delta < 2500) {
-        intervals.push(delta);
-      }
-    }
-    if (!intervals.length) return;
-
-    const sorted = intervals.slice().sort((a, b) => a - b);
-    const trimCount = Math.max(0, Math.floor(sorted.length * 0.15));
-    const trimmed = sorted.slice(trimCount, sorted.length - trimCount);
-    const sample = trimmed.length ? trimmed : sorted;
-    if (!sample.length) return;
-
-    const avg = sample.reduce((sum, val) => sum + val, 0) / sample.length;
-    if (!Number.isFinite(avg) || avg <= 0) return;
-
-    const bpm = this._clamp(60000 / avg, 30, 300);
-    if (!Number.isFinite(bpm)) return;
-
-    let variance = 0;
-    for (const val of sample) {
-      const diff = val - avg;
-      variance += diff * diff;
-    }
-    variance = variance / sample.length;
-    const std = Math.sqrt(Math.max(variance, 0));
-    const jitter = Math.min(1, (std / avg) * 2);
-    const coverage = Math.min(1, sample.length / 6);
-    const confidence = this._clamp(coverage * (1 - jitter), 0, 1);
-
-    this._fallbackTempoBpm = bpm;
-    this._fallbackTempoConfidence = confidence;
-    this._fallbackTempoLastBeatMs = nowMs;
-    this.aubioFeatures.tempoBpm = bpm;
-    this.aubioFeatures.tempoConf = confidence;
+    const tempo = updateFallbackTempo(this, beat, nowMs);
+    if (!tempo) return;
+    this.aubioFeatures.tempoBpm = tempo.bpm > 0 ? this.tempoOctave.resolve('fallback', tempo.bpm, tempo.confidence).bpm : tempo.bpm;
+    this.aubioFeatures.tempoConf = tempo.confidence;
+    if (!(tempo.bpm > 0)) return;
     this.aubioFeatures.lastOnsetMs = nowMs;
     this._lastAubioTempoAt = nowMs;
     this._lastLiveTempoSource = 'fallback-live';
@@ -2728,118 +4373,35 @@ export class AudioEngine {
   }
 
   _computeRMS(timeData) {
-    // timeData 0..255, center ~128
-    let sumSq = 0; const N = timeData.length;
-    for (let i = 0; i < N; i++) { const v = (timeData[i] - 128) / 128; sumSq += v * v; }
-    const rms = Math.sqrt(sumSq / N);
-    return rms; // 0..~1
+    return computeRMS(timeData);
   }
 
   _computeBands(freqData) {
-    // freqData 0..255, linear bins up to Nyquist
-    const sr = this.sampleRate; const binHz = sr / 2 / freqData.length; // freq per bin
-    let sub = 0, bass = 0, mid = 0, treble = 0; let sC = 0, bC = 0, mC = 0, tC = 0;
-    const subHz = Math.max(20, Math.min(this.bandSplit.sub || 90, (this.bandSplit.low || 180) - 5));
-    for (let i = 0; i < freqData.length; i++) {
-      const f = i * binHz; const v = freqData[i] / 255;
-      if (f < subHz) { sub += v; sC++; }
-      else if (f < this.bandSplit.low) { bass += v; bC++; }
-      else if (f < this.bandSplit.mid) { mid += v; mC++; }
-      else { treble += v; tC++; }
-    }
-    sub = sC ? sub / sC : 0; bass = bC ? bass / bC : 0; mid = mC ? mid / mC : 0; treble = tC ? treble / tC : 0;
-
-    // Adaptive gain control (rolling peak) for rave music dynamics
-    if (this.bandAGCEnabled) {
-      this.bandPeak.sub = Math.max(this.bandPeak.sub * this.bandAGCDecay, sub);
-      this.bandPeak.bass = Math.max(this.bandPeak.bass * this.bandAGCDecay, bass);
-      this.bandPeak.mid = Math.max(this.bandPeak.mid * this.bandAGCDecay, mid);
-      this.bandPeak.treble = Math.max(this.bandPeak.treble * this.bandAGCDecay, treble);
-    }
-
-    // Normalize by current peaks to get 0..1 responsiveness across tracks
-    const ns = this.bandAGCEnabled && this.bandPeak.sub > 1e-6 ? this._clamp(sub / this.bandPeak.sub, 0, 1) : this._clamp(sub, 0, 1);
-    const nb = this.bandAGCEnabled && this.bandPeak.bass > 1e-6 ? this._clamp(bass / this.bandPeak.bass, 0, 1) : this._clamp(bass, 0, 1);
-    const nm = this.bandAGCEnabled && this.bandPeak.mid > 1e-6 ? this._clamp(mid / this.bandPeak.mid, 0, 1) : this._clamp(mid, 0, 1);
-    const nt = this.bandAGCEnabled && this.bandPeak.treble > 1e-6 ? this._clamp(treble / this.bandPeak.treble, 0, 1) : this._clamp(treble, 0, 1);
-
-    // Attack/Release envelope for each band to keep motion musical
-    const attack = this.envAttack; const release = this.envRelease;
-    const stepEnv = (env, val) => (val > env) ? (env + (val - env) * attack) : (env + (val - env) * release);
-    this.bandEnv.sub = stepEnv(this.bandEnv.sub, ns);
-    this.bandEnv.bass = stepEnv(this.bandEnv.bass, nb);
-    this.bandEnv.mid = stepEnv(this.bandEnv.mid, nm);
-    this.bandEnv.treble = stepEnv(this.bandEnv.treble, nt);
-
-    return { sub, bass, mid, treble, norm: { sub: ns, bass: nb, mid: nm, treble: nt }, env: { ...this.bandEnv } };
+    return computeBands(this, freqData, this.sampleRate);
   }
 
   _computeCentroid(freqData) {
-    // Guard against empty array to prevent division by zero
-    if (!freqData || freqData.length === 0) {
-      return { hz: 0, norm: 0 };
-    }
-    // Guard against invalid sample rate (use default 48000 Hz if invalid)
-    const sr = (this.sampleRate && this.sampleRate > 0) ? this.sampleRate : 48000;
-    const N = freqData.length;
-    const binHz = sr / 2 / N;
-    let num = 0, den = 0;
-    for (let i = 0; i < N; i++) { const mag = freqData[i] / 255; const f = i * binHz; num += f * mag; den += mag; }
-    const centroidHz = den > 0 ? num / den : 0; // 0..Nyquist
-    // Normalize roughly to 0..1 over 0..8000 Hz for music brightness (cap)
-    const norm = Math.min(1, centroidHz / 8000);
-    return { hz: centroidHz, norm };
+    return computeCentroid(freqData, this.sampleRate);
   }
 
   _computeFlux(freqData) {
-    // Normalize spectrum to 0..1
-    const N = freqData.length; const mag = new Float32Array(N);
-    for (let i = 0; i < N; i++) mag[i] = freqData[i] / 255;
-    let flux = 0;
-    if (this.prevMag) {
-      for (let i = 0; i < N; i++) {
-        const d = mag[i] - this.prevMag[i]; if (d > 0) flux += d;
-      }
-    }
-    this.prevMag = mag;
-    this.fluxHistory.push(flux);
-    this._trimFluxHistory();
-    return flux;
+    return computeFlux(this, freqData);
   }
 
   _computeBassFlux(freqData) {
-    const N = freqData.length;
-    // Validate array length to prevent division issues
-    if (N === 0) return 0;
-    const sr = this.sampleRate || 48000;
-    const binHz = sr / 2 / N;
-    // Prevent division by zero if binHz is 0
-    const cutoffHz = Math.max(40, Math.min(this.bandSplit.low || 180, 600));
-    const cutoffBin = binHz > 0
-      ? Math.max(1, Math.min(N >> 1, Math.floor(cutoffHz / binHz)))
-      : Math.max(1, Math.min(N >> 1, 10)); // Fallback value
-    if (!this._prevMagBass || this._prevMagBass.length !== cutoffBin) {
-      this._prevMagBass = new Float32Array(cutoffBin);
-    }
-    let flux = 0;
-    for (let i = 0; i < cutoffBin; i++) {
-      const mag = (freqData[i] / 255);
-      const diff = mag - this._prevMagBass[i];
-      if (diff > 0) flux += diff;
-      this._prevMagBass[i] = mag;
-    }
-    flux /= cutoffBin;
-    this.bassFluxHistory.push(flux);
-    this._trimBassFluxHistory();
-    return flux;
+    return computeBassFlux(this, freqData, this.sampleRate);
   }
 
   _getPlaybackTimeSeconds() {
     if (!this.isPlayingFile || !this.ctx) return null;
     const dur = this._fileDurationSec || 0;
     if (!(dur > 0)) return null;
-    const t = (this.ctx.currentTime - (this._fileStartCtxTimeSec || 0));
+    if (this.filePaused) return this._filePausedAtSec;
+    const t = (this.ctx.currentTime - (this._fileStartCtxTimeSec || 0)) * this.playbackRate;
     if (!(t >= 0)) return null;
+    // The source node wraps at the loop region end (or the file end without a region)
+    const loop = this._fileLoop;
+    if (loop && t >= loop.endSec) return loop.startSec + ((t - loop.startSec) % (loop.endSec - loop.startSec));
     return t % dur;
   }
 
@@ -2872,61 +4434,11 @@ export class AudioEngine {
   }
 
   _percentile(sortedArray, p) {
-    // Don't re-sort if already sorted, just clone for safety
-    const arr = (sortedArray || []).slice();
-    if (!arr.length) return 0;
-    // Ensure array is sorted (only if not already sorted)
-    if (!this._isSorted(arr)) {
-      arr.sort((a,b)=>a-b);
-    }
-    // Use proper percentile calculation with interpolation
-    const position = p * (arr.length - 1);
-    const lower = Math.floor(position);
-    const upper = Math.ceil(position);
-    const weight = position - lower;
-
-    // Handle edge cases
-    if (lower === upper || upper >= arr.length) {
-      return arr[lower];
-    }
-
-    // Interpolate between values
-    return arr[lower] * (1 - weight) + arr[upper] * weight;
-  }
-
-  _isSorted(arr) {
-    for (let i = 1; i < arr.length; i++) {
-      if (arr[i] < arr[i-1]) return false;
-    }
-    return true;
+    return percentile(sortedArray, p);
   }
 
   _detectBeat(flux, bands, currentBpm) {
-    if (this.fluxHistory.length < 5) return false;
-    const now = performance.now();
-
-    // Calculate tempo-aware cooldown to prevent missing beats at fast tempos or double-triggers at slow tempos
-    let refractory = Number.isFinite(this.beatRefractoryMs) && this.beatRefractoryMs > 0 ? this.beatRefractoryMs : this.beatCooldownMs;
-
-    // If we have valid BPM, make cooldown tempo-aware
-    if (currentBpm && Number.isFinite(currentBpm) && currentBpm >= 20 && currentBpm <= 500) {
-      const beatIntervalMs = 60000 / currentBpm;
-      // Cooldown should be 60-65% of beat interval to avoid double-triggers but not miss rapid beats
-      const dynamicRefractory = Math.max(200, Math.min(500, beatIntervalMs * 0.625));
-      refractory = dynamicRefractory;
-    }
-
-    if (now - this._lastBeatMs < refractory) return false;
-    // Energy gate: require sufficient bass envelope to accept any beat.
-    const bassEnv = bands && bands.env ? (bands.env.bass ?? 0) : 0;
-    if (bassEnv < (this.beatEnergyFloor ?? 0)) return false;
-    // Adaptive threshold: mean + k*std
-    const mean = this.fluxHistory.reduce((a,b)=>a+b,0) / this.fluxHistory.length;
-    const variance = this.fluxHistory.reduce((a,b)=>a+(b-mean)*(b-mean),0) / this.fluxHistory.length;
-    const std = Math.sqrt(variance);
-    const threshold = mean + std * (0.8 + 0.8 * this.sensitivity); // sensitivity 0..2
-    if (flux > threshold) { this._lastBeatMs = now; return true; }
-    return false;
+    return detectBeat(this, flux, bands, currentBpm, performance.now());
   }
 
   /**
@@ -2948,14 +4460,34 @@ export class AudioEngine {
     if (!this.analyser) return null;
     const updateStart = typeof performance !== 'undefined' ? performance.now() : Date.now();
 
-    // Get current audio data from analyser
-    // These update the timeData and freqData arrays with current values
-    this.analyser.getByteTimeDomainData(this.timeData);   // Waveform data (time domain)
-    this.analyser.getByteFrequencyData(this.freqData);    // Frequency spectrum data (frequency domain)
+    // With the worklet core running, gate/bands/centroid/flux/beat were computed on the
+    // audio thread at a fixed hop; otherwise read the analyser once for this frame
+    if (updateStart - this._coreSyncMs >= 250) {
+      this._coreSyncMs = updateStart;
+      this._syncWorkletCore();
+    }
+    const core = this._readWorkletCore(updateStart);
+
+    if (!core) {
+      // Get current audio data from analyser
+      // These update the timeData and freqData arrays with current values
+      this.analyser.getByteTimeDomainData(this.timeData);   // Waveform data (time domain)
+      this.analyser.getByteFrequencyData(this.freqData);    // Frequency spectrum data (frequency domain)
+    }
 
     // Optional front-end noise gate: attenuate low-level ambient energy before
     // feature extraction. Helps reduce false-positive beats in noisy venues.
-    if (this.noiseGateEnabled) {
+    // With a noise profile active the learned spectrum is removed per bin;
+    // otherwise the scalar threshold is subtracted uniformly.
+    // The worklet core applies the same gate before its own features.
+    if (!core && this.noiseGateEnabled && this.noiseProfileGate.profile) {
+      this.noiseProfileGate.process(this.freqData, this.timeData, {
+        binHz: (this.sampleRate || 44100) / 2 / this.freqData.length,
+        minDb: this.analyser.minDecibels,
+        maxDb: this.analyser.maxDecibels,
+        gainDb: this._inputGainDb(),
+      });
+    } else if (!core && this.noiseGateEnabled) {
       const thr = this._clamp(this.noiseGateThreshold || 0, 0, 0.95);
       // Time-domain gate (map 0..255 -> [-1,1], apply soft gate, map back)
       const td = this.timeData;
@@ -2976,12 +4508,33 @@ export class AudioEngine {
     }
 
     const useWorkletRms = this.workletEnabled && this._workletFrameId >= 0;
-    const rms = useWorkletRms ? this._workletFeatures.rms : this._computeRMS(this.timeData);
-    const bands = this._computeBands(this.freqData);
-    const centroid = this._computeCentroid(this.freqData);
-    const fluxFromWorklet = this._consumeWorkletFlux();
-    const flux = fluxFromWorklet ?? this._computeFlux(this.freqData);
-    const bassFlux = this._computeBassFlux(this.freqData);
+    const rms = core ? core.rms : (useWorkletRms ? this._workletFeatures.rms : this._computeRMS(this.timeData));
+    this._checkSourceHealth(updateStart, rms);
+    const bands = core ? core.bands : this._computeBands(this.freqData);
+    const filterbank = this.filterbank.process(this.freqData, this.sampleRate, {
+      attack: this.envAttack,
+      release: this.envRelease,
+      agcEnabled: this.bandAGCEnabled,
+      agcDecay: this.bandAGCDecay,
+    });
+    const centroid = core ? core.centroid : this._computeCentroid(this.freqData);
+    const levelsDb = core ? core.levelsDb : this._readAnalyserLevelsDb();
+    const fluxFromWorklet = core ? null : this._consumeWorkletFlux();
+    const flux = core ? core.flux : (fluxFromWorklet ?? this._computeFlux(this.freqData));
+    const bassFlux = core ? core.bassFlux : this._computeBassFlux(this.freqData);
+    // Beats and drops are detected on the percussive part when the worklet separates it
+    const hpss = this._updateHpss(bands);
+    const detectFlux = core ? core.detectFlux : (hpss ? this.perc.flux : flux);
+    const detectBands = hpss ? { ...bands, env: this.perc.env } : bands;
+    const onsets = this.onsetClassifier.process({
+      freqData: this.freqData,
+      sampleRate: this.sampleRate,
+      bassFlux,
+      flux,
+      bandEnv: bands.env,
+      rms,
+      nowMs: performance.now(),
+    });
 
     // Fallback: Send analyser data to Aubio when worklet isn't available
     // This ensures live BPM detection works with any audio source (mic, system audio, etc.)
@@ -3023,7 +4576,7 @@ export class AudioEngine {
 
     // Get current BPM for tempo-aware beat detection (prefer file BPM, fall back to tap tempo)
     const currentBpm = this.bpmEstimate || this.tapBpm || null;
-    let beat = this._detectBeat(flux, bands, currentBpm);
+    let beat = core ? core.beat : this._detectBeat(detectFlux, detectBands, currentBpm);
     const detectedBeat = beat;
 
     // Live tempo assist: prefer file BPM; else use Aubio tempo for live sources
@@ -3034,7 +4587,8 @@ export class AudioEngine {
       liveBpm > 30 && liveBpm < 300;
 
     if (this.isPlayingFile) {
-      // keep bpmEstimate from file analysis if available
+      // keep bpmEstimate from file analysis if available (per tempo segment for mixes)
+      this._followTempoMap();
       if (this.tempoAssistEnabled && this.bpmEstimate && this.bpmEstimate > 0) {
         const intervalMs = safeBpmToInterval(this.bpmEstimate);
         if (intervalMs > 0) {
@@ -3042,13 +4596,8 @@ export class AudioEngine {
         }
       }
     } else if (liveTempoValid) {
-      const confNorm = this._clamp(liveConf ?? 0, 0, 1);
-      const prevBpm = (this.bpmEstimate && isFinite(this.bpmEstimate) && this.bpmEstimate > 0)
-        ? this.bpmEstimate
-        : liveBpm;
-      const smoothingFactor = confNorm > 0 ? Math.min(0.85, Math.max(0.2, confNorm * 0.75)) : 0.15;
-      const blended = prevBpm + (liveBpm - prevBpm) * smoothingFactor;
-      const targetBpm = Math.round(blended * 10) / 10;
+      const live = smoothLiveTempo(this.bpmEstimate, liveBpm, liveConf);
+      const targetBpm = live.bpm;
       this.bpmEstimate = targetBpm;
       if (this.tempoAssistEnabled) {
         const intervalMs = safeBpmToInterval(targetBpm);
@@ -3058,35 +4607,22 @@ export class AudioEngine {
       }
       this._lastTempoMs = now;
       this.bpmEstimateSource = 'aubio-live';
-      this.bpmEstimateConfidence = Math.max(this._clamp(confNorm, 0, 1), 0.05);
+      this.bpmEstimateConfidence = live.confidence;
       this._lastLiveTempoSource = 'aubio-live';
       this._lastLiveTempoSourceAt = now;
     }
 
-    // Tempo-assist beat pulse (file playback or live) and/or Tap-Quantized grid
-    let quantBeat = false;
-    const gridInterval = (this.tapQuantizeEnabled && this.tapTempoIntervalMs > 0)
-      ? this.tapTempoIntervalMs
-      : (this.tempoAssistEnabled && this.tempoIntervalMs > 0 ? this.tempoIntervalMs : 0);
-    if (gridInterval > 0) {
-      if (now - this._lastQuantizeMs >= gridInterval) {
-        const steps = Math.floor((now - this._lastQuantizeMs) / gridInterval);
-        this._lastQuantizeMs += steps * gridInterval;
-        quantBeat = true;
-      }
-    }
-
-    // Align detected onsets to grid by resetting phase on real beat
-    if (beat && gridInterval > 0) {
-      this._lastQuantizeMs = now;
-      // Reset bar phase so the next quantized beat is treated as downbeat for gating
-      if (this.dropBarGatingEnabled) this._beatIndexForDrop = -1;
-    }
+    // Tempo-assist beat pulse (file playback or live) and/or Tap-Quantized grid;
+    // a detected beat re-aligns the grid phase
+    const { quantBeat } = stepTempoGrid(this, now, beat);
     const aubioOnsetPulse = this.aubioFeatures.lastOnsetMs > 0 && (now - this.aubioFeatures.lastOnsetMs) < 150;
 
+    const clock = this._updateBeatClock(now, detectedBeat, core?.beatMs ?? now);
+    this._updateAutoGain(now);
+
     beat = beat || quantBeat || aubioOnsetPulse;
 
-    if (!this._aubioModule || !this._aubio || !this._aubio.tempo) {
+    if (!this._aubioTempoReady()) {
       this._updateFallbackTempo(beat, now);
     }
 
@@ -3100,102 +4636,80 @@ export class AudioEngine {
 
     const meyda = this._maybeRunMeyda(now);
 
-    // Build/Drop detection (beat-aware)
-    let drop = false;
-    let isBuilding = false;
-    let buildLevel = this._buildLevel;
-    let centroidSlope = this._centroidSlopeEma;
-    if (this.dropEnabled) {
-      // Choose flux source for build metric
-      let posZ = 0;
-      if (this.dropUseBassFlux && this.bassFluxHistory.length >= 5) {
-        const m = this.bassFluxHistory.reduce((a,b)=>a+b,0) / this.bassFluxHistory.length;
-        const v = this.bassFluxHistory.reduce((a,b)=>{ const d=b-m; return a + d*d; },0) / this.bassFluxHistory.length;
-        const s = Math.sqrt(Math.max(v, 1e-6));
-        posZ = Math.max(0, (bassFlux - m) / s);
-      } else {
-        const z = this._workletFeatures && this._workletFeatures.fluxStd > 0
-          ? (flux - this._workletFeatures.fluxMean) / Math.max(1e-3, this._workletFeatures.fluxStd)
-          : 0;
-        posZ = Math.max(0, z);
-      }
-      buildLevel = buildLevel * 0.8 + posZ * 0.2;
-      const cDelta = centroid.norm - (this._centroidPrev || centroid.norm);
-      this._centroidPrev = centroid.norm;
-      centroidSlope = centroidSlope * (1 - this._centroidSlopeAlpha) + cDelta * this._centroidSlopeAlpha;
-
-      if (beat || quantBeat) {
-        // Collect samples for adaptive thresholding (during warmup)
-        if (this.autoDropThresholdsEnabled && !this._autoThrApplied) {
-          const negSlope = Math.max(0, -cDelta);
-          // Sliding window: drop oldest sample when at capacity to always keep fresh data
-          // This ensures accurate calibration even when DJ rapidly switches tracks
-          if (this._autoBassOnBeats.length >= this._autoThrMaxSamples) {
-            this._autoBassOnBeats.shift(); // Remove oldest sample
-          }
-          this._autoBassOnBeats.push(bands.env?.bass ?? 0);
-
-          if (negSlope > 0) {
-            if (this._autoCentroidNegOnBeats.length >= this._autoThrMaxSamples) {
-              this._autoCentroidNegOnBeats.shift(); // Remove oldest sample
-            }
-            this._autoCentroidNegOnBeats.push(negSlope);
-          }
-        }
-        // Maintain bar-phase state for optional drop gating
-        if (this.dropBarGatingEnabled) {
-          if (this._beatIndexForDrop === null || this._beatIndexForDrop === undefined || this._beatIndexForDrop < 0) {
-            this._beatIndexForDrop = 0; // treat this beat as downbeat
-          } else {
-            const nBeats = Math.max(1, Math.floor(this.dropGateBeatsPerBar || 4));
-            this._beatIndexForDrop = (this._beatIndexForDrop + 1) % nBeats;
-          }
-        }
-        if (posZ > this.dropFluxThresh) {
-          this._buildBeats += 1; isBuilding = true;
-        } else {
-          this._buildBeats = Math.max(0, this._buildBeats - 1);
-          isBuilding = this._buildBeats > 0;
-        }
+    // Build/Drop detection (beat-aware). With bar gating on a file that has an Essentia
+    // grid, drops must land near a grid downbeat; otherwise beats are counted per bar.
+    let nearDownbeat = null;
+    if (this.dropEnabled && this.dropBarGatingEnabled && this.isPlayingFile && this.beatGrid
+      && Array.isArray(this.beatGrid.downbeats) && this.beatGrid.downbeats.length) {
+      const nowSec = this._getPlaybackTimeSeconds();
+      nearDownbeat = nowSec !== null && nowSec !== undefined ? this._isNearDownbeat(nowSec, this.dropDownbeatGateToleranceMs * this.playbackRate) : false;
+    }
+    const { drop, isBuilding, buildLevel } = updateDropBuild(this, {
+      beat,
+      quantBeat,
+      flux: detectFlux,
+      fluxMean: core ? core.detectMean : (hpss ? this.perc.fluxMean : (this._workletFeatures ? this._workletFeatures.fluxMean : null)),
+      fluxStd: core ? core.detectStd : (hpss ? this.perc.fluxStd : (this._workletFeatures ? this._workletFeatures.fluxStd : null)),
+      bassFlux,
+      bands: detectBands,
+      centroid,
+      nowMs: now,
+      nearDownbeat,
+    });
+    let dropPrediction = null;
+    if (this.dropEnabled && this.dropPredictionEnabled) {
+      this.dropPredictor.setBeatsPerBar(this.dropGateBeatsPerBar || 4);
+      dropPrediction = this.dropPredictor.update({
+        nowMs: now,
+        clock,
+        buildLevel,
+        flux: detectFlux,
+        centroidHz: centroid.hz,
+        // Flatness only exists while Meyda runs (here or in the analysis worker)
+        flatness: (this.meyda || this._analysisWorkerActive) ? meyda.flatness : null,
+        bass: detectBands.bass,
+        drop,
+      });
+    }
 
-        const nowMs = performance.now();
-        const canDrop = (nowMs - this._lastDropMs) > this.dropCooldownMs;
-        let passesGating = true;
-        if (this.dropBarGatingEnabled) {
-          if (this.isPlayingFile && this.beatGrid && Array.isArray(this.beatGrid.downbeats) && this.beatGrid.downbeats.length) {
-            const nowSec = this._getPlaybackTimeSeconds();
-            passesGating = nowSec !== null && nowSec !== undefined ? this._isNearDownbeat(nowSec, this.dropDownbeatGateToleranceMs) : false;
-          } else {
-            passesGating = (this._beatIndexForDrop === 0);
-          }
-        }
-        if (canDrop && this._buildBeats >= this.dropMinBeats && passesGating) {
-          if (centroidSlope < -this.dropCentroidSlopeThresh && (bands.env?.bass ?? 0) > this.dropBassThresh) {
-            drop = true; this._lastDropMs = nowMs; this._buildBeats = 0; isBuilding = false;
-          }
-        }
-      }
-      this._buildLevel = buildLevel; this._centroidSlopeEma = centroidSlope;
-      // Apply adaptive thresholds once warmup window passes
-      if (this.autoDropThresholdsEnabled && !this._autoThrApplied) {
-        const started = this._autoThrStartMs || (this._autoThrStartMs = performance.now());
-        if (performance.now() - started >= this.autoDropCalDurationMs) {
-          if (this._autoBassOnBeats.length >= 6) {
-            const p70 = this._percentile(this._autoBassOnBeats, 0.70);
-            this.dropBassThresh = this._clamp(p70, 0.35, 0.85);
-          }
-          if (this._autoCentroidNegOnBeats.length >= 6) {
-            const p60 = this._percentile(this._autoCentroidNegOnBeats, 0.60);
-            this.dropCentroidSlopeThresh = this._clamp(p60, 0.008, 0.05);
-          }
-          this._autoThrApplied = true;
-          // Clear arrays to prevent memory leak
-          this._autoBassOnBeats = [];
-          this._autoCentroidNegOnBeats = [];
-        }
+    // Pre-analysed file timeline at the current playback position (+ lookahead)
+    let timeline = null;
+    if (this.featureTimeline && this.featureTimeline.ready) {
+      const playbackSec = this._getPlaybackTimeSeconds();
+      if (playbackSec !== null) {
+        timeline = this.featureTimeline.sample(playbackSec, (this.timelineLookaheadMs || 0) / 1000, this.playbackRate);
       }
     }
 
+    // Arrangement section at the playhead; `changed` is true on the first frame of a new section
+    let section = null;
+    if (timeline && timeline.section) {
+      const idx = timeline.section.index;
+      section = {
+        index: idx,
+        label: timeline.section.label,
+        start: timeline.section.start,
+        end: timeline.section.end,
+        energy: timeline.section.energy,
+        progress: timeline.section.progress,
+        nextLabel: timeline.nextSection ? timeline.nextSection.label : null,
+        nextInMs: timeline.nextSectionInMs,
+        changed: idx !== this._lastSectionIndex,
+      };
+      this._lastSectionIndex = idx;
+    } else {
+      this._lastSectionIndex = -1;
+    }
+
+    if (meyda.chroma) this.keyEstimator.push(meyda.chroma, now, rms);
+    if (now - this._lastKeyEstimateMs >= 250) {
+      this._lastKeyEstimateMs = now;
+      this._liveKey = this.keyEstimator.estimate();
+    }
+
+    const decks = (this.decks.a || this.decks.b) ? this._updateDecks(now) : null;
+    const stereo = this._computeStereo();
+
     const features = {
       rms: rms,
       rmsNorm: Math.min(1, rms * 2.0),
@@ -3203,15 +4717,17 @@ export class AudioEngine {
       bandsEMA: this.levels.bandsEMA,
       bandEnv: bands.env,
       bandNorm: bands.norm,
+      filterbank,
       centroidHz: centroid.hz,
       centroidNorm: centroid.norm,
       flux,
-      fluxMean: this.workletEnabled ? this._workletFeatures.fluxMean : flux,
-      fluxStd: this.workletEnabled ? this._workletFeatures.fluxStd : 0,
+      fluxMean: core ? core.fluxMean : (this.workletEnabled ? this._workletFeatures.fluxMean : flux),
+      fluxStd: core ? core.fluxStd : (this.workletEnabled ? this._workletFeatures.fluxStd : 0),
       beat,
       drop,
       isBuilding,
       buildLevel,
+      dropPrediction,
       lastDropMs: this._lastDropMs,
       bpm: this.bpmEstimate || 0,
       bpmConfidence: this.bpmEstimateConfidence || 0,
@@ -3219,6 +4735,8 @@ export class AudioEngine {
       tapBpm: this.tapBpm || 0,
       mfcc: meyda.mfcc,
       chroma: meyda.chroma,
+      key: this._selectKey(),
+      trackKey: this.trackKey,
       flatness: meyda.flatness,
       rolloff: meyda.rolloff,
       pitchHz: this.aubioFeatures.pitchHz,
@@ -3226,16 +4744,60 @@ export class AudioEngine {
       aubioTempoBpm: this.aubioFeatures.tempoBpm,
       aubioTempoConf: this.aubioFeatures.tempoConf,
       aubioOnset: aubioOnsetPulse,
+      onsets,
+      levelsDb,
+      loudness: this.workletEnabled ? {
+        ...this.loudness,
+        gainDb: this.getAutoGainDb(),
+        autoGain: this.autoGainEnabled,
+        targetLufs: this.autoGainTargetLufs,
+      } : null,
       beatGrid: this.beatGrid,
+      clock,
+      timeline,
+      section,
+      decks,
+      stereo,
+      perc: hpss ? {
+        flux: this.perc.flux,
+        fluxMean: this.perc.fluxMean,
+        fluxStd: this.perc.fluxStd,
+        env: { ...this.perc.env },
+        ratio: this.perc.ratio,
+      } : null,
+      harm: hpss ? {
+        env: { ...this.harm.env },
+        chroma: this.harm.chroma.slice(),
+        ratio: this.harm.ratio,
+      } : null,
     };
+
+    // Let the crossfaded decks drive visuals during transitions
+    if (this.deckBlendDrivesVisuals && decks && decks.blend) {
+      const blend = decks.blend;
+      features.rms = blend.rms;
+      features.rmsNorm = blend.rmsNorm;
+      features.bands = { ...blend.bands, norm: blend.bandNorm, env: blend.bandEnv };
+      features.bandEnv = blend.bandEnv;
+      features.bandNorm = blend.bandNorm;
+      features.flux = blend.flux;
+      features.beat = blend.beat;
+      if (blend.bpm > 0) {
+        features.bpm = blend.bpm;
+        features.bpmConfidence = blend.bpmConfidence;
+        features.bpmSource = `deck-${blend.dominant}`;
+      }
+    }
     const updateEnd = typeof performance !== 'undefined' ? performance.now() : Date.now();
     let workletLatency = null;
-    if (this.workletEnabled && Number.isFinite(this._workletFrameTimestamp) && this._workletFrameTimestamp > 0) {
+    if (core) {
+      workletLatency = core.latencyMs;
+    } else if (this.workletEnabled && Number.isFinite(this._workletFrameTimestamp) && this._workletFrameTimestamp > 0) {
       workletLatency = Math.max(0, updateEnd - this._workletFrameTimestamp);
     }
     this._lastWorkletLatencyMs = Number.isFinite(workletLatency) ? workletLatency : null;
     this._recordDiagnostics(updateStart, updateEnd, workletLatency);
-    return features;
+    return this.avLatency.process(features, updateEnd);
   }
 
   getLastWorkletLatencyMs() {
@@ -3351,6 +4913,8 @@ export class AudioEngine {
       avgWorkletLatencyMs: avgWorkletLatency,
       minWorkletLatencyMs: diag.workletLatencyCount > 0 ? diag.workletLatencyMin : null,
       maxWorkletLatencyMs: diag.workletLatencyCount > 0 ? diag.workletLatencyMax : null,
+      // Audio-thread side of the core feature pipeline (per-hop cost, transport, drops)
+      workletCore: this._coreReader.getTimings(resetWindow),
       timestamp: now,
     };
 
@@ -3446,6 +5010,12 @@ export class AudioEngine {
   async dispose() {
     // Stop any active streams
     this.stop();
+    for (const id of ['a', 'b']) {
+      if (this.decks[id]) {
+        try { this.decks[id].dispose(); } catch (_) {}
+        this.decks[id] = null;
+      }
+    }
     this._releaseWorkletFrameBuffer();
 
     // Reset graph wiring state so ensureContext() rebuilds cleanly
@@ -3483,6 +5053,11 @@ export class AudioEngine {
         console.warn('Error cleaning up worklet node:', err);
       }
     }
+    this._stopAnalysisWorker();
+    this._coreReader.detach();
+    this._coreBinCount = 0;
+    this._coreConfigKey = '';
+    this._coreProfileKey = '';
 
     // Clean up Essentia Worker (graceful shutdown with delayed termination)
     // Clear any existing termination timer first
@@ -3554,6 +5129,8 @@ export class AudioEngine {
     try {
       if (this.analyser) this.analyser.disconnect();
       if (this.gainNode) this.gainNode.disconnect();
+      if (this.autoGainNode) this.autoGainNode.disconnect();
+      if (this.limiterNode) this.limiterNode.disconnect();
       if (this.splitterNode) this.splitterNode.disconnect();
       if (this.analyserL) this.analyserL.disconnect();
       if (this.analyserR) this.analyserR.disconnect();
@@ -3563,6 +5140,8 @@ export class AudioEngine {
 
     // Clear node references so they can be recreated on next ensureContext()
     this.gainNode = null;
+    this.autoGainNode = null;
+    this.limiterNode = null;
     this.analyser = null;
     this.analyserL = null;
     this.analyserR = null;
@@ -3617,6 +5196,9 @@ export class AudioEngine {
         this._lastFluxFrameId = -1;
         this._workletFrameTimestamp = 0;
         this._workletFeatures = { rms: 0, flux: 0, fluxMean: 0, fluxStd: 0 };
+        this._workletStereo = null;
+        this._workletPerc = null;
+        this._workletHarm = null;
 
       } catch (err) {
         console.error('[AudioEngine] Fatal error during context closure:', err);
@@ -0,0 +1,251 @@
+/**
+ * A/V latency compensation
+ *
+ * Screen-share capture, analyser buffering, rendering and the projector all
+ * add delay, so visuals land tens of milliseconds off from the PA. The offset
+ * is signed:
+ *
+ * - offset > 0: visuals are early (e.g. the PA runs through a delayed system).
+ *   Features go through a FeatureDelayLine and come out offset ms later.
+ * - offset < 0: visuals are late (the usual case). Continuous features can't be
+ *   taken from the future, but beats can: when the file beat grid (timeline
+ *   lookahead) or a locked beat clock knows when the next beat lands, the beat
+ *   is fired |offset| ms early, the clock phases are advanced by the same
+ *   amount, and the late detected beat is suppressed so nothing double-fires.
+ *
+ * measureRoundTripLatency() is the calibration step: it plays clicks on the
+ * output, finds them in a microphone capture and reports the round trip.
+ *
+ * @example
+ * const comp = new AvLatencyCompensator();
+ * comp.setOffsetMs(-40);
+ * features = comp.process(features, performance.now());
+ */
+
+import { carryPulses, clearPulses } from './feature-recorder.js';
+
+export const AV_OFFSET_MIN_MS = -300;
+export const AV_OFFSET_MAX_MS = 500;
+
+const MIN_PREDICT_LOCK = 0.5;  // beat clock lock needed before beats are predicted
+
+/**
+ * Fixed-delay queue of feature frames. Pulses of frames that are overtaken
+ * (frame rate jitter) are carried into the frame that is delivered.
+ */
+export class FeatureDelayLine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDelayMs=AV_OFFSET_MAX_MS]
+   */
+  constructor({ maxDelayMs = AV_OFFSET_MAX_MS } = {}) {
+    this.maxDelayMs = maxDelayMs;
+    this._queue = [];        // [{ t, f, delivered }]
+  }
+
+  clear() { this._queue = []; }
+
+  /**
+   * Queue a frame and return the one that is due.
+   * @param {Object} features
+   * @param {number} nowMs
+   * @param {number} delayMs
+   * @returns {Object|null} Delayed features (null until the first frame is due)
+   */
+  push(features, nowMs, delayMs) {
+    const q = this._queue;
+    q.push({ t: nowMs, f: features, delivered: false });
+    const due = nowMs - Math.min(delayMs, this.maxDelayMs);
+    let k = -1;
+    for (let i = 0; i < q.length && q[i].t <= due; i++) k = i;
+    if (k < 0) return null;
+    const entry = q[k];
+    const out = { ...entry.f };
+    for (let i = 0; i < k; i++) if (!q[i].delivered) carryPulses(out, q[i].f);
+    if (entry.delivered) clearPulses(out);
+    entry.delivered = true;
+    q.splice(0, k);
+    return out;
+  }
+}
+
+export class AvLatencyCompensator {
+  constructor() {
+    this.offsetMs = 0;
+    this._delay = new FeatureDelayLine();
+    this._lastOutput = null;
+    this._firedBeatIndex = -Infinity;   // beat-clock prediction: last beat index fired
+    this._firedGridMs = -Infinity;      // beat-grid prediction: predicted time of the last fired beat
+  }
+
+  setOffsetMs(ms) {
+    const v = Math.max(AV_OFFSET_MIN_MS, Math.min(AV_OFFSET_MAX_MS, Math.round(Number(ms) || 0)));
+    if (v <= 0) this._delay.clear();
+    this.offsetMs = v;
+    return v;
+  }
+
+  reset() {
+    this._delay.clear();
+    this._lastOutput = null;
+    this._firedBeatIndex = -Infinity;
+    this._firedGridMs = -Infinity;
+  }
+
+  /**
+   * @param {Object|null} features - Output of AudioEngine.update()
+   * @param {number} nowMs
+   * @returns {Object|null}
+   */
+  process(features, nowMs) {
+    if (!features || this.offsetMs === 0) return features;
+    if (this.offsetMs > 0) {
+      const delayed = this._delay.push(features, nowMs, this.offsetMs);
+      // Until the line fills, hold the previous output (or a pulse-free current frame)
+      if (delayed) this._lastOutput = delayed;
+      if (delayed) return delayed;
+      const hold = { ...(this._lastOutput || features) };
+      clearPulses(hold);
+      return hold;
+    }
+    return this._advanceBeats(features, nowMs, -this.offsetMs);
+  }
+
+  _advanceBeats(features, nowMs, leadMs) {
+    const out = { ...features };
+    const tl = features.timeline;
+    const clock = features.clock;
+    const clockUsable = clock && clock.bpm > 0 && clock.lock >= MIN_PREDICT_LOCK;
+
+    // Clock phases are a prediction anyway: shift them forward by the lead
+    if (clockUsable) {
+      const beatMs = 60000 / clock.bpm;
+      const d = leadMs / beatMs;
+      const pos = clock.beatPosition + d;
+      // Bars move with the clock's own meter and downbeat offset
+      const bpb = clock.beatsPerBar || 4;
+      const barPos = clock.barIndex + clock.barPhase + d / bpb;
+      const barPhase = barPos - Math.floor(barPos);
+      out.clock = {
+        ...clock,
+        beatPosition: pos,
+        beatIndex: Math.floor(pos),
+        beatPhase: pos - Math.floor(pos),
+        barPhase,
+        beatInBar: Math.min(bpb - 1, Math.floor(barPhase * bpb)),
+        barIndex: Math.floor(barPos),
+        beat: false,
+        downbeat: false,
+      };
+    }
+
+    let beat = null;      // null = no predictor, leave detected beats alone
+    let downbeat = false;
+    if (tl && Number.isFinite(tl.nextBeatInMs)) {
+      // File beat grid: exact upcoming beat times
+      const beatAt = nowMs + tl.nextBeatInMs;
+      const minGapMs = clockUsable ? 30000 / clock.bpm : 150;
+      if (beatAt < this._firedGridMs - minGapMs) this._firedGridMs = -Infinity; // seeked backwards
+      beat = tl.nextBeatInMs <= leadMs && beatAt - this._firedGridMs > minGapMs;
+      if (beat) {
+        this._firedGridMs = beatAt;
+        downbeat = Number.isFinite(tl.nextDownbeatInMs) && Math.abs(tl.nextDownbeatInMs - tl.nextBeatInMs) < 30;
+      }
+    } else if (clockUsable) {
+      // Locked clock: the next beat lands (1 - phase) beats from now; the shifted clock has crossed it
+      const nextIndex = out.clock.beatIndex;
+      beat = nextIndex > clock.beatIndex && nextIndex > this._firedBeatIndex;
+      if (beat) {
+        this._firedBeatIndex = nextIndex;
+        downbeat = out.clock.beatInBar === 0;
+      }
+    }
+
+    if (beat !== null) {
+      out.beat = beat;
+      if (out.clock) {
+        out.clock.beat = beat;
+        out.clock.downbeat = beat && downbeat;
+      }
+    }
+    return out;
+  }
+}
+
+/**
+ * Play clicks through the context's output and time their arrival on a
+ * microphone stream. Keep the monitor / PA audible to the mic; echo
+ * cancellation must be off on the stream.
+ *
+ * @param {BaseAudioContext} ctx - Running AudioContext (clicks go to ctx.destination)
+ * @param {MediaStream} stream - Microphone capture
+ * @param {Object} [options]
+ * @param {number} [options.clicks=6]
+ * @param {number} [options.intervalMs=700]
+ * @param {(info:{index:number, total:number, latencyMs:number|null}) => void} [options.onProgress]
+ * @returns {Promise<{roundTripMs:number, spreadMs:number, hits:number, clicks:number}>}
+ * @throws {Error} When fewer than half of the clicks are detected
+ */
+export async function measureRoundTripLatency(ctx, stream, { clicks = 6, intervalMs = 700, onProgress } = {}) {
+  const sr = ctx.sampleRate;
+  const input = ctx.createMediaStreamSource(stream);
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 32768; // ~680 ms at 48 kHz: room for pre-click floor and the round trip
+  analyser.smoothingTimeConstant = 0;
+  input.connect(analyser);
+  const buf = new Float32Array(analyser.fftSize);
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+  const results = [];
+
+  try {
+    for (let k = 0; k < clicks; k++) {
+      const t0 = ctx.currentTime + 0.15;
+      const osc = ctx.createOscillator();
+      const env = ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.value = 2000;
+      env.gain.setValueAtTime(0, t0);
+      env.gain.linearRampToValueAtTime(0.8, t0 + 0.0005);
+      env.gain.exponentialRampToValueAtTime(0.001, t0 + 0.012);
+      osc.connect(env).connect(ctx.destination);
+      osc.start(t0);
+      osc.stop(t0 + 0.02);
+      osc.onended = () => { try { env.disconnect(); } catch (_) {} };
+
+      await sleep(Math.max(450, intervalMs - 150) + 150);
+      analyser.getFloatTimeDomainData(buf);
+      const readTime = ctx.currentTime;
+      // Sample i was captured at readTime - (N - i) / sr
+      const clickIdx = Math.round(buf.length - (readTime - t0) * sr);
+      let latencyMs = null;
+      if (clickIdx > sr * 0.05 && clickIdx < buf.length) {
+        let floor = 0;
+        const floorStart = Math.max(0, clickIdx - Math.round(sr * 0.1));
+        for (let i = floorStart; i < clickIdx; i++) floor += buf[i] * buf[i];
+        floor = Math.sqrt(floor / Math.max(1, clickIdx - floorStart));
+        const thr = Math.max(0.01, floor * 8);
+        for (let i = clickIdx; i < buf.length; i++) {
+          if (Math.abs(buf[i]) > thr) { latencyMs = ((i - clickIdx) / sr) * 1000; break; }
+        }
+        if (latencyMs !== null && (latencyMs < 1 || latencyMs > 400)) latencyMs = null;
+      }
+      if (latencyMs !== null) results.push(latencyMs);
+      try { onProgress?.({ index: k + 1, total: clicks, latencyMs }); } catch (_) {}
+    }
+  } finally {
+    try { input.disconnect(); } catch (_) {}
+  }
+
+  if (results.length < Math.ceil(clicks / 2)) {
+    throw new Error(`Click detected ${results.length}/${clicks} times; raise the monitor volume or move the mic closer`);
+  }
+  const sorted = results.slice().sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const deviations = sorted.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+  return {
+    roundTripMs: median,
+    spreadMs: deviations[Math.floor(deviations.length / 2)],
+    hits: results.length,
+    clicks,
+  };
+}
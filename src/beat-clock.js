@@ -0,0 +1,220 @@
+/**
+ * BeatClock - Phase-locked musical clock
+ *
+ * A small second-order PLL: tempo inputs (file BPM, Aubio, tap) steer the
+ * period, detected onsets near a predicted beat pull the phase (and nudge the
+ * period), and onsets far from the grid are treated as off-beat detail rather
+ * than resets. The clock free-runs between onsets, so beatPhase/barPhase are
+ * continuous even when the detector misses beats.
+ *
+ * When a file has an Essentia beat grid, syncToGrid() drives the clock
+ * straight from the grid at the playback position (full lock).
+ *
+ * @example
+ * const clock = new BeatClock();
+ * clock.setTempo(128, 0.8, now);
+ * if (onset) clock.onBeat(now);
+ * const c = clock.update(now); // { beatPhase, barPhase, beatInBar, barIndex, lock, beat, downbeat, ... }
+ */
+
+export class BeatClock {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.beatsPerBar=4]
+   * @param {number} [options.phaseGain=0.2] - Fraction of the phase error corrected per onset
+   * @param {number} [options.freqGain=0.03] - Period correction per onset (relative, per beat of error)
+   * @param {number} [options.captureWindow=0.2] - Max |phase error| (beats) for an onset to count as on-grid
+   */
+  constructor({ beatsPerBar = 4, phaseGain = 0.2, freqGain = 0.03, captureWindow = 0.2 } = {}) {
+    this.beatsPerBar = beatsPerBar;
+    this.phaseGain = phaseGain;
+    this.freqGain = freqGain;
+    this.captureWindow = captureWindow;
+    this.reset();
+  }
+
+  reset() {
+    this._periodMs = 500;
+    this._anchorMs = null; // time at which the beat position equals _anchorBeat
+    this._anchorBeat = 0;
+    this._barOffset = 0;   // beat index (mod beatsPerBar) that starts a bar
+    this._lastBeatFloor = null;
+    this._lastUpdateMs = 0;
+    this._lastTempoMs = 0;
+    this._misses = 0;
+    this.lock = 0;
+    this.source = 'none'; // 'none' | 'pll' | 'grid'
+  }
+
+  setBeatsPerBar(n) { this.beatsPerBar = Math.max(1, Math.floor(n || 4)); }
+
+  get bpm() { return this._periodMs > 0 ? 60000 / this._periodMs : 0; }
+
+  _beatPos(nowMs) {
+    if (this._anchorMs === null) return 0;
+    return this._anchorBeat + (nowMs - this._anchorMs) / this._periodMs;
+  }
+
+  _reanchor(nowMs, beatPos) {
+    this._anchorBeat = beatPos;
+    this._anchorMs = nowMs;
+  }
+
+  /**
+   * Steer the period toward a tempo estimate. Called every frame with the
+   * current best BPM; higher confidence converges faster, and a well-locked
+   * clock leans on its onsets instead (tempo estimators are coarser than the PLL).
+   */
+  setTempo(bpm, confidence = 0.5, nowMs = performance.now()) {
+    if (!(bpm > 30 && bpm < 300)) return;
+    const target = 60000 / bpm;
+    const dtSec = this._lastTempoMs > 0 ? Math.max(0, Math.min(1, (nowMs - this._lastTempoMs) / 1000)) : 0;
+    this._lastTempoMs = nowMs;
+    if (this._anchorMs === null) {
+      this._periodMs = target;
+      this._reanchor(nowMs, 0);
+      this.source = 'pll';
+      return;
+    }
+    const pos = this._beatPos(nowMs);
+    const tauSec = (0.5 + 6 * this.lock) / (0.25 + Math.max(0, Math.min(1, confidence)));
+    this._periodMs += (target - this._periodMs) * (1 - Math.exp(-dtSec / tauSec));
+    // Keep the beat position continuous across the period change
+    this._reanchor(nowMs, pos);
+  }
+
+  /**
+   * Feed a detected onset/beat.
+   * @param {number} nowMs
+   * @param {number} [weight=1] - 0..1 trust in this onset
+   */
+  onBeat(nowMs, weight = 1) {
+    if (this._anchorMs === null) {
+      this._reanchor(nowMs, 0);
+      this.source = 'pll';
+      return;
+    }
+    const pos = this._beatPos(nowMs);
+    const err = pos - Math.round(pos); // + means the clock is ahead of the music
+    if (Math.abs(err) <= this.captureWindow) {
+      this._reanchor(nowMs, pos - err * this.phaseGain * weight);
+      this._periodMs = Math.max(200, Math.min(2000, this._periodMs * (1 + err * this.freqGain * weight)));
+      this.lock = Math.min(1, this.lock + 0.08 * weight * (1 - Math.abs(err) / this.captureWindow));
+      this._misses = 0;
+    } else {
+      this.lock = Math.max(0, this.lock - 0.04 * weight);
+      this._misses++;
+      // Lost: snap the phase to this onset rather than drifting forever
+      if (this.lock < 0.15 && this._misses >= 3) {
+        this._reanchor(nowMs, Math.round(pos));
+        this._misses = 0;
+      }
+    }
+    this.source = 'pll';
+  }
+
+  /** A manual tap is trusted: align the phase to it. */
+  tap(nowMs) {
+    const pos = this._anchorMs === null ? 0 : Math.round(this._beatPos(nowMs));
+    this._reanchor(nowMs, pos);
+    this.lock = Math.max(this.lock, 0.6);
+    this._misses = 0;
+    if (this.source === 'none') this.source = 'pll';
+  }
+
+  /** Shift the phase; positive delays the next beat. */
+  nudge(deltaMs) {
+    if (this._anchorMs !== null && Number.isFinite(deltaMs)) this._anchorMs += deltaMs;
+  }
+
+  /** Treat the current moment as beat 1 of a bar. */
+  alignDownbeat(nowMs) {
+    this.tap(nowMs);
+    const beatIndex = Math.round(this._beatPos(nowMs));
+    this._barOffset = ((beatIndex % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+  }
+
+  /**
+   * Drive the clock from a beat grid at the current playback position.
+   * @param {number} playbackSec
+   * @param {number} nowMs
+   * @param {{beatTimes:number[], downbeats?:number[]}} grid - Sorted times in seconds
+   * @param {number} [rate=1] - Playback rate (grid times are file time)
+   * @returns {boolean} false if the grid doesn't cover playbackSec
+   */
+  syncToGrid(playbackSec, nowMs, grid, rate = 1) {
+    const beats = grid?.beatTimes;
+    if (!Array.isArray(beats) || beats.length < 2 || !Number.isFinite(playbackSec)) return false;
+    let lo = 0, hi = beats.length;
+    while (lo < hi) { const m = (lo + hi) >> 1; if (beats[m] <= playbackSec) lo = m + 1; else hi = m; }
+    const i = Math.max(0, Math.min(beats.length - 2, lo - 1));
+    const interval = beats[i + 1] - beats[i];
+    if (!(interval > 0.15 && interval < 2)) return false;
+    const pos = i + (playbackSec - beats[i]) / interval;
+    this._periodMs = interval * 1000 / (rate > 0 ? rate : 1);
+    this._reanchor(nowMs, pos);
+
+    const downbeats = grid.downbeats;
+    if (Array.isArray(downbeats) && downbeats.length) {
+      // Beat index of the latest downbeat at/before playback sets the bar phase
+      let dlo = 0, dhi = downbeats.length;
+      while (dlo < dhi) { const m = (dlo + dhi) >> 1; if (downbeats[m] <= playbackSec + 0.05) dlo = m + 1; else dhi = m; }
+      const db = downbeats[Math.max(0, dlo - 1)];
+      let blo = 0, bhi = beats.length;
+      while (blo < bhi) { const m = (blo + bhi) >> 1; if (beats[m] < db - 0.05) blo = m + 1; else bhi = m; }
+      this._barOffset = ((blo % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+    }
+    this.lock = 1;
+    this._misses = 0;
+    this.source = 'grid';
+    return true;
+  }
+
+  /**
+   * Advance and read the clock.
+   * @returns {{bpm:number, beatPosition:number, beatIndex:number, beatPhase:number, barPhase:number, beatInBar:number, barIndex:number, beatsPerBar:number, lock:number, beat:boolean, downbeat:boolean, source:string}}
+   */
+  update(nowMs) {
+    if (this._lastUpdateMs > 0 && this.source !== 'grid') {
+      // Confidence fades if nothing has confirmed the phase for a while
+      const dt = Math.max(0, (nowMs - this._lastUpdateMs) / 1000);
+      this.lock *= Math.exp(-dt / 8);
+    }
+    this._lastUpdateMs = nowMs;
+
+    const running = this._anchorMs !== null;
+    const pos = running ? this._beatPos(nowMs) : 0;
+    const beatIndex = Math.floor(pos);
+    const beatPhase = pos - beatIndex;
+    const bpb = this.beatsPerBar;
+    const barPos = (pos - this._barOffset) / bpb;
+    const barIndex = Math.floor(barPos);
+    const barPhase = barPos - barIndex;
+    const beatInBar = Math.min(bpb - 1, Math.floor(barPhase * bpb));
+
+    // Edge detection only moves forward, so phase corrections never double-fire a beat
+    let beat = false;
+    if (running && (this._lastBeatFloor === null || beatIndex > this._lastBeatFloor)) {
+      beat = this._lastBeatFloor !== null;
+      this._lastBeatFloor = beatIndex;
+    } else if (running && beatIndex < this._lastBeatFloor - 1) {
+      // Large backwards jump (seek/loop/grid resync): follow it silently
+      this._lastBeatFloor = beatIndex;
+    }
+
+    return {
+      bpm: running ? this.bpm : 0,
+      beatPosition: pos,
+      beatIndex,
+      beatPhase,
+      barPhase,
+      beatInBar,
+      barIndex,
+      beatsPerBar: bpb,
+      lock: this.lock,
+      beat,
+      downbeat: beat && beatInBar === 0,
+      source: this.source,
+    };
+  }
+}
@@ -0,0 +1,404 @@
+/**
+ * Beat evaluation - score the engine's beat, downbeat, tempo and drop output
+ * against annotated tracks
+ *
+ * `_detectBeat`, `beatRefractoryMs` and the tempo candidate selection used to
+ * be tuned by ear. evaluateTrack() runs OfflineFeatureExtractor (the
+ * engine's main-thread feature chain; see below for how live beats differ)
+ * over decoded audio and scores what it produces with the usual MIREX
+ * measures:
+ *
+ * - F-measure: estimated beats within ±70 ms of a reference beat, one-to-one
+ *   (maximum matching)
+ * - CMLt / AMLt: Davies et al. continuity. A beat is correct when it lies
+ *   within 17.5% of the reference inter-beat interval of the nearest reference
+ *   beat and its own interval agrees with that one to 17.5%. CMLt counts
+ *   correct beats at the annotated metrical level; AMLt also accepts double
+ *   tempo, half tempo (either phase) and the off-beat. CMLc / AMLc count the
+ *   longest unbroken run instead. Both are over max(#estimated, #reference),
+ *   so extra beats cost as much as missing ones.
+ * - Tempo: Acc1 (within 4% of the reference), Acc2 (also at ×2, ×½, ×3, ×⅓)
+ * - Drops: detected drops within `dropToleranceBeats` of an annotated drop;
+ *   `predictedDrops` scores the DropPredictor's landings the same way
+ *
+ * Three beat streams are scored: `beat` (the merged beat flag the visuals
+ * see, one event per rising edge), `detector` (the beat detector alone) and
+ * `clock` (BeatClock beats, which also give the downbeats). The first
+ * `skipSec` seconds are ignored (mir_eval's convention; the detector needs a
+ * few seconds of flux history).
+ *
+ * The engine runs as it does live: by default OfflineFeatureExtractor runs
+ * the worklet core (src/analysis-processor.js, with the harmonic/percussive
+ * split), so `detector` is the worklet's hop beats on the percussive flux.
+ * `pipeline: 'main'` scores the main-thread fallback's detectBeat() instead.
+ * Both, and DeckAnalyzer, make the decision with feature-core's
+ * beatDecision().
+ *
+ * Annotations are either text (one beat time per line, optionally followed
+ * by the beat's position in the bar, 1 = downbeat, or the word `drop`) or
+ * JAMS (`beat`, `beat_position`, `tempo` namespaces; segment or tag
+ * annotations whose value contains "drop").
+ *
+ * @example
+ * const reference = parseBeatAnnotations(fs.readFileSync('track.beats', 'utf8'));
+ * const report = evaluateTrack(mono, 44100, reference, { config: { beatRefractoryMs: 300 } });
+ * report.beat.fMeasure;  // 0.91
+ * report.tempo.acc2;     // true
+ */
+
+import { OfflineFeatureExtractor } from './offline-features.js';
+
+export const F_MEASURE_WINDOW_SEC = 0.07;
+export const CONTINUITY_THRESHOLD = 0.175;
+export const TEMPO_TOLERANCE = 0.04;
+export const DEFAULT_SKIP_SEC = 5;
+
+// Metrics averaged by summarizeReports(), as [group, key]
+export const SUMMARY_METRICS = [
+  ['beat', 'fMeasure'], ['beat', 'cmlt'], ['beat', 'amlt'],
+  ['detector', 'fMeasure'], ['detector', 'cmlt'], ['detector', 'amlt'],
+  ['clock', 'fMeasure'], ['clock', 'cmlt'], ['clock', 'amlt'],
+  ['downbeat', 'fMeasure'],
+  ['tempo', 'acc1'], ['tempo', 'acc2'],
+  ['drops', 'precision'], ['drops', 'recall'],
+  ['predictedDrops', 'precision'], ['predictedDrops', 'recall'],
+];
+
+const sorted = (times) => times.filter(Number.isFinite).sort((a, b) => a - b);
+
+/**
+ * Parse beat annotations (text or JAMS).
+ * @param {string} text
+ * @returns {{beats:number[], downbeats:number[], drops:number[], tempo:number|null}} seconds / BPM
+ */
+export function parseBeatAnnotations(text) {
+  const body = String(text || '').trim();
+  if (body.startsWith('{')) return parseJams(JSON.parse(body));
+  const beats = [];
+  const downbeats = [];
+  const drops = [];
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const [first, second] = trimmed.split(/[\s,;]+/);
+    const t = Number(first);
+    if (!Number.isFinite(t)) continue;
+    if (second && /drop/i.test(second)) { drops.push(t); continue; }
+    beats.push(t);
+    if (second !== undefined && Number(second) === 1) downbeats.push(t);
+  }
+  return { beats: sorted(beats), downbeats: sorted(downbeats), drops: sorted(drops), tempo: null };
+}
+
+// JAMS data is a list of observations, or a dict of columns in older files
+function jamsObservations(data) {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.time)) {
+    return data.time.map((time, i) => ({ time, value: data.value?.[i] }));
+  }
+  return [];
+}
+
+function parseJams(jams) {
+  const beats = [];
+  const downbeats = [];
+  const drops = [];
+  let tempo = null;
+  for (const ann of jams.annotations || []) {
+    const ns = String(ann.namespace || '');
+    const obs = jamsObservations(ann.data);
+    if (ns === 'beat') {
+      for (const o of obs) {
+        beats.push(Number(o.time));
+        if (Number(o.value) === 1) downbeats.push(Number(o.time));
+      }
+    } else if (ns === 'beat_position') {
+      for (const o of obs) {
+        beats.push(Number(o.time));
+        if (Number(o.value?.position) === 1) downbeats.push(Number(o.time));
+      }
+    } else if (ns === 'tempo') {
+      // Highest-confidence tempo wins
+      let best = -Infinity;
+      for (const o of obs) {
+        const conf = Number.isFinite(o.confidence) ? o.confidence : 0;
+        if (Number(o.value) > 0 && conf > best) { best = conf; tempo = Number(o.value); }
+      }
+    } else if (ns.startsWith('segment') || ns.startsWith('tag')) {
+      for (const o of obs) if (/drop/i.test(String(o.value ?? ''))) drops.push(Number(o.time));
+    }
+  }
+  // Several beat annotations (e.g. two annotators) would double every beat: keep unique times
+  const unique = (times) => sorted(times).filter((t, i, arr) => i === 0 || t - arr[i - 1] > 1e-3);
+  return { beats: unique(beats), downbeats: unique(downbeats), drops: unique(drops), tempo };
+}
+
+/**
+ * Beat F-measure with one-to-one matching inside ±window. Pairs come from a
+ * maximum bipartite matching (as mir_eval does), so a greedy pick can't cost
+ * a match: estimated [0.95, 1.04] against reference [1.0, 1.06] matches both.
+ * @param {number[]} estimated - Sorted seconds
+ * @param {number[]} reference - Sorted seconds
+ * @param {number} [window=F_MEASURE_WINDOW_SEC]
+ * @returns {{fMeasure:number, precision:number, recall:number, matched:number}}
+ */
+export function beatFMeasure(estimated, reference, window = F_MEASURE_WINDOW_SEC) {
+  if (!estimated.length || !reference.length) return { fMeasure: 0, precision: 0, recall: 0, matched: 0 };
+  const matched = maxBeatMatching(estimated, reference, window);
+  const precision = matched / estimated.length;
+  const recall = matched / reference.length;
+  const fMeasure = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { fMeasure, precision, recall, matched };
+}
+
+// Size of a maximum matching between reference and estimated beats at most
+// `window` apart (Kuhn's augmenting paths; each beat only sees its neighbours)
+function maxBeatMatching(estimated, reference, window) {
+  const candidates = [];
+  let lo = 0;
+  for (const r of reference) {
+    while (lo < estimated.length && estimated[lo] < r - window) lo++;
+    const near = [];
+    for (let j = lo; j < estimated.length && estimated[j] <= r + window; j++) near.push(j);
+    candidates.push(near);
+  }
+  const owner = new Int32Array(estimated.length).fill(-1);
+  const augment = (i, seen) => {
+    for (const j of candidates[i]) {
+      if (seen[j]) continue;
+      seen[j] = 1;
+      if (owner[j] < 0 || augment(owner[j], seen)) {
+        owner[j] = i;
+        return true;
+      }
+    }
+    return false;
+  };
+  let matched = 0;
+  for (let i = 0; i < reference.length; i++) {
+    if (candidates[i].length && augment(i, new Uint8Array(estimated.length))) matched++;
+  }
+  return matched;
+}
+
+// Correct beats of `estimated` against one metrical interpretation of the reference
+function continuityAgainst(estimated, reference, threshold) {
+  const n = Math.max(estimated.length, reference.length);
+  if (estimated.length < 2 || reference.length < 2) return { continuous: 0, total: 0 };
+  let longest = 0;
+  let run = 0;
+  let correct = 0;
+  let j = 0;
+  for (let i = 0; i < estimated.length; i++) {
+    const e = estimated[i];
+    while (j + 1 < reference.length && Math.abs(reference[j + 1] - e) <= Math.abs(reference[j] - e)) j++;
+    const refInterval = j > 0 ? reference[j] - reference[j - 1] : reference[1] - reference[0];
+    const estInterval = i > 0 ? e - estimated[i - 1] : estimated[1] - estimated[0];
+    const ok = Math.abs(e - reference[j]) <= threshold * refInterval &&
+      Math.abs(estInterval - refInterval) <= threshold * refInterval;
+    if (ok) {
+      correct++;
+      run++;
+      if (run > longest) longest = run;
+    } else {
+      run = 0;
+    }
+  }
+  return { continuous: longest / n, total: correct / n };
+}
+
+/**
+ * Continuity measures (CMLc, CMLt, AMLc, AMLt).
+ * @param {number[]} estimated - Sorted seconds
+ * @param {number[]} reference - Sorted seconds
+ * @param {number} [threshold=CONTINUITY_THRESHOLD]
+ * @returns {{cmlc:number, cmlt:number, amlc:number, amlt:number}}
+ */
+export function beatContinuity(estimated, reference, threshold = CONTINUITY_THRESHOLD) {
+  const mids = [];
+  for (let i = 1; i < reference.length; i++) mids.push((reference[i - 1] + reference[i]) / 2);
+  const double = sorted([...reference, ...mids]);
+  const variations = [
+    reference,
+    double,
+    mids,                                       // off-beat
+    reference.filter((_, i) => i % 2 === 0),    // half tempo, odd beats
+    reference.filter((_, i) => i % 2 === 1),    // half tempo, even beats
+  ];
+  const scores = variations.map(v => continuityAgainst(estimated, v, threshold));
+  return {
+    cmlc: scores[0].continuous,
+    cmlt: scores[0].total,
+    amlc: Math.max(...scores.map(s => s.continuous)),
+    amlt: Math.max(...scores.map(s => s.total)),
+  };
+}
+
+/**
+ * Reference tempo from the median inter-beat interval.
+ * @param {number[]} beats - Sorted seconds
+ * @returns {number|null} BPM
+ */
+export function tempoFromBeats(beats) {
+  const intervals = [];
+  for (let i = 1; i < beats.length; i++) if (beats[i] > beats[i - 1]) intervals.push(beats[i] - beats[i - 1]);
+  if (!intervals.length) return null;
+  intervals.sort((a, b) => a - b);
+  return 60 / intervals[intervals.length >> 1];
+}
+
+/**
+ * Tempo accuracy.
+ * @param {number} estimatedBpm
+ * @param {number} referenceBpm
+ * @param {number} [tolerance=TEMPO_TOLERANCE]
+ * @returns {{estimated:number, reference:number, errorPct:number|null, acc1:boolean, acc2:boolean}}
+ */
+export function tempoAccuracy(estimatedBpm, referenceBpm, tolerance = TEMPO_TOLERANCE) {
+  if (!(estimatedBpm > 0) || !(referenceBpm > 0)) {
+    return { estimated: estimatedBpm || 0, reference: referenceBpm || 0, errorPct: null, acc1: false, acc2: false };
+  }
+  const within = (factor) => Math.abs(estimatedBpm - referenceBpm * factor) <= tolerance * referenceBpm * factor;
+  return {
+    estimated: estimatedBpm,
+    reference: referenceBpm,
+    errorPct: ((estimatedBpm - referenceBpm) / referenceBpm) * 100,
+    acc1: within(1),
+    acc2: [1, 2, 0.5, 3, 1 / 3].some(within),
+  };
+}
+
+/**
+ * Match detected drops to annotated ones.
+ * @param {number[]} estimated - Sorted seconds
+ * @param {number[]} reference - Sorted seconds
+ * @param {number} toleranceSec
+ * @returns {{reference:number, detected:number, hits:number, misses:number, falseAlarms:number, precision:number|null, recall:number|null, meanOffsetSec:number|null}}
+ */
+export function dropHits(estimated, reference, toleranceSec) {
+  const used = new Set();
+  const offsets = [];
+  for (const r of reference) {
+    let best = -1;
+    for (let i = 0; i < estimated.length; i++) {
+      if (used.has(i) || Math.abs(estimated[i] - r) > toleranceSec) continue;
+      if (best < 0 || Math.abs(estimated[i] - r) < Math.abs(estimated[best] - r)) best = i;
+    }
+    if (best >= 0) {
+      used.add(best);
+      offsets.push(estimated[best] - r);
+    }
+  }
+  const hits = offsets.length;
+  return {
+    reference: reference.length,
+    detected: estimated.length,
+    hits,
+    misses: reference.length - hits,
+    falseAlarms: estimated.length - hits,
+    precision: estimated.length ? hits / estimated.length : null,
+    recall: reference.length ? hits / reference.length : null,
+    meanOffsetSec: hits ? offsets.reduce((a, b) => a + b, 0) / hits : null,
+  };
+}
+
+/**
+ * Run the engine's offline pipeline and collect beat / downbeat / drop times and the tempo.
+ * @param {Float32Array} mono
+ * @param {number} sampleRate
+ * @param {Object} [options] - fps, fftSize, frontEnd, pipeline, config (OfflineFeatureExtractor options)
+ * @returns {{beat:number[], detector:number[], clock:number[], downbeats:number[], drops:number[], predictedDrops:number[], bpmTrack:Array<[number,number]>, durationSec:number}}
+ */
+export function collectEngineEvents(mono, sampleRate, { fps = 60, fftSize = 2048, frontEnd = 'multires', pipeline = 'worklet', config = {} } = {}) {
+  const extractor = new OfflineFeatureExtractor({ sampleRate, fftSize, frameRate: fps, frontEnd, pipeline, config: { dropEnabled: true, ...config } });
+  const st = extractor.state;
+  const out = { beat: [], detector: [], clock: [], downbeats: [], drops: [], predictedDrops: [], bpmTrack: [], durationSec: mono.length / sampleRate };
+  let prevBeat = false;
+  let lastDetectorMs = st._lastBeatMs;
+  for (const { t, features } of extractor.frames(mono)) {
+    if (features.beat && !prevBeat) out.beat.push(t);
+    prevBeat = !!features.beat;
+    // The detector stamps _lastBeatMs when it fires
+    if (st._lastBeatMs !== lastDetectorMs) {
+      lastDetectorMs = st._lastBeatMs;
+      out.detector.push(st._lastBeatMs / 1000);
+    }
+    const c = features.clock;
+    if (c && c.beat && c.bpm > 0) {
+      // The clock crossed a beat during this frame: back-date to the crossing
+      const at = t - (c.beatPhase * 60) / c.bpm;
+      out.clock.push(at);
+      if (c.downbeat) out.downbeats.push(at);
+    }
+    if (features.drop) out.drops.push(t);
+    if (features.dropPrediction?.landed) out.predictedDrops.push(t);
+    if (features.bpm > 0) out.bpmTrack.push([t, features.bpm]);
+  }
+  return out;
+}
+
+const scoreStream = (estimated, reference) => ({
+  ...beatFMeasure(estimated, reference),
+  ...beatContinuity(estimated, reference),
+  count: estimated.length,
+});
+
+/**
+ * Score the engine on one annotated track.
+ * @param {Float32Array} mono
+ * @param {number} sampleRate
+ * @param {{beats:number[], downbeats?:number[], drops?:number[], tempo?:number|null}} reference - parseBeatAnnotations()
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Engine settings (createFeatureState overrides)
+ * @param {number} [options.fps=60]
+ * @param {number} [options.fftSize=2048]
+ * @param {string} [options.frontEnd='multires']
+ * @param {'worklet'|'main'} [options.pipeline='worklet'] - Feature pipeline (see OfflineFeatureExtractor)
+ * @param {number} [options.skipSec=DEFAULT_SKIP_SEC] - Ignore beats before this time
+ * @param {number} [options.dropToleranceBeats=2] - Drop hit window (± beats at the reference tempo)
+ * @returns {Object} Report: { durationSec, reference, beat, detector, clock, downbeat, tempo, drops, predictedDrops }
+ */
+export function evaluateTrack(mono, sampleRate, reference, { config = {}, fps = 60, fftSize = 2048, frontEnd = 'multires', pipeline = 'worklet', skipSec = DEFAULT_SKIP_SEC, dropToleranceBeats = 2 } = {}) {
+  const events = collectEngineEvents(mono, sampleRate, { fps, fftSize, frontEnd, pipeline, config });
+  const after = (times) => sorted(times).filter(t => t >= skipSec);
+  const refBeats = after(reference.beats || []);
+  const refDownbeats = after(reference.downbeats || []);
+  const refTempo = reference.tempo > 0 ? reference.tempo : tempoFromBeats(sorted(reference.beats || []));
+
+  // Engine tempo: median of the reported BPM after the skip (it settles over the first bars)
+  const bpms = events.bpmTrack.filter(([t]) => t >= skipSec).map(([, bpm]) => bpm).sort((a, b) => a - b);
+  const estTempo = bpms.length ? bpms[bpms.length >> 1] : 0;
+
+  const beatSec = refTempo > 0 ? 60 / refTempo : 0.5;
+  return {
+    durationSec: events.durationSec,
+    reference: { beats: refBeats.length, downbeats: refDownbeats.length, drops: (reference.drops || []).length, tempo: refTempo },
+    beat: scoreStream(after(events.beat), refBeats),
+    detector: scoreStream(after(events.detector), refBeats),
+    clock: scoreStream(after(events.clock), refBeats),
+    downbeat: refDownbeats.length
+      ? { ...beatFMeasure(after(events.downbeats), refDownbeats), count: after(events.downbeats).length }
+      : null,
+    tempo: tempoAccuracy(estTempo, refTempo),
+    drops: dropHits(sorted(events.drops), sorted(reference.drops || []), dropToleranceBeats * beatSec),
+    predictedDrops: dropHits(sorted(events.predictedDrops), sorted(reference.drops || []), dropToleranceBeats * beatSec),
+  };
+}
+
+/**
+ * Mean of each SUMMARY_METRICS entry over several reports (booleans count as 0/1;
+ * tracks without the metric, e.g. no annotated drops, are left out).
+ * @param {Object[]} reports - evaluateTrack() results
+ * @returns {Object<string, number|null>} Keyed 'group.metric', e.g. 'beat.fMeasure'
+ */
+export function summarizeReports(reports) {
+  const summary = {};
+  for (const [group, key] of SUMMARY_METRICS) {
+    const values = reports
+      .map(r => r[group]?.[key])
+      .filter(v => v !== null && v !== undefined)
+      .map(Number);
+    summary[`${group}.${key}`] = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  }
+  return summary;
+}
@@ -0,0 +1,338 @@
+/**
+ * DeckAnalyzer - Independent analysis chain for one DJ deck
+ *
+ * The main AudioEngine analyses whatever is connected as its single source
+ * (usually the summed master). For dual-deck setups each deck gets one of
+ * these instead: its own source → gain → analyser chain on the shared
+ * AudioContext, with its own band envelopes/AGC, flux-based beat detector and
+ * an inter-beat-interval tempo estimate.
+ *
+ * blendDeckFeatures() combines two deck frames as a crossfader-weighted mean
+ * so visuals can follow the incoming track through a transition.
+ *
+ * @example
+ * const deck = new DeckAnalyzer(ctx, 'a', { bandSplit: engine.bandSplit });
+ * await deck.startDevice(deviceId);
+ * const frame = deck.update(performance.now());
+ */
+
+import { beatDecision } from './feature-core.js';
+
+const BEAT_HISTORY = 16;      // beat timestamps kept for tempo
+const FLUX_HISTORY = 43;      // ~0.5s of analyser pulls, same as AudioEngine.fluxWindow
+
+export class DeckAnalyzer {
+  /**
+   * @param {AudioContext} ctx - Shared AudioContext from AudioEngine
+   * @param {string} id - Deck identifier ('a' | 'b')
+   * @param {Object} [options]
+   * @param {number} [options.fftSize=2048]
+   * @param {{sub:number, low:number, mid:number}} [options.bandSplit] - Band edges in Hz (shared with AudioEngine)
+   */
+  constructor(ctx, id, options = {}) {
+    this.ctx = ctx;
+    this.id = id;
+    this.fftSize = options.fftSize || 2048;
+    this.bandSplit = options.bandSplit || { sub: 90, low: 180, mid: 2500 };
+    this.envAttack = 0.7;
+    this.envRelease = 0.12;
+    this.agcDecay = 0.995;
+    this.sensitivity = 1.0;
+    this.beatRefractoryMs = 300;
+    this.beatEnergyFloor = 0.2;
+
+    this.kind = null;        // 'device' | 'file' | 'stream'
+    this.label = '';
+    this.source = null;
+    this.stream = null;
+    this.gainNode = null;
+    this.analyser = null;
+    this.monitorGain = null; // files are audible; live inputs are not re-monitored
+    this.freqData = null;
+    this.timeData = null;
+
+    this.bandEnv = { sub: 0, bass: 0, mid: 0, treble: 0 };
+    this.bandPeak = { sub: 0.2, bass: 0.2, mid: 0.2, treble: 0.2 };
+    this._prevMag = null;
+    this._fluxHistory = [];
+    this._lastBeatMs = -99999;
+    this._beatTimes = [];
+    this.bpm = 0;
+    this.bpmConfidence = 0;
+  }
+
+  get active() {
+    return !!this.source;
+  }
+
+  /**
+   * Capture an input device (e.g. a Rekordbox deck output or a second interface channel).
+   * @param {string} [deviceId]
+   */
+  async startDevice(deviceId, label = '') {
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+      throw new Error('getUserMedia unavailable');
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+    this.startStream(stream, 'device', label);
+    return stream;
+  }
+
+  /**
+   * Attach an already-acquired MediaStream.
+   */
+  startStream(stream, kind = 'stream', label = '') {
+    this.stop();
+    this._ensureNodes();
+    const src = this.ctx.createMediaStreamSource(stream);
+    src.connect(this.gainNode);
+    this.source = src;
+    this.stream = stream;
+    this.kind = kind;
+    this.label = label || stream.getAudioTracks?.()[0]?.label || kind;
+  }
+
+  /**
+   * Decode and loop a file on this deck. Unlike live inputs, files are routed to the speakers.
+   * @param {File|Blob} file
+   */
+  async startFile(file) {
+    const arrayBuf = await file.arrayBuffer();
+    const audioBuf = await this.ctx.decodeAudioData(arrayBuf);
+    this.stop();
+    this._ensureNodes();
+    const src = this.ctx.createBufferSource();
+    src.buffer = audioBuf;
+    src.loop = true;
+    src.connect(this.gainNode);
+    this.monitorGain = this.ctx.createGain();
+    this.gainNode.connect(this.monitorGain);
+    this.monitorGain.connect(this.ctx.destination);
+    src.start(0);
+    this.source = src;
+    this.kind = 'file';
+    this.label = file.name || 'file';
+  }
+
+  _ensureNodes() {
+    if (this.analyser) return;
+    this.gainNode = this.ctx.createGain();
+    this.analyser = this.ctx.createAnalyser();
+    this.analyser.fftSize = this.fftSize;
+    this.analyser.smoothingTimeConstant = 0.5;
+    this.gainNode.connect(this.analyser);
+    this.freqData = new Uint8Array(this.analyser.frequencyBinCount);
+    this.timeData = new Uint8Array(this.analyser.fftSize);
+  }
+
+  setGain(v) { if (this.gainNode) this.gainNode.gain.value = v; }
+
+  /**
+   * Stop the deck's source and release its stream; analyser nodes are kept for reuse.
+   */
+  stop() {
+    try { if (this.source && this.source.stop) this.source.stop(); } catch (_) {}
+    try { if (this.source) this.source.disconnect(); } catch (_) {}
+    if (this.stream) {
+      for (const t of this.stream.getTracks()) {
+        try { t.stop(); } catch (_) {}
+      }
+    }
+    if (this.monitorGain) {
+      try { this.gainNode.disconnect(this.monitorGain); } catch (_) {}
+      try { this.monitorGain.disconnect(); } catch (_) {}
+      this.monitorGain = null;
+    }
+    this.source = null;
+    this.stream = null;
+    this.kind = null;
+    this.label = '';
+    this._prevMag = null;
+    this._fluxHistory = [];
+    this._beatTimes = [];
+    this.bpm = 0;
+    this.bpmConfidence = 0;
+  }
+
+  dispose() {
+    this.stop();
+    try { if (this.gainNode) this.gainNode.disconnect(); } catch (_) {}
+    try { if (this.analyser) this.analyser.disconnect(); } catch (_) {}
+    this.gainNode = null;
+    this.analyser = null;
+    this.freqData = null;
+    this.timeData = null;
+  }
+
+  /**
+   * Pull one analysis frame.
+   * @param {number} nowMs - performance.now()
+   * @returns {Object|null} { id, label, kind, rms, rmsNorm, bands, bandEnv, bandNorm, flux, beat, bpm, bpmConfidence }
+   */
+  update(nowMs) {
+    if (!this.analyser || !this.source) return null;
+    this.analyser.getByteTimeDomainData(this.timeData);
+    this.analyser.getByteFrequencyData(this.freqData);
+
+    let sumSq = 0;
+    const td = this.timeData;
+    for (let i = 0; i < td.length; i++) { const v = (td[i] - 128) / 128; sumSq += v * v; }
+    const rms = Math.sqrt(sumSq / td.length);
+
+    const bands = this._computeBands(this.freqData);
+    const flux = this._computeFlux(this.freqData);
+    const beat = this._detectBeat(flux, nowMs);
+    if (beat) this._updateTempo(nowMs);
+
+    return {
+      id: this.id,
+      label: this.label,
+      kind: this.kind,
+      rms,
+      rmsNorm: Math.min(1, rms * 2.0),
+      bands: { sub: bands.sub, bass: bands.bass, mid: bands.mid, treble: bands.treble },
+      bandEnv: { ...this.bandEnv },
+      bandNorm: bands.norm,
+      flux,
+      beat,
+      bpm: this.bpm,
+      bpmConfidence: this.bpmConfidence,
+    };
+  }
+
+  _computeBands(freqData) {
+    const sr = this.ctx?.sampleRate || 48000;
+    const binHz = sr / 2 / freqData.length;
+    const subHz = Math.max(20, Math.min(this.bandSplit.sub || 90, (this.bandSplit.low || 180) - 5));
+    let sub = 0, bass = 0, mid = 0, treble = 0; let sC = 0, bC = 0, mC = 0, tC = 0;
+    for (let i = 0; i < freqData.length; i++) {
+      const f = i * binHz; const v = freqData[i] / 255;
+      if (f < subHz) { sub += v; sC++; }
+      else if (f < this.bandSplit.low) { bass += v; bC++; }
+      else if (f < this.bandSplit.mid) { mid += v; mC++; }
+      else { treble += v; tC++; }
+    }
+    const raw = {
+      sub: sC ? sub / sC : 0,
+      bass: bC ? bass / bC : 0,
+      mid: mC ? mid / mC : 0,
+      treble: tC ? treble / tC : 0,
+    };
+    const norm = {};
+    for (const key of ['sub', 'bass', 'mid', 'treble']) {
+      this.bandPeak[key] = Math.max(this.bandPeak[key] * this.agcDecay, raw[key]);
+      const n = this.bandPeak[key] > 1e-6 ? Math.min(1, raw[key] / this.bandPeak[key]) : 0;
+      norm[key] = n;
+      const env = this.bandEnv[key];
+      this.bandEnv[key] = n > env ? env + (n - env) * this.envAttack : env + (n - env) * this.envRelease;
+    }
+    return { ...raw, norm };
+  }
+
+  _computeFlux(freqData) {
+    const N = freqData.length;
+    if (!this._prevMag || this._prevMag.length !== N) this._prevMag = new Float32Array(N);
+    let flux = 0;
+    for (let i = 0; i < N; i++) {
+      const mag = freqData[i] / 255;
+      const d = mag - this._prevMag[i];
+      if (d > 0) flux += d;
+      this._prevMag[i] = mag;
+    }
+    this._fluxHistory.push(flux);
+    if (this._fluxHistory.length > FLUX_HISTORY) this._fluxHistory.shift();
+    return flux;
+  }
+
+  // feature-core's beat decision with a fixed refractory period (no tempo passed in)
+  _detectBeat(flux, nowMs) {
+    const hist = this._fluxHistory;
+    if (hist.length < 5) return false;
+    const mean = hist.reduce((a, b) => a + b, 0) / hist.length;
+    const variance = hist.reduce((a, b) => a + (b - mean) * (b - mean), 0) / hist.length;
+    return beatDecision(this, flux, mean, Math.sqrt(variance), hist.length, this.bandEnv.bass, null, nowMs);
+  }
+
+  /**
+   * Median inter-beat interval folded into 80–180 BPM; confidence from IOI spread.
+   */
+  _updateTempo(nowMs) {
+    this._beatTimes.push(nowMs);
+    if (this._beatTimes.length > BEAT_HISTORY) this._beatTimes.shift();
+    if (this._beatTimes.length < 5) return;
+    const iois = [];
+    for (let i = 1; i < this._beatTimes.length; i++) {
+      const d = this._beatTimes[i] - this._beatTimes[i - 1];
+      if (d > 200 && d < 2000) iois.push(d);
+    }
+    if (iois.length < 4) return;
+    iois.sort((a, b) => a - b);
+    const median = iois[iois.length >> 1];
+    let bpm = 60000 / median;
+    while (bpm < 80) bpm *= 2;
+    while (bpm > 180) bpm /= 2;
+    const within = iois.filter((d) => Math.abs(d - median) / median < 0.08).length;
+    const conf = within / iois.length;
+    // Smooth towards the new estimate, faster when confident
+    this.bpm = this.bpm > 0 ? this.bpm + (bpm - this.bpm) * (0.2 + 0.5 * conf) : bpm;
+    this.bpm = Math.round(this.bpm * 10) / 10;
+    this.bpmConfidence = conf;
+  }
+}
+
+/**
+ * Blend two deck frames by crossfader position.
+ *
+ * The weights follow the equal-power curve (cos/sin of the fader position) but are
+ * normalized to sum to 1, so the blend is a weighted mean that keeps 0..1 features in
+ * range: 0.5 each at the center, shifting faster than a linear fader near the ends.
+ * Continuous values are weighted; discrete ones (beat, bpm) follow whichever deck
+ * dominates.
+ *
+ * @param {Object|null} a - Deck A frame from DeckAnalyzer.update()
+ * @param {Object|null} b - Deck B frame
+ * @param {number} crossfader - 0 = full A, 1 = full B
+ * @returns {Object|null} Blended frame with weights { a, b } and dominant deck id
+ */
+export function blendDeckFeatures(a, b, crossfader) {
+  if (!a && !b) return null;
+  const x = Math.max(0, Math.min(1, Number.isFinite(crossfader) ? crossfader : 0.5));
+  let wa = a ? Math.cos(x * Math.PI * 0.5) : 0;
+  let wb = b ? Math.sin(x * Math.PI * 0.5) : 0;
+  const total = wa + wb;
+  if (total <= 1e-6) {
+    // Fader is hard over to a deck that isn't running; fall back to the live one
+    wa = a ? 1 : 0; wb = b ? 1 : 0;
+  } else {
+    wa /= total; wb /= total;
+  }
+  const mix = (key) => (a ? a[key] * wa : 0) + (b ? b[key] * wb : 0);
+  const mixObj = (key) => {
+    const out = {};
+    for (const band of ['sub', 'bass', 'mid', 'treble']) {
+      out[band] = (a ? a[key][band] * wa : 0) + (b ? b[key][band] * wb : 0);
+    }
+    return out;
+  };
+  const dominant = wb > wa ? b : a;
+  return {
+    weights: { a: wa, b: wb },
+    dominant: dominant ? dominant.id : null,
+    rms: mix('rms'),
+    rmsNorm: mix('rmsNorm'),
+    bands: mixObj('bands'),
+    bandEnv: mixObj('bandEnv'),
+    bandNorm: mixObj('bandNorm'),
+    flux: mix('flux'),
+    beat: !!dominant?.beat,
+    bpm: dominant?.bpm || 0,
+    bpmConfidence: dominant?.bpmConfidence || 0,
+  };
+}
@@ -14,6 +14,7 @@ export const DISPERSION_DEFAULTS = Object.freeze({
   warpGain: 0.8,
   warpOnBeat: true,
   warpOnDropBoost: 0.6,
+  preDropWarp: 0.0,
   tintHue: 0.0,
   tintSat: 0.0,
   tintMix: 0.0,
@@ -105,6 +106,7 @@ export const DISPERSION_PARAM_SCHEMA = [
   { key: 'warpGain', label: 'Warp Gain', section: 'warp', type: 'range', min: 0.0, max: 3.0, step: 0.02, fineStep: 0.005, default: DISPERSION_DEFAULTS.warpGain, macro: 'warpDrive', keywords: ['warp', 'drive', 'gain'], nudgeHotkeys: { dec: '[', inc: ']' } },
   { key: 'warpOnBeat', label: 'Pulse on Beat', section: 'warp', type: 'boolean', default: DISPERSION_DEFAULTS.warpOnBeat, macro: 'warpDrive', keywords: ['warp', 'beat'] },
   { key: 'warpOnDropBoost', label: 'Drop Boost', section: 'warp', type: 'range', min: 0.0, max: 2.0, step: 0.02, fineStep: 0.005, default: DISPERSION_DEFAULTS.warpOnDropBoost, macro: 'warpDrive', keywords: ['warp', 'drop'] },
+  { key: 'preDropWarp', label: 'Pre-Drop Ramp', section: 'warp', type: 'range', min: 0.0, max: 1.5, step: 0.02, fineStep: 0.005, default: DISPERSION_DEFAULTS.preDropWarp, keywords: ['warp', 'drop', 'build', 'predict', 'countdown'] },
   { key: 'parallaxCentroidGain', label: 'Centroid Gain', section: 'parallax', type: 'range', min: 0.0, max: 0.3, step: 0.002, fineStep: 0.0005, default: DISPERSION_DEFAULTS.parallaxCentroidGain, macro: 'parallax', keywords: ['parallax', 'centroid'] },
   { key: 'parallaxFluxGain', label: 'Flux Gain', section: 'parallax', type: 'range', min: 0.0, max: 0.2, step: 0.002, fineStep: 0.0005, default: DISPERSION_DEFAULTS.parallaxFluxGain, macro: 'parallax', keywords: ['parallax', 'flux'] },
   { key: 'parallaxLerp', label: 'Smooth Lerp', section: 'parallax', type: 'range', min: 0.01, max: 0.6, step: 0.01, fineStep: 0.002, default: DISPERSION_DEFAULTS.parallaxLerp, keywords: ['parallax', 'smooth'] },
@@ -382,6 +384,7 @@ export const DISPERSION_STYLES = [
       tintMixMax: 0.95,
       warpGain: 1.6,
       warpOnDropBoost: 1.2,
+      preDropWarp: 0.6,
       twistMax: 1.3,
       contrastGain: 0.55,
     },
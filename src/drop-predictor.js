@@ -0,0 +1,292 @@
+/**
+ * DropPredictor - countdown to the next drop while a build is running
+ *
+ * updateDropBuild() flags a drop after the fact, once the centroid falls and
+ * the bass is back. By then an effect triggered on it is a frame or two late.
+ * Builds are predictable, though: they run over whole phrases (4, 8, 16 bars),
+ * and their cues get stronger towards the end. This predictor collects the
+ * cues once per beat of the beat clock:
+ *
+ * - riser:    the spectral centroid climbing (in octaves) over the last two bars
+ * - noise:    spectral flatness rising (white-noise sweeps; Meyda, when running)
+ * - roll:     onsets per beat against the groove's own rate (a snare roll
+ *             doubling 1 → 2 → 4 → 8 per beat). Onsets are flux peaks, not
+ *             OnsetClassifier hits: its adaptive z-scores go quiet in a roll.
+ * - energy:   buildLevel (positive flux z-score from updateDropBuild)
+ * - bassDrop: raw bass level well under its running level (kick taken out)
+ *
+ * Phrases are counted on a grid of PHRASE_GRID bars from the clock's
+ * downbeats, anchored on the last drop (bar 0 until one is seen). When the
+ * weighted cues stay above `startScore`, the build is placed on the grid line
+ * nearest to where the cues began, and the drop is expected on the downbeat
+ * that closes the most common phrase length (8, then 16, 4, 32 bars) still
+ * ahead of the current bar. A dense roll (8 per beat) or a bass dropout pulls
+ * the target in to the next even bar of the build. When the target passes
+ * without a drop and the build goes on, the next phrase is tried with lower
+ * probability.
+ *
+ * Inside a build the bar position runs on from the clock's at the tempo the
+ * build started at (a roll's dense onsets drag the tracker faster), and a
+ * clock locked to double time is counted in bars of the folded tempo.
+ *
+ * `landed` is true on the frame the bar position crosses the predicted
+ * downbeat while the prediction is armed (probability ≥ armThreshold), once
+ * per build: quantised pads and presets can fire on it and land exactly on the
+ * downbeat.
+ *
+ * @example
+ * const predictor = new DropPredictor({ beatsPerBar: 4 });
+ * // per frame:
+ * const p = predictor.update({ nowMs, clock, buildLevel, flux, centroidHz, flatness, bass, drop });
+ * if (p.active) console.log(`drop in ${p.etaBars.toFixed(1)} bars (${Math.round(p.probability * 100)}%)`);
+ */
+
+const PHRASE_BARS = [4, 8, 16, 32];
+// How often builds run that long (8 and 16 bars are the norm, 4 is short)
+const PHRASE_PRIOR = { 4: 0.6, 8: 1, 16: 0.9, 32: 0.7 };
+const PHRASE_GRID = 4;            // builds start on a 4-bar line counted from the last drop
+const HISTORY_BEATS = 32;
+const CUE_WEIGHTS = { riser: 0.3, roll: 0.3, noise: 0.15, energy: 0.15, bassDrop: 0.1 };
+
+const clamp01 = (v) => (v > 1 ? 1 : (v > 0 ? v : 0));
+
+function slope(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+  const mx = (n - 1) / 2;
+  const my = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (i - mx) * (values[i] - my);
+    den += (i - mx) * (i - mx);
+  }
+  return den > 0 ? num / den : 0;
+}
+
+export class DropPredictor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.beatsPerBar=4]
+   * @param {number} [options.armThreshold=0.5] - Probability at which the prediction is armed
+   * @param {number} [options.startScore=0.35] - Cue score that starts a build (two beats in a row)
+   * @param {number} [options.cancelScore=0.15] - Cue score under which a build is dropped (four beats in a row)
+   */
+  constructor({ beatsPerBar = 4, armThreshold = 0.5, startScore = 0.35, cancelScore = 0.15 } = {}) {
+    this.beatsPerBar = beatsPerBar;
+    this.armThreshold = armThreshold;
+    this.startScore = startScore;
+    this.cancelScore = cancelScore;
+    this.reset();
+  }
+
+  reset() {
+    this._beats = [];            // per-beat cue records, oldest first
+    this._acc = this._emptyAccumulator();
+    this._lastBeatIndex = null;
+    this._lastBarPos = null;
+    this._bassLevel = 0;         // running raw bass level on beats
+    this._onsetRate = 0;         // running onsets per beat outside builds
+    this._flux = [0, 0];         // previous two flux values, for peak picking
+    this._fluxMean = 0;
+    this._score = 0;
+    this._aboveBeats = 0;
+    this._belowBeats = 0;
+    this._riseBar = null;        // bar where the score last left the cancel zone
+    this._phraseOrigin = 0;      // bar of the last drop: the phrase grid is counted from here
+    this._build = null;          // { startBar, phraseBars, targetBar, misses, pulled, landed, anchorBar, anchorMs, bpm }
+    this._cues = { riser: 0, noise: 0, roll: 0, energy: 0, bassDrop: 0 };
+    this._lastDropMs = -Infinity;
+  }
+
+  setBeatsPerBar(n) { this.beatsPerBar = Math.max(1, Math.floor(n || 4)); }
+
+  _emptyAccumulator() {
+    return { frames: 0, centroid: 0, flatness: 0, flatFrames: 0, onsets: 0, bass: 0, buildLevel: 0 };
+  }
+
+  /**
+   * @param {Object} frame
+   * @param {number} frame.nowMs
+   * @param {Object|null} frame.clock - BeatClock.update() result
+   * @param {number} [frame.buildLevel=0]
+   * @param {number} [frame.flux=0] - Broadband spectral flux
+   * @param {number} [frame.centroidHz=0]
+   * @param {number|null} [frame.flatness] - Spectral flatness 0..1, null when unavailable
+   * @param {number} [frame.bass=0] - Raw bass band level (before AGC)
+   * @param {boolean} [frame.drop=false] - Drop flagged by updateDropBuild this frame
+   * @returns {{active:boolean, armed:boolean, landed:boolean, probability:number, etaBeats:number|null, etaBars:number|null, etaMs:number|null, buildBars:number, phraseBars:number, cues:Object}}
+   */
+  update({ nowMs, clock, buildLevel = 0, flux = 0, centroidHz = 0, flatness = null, bass = 0, drop = false }) {
+    const acc = this._acc;
+    acc.frames++;
+    acc.centroid += Math.log2(Math.max(20, Number.isFinite(centroidHz) ? centroidHz : 0));
+    if (Number.isFinite(flatness)) { acc.flatness += flatness; acc.flatFrames++; }
+    acc.bass += Number.isFinite(bass) ? bass : 0;
+    // Onset = local flux maximum above the running mean (one frame late)
+    const f = Number.isFinite(flux) ? flux : 0;
+    const [f1, f2] = this._flux;
+    if (f1 > f2 && f1 >= f && f1 > this._fluxMean * 1.2) acc.onsets++;
+    this._flux = [f, f1];
+    this._fluxMean = this._fluxMean * 0.98 + f * 0.02;
+    acc.buildLevel += Number.isFinite(buildLevel) ? buildLevel : 0;
+    if (drop) this._lastDropMs = nowMs;
+
+    const running = clock && clock.bpm > 0 && Number.isFinite(clock.beatPosition);
+    if (!running) {
+      this._build = null;
+      this._lastBarPos = null;
+      return this._result(false, null);
+    }
+    // Phrases are counted in bars at the tempo folded under 180 BPM: a tracker
+    // locked to double time (8ths) would otherwise halve every phrase
+    const fold = clock.bpm > 180 ? 2 : 1;
+    const clockBar = (clock.barIndex + clock.barPhase) / fold;
+    if (drop) this._phraseOrigin = Math.round(clockBar);
+    // Inside a build, bars run at the tempo the build started at: the roll's dense
+    // onsets pull the beat tracker faster and would land the drop early
+    const build = this._build;
+    const barPos = build ? build.anchorBar + (nowMs - build.anchorMs) / ((60000 / build.bpm) * this.beatsPerBar) : clockBar;
+
+    // The predicted downbeat has passed (checked before the beat update moves the target)
+    let landed = false;
+    if (build && this._lastBarPos !== null && this._lastBarPos < build.targetBar && barPos >= build.targetBar) {
+      // One landing per build: pads and presets fired on the first one stay fired
+      landed = !build.landed && this._probability() >= this.armThreshold;
+      if (landed) build.landed = true;
+      const dropNear = nowMs - this._lastDropMs < (60000 / build.bpm) * 2;
+      if (dropNear || this._score < this.cancelScore) {
+        this._build = null;
+      } else {
+        // Still building: try the next phrase
+        build.misses++;
+        build.phraseBars = PHRASE_BARS.find(n => n > build.phraseBars) || build.phraseBars * 2;
+        build.targetBar = build.startBar + build.phraseBars;
+      }
+    }
+    const beatIndex = Math.floor(clock.beatPosition / fold);
+    if (this._lastBeatIndex === null) this._lastBeatIndex = beatIndex;
+    if (beatIndex !== this._lastBeatIndex) {
+      this._lastBeatIndex = beatIndex;
+      this._onBeat(Math.floor(barPos), barPos, nowMs, clock.bpm / fold);
+    }
+    this._lastBarPos = barPos;
+    return this._result(true, barPos, landed);
+  }
+
+  _onBeat(bar, barPos, nowMs, bpm) {
+    const acc = this._acc;
+    const n = Math.max(1, acc.frames);
+    this._beats.push({
+      centroid: acc.centroid / n,
+      flatness: acc.flatFrames ? acc.flatness / acc.flatFrames : null,
+      onsets: acc.onsets,
+      bass: acc.bass / n,
+      buildLevel: acc.buildLevel / n,
+    });
+    if (this._beats.length > HISTORY_BEATS) this._beats.shift();
+    this._acc = this._emptyAccumulator();
+
+    const bpb = this.beatsPerBar;
+    const beats = this._beats;
+    const last = beats[beats.length - 1];
+    const recent = beats.slice(-2 * bpb);
+    const lastBar = beats.slice(-bpb);
+    const mean = (list, key) => list.reduce((a, b) => a + b[key], 0) / list.length;
+
+    // Bar-averaged centroid (kick and snare beats alternate), in octaves:
+    // a quarter octave up on the previous bar is a clear riser
+    const riser = beats.length >= 2 * bpb ? clamp01((mean(lastBar, 'centroid') - mean(beats.slice(-2 * bpb, -bpb), 'centroid')) / 0.25) : 0;
+    const flats = recent.filter(b => b.flatness !== null).map(b => b.flatness);
+    const noise = flats.length >= bpb ? clamp01((slope(flats) * bpb) / 0.05) : null;
+    // Twice the groove's onset rate starts the cue, four times fills it
+    const onsetsPerBeat = mean(lastBar, 'onsets');
+    const roll = this._onsetRate > 0 ? clamp01((Math.log2(Math.max(1e-3, onsetsPerBeat / this._onsetRate)) - 0.5) / 1.5) : 0;
+    const energy = clamp01(last.buildLevel / 1.5);
+    const bassDrop = this._bassLevel > 0.02 ? clamp01((1 - last.bass / this._bassLevel) * 1.5) : 0;
+    // Running levels follow the groove, not the build
+    if (!this._build) {
+      const a = beats.length < bpb ? 0.5 : 0.1;
+      this._bassLevel += (last.bass - this._bassLevel) * a;
+      this._onsetRate += (last.onsets - this._onsetRate) * a;
+    }
+
+    this._cues = { riser, noise: noise ?? 0, roll, energy, bassDrop };
+    let sum = 0;
+    let weights = 0;
+    for (const [key, w] of Object.entries(CUE_WEIGHTS)) {
+      if (key === 'noise' && noise === null) continue; // no Meyda: spread its weight
+      sum += this._cues[key] * w;
+      weights += w;
+    }
+    const score = weights > 0 ? sum / weights : 0;
+    this._score = this._score * 0.5 + score * 0.5;
+
+    if (this._score >= this.startScore) { this._aboveBeats++; this._belowBeats = 0; }
+    else if (this._score < this.cancelScore) { this._belowBeats++; this._aboveBeats = 0; }
+    else { this._aboveBeats = 0; this._belowBeats = 0; }
+    // A quiet beat or two inside a build doesn't restart it; a quiet bar does
+    if (this._belowBeats >= bpb) this._riseBar = null;
+    else if (this._riseBar === null && this._score >= this.cancelScore) this._riseBar = bar;
+
+    if (!this._build && this._aboveBeats >= 2) {
+      // Cues build up gradually: the build began on the phrase line nearest to where they rose
+      const origin = this._phraseOrigin;
+      const rise = Math.max(bar - PHRASE_GRID, this._riseBar ?? bar);
+      const startBar = origin + Math.min(Math.floor((bar - origin) / PHRASE_GRID), Math.round((rise - origin) / PHRASE_GRID)) * PHRASE_GRID;
+      // Most common phrase length whose closing downbeat is still ahead
+      let phraseBars = 0;
+      for (const n of PHRASE_BARS) {
+        if (startBar + n > bar && (!phraseBars || PHRASE_PRIOR[n] > PHRASE_PRIOR[phraseBars])) phraseBars = n;
+      }
+      this._build = { startBar, phraseBars, targetBar: startBar + phraseBars, misses: 0, pulled: false, landed: false, anchorBar: barPos, anchorMs: nowMs, bpm };
+    } else if (this._build && this._belowBeats >= 4) {
+      this._build = null;
+    }
+    const build = this._build;
+    if (build) {
+      // Final-bar cues (a full roll, the kick taken out) put the drop within two
+      // bars: snap the target to the next even bar of the build, once per build
+      if (!build.pulled && (roll >= 0.99 || bassDrop >= 0.6) && build.targetBar > bar + 2) {
+        build.targetBar = bar + 1 + ((bar + 1 - build.startBar) % 2);
+        build.pulled = true;
+      } else if (build.targetBar <= bar) {
+        build.targetBar = bar + 1;
+      }
+    }
+  }
+
+  _probability() {
+    const build = this._build;
+    if (!build) return 0;
+    const elapsed = Math.max(0, (this._lastBarPos ?? build.startBar) - build.startBar);
+    const span = Math.max(1, build.targetBar - build.startBar);
+    const progress = clamp01(elapsed / span);
+    // How build-like the cues are, times how far into the phrase we are
+    // A target pulled in by final-bar cues no longer depends on the phrase length
+    const prior = build.pulled ? 1 : (PHRASE_PRIOR[build.phraseBars] ?? 0.7);
+    return clamp01(this._score / 0.4) * (0.5 + 0.5 * progress) * prior * Math.pow(0.6, build.misses);
+  }
+
+  _result(running, barPos, landed = false) {
+    const build = running ? this._build : null;
+    if (!build) {
+      return { active: false, armed: false, landed, probability: 0, etaBeats: null, etaBars: null, etaMs: null, buildBars: 0, phraseBars: 0, cues: { ...this._cues } };
+    }
+    const etaBars = Math.max(0, build.targetBar - barPos);
+    const etaBeats = etaBars * this.beatsPerBar;
+    const probability = this._probability();
+    return {
+      active: true,
+      armed: probability >= this.armThreshold,
+      landed,
+      probability,
+      etaBeats,
+      etaBars,
+      etaMs: etaBeats * (60000 / build.bpm),
+      buildBars: Math.max(0, barPos - build.startBar),
+      phraseBars: build.targetBar - build.startBar,
+      cues: { ...this._cues },
+    };
+  }
+}
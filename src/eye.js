@@ -25,6 +25,7 @@ const eyeFragmentShader = `
   uniform float uFiberNoiseScale;
   uniform float uLimbus;
   uniform vec2 uGlintPos;
+  uniform vec2 uGaze;
   uniform float uGlintSize;
   uniform float uGlintIntensity;
   uniform float uAlpha;
@@ -77,7 +78,8 @@ const eyeFragmentShader = `
     if (blinkMask <= 0.0001) discard;
 
     float aspectMix = mix(1.0, 0.25, clamp(uPupilAspect, 0.0, 1.0));
-    vec2 slitVec = vec2(p.x, p.y * aspectMix);
+    vec2 gp = p - uGaze;
+    vec2 slitVec = vec2(gp.x, gp.y * aspectMix);
     float pupilRadius = clamp(uPupilRadius, 0.02, 0.98);
     float pupil = smoothstep(pupilRadius, pupilRadius - 0.05, length(slitVec));
 
@@ -151,6 +153,7 @@ export function createEyeLayer() {
     uFiberNoiseScale: { value: 3.0 },
     uLimbus: { value: 0.6 },
     uGlintPos: { value: new THREE.Vector2(0.2, -0.1) },
+    uGaze: { value: new THREE.Vector2(0, 0) },
     uGlintSize: { value: 0.04 },
     uGlintIntensity: { value: 1.0 },
     uAlpha: { value: 1.0 },
@@ -214,6 +217,7 @@ export function updateEyeUniforms(mesh, values = {}) {
     if (typeof values.fiberNoiseScale === 'number') uniforms.uFiberNoiseScale.value = values.fiberNoiseScale;
     if (typeof values.limbus === 'number') uniforms.uLimbus.value = values.limbus;
     if (values.glintPos instanceof THREE.Vector2) uniforms.uGlintPos.value.copy(values.glintPos);
+    if (values.gaze instanceof THREE.Vector2) uniforms.uGaze.value.copy(values.gaze);
     if (typeof values.glintSize === 'number') uniforms.uGlintSize.value = values.glintSize;
     if (typeof values.glintIntensity === 'number') uniforms.uGlintIntensity.value = values.glintIntensity;
     if (typeof values.alpha === 'number') uniforms.uAlpha.value = values.alpha;
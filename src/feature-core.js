@@ -0,0 +1,587 @@
+/**
+ * Feature core - AudioEngine's frame DSP without the WebAudio graph
+ *
+ * Band energies/envelopes, centroid, spectral flux, the adaptive beat
+ * detector, the inter-beat fallback tempo, the tempo-assist grid and the
+ * build/drop detector all work on analyser-style byte spectra and plain
+ * timestamps, so they run the same in the browser and in Node (see
+ * offline-features.js and tools/analyze-features.mjs).
+ *
+ * The functions keep their state on a host object using AudioEngine's own
+ * field names (bandEnv, fluxHistory, dropBassThresh, ...). AudioEngine passes
+ * itself, so settings, presets and live behaviour are unchanged; offline
+ * callers pass createFeatureState(). No function reads the clock: callers
+ * hand in nowMs.
+ *
+ * @example
+ * const state = createFeatureState({ sensitivity: 1.2 });
+ * const bands = computeBands(state, freqData, 48000);
+ * const flux = computeFlux(state, freqData);
+ * const beat = detectBeat(state, flux, bands, 0, nowMs);
+ */
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * Safely convert BPM to interval in milliseconds with validation.
+ *
+ * Prevents division by zero and validates BPM is in reasonable range.
+ * Returns 0 for invalid input rather than NaN/Infinity to prevent propagation.
+ *
+ * @param {number} bpm - Beats per minute value
+ * @returns {number} Interval in milliseconds, or 0 if invalid
+ */
+export function safeBpmToInterval(bpm) {
+  // Validate input is a finite number
+  if (typeof bpm !== 'number' || !isFinite(bpm)) {
+    return 0;
+  }
+
+  // Validate BPM is in reasonable range for music
+  // Slower than 20 BPM is not musically useful
+  // Faster than 500 BPM is beyond human capability
+  if (bpm <= 0 || bpm < 20 || bpm > 500) {
+    return 0;
+  }
+
+  // Safe to divide now
+  return 60000 / bpm;
+}
+
+/**
+ * Fresh feature state with AudioEngine's defaults (tuning and internal state).
+ * @param {Object} [overrides] - Field overrides, e.g. { dropEnabled: true, bandSplit: {...} }
+ * @returns {Object}
+ */
+export function createFeatureState(overrides = {}) {
+  const state = {
+    // Tuning (same defaults as the AudioEngine constructor)
+    sensitivity: 1.0,
+    smoothing: 0.55,
+    bandSplit: { sub: 90, low: 180, mid: 2500 },
+    beatCooldownMs: 350,
+    beatRefractoryMs: 350,
+    beatEnergyFloor: 0.28,
+    noiseGateEnabled: false,
+    noiseGateThreshold: 0.10,
+    hpssEnabled: true,
+    envAttack: 0.7,
+    envRelease: 0.12,
+    bandAGCDecay: 0.995,
+    bandAGCEnabled: true,
+    fluxWindow: 43,
+    bassFluxWindow: 43,
+    tempoAssistEnabled: true,
+    tapQuantizeEnabled: false,
+    dropEnabled: false,
+    dropFluxThresh: 1.4,
+    dropBassThresh: 0.55,
+    dropCentroidSlopeThresh: 0.02,
+    dropMinBeats: 4,
+    dropCooldownMs: 4000,
+    dropBarGatingEnabled: false,
+    dropGateBeatsPerBar: 4,
+    dropUseBassFlux: false,
+    dropPredictionEnabled: true,
+    dropPredictArmThreshold: 0.5,
+    autoDropThresholdsEnabled: false,
+    autoDropCalDurationMs: 25000,
+
+    // Running state
+    prevMag: null,
+    fluxHistory: [],
+    _maxFluxHistoryLength: 512,
+    _prevMagBass: null,
+    bassFluxHistory: [],
+    _maxBassFluxHistoryLength: 512,
+    bandEnv: { sub: 0, bass: 0, mid: 0, treble: 0 },
+    bandPeak: { sub: 0.2, bass: 0.2, mid: 0.2, treble: 0.2 },
+    levels: { rms: 0, rmsEMA: 0, bands: { bass: 0, mid: 0, treble: 0 }, bandsEMA: { bass: 0, mid: 0, treble: 0 }, centroid: 0, centroidEMA: 0 },
+    _lastBeatMs: -99999,
+    _fallbackBeatTimes: [],
+    _fallbackTempoBpm: 0,
+    _fallbackTempoConfidence: 0,
+    _fallbackTempoLastBeatMs: 0,
+    tapBpm: null,
+    tapTempoIntervalMs: 0,
+    tempoIntervalMs: 0,
+    _lastQuantizeMs: 0,
+    _buildBeats: 0,
+    _buildLevel: 0,
+    _centroidPrev: 0,
+    _centroidSlopeEma: 0,
+    _centroidSlopeAlpha: 0.6,
+    _lastDropMs: -99999,
+    _beatIndexForDrop: -1,
+    _autoThrStartMs: 0,
+    _autoThrApplied: false,
+    _autoBassOnBeats: [],
+    _autoCentroidNegOnBeats: [],
+    _autoThrMaxSamples: 200,
+  };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && state[key] && typeof state[key] === 'object') {
+      state[key] = { ...state[key], ...value };
+    } else if (value !== undefined) {
+      state[key] = value;
+    }
+  }
+  return state;
+}
+
+export function computeRMS(timeData) {
+  // timeData 0..255, center ~128
+  let sumSq = 0; const N = timeData.length;
+  for (let i = 0; i < N; i++) { const v = (timeData[i] - 128) / 128; sumSq += v * v; }
+  const rms = Math.sqrt(sumSq / N);
+  return rms; // 0..~1
+}
+
+/**
+ * Sub/bass/mid/treble energy with rolling-peak AGC and attack/release envelopes.
+ * @returns {{sub:number, bass:number, mid:number, treble:number, norm:Object, env:Object}}
+ */
+export function computeBands(state, freqData, sampleRate) {
+  // freqData 0..255, linear bins up to Nyquist
+  const sr = sampleRate; const binHz = sr / 2 / freqData.length; // freq per bin
+  const split = state.bandSplit;
+  let sub = 0, bass = 0, mid = 0, treble = 0; let sC = 0, bC = 0, mC = 0, tC = 0;
+  const subHz = Math.max(20, Math.min(split.sub || 90, (split.low || 180) - 5));
+  for (let i = 0; i < freqData.length; i++) {
+    const f = i * binHz; const v = freqData[i] / 255;
+    if (f < subHz) { sub += v; sC++; }
+    else if (f < split.low) { bass += v; bC++; }
+    else if (f < split.mid) { mid += v; mC++; }
+    else { treble += v; tC++; }
+  }
+  sub = sC ? sub / sC : 0; bass = bC ? bass / bC : 0; mid = mC ? mid / mC : 0; treble = tC ? treble / tC : 0;
+  return applyBandDynamics(state, sub, bass, mid, treble);
+}
+
+/**
+ * AGC and envelopes on raw band values (0..1), for front ends that average
+ * bands themselves (spectral-frontend.js).
+ * @returns {{sub:number, bass:number, mid:number, treble:number, norm:Object, env:Object}}
+ */
+export function applyBandDynamics(state, sub, bass, mid, treble) {
+  // Adaptive gain control (rolling peak) for rave music dynamics
+  const peak = state.bandPeak;
+  const agc = state.bandAGCEnabled;
+  if (agc) {
+    peak.sub = Math.max(peak.sub * state.bandAGCDecay, sub);
+    peak.bass = Math.max(peak.bass * state.bandAGCDecay, bass);
+    peak.mid = Math.max(peak.mid * state.bandAGCDecay, mid);
+    peak.treble = Math.max(peak.treble * state.bandAGCDecay, treble);
+  }
+
+  // Normalize by current peaks to get 0..1 responsiveness across tracks
+  const ns = agc && peak.sub > 1e-6 ? clamp(sub / peak.sub, 0, 1) : clamp(sub, 0, 1);
+  const nb = agc && peak.bass > 1e-6 ? clamp(bass / peak.bass, 0, 1) : clamp(bass, 0, 1);
+  const nm = agc && peak.mid > 1e-6 ? clamp(mid / peak.mid, 0, 1) : clamp(mid, 0, 1);
+  const nt = agc && peak.treble > 1e-6 ? clamp(treble / peak.treble, 0, 1) : clamp(treble, 0, 1);
+
+  // Attack/Release envelope for each band to keep motion musical
+  const attack = state.envAttack; const release = state.envRelease;
+  const stepEnv = (env, val) => (val > env) ? (env + (val - env) * attack) : (env + (val - env) * release);
+  const env = state.bandEnv;
+  env.sub = stepEnv(env.sub, ns);
+  env.bass = stepEnv(env.bass, nb);
+  env.mid = stepEnv(env.mid, nm);
+  env.treble = stepEnv(env.treble, nt);
+
+  return { sub, bass, mid, treble, norm: { sub: ns, bass: nb, mid: nm, treble: nt }, env: { ...env } };
+}
+
+export function computeCentroid(freqData, sampleRate) {
+  // Guard against empty array to prevent division by zero
+  if (!freqData || freqData.length === 0) {
+    return { hz: 0, norm: 0 };
+  }
+  // Guard against invalid sample rate (use default 48000 Hz if invalid)
+  const sr = (sampleRate && sampleRate > 0) ? sampleRate : 48000;
+  const N = freqData.length;
+  const binHz = sr / 2 / N;
+  let num = 0, den = 0;
+  for (let i = 0; i < N; i++) { const mag = freqData[i] / 255; const f = i * binHz; num += f * mag; den += mag; }
+  const centroidHz = den > 0 ? num / den : 0; // 0..Nyquist
+  // Normalize roughly to 0..1 over 0..8000 Hz for music brightness (cap)
+  const norm = Math.min(1, centroidHz / 8000);
+  return { hz: centroidHz, norm };
+}
+
+function trimHistory(state, historyKey, windowKey, maxKey) {
+  const maxLimit = Number.isFinite(state[maxKey])
+    ? Math.max(1, Math.floor(state[maxKey]))
+    : Number.POSITIVE_INFINITY;
+  const desired = Math.max(1, Math.floor(state[windowKey] || 1));
+  const limit = Math.min(desired, maxLimit);
+  if (limit !== state[windowKey]) state[windowKey] = limit;
+  const history = state[historyKey];
+  while (history.length > limit) {
+    history.shift();
+  }
+}
+
+export function trimFluxHistory(state) {
+  trimHistory(state, 'fluxHistory', 'fluxWindow', '_maxFluxHistoryLength');
+}
+
+export function trimBassFluxHistory(state) {
+  trimHistory(state, 'bassFluxHistory', 'bassFluxWindow', '_maxBassFluxHistoryLength');
+}
+
+export function computeFlux(state, freqData) {
+  // Normalize spectrum to 0..1
+  const N = freqData.length; const mag = new Float32Array(N);
+  for (let i = 0; i < N; i++) mag[i] = freqData[i] / 255;
+  let flux = 0;
+  if (state.prevMag) {
+    for (let i = 0; i < N; i++) {
+      const d = mag[i] - state.prevMag[i]; if (d > 0) flux += d;
+    }
+  }
+  state.prevMag = mag;
+  return recordFlux(state, flux);
+}
+
+/** Push a flux value computed elsewhere onto fluxHistory. */
+export function recordFlux(state, flux) {
+  state.fluxHistory.push(flux);
+  trimFluxHistory(state);
+  return flux;
+}
+
+export function computeBassFlux(state, freqData, sampleRate) {
+  const N = freqData.length;
+  // Validate array length to prevent division issues
+  if (N === 0) return 0;
+  const sr = sampleRate || 48000;
+  const binHz = sr / 2 / N;
+  // Prevent division by zero if binHz is 0
+  const cutoffHz = Math.max(40, Math.min(state.bandSplit.low || 180, 600));
+  const cutoffBin = binHz > 0
+    ? Math.max(1, Math.min(N >> 1, Math.floor(cutoffHz / binHz)))
+    : Math.max(1, Math.min(N >> 1, 10)); // Fallback value
+  if (!state._prevMagBass || state._prevMagBass.length !== cutoffBin) {
+    state._prevMagBass = new Float32Array(cutoffBin);
+  }
+  let flux = 0;
+  for (let i = 0; i < cutoffBin; i++) {
+    const mag = (freqData[i] / 255);
+    const diff = mag - state._prevMagBass[i];
+    if (diff > 0) flux += diff;
+    state._prevMagBass[i] = mag;
+  }
+  flux /= cutoffBin;
+  return recordBassFlux(state, flux);
+}
+
+/** Push a bass flux value computed elsewhere onto bassFluxHistory. */
+export function recordBassFlux(state, flux) {
+  state.bassFluxHistory.push(flux);
+  trimBassFluxHistory(state);
+  return flux;
+}
+
+/**
+ * Adaptive flux threshold (mean + k*std over fluxHistory) with a tempo-aware
+ * refractory period and a bass-envelope energy gate. The decision itself is
+ * beatDecision(), which the worklet core and DeckAnalyzer run as well.
+ * @param {Object} state
+ * @param {number} flux - This frame's flux (already pushed to fluxHistory)
+ * @param {{env?:{bass?:number}}} bands
+ * @param {number|null} currentBpm - Best tempo estimate, for the refractory period
+ * @param {number} nowMs
+ * @returns {boolean}
+ */
+export function detectBeat(state, flux, bands, currentBpm, nowMs) {
+  const history = state.fluxHistory;
+  const n = history.length;
+  if (n < 5) return false;
+  const mean = history.reduce((a,b)=>a+b,0) / n;
+  const variance = history.reduce((a,b)=>a+(b-mean)*(b-mean),0) / n;
+  const bassEnv = bands && bands.env ? (bands.env.bass ?? 0) : 0;
+  return beatDecision(state, flux, mean, Math.sqrt(variance), n, bassEnv, currentBpm, nowMs);
+}
+
+/**
+ * The beat decision every detector shares (detectBeat() here, the worklet
+ * core's hop in analysis-processor.js and DeckAnalyzer): flux above
+ * mean + k*std of its window, outside the refractory period and with enough
+ * bass energy. Takes the window's statistics so callers can keep them in a
+ * ring; allocates nothing, so it can run on the audio thread.
+ * @param {Object} state - beatRefractoryMs (else beatCooldownMs), beatEnergyFloor, sensitivity;
+ *   _lastBeatMs is read and stamped on a beat
+ * @param {number} flux - This frame's flux
+ * @param {number} mean - Mean of the flux window
+ * @param {number} std - Standard deviation of the flux window
+ * @param {number} count - Frames in the window; fewer than 5 never fire
+ * @param {number} gateEnv - Bass envelope for the energy gate, 0..1
+ * @param {number|null} currentBpm - Best tempo estimate, for the refractory period
+ * @param {number} nowMs
+ * @returns {boolean}
+ */
+export function beatDecision(state, flux, mean, std, count, gateEnv, currentBpm, nowMs) {
+  if (count < 5) return false;
+
+  // Calculate tempo-aware cooldown to prevent missing beats at fast tempos or double-triggers at slow tempos
+  let refractory = Number.isFinite(state.beatRefractoryMs) && state.beatRefractoryMs > 0 ? state.beatRefractoryMs : state.beatCooldownMs;
+
+  // If we have valid BPM, make cooldown tempo-aware
+  if (currentBpm && Number.isFinite(currentBpm) && currentBpm >= 20 && currentBpm <= 500) {
+    const beatIntervalMs = 60000 / currentBpm;
+    // Cooldown should be 60-65% of beat interval to avoid double-triggers but not miss rapid beats
+    const dynamicRefractory = Math.max(200, Math.min(500, beatIntervalMs * 0.625));
+    refractory = dynamicRefractory;
+  }
+
+  if (nowMs - state._lastBeatMs < refractory) return false;
+  // Energy gate: require sufficient bass envelope to accept any beat.
+  if (gateEnv < (state.beatEnergyFloor ?? 0)) return false;
+  // Adaptive threshold: mean + k*std
+  const threshold = mean + std * (0.8 + 0.8 * state.sensitivity); // sensitivity 0..2
+  if (flux > threshold) { state._lastBeatMs = nowMs; return true; }
+  return false;
+}
+
+/**
+ * Inter-beat-interval tempo used when Aubio's tracker isn't available.
+ * @returns {{bpm:number, confidence:number}|null} New estimate, { bpm: 0, confidence: 0 }
+ *   when beats stopped for 6s, or null when nothing changed
+ */
+export function updateFallbackTempo(state, beat, nowMs) {
+  const times = state._fallbackBeatTimes;
+  let result = null;
+  if (times.length) {
+    const lastBeat = times[times.length - 1];
+    if (nowMs - lastBeat > 6000) {
+      times.length = 0;
+      state._fallbackTempoConfidence = 0;
+      result = { bpm: 0, confidence: 0 };
+    }
+  }
+
+  if (!beat) return result;
+
+  if (times.length) {
+    const lastBeat = times[times.length - 1];
+    if (nowMs - lastBeat < 180) return result;
+  }
+
+  times.push(nowMs);
+  if (times.length > 12) {
+    times.shift();
+  }
+
+  if (times.length < 3) return result;
+
+  const intervals = [];
+  for (let i = 1; i < times.length; i++) {
+    const delta = times[i] - times[i - 1];
+    if (Number.isFinite(delta) && delta > 120 && delta < 2500) {
+      intervals.push(delta);
+    }
+  }
+  if (!intervals.length) return result;
+
+  const sorted = intervals.slice().sort((a, b) => a - b);
+  const trimCount = Math.max(0, Math.floor(sorted.length * 0.15));
+  const trimmed = sorted.slice(trimCount, sorted.length - trimCount);
+  const sample = trimmed.length ? trimmed : sorted;
+  if (!sample.length) return result;
+
+  const avg = sample.reduce((sum, val) => sum + val, 0) / sample.length;
+  if (!Number.isFinite(avg) || avg <= 0) return result;
+
+  const bpm = clamp(60000 / avg, 30, 300);
+  if (!Number.isFinite(bpm)) return result;
+
+  let variance = 0;
+  for (const val of sample) {
+    const diff = val - avg;
+    variance += diff * diff;
+  }
+  variance = variance / sample.length;
+  const std = Math.sqrt(Math.max(variance, 0));
+  const jitter = Math.min(1, (std / avg) * 2);
+  const coverage = Math.min(1, sample.length / 6);
+  const confidence = clamp(coverage * (1 - jitter), 0, 1);
+
+  state._fallbackTempoBpm = bpm;
+  state._fallbackTempoConfidence = confidence;
+  state._fallbackTempoLastBeatMs = nowMs;
+  return { bpm, confidence };
+}
+
+/**
+ * Blend a live tempo reading into the previous estimate, faster when confident.
+ * @param {number|null} prevBpm
+ * @param {number} liveBpm
+ * @param {number} liveConf - 0..1
+ * @returns {{bpm:number, confidence:number}} Rounded to 0.1 BPM
+ */
+export function smoothLiveTempo(prevBpm, liveBpm, liveConf) {
+  const confNorm = clamp(liveConf ?? 0, 0, 1);
+  const prev = (prevBpm && isFinite(prevBpm) && prevBpm > 0) ? prevBpm : liveBpm;
+  const smoothingFactor = confNorm > 0 ? Math.min(0.85, Math.max(0.2, confNorm * 0.75)) : 0.15;
+  const blended = prev + (liveBpm - prev) * smoothingFactor;
+  return { bpm: Math.round(blended * 10) / 10, confidence: Math.max(confNorm, 0.05) };
+}
+
+/**
+ * Tempo-assist / tap-quantize pulse grid. Real detected beats re-align the grid phase.
+ * @returns {{quantBeat:boolean, gridInterval:number}}
+ */
+export function stepTempoGrid(state, nowMs, detectedBeat) {
+  let quantBeat = false;
+  const gridInterval = (state.tapQuantizeEnabled && state.tapTempoIntervalMs > 0)
+    ? state.tapTempoIntervalMs
+    : (state.tempoAssistEnabled && state.tempoIntervalMs > 0 ? state.tempoIntervalMs : 0);
+  if (gridInterval > 0) {
+    if (nowMs - state._lastQuantizeMs >= gridInterval) {
+      const steps = Math.floor((nowMs - state._lastQuantizeMs) / gridInterval);
+      state._lastQuantizeMs += steps * gridInterval;
+      quantBeat = true;
+    }
+  }
+
+  // Align detected onsets to grid by resetting phase on real beat
+  if (detectedBeat && gridInterval > 0) {
+    state._lastQuantizeMs = nowMs;
+    // Reset bar phase so the next quantized beat is treated as downbeat for gating
+    if (state.dropBarGatingEnabled) state._beatIndexForDrop = -1;
+  }
+  return { quantBeat, gridInterval };
+}
+
+export function percentile(values, p) {
+  const arr = (values || []).slice();
+  if (!arr.length) return 0;
+  let sorted = true;
+  for (let i = 1; i < arr.length; i++) {
+    if (arr[i] < arr[i - 1]) { sorted = false; break; }
+  }
+  if (!sorted) arr.sort((a, b) => a - b);
+  // Use proper percentile calculation with interpolation
+  const position = p * (arr.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const weight = position - lower;
+  if (lower === upper || upper >= arr.length) {
+    return arr[lower];
+  }
+  return arr[lower] * (1 - weight) + arr[upper] * weight;
+}
+
+/**
+ * Beat-aware build/drop detector. A build is a run of beats with positive flux
+ * z-scores; a drop needs enough build beats, a falling centroid and heavy bass
+ * (optionally only on a bar downbeat). With autoDropThresholdsEnabled the bass
+ * and centroid thresholds are learned from the first autoDropCalDurationMs.
+ *
+ * @param {Object} state
+ * @param {Object} frame
+ * @param {boolean} frame.beat - Merged beat (detected, grid or onset pulse)
+ * @param {boolean} frame.quantBeat - Tempo-grid pulse
+ * @param {number} frame.flux
+ * @param {number|null} frame.fluxMean - Running flux statistics (worklet); null = no flux z-score
+ * @param {number|null} frame.fluxStd
+ * @param {number} frame.bassFlux
+ * @param {Object} frame.bands - computeBands() result
+ * @param {{norm:number}} frame.centroid
+ * @param {number} frame.nowMs
+ * @param {boolean|null} [frame.nearDownbeat] - File beat-grid downbeat test; null = count beats instead
+ * @returns {{drop:boolean, isBuilding:boolean, buildLevel:number}}
+ */
+export function updateDropBuild(state, { beat, quantBeat, flux, fluxMean, fluxStd, bassFlux, bands, centroid, nowMs, nearDownbeat = null }) {
+  let drop = false;
+  let isBuilding = false;
+  let buildLevel = state._buildLevel;
+  let centroidSlope = state._centroidSlopeEma;
+  if (!state.dropEnabled) return { drop, isBuilding, buildLevel };
+
+  // Choose flux source for build metric
+  let posZ = 0;
+  const bassHistory = state.bassFluxHistory;
+  if (state.dropUseBassFlux && bassHistory.length >= 5) {
+    const m = bassHistory.reduce((a,b)=>a+b,0) / bassHistory.length;
+    const v = bassHistory.reduce((a,b)=>{ const d=b-m; return a + d*d; },0) / bassHistory.length;
+    const s = Math.sqrt(Math.max(v, 1e-6));
+    posZ = Math.max(0, (bassFlux - m) / s);
+  } else {
+    const z = fluxStd > 0
+      ? (flux - fluxMean) / Math.max(1e-3, fluxStd)
+      : 0;
+    posZ = Math.max(0, z);
+  }
+  buildLevel = buildLevel * 0.8 + posZ * 0.2;
+  const cDelta = centroid.norm - (state._centroidPrev || centroid.norm);
+  state._centroidPrev = centroid.norm;
+  centroidSlope = centroidSlope * (1 - state._centroidSlopeAlpha) + cDelta * state._centroidSlopeAlpha;
+
+  if (beat || quantBeat) {
+    // Collect samples for adaptive thresholding (during warmup)
+    if (state.autoDropThresholdsEnabled && !state._autoThrApplied) {
+      const negSlope = Math.max(0, -cDelta);
+      // Sliding window: drop oldest sample when at capacity to always keep fresh data
+      // This ensures accurate calibration even when DJ rapidly switches tracks
+      if (state._autoBassOnBeats.length >= state._autoThrMaxSamples) {
+        state._autoBassOnBeats.shift(); // Remove oldest sample
+      }
+      state._autoBassOnBeats.push(bands.env?.bass ?? 0);
+
+      if (negSlope > 0) {
+        if (state._autoCentroidNegOnBeats.length >= state._autoThrMaxSamples) {
+          state._autoCentroidNegOnBeats.shift(); // Remove oldest sample
+        }
+        state._autoCentroidNegOnBeats.push(negSlope);
+      }
+    }
+    // Maintain bar-phase state for optional drop gating
+    if (state.dropBarGatingEnabled) {
+      if (state._beatIndexForDrop === null || state._beatIndexForDrop === undefined || state._beatIndexForDrop < 0) {
+        state._beatIndexForDrop = 0; // treat this beat as downbeat
+      } else {
+        const nBeats = Math.max(1, Math.floor(state.dropGateBeatsPerBar || 4));
+        state._beatIndexForDrop = (state._beatIndexForDrop + 1) % nBeats;
+      }
+    }
+    if (posZ > state.dropFluxThresh) {
+      state._buildBeats += 1; isBuilding = true;
+    } else {
+      state._buildBeats = Math.max(0, state._buildBeats - 1);
+      isBuilding = state._buildBeats > 0;
+    }
+
+    const canDrop = (nowMs - state._lastDropMs) > state.dropCooldownMs;
+    let passesGating = true;
+    if (state.dropBarGatingEnabled) {
+      passesGating = nearDownbeat !== null ? nearDownbeat : (state._beatIndexForDrop === 0);
+    }
+    if (canDrop && state._buildBeats >= state.dropMinBeats && passesGating) {
+      if (centroidSlope < -state.dropCentroidSlopeThresh && (bands.env?.bass ?? 0) > state.dropBassThresh) {
+        drop = true; state._lastDropMs = nowMs; state._buildBeats = 0; isBuilding = false;
+      }
+    }
+  }
+  state._buildLevel = buildLevel; state._centroidSlopeEma = centroidSlope;
+  // Apply adaptive thresholds once warmup window passes
+  if (state.autoDropThresholdsEnabled && !state._autoThrApplied) {
+    const started = state._autoThrStartMs || (state._autoThrStartMs = nowMs);
+    if (nowMs - started >= state.autoDropCalDurationMs) {
+      if (state._autoBassOnBeats.length >= 6) {
+        const p70 = percentile(state._autoBassOnBeats, 0.70);
+        state.dropBassThresh = clamp(p70, 0.35, 0.85);
+      }
+      if (state._autoCentroidNegOnBeats.length >= 6) {
+        const p60 = percentile(state._autoCentroidNegOnBeats, 0.60);
+        state.dropCentroidSlopeThresh = clamp(p60, 0.008, 0.05);
+      }
+      state._autoThrApplied = true;
+      // Clear arrays to prevent memory leak
+      state._autoBassOnBeats = [];
+      state._autoCentroidNegOnBeats = [];
+    }
+  }
+  return { drop, isBuilding, buildLevel };
+}
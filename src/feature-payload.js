@@ -0,0 +1,152 @@
+/**
+ * Feature payload - The wire format sent to the OSC bridge
+ *
+ * buildFeaturePayload() picks the JSON-safe subset of an AudioEngine features
+ * frame that main.js sends over the WebSocket (tools/osc-bridge.js maps it to
+ * /reactive/... addresses). The offline analyser (tools/analyze-features.mjs)
+ * writes the same object per frame, so live and offline runs line up key for
+ * key; flattenPayload() turns it into dotted CSV columns.
+ *
+ * @example
+ * ws.send(JSON.stringify({ type: 'features', payload: buildFeaturePayload(features) }));
+ */
+
+/**
+ * @param {Object} features - Features object from AudioEngine.update() (or OfflineFeatureExtractor)
+ * @returns {Object} Payload with the OSC bridge keys
+ */
+export function buildFeaturePayload(features) {
+  return {
+    rms: features.rms,                    // Root mean square (overall volume)
+    rmsNorm: features.rmsNorm,             // Normalized RMS (0-1)
+    bandsEMA: features.bandsEMA,           // Frequency bands (exponentially smoothed)
+    bandEnv: features.bandEnv,            // Frequency band envelopes
+    bandNorm: features.bandNorm,          // Normalized frequency bands
+    filterbank: features.filterbank ? features.filterbank.env : null, // N-band filterbank envelopes (low → high)
+    centroidNorm: features.centroidNorm,  // Spectral centroid (brightness, normalized)
+    flux: features.flux,                  // Spectral flux (how much frequencies are changing)
+    fluxMean: features.fluxMean,           // Average flux
+    fluxStd: features.fluxStd,             // Standard deviation of flux
+    beat: !!features.beat,                // Beat detected (boolean)
+    drop: !!features.drop,                // Drop detected (boolean)
+    isBuilding: !!features.isBuilding,    // Energy building up (boolean)
+    buildLevel: features.buildLevel,      // How much energy is building (0-1)
+    dropPrediction: features.dropPrediction ? { // Countdown to the predicted drop (drop detection on)
+      active: features.dropPrediction.active,
+      probability: features.dropPrediction.probability,
+      etaBeats: features.dropPrediction.etaBeats,
+      etaBars: features.dropPrediction.etaBars,
+      etaMs: features.dropPrediction.etaMs,
+      armed: features.dropPrediction.armed,
+      landed: features.dropPrediction.landed,
+    } : null,
+    bpm: features.bpm,                    // Beats per minute (tempo)
+    bpmConfidence: features.bpmConfidence, // How confident we are in the BPM (0-1)
+    bpmSource: features.bpmSource,         // Where BPM came from ('tap', 'beatGrid', etc.)
+    tapBpm: features.tapBpm,              // Manually tapped BPM
+    mfcc: features.mfcc,                   // Mel-frequency cepstral coefficients (audio characteristics)
+    chroma: features.chroma,               // Chroma features (musical note information)
+    key: features.key ? {                  // Musical key (live chroma window, or whole-track Essentia estimate)
+      tonic: features.key.tonic,
+      mode: features.key.mode,
+      name: features.key.name,
+      camelot: features.key.camelot,
+      confidence: features.key.confidence,
+    } : null,
+    pitchHz: features.pitchHz,             // Detected pitch in Hz
+    pitchConf: features.pitchConf,         // Pitch detection confidence (0-1)
+    aubioTempoBpm: features.aubioTempoBpm, // BPM from Aubio library
+    aubioTempoConf: features.aubioTempoConf, // Aubio confidence
+    beatGrid: features.beatGrid ? {        // Beat grid information (if available)
+      bpm: features.beatGrid.bpm,
+      confidence: features.beatGrid.confidence
+    } : null,
+    clock: features.clock ? {              // Phase-locked beat clock (continuous phase, bar position, lock)
+      bpm: features.clock.bpm,
+      beatPhase: features.clock.beatPhase,
+      barPhase: features.clock.barPhase,
+      beatInBar: features.clock.beatInBar,
+      barIndex: features.clock.barIndex,
+      lock: features.clock.lock,
+      beat: !!features.clock.beat,
+      downbeat: !!features.clock.downbeat,
+    } : null,
+    onsets: features.onsets ? {            // Kick/snare/hat events (hit on the frame, strength 0-1, decaying env)
+      kick: features.onsets.kick,
+      snare: features.onsets.snare,
+      hat: features.onsets.hat,
+    } : null,
+    timeline: features.timeline ? {        // File pre-analysis lookahead (file playback only)
+      nextBeatInMs: features.timeline.nextBeatInMs,
+      nextDownbeatInMs: features.timeline.nextDownbeatInMs,
+      nextDropInMs: features.timeline.nextDropInMs,
+      aheadBuildLevel: features.timeline.ahead?.buildLevel || 0,
+      aheadBass: features.timeline.ahead?.bands?.bass || 0,
+    } : null,
+    section: features.section ? {          // Arrangement section at the playhead (file playback only)
+      index: features.section.index,
+      label: features.section.label,
+      energy: features.section.energy,
+      progress: features.section.progress,
+      nextLabel: features.section.nextLabel,
+      nextInMs: features.section.nextInMs,
+      changed: !!features.section.changed,
+    } : null,
+    decks: features.decks ? {              // Dual-deck analysis (when decks are running)
+      crossfader: features.decks.crossfader,
+      a: features.decks.a ? { rms: features.decks.a.rms, bandEnv: features.decks.a.bandEnv, beat: !!features.decks.a.beat, bpm: features.decks.a.bpm } : null,
+      b: features.decks.b ? { rms: features.decks.b.rms, bandEnv: features.decks.b.bandEnv, beat: !!features.decks.b.beat, bpm: features.decks.b.bpm } : null,
+      blend: features.decks.blend ? { rms: features.decks.blend.rms, bandEnv: features.decks.blend.bandEnv, beat: !!features.decks.blend.beat, bpm: features.decks.blend.bpm } : null,
+    } : null,
+    stereo: features.stereo ? {            // Stereo field (width, pan, L/R correlation, per-side bands)
+      width: features.stereo.width,
+      pan: features.stereo.pan,
+      correlation: features.stereo.correlation,
+      left: features.stereo.left,
+      right: features.stereo.right,
+    } : null,
+    perc: features.perc ? {                // Percussive layer of the worklet harmonic/percussive split
+      flux: features.perc.flux,
+      env: features.perc.env,
+      ratio: features.perc.ratio,
+    } : null,
+    harm: features.harm ? {                // Harmonic layer (sustained tones; chroma taken from it alone)
+      env: features.harm.env,
+      chroma: features.harm.chroma,
+      ratio: features.harm.ratio,
+    } : null,
+    loudness: features.loudness ? {        // EBU R128 loudness in LUFS (post input gain) + auto-gain trim
+      momentary: features.loudness.momentary,
+      shortTerm: features.loudness.shortTerm,
+      integrated: features.loudness.integrated,
+      gainDb: features.loudness.gainDb,
+    } : null,
+    levelsDb: features.levelsDb ? {        // Calibrated band levels in dBFS (post input gain, -100 = silence)
+      total: features.levelsDb.total,
+      sub: features.levelsDb.sub,
+      bass: features.levelsDb.bass,
+      mid: features.levelsDb.mid,
+      treble: features.levelsDb.treble,
+    } : null,
+  };
+}
+
+/**
+ * Flatten a payload into dotted keys (bandEnv.bass, onsets.kick.hit, filterbank.3).
+ * Nulls stay as null leaves under their own key.
+ * @param {Object} payload
+ * @param {string} [prefix='']
+ * @param {Object} [out={}]
+ * @returns {Object<string, number|string|boolean|null>}
+ */
+export function flattenPayload(payload, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(payload || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object') {
+      flattenPayload(value, name, out);
+    } else {
+      out[name] = value === undefined ? null : value;
+    }
+  }
+  return out;
+}
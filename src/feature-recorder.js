@@ -0,0 +1,355 @@
+/**
+ * Feature stream recording and replay
+ *
+ * FeatureRecorder captures the `features` object returned by
+ * AudioEngine.update() once per frame, timestamped relative to the start of
+ * the recording, and serialises it as NDJSON (one JSON object per line).
+ * FeatureReplay loads such a file and hands the frames back at their original
+ * timing, so the animation loop can run from a recording instead of live
+ * audio: reproducible glitches, rehearsal and mapping tuning without the music.
+ *
+ * File layout:
+ *   {"type":"header","format":"reactive-features","version":1,...}
+ *   {"type":"frame","t":16.7,"f":{...features}}
+ *   {"type":"beatGrid","t":5012.4,"grid":{...}}   // only when the grid changes
+ *
+ * Typed arrays are written as plain arrays and numbers are rounded to keep
+ * long sets manageable. The (large) Essentia beat grid is written once per
+ * change instead of every frame and re-attached on replay. Lines are joined
+ * CHUNK_LINES at a time into Blob parts while recording, so an hour of frames
+ * (several hundred MB) sits in the browser's blob store, which pages large
+ * blobs to disk, instead of on the JS heap as one string per frame.
+ *
+ * There is no binary variant: frames are nested objects whose keys depend on
+ * the analyses that are switched on, so a fixed binary layout would need its
+ * own schema and versioning for every feature added. NDJSON compresses well
+ * and stays readable by jq and the tools/ scripts.
+ *
+ * @example
+ * const rec = new FeatureRecorder();
+ * rec.start(performance.now());
+ * rec.push(features, performance.now());
+ * rec.stop(); rec.download();
+ *
+ * const replay = new FeatureReplay();
+ * replay.load(await file.text());
+ * replay.start(performance.now());
+ * const features = replay.update(performance.now());
+ */
+
+export const FEATURE_STREAM_FORMAT = 'reactive-features';
+export const FEATURE_STREAM_VERSION = 1;
+
+// One-frame pulses: if replay skips frames (lower FPS than the recording),
+// these are OR-ed across the skipped frames so no beat or drop is lost
+const PULSE_KEYS = ['beat', 'drop'];
+const NESTED_PULSES = { clock: ['beat', 'downbeat'], section: ['changed'], dropPrediction: ['landed'] };
+const ONSET_CLASSES = ['kick', 'snare', 'hat']; // features.onsets[cls].hit
+const CHUNK_LINES = 600;  // lines per Blob part (~10 s at 60 fps)
+
+/**
+ * OR the one-frame pulses (beat, drop, clock beats, section changes, predicted
+ * drop landings, drum onsets)
+ * of a frame that is being skipped into the frame that will be delivered.
+ * Nested groups are copied before writing so recorded frames stay untouched.
+ * @param {Object} out - Frame about to be delivered (shallow copy)
+ * @param {Object} skipped - Frame that will never be delivered
+ */
+export function carryPulses(out, skipped) {
+  for (const key of PULSE_KEYS) if (skipped[key]) out[key] = skipped[key];
+  for (const [group, keys] of Object.entries(NESTED_PULSES)) {
+    if (!skipped[group] || !out[group]) continue;
+    for (const key of keys) {
+      if (skipped[group][key] && !out[group][key]) out[group] = { ...out[group], [key]: true };
+    }
+  }
+  if (skipped.onsets && out.onsets) {
+    for (const cls of ONSET_CLASSES) {
+      const hit = skipped.onsets[cls];
+      if (hit?.hit && !out.onsets[cls]?.hit) out.onsets = { ...out.onsets, [cls]: { ...out.onsets[cls], hit: true, strength: hit.strength } };
+    }
+  }
+}
+
+/**
+ * Clear the one-frame pulses of a frame delivered a second time.
+ * @param {Object} out - Shallow copy of the frame
+ */
+export function clearPulses(out) {
+  for (const key of PULSE_KEYS) out[key] = false;
+  for (const [group, keys] of Object.entries(NESTED_PULSES)) {
+    if (!out[group]) continue;
+    const copy = { ...out[group] };
+    for (const key of keys) copy[key] = false;
+    out[group] = copy;
+  }
+  if (out.onsets) {
+    const copy = { ...out.onsets };
+    for (const cls of ONSET_CLASSES) if (copy[cls]) copy[cls] = { ...copy[cls], hit: false, strength: 0 };
+    out.onsets = copy;
+  }
+}
+
+function roundNumber(v) {
+  if (!Number.isFinite(v) || Number.isInteger(v)) return v;
+  return Math.round(v * 1e5) / 1e5;
+}
+
+// JSON.stringify replacer: typed arrays -> arrays, trimmed floats, beat grid stored separately
+function replacer(key, value) {
+  if (key === 'beatGrid') return undefined;
+  if (ArrayBuffer.isView(value)) return Array.from(value, roundNumber);
+  if (typeof value === 'number') return roundNumber(value);
+  return value;
+}
+
+export class FeatureRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDurationMs=3600000] - Recording stops itself after this long
+   */
+  constructor({ maxDurationMs = 60 * 60 * 1000 } = {}) {
+    this.maxDurationMs = maxDurationMs;
+    this.recording = false;
+    this._parts = [];      // Blob per CHUNK_LINES lines
+    this._lines = [];      // lines not yet flushed into a part
+    this._startMs = 0;
+    this._lastMs = 0;
+    this._lastGrid = null;
+    this.frameCount = 0;
+    this.bytes = 0;
+  }
+
+  /** Begin a new recording (discards any previous one). */
+  start(nowMs = performance.now(), meta = {}) {
+    this.clear();
+    this._startMs = nowMs;
+    this._lastMs = nowMs;
+    this.recording = true;
+    this._append({
+      type: 'header',
+      format: FEATURE_STREAM_FORMAT,
+      version: FEATURE_STREAM_VERSION,
+      createdAt: new Date().toISOString(),
+      startMs: nowMs, // clock origin for absolute timestamps inside frames (lastDropMs)
+      ...meta,
+    });
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  clear() {
+    this.recording = false;
+    this._parts = [];
+    this._lines = [];
+    this._lastGrid = null;
+    this.frameCount = 0;
+    this.bytes = 0;
+  }
+
+  get durationMs() { return this.frameCount ? this._lastMs - this._startMs : 0; }
+
+  /**
+   * Record one frame. No-op unless recording.
+   * @param {Object} features - Output of AudioEngine.update()
+   * @param {number} nowMs
+   */
+  push(features, nowMs = performance.now()) {
+    if (!this.recording || !features) return;
+    const t = Math.round((nowMs - this._startMs) * 10) / 10;
+    if (t > this.maxDurationMs) {
+      console.warn('[FeatureRecorder] Max duration reached, recording stopped');
+      this.stop();
+      return;
+    }
+    if (features.beatGrid !== this._lastGrid) {
+      this._lastGrid = features.beatGrid;
+      this._append({ type: 'beatGrid', t, grid: features.beatGrid || null });
+    }
+    try {
+      this._append({ type: 'frame', t, f: features });
+      this.frameCount++;
+      this._lastMs = nowMs;
+    } catch (err) {
+      console.warn('[FeatureRecorder] Frame not serialisable, recording stopped', err);
+      this.stop();
+    }
+  }
+
+  _append(record) {
+    const line = JSON.stringify(record, replacer);
+    this._lines.push(line);
+    this.bytes += line.length + 1;
+    if (this._lines.length >= CHUNK_LINES) this._flush();
+  }
+
+  _flush() {
+    if (!this._lines.length) return;
+    this._parts.push(new Blob([this._lines.join('\n') + '\n']));
+    this._lines = [];
+  }
+
+  /** @returns {Blob} NDJSON */
+  toBlob() {
+    this._flush();
+    return new Blob(this._parts, { type: 'application/x-ndjson' });
+  }
+
+  /** @returns {Promise<string>} NDJSON text */
+  toNDJSON() {
+    return this.toBlob().text();
+  }
+
+  /**
+   * Save the recording through a temporary download link.
+   * @param {string} [filename]
+   */
+  download(filename) {
+    if (!this.frameCount) return false;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const url = URL.createObjectURL(this.toBlob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || `features-${stamp}.ndjson`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  }
+}
+
+export class FeatureReplay {
+  constructor() {
+    this.frames = [];      // [{ t, f }]
+    this.header = null;
+    this.active = false;
+    this.loop = false;
+    this.rate = 1;
+    this._grids = [];      // [{ t, beatGrid }] in time order
+    this._startMs = 0;
+    this._offsetMs = 0;    // recording time at _startMs
+    this._index = -1;
+  }
+
+  /**
+   * Parse an NDJSON recording.
+   * @param {string} text
+   * @returns {{frames:number, durationMs:number}}
+   * @throws {Error} When the text holds no frames
+   */
+  load(text) {
+    this.stop();
+    const frames = [];
+    const grids = [];
+    let header = null;
+    let bad = 0;
+    const lines = String(text || '').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let rec;
+      try { rec = JSON.parse(line); } catch (_) { bad++; continue; }
+      if (rec.type === 'header') header = rec;
+      else if (rec.type === 'frame' && rec.f && Number.isFinite(rec.t)) frames.push({ t: rec.t, f: rec.f });
+      else if (rec.type === 'beatGrid' && Number.isFinite(rec.t)) grids.push({ t: rec.t, beatGrid: rec.grid || null });
+    }
+    if (header && header.format !== FEATURE_STREAM_FORMAT) {
+      console.warn('[FeatureReplay] Unknown format:', header.format);
+    }
+    if (bad) console.warn(`[FeatureReplay] Skipped ${bad} unreadable line(s)`);
+    if (!frames.length) throw new Error('Recording contains no feature frames');
+    frames.sort((a, b) => a.t - b.t);
+    grids.sort((a, b) => a.t - b.t);
+    this.frames = frames;
+    this._grids = grids;
+    this.header = header;
+    this._index = -1;
+    return { frames: frames.length, durationMs: this.durationMs };
+  }
+
+  get loaded() { return this.frames.length > 0; }
+
+  get durationMs() { return this.frames.length ? this.frames[this.frames.length - 1].t : 0; }
+
+  /** Current position in the recording (ms). */
+  positionMs(nowMs = performance.now()) {
+    if (!this.active) return this._offsetMs;
+    return this._offsetMs + (nowMs - this._startMs) * this.rate;
+  }
+
+  start(nowMs = performance.now(), fromMs = 0) {
+    if (!this.loaded) return false;
+    this._offsetMs = Math.max(0, Math.min(this.durationMs, fromMs));
+    this._startMs = nowMs;
+    this._index = this._frameIndexAt(this._offsetMs) - 1;
+    this.active = true;
+    return true;
+  }
+
+  stop() {
+    this.active = false;
+    this._offsetMs = 0;
+    this._index = -1;
+  }
+
+  /** Jump to a position (ms into the recording) without stopping. */
+  seek(ms, nowMs = performance.now()) {
+    if (!this.loaded) return;
+    this._offsetMs = Math.max(0, Math.min(this.durationMs, ms));
+    this._startMs = nowMs;
+    this._index = this._frameIndexAt(this._offsetMs) - 1;
+  }
+
+  setLoop(v) { this.loop = !!v; }
+
+  setRate(rate, nowMs = performance.now()) {
+    const r = Math.max(0.1, Math.min(4, Number(rate) || 1));
+    if (this.active) { this._offsetMs = this.positionMs(nowMs); this._startMs = nowMs; }
+    this.rate = r;
+  }
+
+  // Index of the last frame at or before ms
+  _frameIndexAt(ms) {
+    let lo = 0, hi = this.frames.length;
+    while (lo < hi) { const m = (lo + hi) >> 1; if (this.frames[m].t <= ms) lo = m + 1; else hi = m; }
+    return Math.max(0, lo - 1);
+  }
+
+  _gridAt(ms) {
+    let grid = null;
+    for (const g of this._grids) { if (g.t <= ms) grid = g.beatGrid; else break; }
+    return grid;
+  }
+
+  /**
+   * Features for the current time, or null when inactive / finished.
+   * @param {number} nowMs
+   * @returns {Object|null}
+   */
+  update(nowMs = performance.now()) {
+    if (!this.active || !this.loaded) return null;
+    let pos = this.positionMs(nowMs);
+    if (pos > this.durationMs) {
+      if (!this.loop) { this.stop(); return null; }
+      this.seek(0, nowMs);
+      pos = 0;
+    }
+    const target = this._frameIndexAt(pos);
+    const from = this._index < target ? this._index + 1 : target;
+    const frame = this.frames[target].f;
+    const out = { ...frame };
+    // Carry pulses from frames skipped since the last update
+    for (let i = from; i < target; i++) carryPulses(out, this.frames[i].f);
+    // A frame already delivered is not re-delivered with its pulses (slow rate / high FPS)
+    if (target === this._index) clearPulses(out);
+    this._index = target;
+    // Re-express absolute timestamps in the current clock
+    const origin = this.header?.startMs;
+    if (Number.isFinite(origin) && out.lastDropMs > 0) {
+      out.lastDropMs = nowMs - (pos - (out.lastDropMs - origin)) / this.rate;
+    }
+    out.beatGrid = this._gridAt(pos);
+    out.replay = { positionMs: pos, durationMs: this.durationMs };
+    return out;
+  }
+}
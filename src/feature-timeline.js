@@ -0,0 +1,504 @@
+/**
+ * FeatureTimeline - Offline whole-file pre-analysis for file playback
+ *
+ * When a file is loaded we already have the entire decoded buffer, so there is
+ * no reason to only look at "now". This walks the mono buffer once (in small
+ * cooperative chunks so the render loop keeps running) and stores a per-frame
+ * timeline of bands, flux and brightness, plus beat/downbeat/build/drop events.
+ *
+ * Playback then reads the timeline by playback time with an optional lookahead,
+ * so visuals can see a drop coming instead of reacting to it a beat late.
+ *
+ * Beats and downbeats come from the Essentia beat grid when available (see
+ * applyBeatGrid); until then they are picked from the offline flux curve.
+ * Arrangement sections (see song-structure.js) are re-derived whenever the
+ * beats change, so they stay snapped to bars.
+ *
+ * @example
+ * const timeline = new FeatureTimeline({ bandSplit: engine.bandSplit });
+ * await timeline.analyze(mono, 44100, { beatGrid: engine.beatGrid });
+ * const view = timeline.sample(playbackSec, 0.5); // 500ms lookahead
+ * if (view.nextDropInMs < 2000) { ... }
+ */
+
+import { segmentSongStructure } from './song-structure.js';
+
+const DEFAULT_FFT_SIZE = 1024;
+const DEFAULT_HOP_SIZE = 1024;
+const FRAMES_PER_CHUNK = 256; // frames analysed before yielding to the event loop
+const MIN_DB = -100;          // mirrors AnalyserNode.minDecibels
+const MAX_DB = -30;           // mirrors AnalyserNode.maxDecibels
+
+export function makeTwiddles(n) {
+  const cos = new Float32Array(n >> 1);
+  const sin = new Float32Array(n >> 1);
+  for (let i = 0; i < (n >> 1); i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / n);
+    sin[i] = Math.sin((2 * Math.PI * i) / n);
+  }
+  return { cos, sin };
+}
+
+export function fftInPlace(re, im, twiddles) {
+  const n = re.length;
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    if (i < j) {
+      const tr = re[i]; re[i] = re[j]; re[j] = tr;
+      const ti = im[i]; im[i] = im[j]; im[j] = ti;
+    }
+    let bit = n >> 1;
+    while (j & bit) { j ^= bit; bit >>= 1; }
+    j ^= bit;
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const tableStep = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = twiddles.cos[k * tableStep];
+        const wi = -twiddles.sin[k * tableStep];
+        const a = start + k;
+        const b = a + half;
+        const tr = wr * re[b] - wi * im[b];
+        const ti = wr * im[b] + wi * re[b];
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+      }
+    }
+  }
+}
+
+function percentileOf(values, p) {
+  if (!values || !values.length) return 0;
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.floor(p * (sorted.length - 1))));
+  return sorted[idx];
+}
+
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+export class FeatureTimeline {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.fftSize=1024] - FFT size per analysis frame (power of two)
+   * @param {number} [options.hopSize=1024] - Samples between frames
+   * @param {{sub:number, low:number, mid:number}} [options.bandSplit] - Band edges in Hz (same as AudioEngine)
+   * @param {number} [options.buildWindowSec=8] - How long a build ramps before each drop
+   * @param {number} [options.dropCooldownSec=8] - Minimum spacing between detected drops
+   */
+  constructor(options = {}) {
+    const fft = Math.max(256, Math.floor(options.fftSize || DEFAULT_FFT_SIZE));
+    this.fftSize = 1 << Math.round(Math.log2(fft));
+    this.hopSize = Math.max(128, Math.floor(options.hopSize || DEFAULT_HOP_SIZE));
+    this.bandSplit = { sub: 90, low: 180, mid: 2500, ...(options.bandSplit || {}) };
+    this.buildWindowSec = Math.max(1, options.buildWindowSec ?? 8);
+    this.dropCooldownSec = Math.max(1, options.dropCooldownSec ?? 8);
+
+    this.ready = false;
+    this.sampleRate = 0;
+    this.duration = 0;
+    this.hopSec = 0;
+    this.frameCount = 0;
+
+    // Per-frame curves (0..1 normalized against the whole track)
+    this.rms = null;
+    this.sub = null;
+    this.bass = null;
+    this.mid = null;
+    this.treble = null;
+    this.flux = null;
+    this.centroid = null;
+    this.buildLevel = null;
+    this.chroma = null; // Float32Array(frameCount * 12), per-frame max = 1
+
+    // Event times in seconds (sorted ascending)
+    this.beatTimes = [];
+    this.downbeatTimes = [];
+    this.dropTimes = [];
+    this.builds = []; // [{ start, end }] ending at each drop
+    this.sections = []; // [{ index, label, start, end, energy, bars }]
+    this.beatSource = null; // 'grid' | 'flux'
+  }
+
+  /**
+   * Analyse a mono buffer. Resolves to this timeline, or null if cancelled.
+   * @param {Float32Array} mono - Mono samples for the whole file
+   * @param {number} sampleRate - Sample rate of mono
+   * @param {Object} [options]
+   * @param {Object} [options.beatGrid] - AudioEngine beatGrid to take beats/downbeats from
+   * @param {Function} [options.isCancelled] - Polled between chunks; return true to abort
+   * @returns {Promise<FeatureTimeline|null>}
+   */
+  async analyze(mono, sampleRate, { beatGrid = null, isCancelled = null } = {}) {
+    this.ready = false;
+    if (!mono || !mono.length || !(sampleRate > 0)) return null;
+
+    const N = this.fftSize;
+    const hop = this.hopSize;
+    const bins = N >> 1;
+    const frameCount = Math.max(1, Math.floor((mono.length - N) / hop) + 1);
+    this.sampleRate = sampleRate;
+    this.duration = mono.length / sampleRate;
+    this.hopSec = hop / sampleRate;
+    this.frameCount = frameCount;
+
+    const rms = new Float32Array(frameCount);
+    const sub = new Float32Array(frameCount);
+    const bass = new Float32Array(frameCount);
+    const mid = new Float32Array(frameCount);
+    const treble = new Float32Array(frameCount);
+    const flux = new Float32Array(frameCount);
+    const centroid = new Float32Array(frameCount);
+    const chroma = new Float32Array(frameCount * 12);
+
+    const window = new Float32Array(N);
+    for (let i = 0; i < N; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (N - 1));
+    const re = new Float32Array(N);
+    const im = new Float32Array(N);
+    const twiddles = makeTwiddles(N);
+    const level = new Float32Array(bins);
+    const prevLevel = new Float32Array(bins);
+
+    const binHz = sampleRate / N;
+    const subHz = Math.max(20, Math.min(this.bandSplit.sub || 90, (this.bandSplit.low || 180) - 5));
+    const lowHz = this.bandSplit.low || 180;
+    const midHz = this.bandSplit.mid || 2500;
+
+    // Pitch class per bin for chroma (55Hz..5kHz; below that bins are too wide to resolve notes)
+    const pitchClass = new Int8Array(bins).fill(-1);
+    for (let k = 1; k < bins; k++) {
+      const hz = k * binHz;
+      if (hz < 55 || hz > 5000) continue;
+      const midi = 69 + 12 * Math.log2(hz / 440);
+      pitchClass[k] = ((Math.round(midi) % 12) + 12) % 12;
+    }
+
+    for (let f = 0; f < frameCount; f++) {
+      if (f > 0 && f % FRAMES_PER_CHUNK === 0) {
+        await yieldToEventLoop();
+        if (typeof isCancelled === 'function' && isCancelled()) return null;
+      }
+
+      const offset = f * hop;
+      let energy = 0;
+      for (let i = 0; i < N; i++) {
+        const s = mono[offset + i] || 0;
+        energy += s * s;
+        re[i] = s * window[i];
+        im[i] = 0;
+      }
+      rms[f] = Math.sqrt(energy / N);
+
+      fftInPlace(re, im, twiddles);
+
+      let s = 0, b = 0, m = 0, t = 0; let sC = 0, bC = 0, mC = 0, tC = 0;
+      let num = 0, den = 0, fl = 0;
+      for (let k = 0; k < bins; k++) {
+        // Same byte-scale mapping the AnalyserNode uses so levels feel familiar
+        const mag = Math.hypot(re[k], im[k]) / N;
+        const db = mag > 0 ? 20 * Math.log10(mag) : MIN_DB;
+        const v = Math.max(0, Math.min(1, (db - MIN_DB) / (MAX_DB - MIN_DB)));
+        level[k] = v;
+        const hz = k * binHz;
+        if (hz < subHz) { s += v; sC++; }
+        else if (hz < lowHz) { b += v; bC++; }
+        else if (hz < midHz) { m += v; mC++; }
+        else { t += v; tC++; }
+        num += hz * v; den += v;
+        const d = v - prevLevel[k];
+        if (d > 0) fl += d;
+        prevLevel[k] = v;
+        const pc = pitchClass[k];
+        if (pc >= 0) chroma[f * 12 + pc] += mag;
+      }
+      let chromaMax = 0;
+      for (let c = 0; c < 12; c++) chromaMax = Math.max(chromaMax, chroma[f * 12 + c]);
+      if (chromaMax > 1e-9) for (let c = 0; c < 12; c++) chroma[f * 12 + c] /= chromaMax;
+      sub[f] = sC ? s / sC : 0;
+      bass[f] = bC ? b / bC : 0;
+      mid[f] = mC ? m / mC : 0;
+      treble[f] = tC ? t / tC : 0;
+      centroid[f] = den > 0 ? Math.min(1, (num / den) / 8000) : 0;
+      flux[f] = f > 0 ? fl : 0;
+    }
+
+    // Normalize each curve against its own 98th percentile (whole-track AGC)
+    for (const arr of [rms, sub, bass, mid, treble, flux]) {
+      const ref = percentileOf(arr, 0.98);
+      if (ref > 1e-6) {
+        for (let i = 0; i < arr.length; i++) arr[i] = Math.min(1, arr[i] / ref);
+      }
+    }
+
+    this.rms = rms;
+    this.sub = sub;
+    this.bass = bass;
+    this.mid = mid;
+    this.treble = treble;
+    this.flux = flux;
+    this.centroid = centroid;
+    this.chroma = chroma;
+    this.buildLevel = new Float32Array(frameCount);
+
+    if (typeof isCancelled === 'function' && isCancelled()) return null;
+    this.applyBeatGrid(beatGrid);
+    this.ready = true;
+    return this;
+  }
+
+  /**
+   * Replace beats/downbeats with a beat grid (e.g. when Essentia finishes after
+   * the timeline) and re-snap drops to the new downbeats.
+   * @param {Object|null} grid - { beatTimes, downbeats }
+   */
+  applyBeatGrid(grid) {
+    if (!this.flux) return;
+    const gridBeats = Array.isArray(grid?.beatTimes) ? grid.beatTimes.filter(Number.isFinite) : [];
+    if (gridBeats.length >= 4) {
+      this.beatTimes = gridBeats.slice().sort((a, b) => a - b);
+      const gridDownbeats = Array.isArray(grid.downbeats) ? grid.downbeats.filter(Number.isFinite) : [];
+      this.downbeatTimes = gridDownbeats.length
+        ? gridDownbeats.slice().sort((a, b) => a - b)
+        : this._inferDownbeats(this.beatTimes);
+      this.beatSource = 'grid';
+    } else {
+      this.beatTimes = this._pickFluxBeats();
+      this.downbeatTimes = this._inferDownbeats(this.beatTimes);
+      this.beatSource = 'flux';
+    }
+    this._detectBuildsAndDrops();
+  }
+
+  /**
+   * Peak-pick beats from the flux curve (adaptive mean + k*std over ~0.5s).
+   */
+  _pickFluxBeats() {
+    const flux = this.flux;
+    const n = flux.length;
+    const half = Math.max(2, Math.round(0.25 / this.hopSec));
+    const minGapFrames = Math.max(1, Math.round(0.25 / this.hopSec));
+    const beats = [];
+    let lastFrame = -Infinity;
+    for (let i = 1; i < n - 1; i++) {
+      if (flux[i] < flux[i - 1] || flux[i] < flux[i + 1]) continue;
+      const lo = Math.max(0, i - half);
+      const hi = Math.min(n, i + half + 1);
+      let mean = 0;
+      for (let j = lo; j < hi; j++) mean += flux[j];
+      mean /= (hi - lo);
+      let variance = 0;
+      for (let j = lo; j < hi; j++) { const d = flux[j] - mean; variance += d * d; }
+      const std = Math.sqrt(variance / (hi - lo));
+      if (flux[i] > mean + std * 1.2 && flux[i] > 0.15 && i - lastFrame >= minGapFrames) {
+        beats.push(i * this.hopSec);
+        lastFrame = i;
+      }
+    }
+    return beats;
+  }
+
+  /**
+   * Without a grid, assume 4/4 and pick the beat phase with the most low end.
+   */
+  _inferDownbeats(beats) {
+    if (!beats.length) return [];
+    const scores = [0, 0, 0, 0];
+    for (let i = 0; i < beats.length; i++) {
+      const f = this._frameIndex(beats[i]);
+      scores[i % 4] += (this.sub[f] + this.bass[f]);
+    }
+    let phase = 0;
+    for (let p = 1; p < 4; p++) if (scores[p] > scores[phase]) phase = p;
+    const out = [];
+    for (let i = phase; i < beats.length; i += 4) out.push(beats[i]);
+    return out;
+  }
+
+  /**
+   * A drop is a sustained jump in low-end energy after a quieter stretch.
+   * Drops snap to the nearest downbeat; the build is the window leading into it.
+   */
+  _detectBuildsAndDrops() {
+    const n = this.frameCount;
+    const hopSec = this.hopSec;
+    const low = new Float32Array(n);
+    // Blend linear RMS with the dB-scaled low bands; the latter saturate on loud material
+    for (let i = 0; i < n; i++) low[i] = this.rms[i] * 0.5 + (this.sub[i] + this.bass[i]) * 0.25;
+
+    // Prefix sums make the before/after window means O(1)
+    const prefix = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + low[i];
+    const meanRange = (a, b) => {
+      const lo = Math.max(0, a);
+      const hi = Math.min(n, b);
+      return hi > lo ? (prefix[hi] - prefix[lo]) / (hi - lo) : 0;
+    };
+
+    const preFrames = Math.max(1, Math.round(4 / hopSec));
+    const postFrames = Math.max(1, Math.round(2 / hopSec));
+    const trackMean = meanRange(0, n);
+    const cooldownFrames = Math.round(this.dropCooldownSec / hopSec);
+
+    const drops = [];
+    let i = preFrames;
+    while (i < n - postFrames) {
+      const pre = meanRange(i - preFrames, i);
+      const post = meanRange(i, i + postFrames);
+      if (post >= trackMean && pre < post * 0.6 && post - pre > 0.03) {
+        // Walk forward to the strongest edge within the next second
+        let best = i;
+        let bestJump = post - pre;
+        const searchEnd = Math.min(n - postFrames, i + Math.round(1 / hopSec));
+        for (let j = i + 1; j < searchEnd; j++) {
+          const jump = meanRange(j, j + postFrames) - meanRange(j - preFrames, j);
+          if (jump > bestJump) { bestJump = jump; best = j; }
+        }
+        drops.push(this._snapToDownbeat(best * hopSec, 0.5));
+        i = best + cooldownFrames;
+        continue;
+      }
+      i++;
+    }
+
+    this.dropTimes = drops;
+    this.builds = drops.map((t) => ({ start: Math.max(0, t - this.buildWindowSec), end: t }));
+
+    const buildLevel = this.buildLevel || new Float32Array(n);
+    buildLevel.fill(0);
+    for (const { start, end } of this.builds) {
+      const span = Math.max(1e-3, end - start);
+      const a = this._frameIndex(start);
+      const b = this._frameIndex(end);
+      for (let f = a; f < b; f++) {
+        buildLevel[f] = Math.max(buildLevel[f], Math.min(1, (f * hopSec - start) / span));
+      }
+    }
+    this.buildLevel = buildLevel;
+    this.sections = segmentSongStructure(this);
+  }
+
+  _snapToDownbeat(timeSec, toleranceSec) {
+    const db = this.downbeatTimes;
+    if (!db.length) return timeSec;
+    const idx = this._lowerBound(db, timeSec);
+    let nearest = null;
+    for (const k of [idx - 1, idx]) {
+      if (k >= 0 && k < db.length && (nearest === null || Math.abs(db[k] - timeSec) < Math.abs(nearest - timeSec))) {
+        nearest = db[k];
+      }
+    }
+    return nearest !== null && Math.abs(nearest - timeSec) <= toleranceSec ? nearest : timeSec;
+  }
+
+  /**
+   * Index of the section containing timeSec (already wrapped), or -1.
+   */
+  _sectionIndexAt(timeSec) {
+    const sections = this.sections;
+    let lo = 0, hi = sections.length - 1;
+    while (lo <= hi) {
+      const m = (lo + hi) >> 1;
+      if (timeSec < sections[m].start) hi = m - 1;
+      else if (timeSec >= sections[m].end) lo = m + 1;
+      else return m;
+    }
+    return -1;
+  }
+
+  _frameIndex(timeSec) {
+    if (!this.frameCount) return 0;
+    return Math.max(0, Math.min(this.frameCount - 1, Math.round(timeSec / this.hopSec)));
+  }
+
+  _lowerBound(arr, value) {
+    let lo = 0, hi = arr.length;
+    while (lo < hi) {
+      const m = (lo + hi) >> 1;
+      if (arr[m] < value) lo = m + 1; else hi = m;
+    }
+    return lo;
+  }
+
+  /**
+   * Seconds until the next event at/after timeSec, wrapping around the loop.
+   * @returns {number|null}
+   */
+  _timeUntil(events, timeSec) {
+    if (!events.length) return null;
+    const idx = this._lowerBound(events, timeSec);
+    if (idx < events.length) return events[idx] - timeSec;
+    return this.duration > 0 ? (events[0] + this.duration) - timeSec : null;
+  }
+
+  /**
+   * Feature values for a single point in the file.
+   * @param {number} timeSec - Playback time in seconds (wrapped to duration)
+   */
+  frameAt(timeSec) {
+    if (!this.ready) return null;
+    const t = this.duration > 0 ? ((timeSec % this.duration) + this.duration) % this.duration : 0;
+    const f = this._frameIndex(t);
+    return {
+      timeSec: t,
+      rms: this.rms[f],
+      bands: { sub: this.sub[f], bass: this.bass[f], mid: this.mid[f], treble: this.treble[f] },
+      flux: this.flux[f],
+      centroidNorm: this.centroid[f],
+      buildLevel: this.buildLevel[f],
+      isBuilding: this.buildLevel[f] > 0,
+    };
+  }
+
+  /**
+   * Read the timeline at playback time with lookahead.
+   * @param {number} timeSec - Current playback time in seconds
+   * @param {number} [lookaheadSec=0] - How far ahead "ahead" values are read
+   * @param {number} [rate=1] - Playback rate; lookahead and the *InMs values are wall-clock time
+   * @returns {Object|null} { timeSec, lookaheadMs, now, ahead, nextBeatInMs, nextDownbeatInMs, nextDropInMs, section, nextSection, nextSectionInMs, beatSource }
+   */
+  sample(timeSec, lookaheadSec = 0, rate = 1) {
+    if (!this.ready || !Number.isFinite(timeSec)) return null;
+    const r = rate > 0 ? rate : 1;
+    const now = this.frameAt(timeSec);
+    const ahead = lookaheadSec > 0 ? this.frameAt(timeSec + lookaheadSec * r) : now;
+    const toMs = (sec) => (sec === null ? null : Math.max(0, sec * 1000 / r));
+    const sectionIndex = this._sectionIndexAt(now.timeSec);
+    const current = sectionIndex >= 0 ? this.sections[sectionIndex] : null;
+    // Looping playback wraps to the first section
+    const next = current ? (this.sections[sectionIndex + 1] || this.sections[0]) : null;
+    return {
+      timeSec: now.timeSec,
+      lookaheadMs: Math.max(0, lookaheadSec * 1000),
+      now,
+      ahead,
+      nextBeatInMs: toMs(this._timeUntil(this.beatTimes, now.timeSec)),
+      nextDownbeatInMs: toMs(this._timeUntil(this.downbeatTimes, now.timeSec)),
+      nextDropInMs: toMs(this._timeUntil(this.dropTimes, now.timeSec)),
+      section: current ? {
+        ...current,
+        progress: Math.min(1, (now.timeSec - current.start) / Math.max(1e-3, current.end - current.start)),
+      } : null,
+      nextSection: next ? { ...next } : null,
+      nextSectionInMs: current ? toMs(current.end - now.timeSec) : null,
+      beatSource: this.beatSource,
+    };
+  }
+
+  /**
+   * Compact description for diagnostics/UI.
+   */
+  getSummary() {
+    return {
+      ready: this.ready,
+      duration: this.duration,
+      frameCount: this.frameCount,
+      hopMs: this.hopSec * 1000,
+      beats: this.beatTimes.length,
+      downbeats: this.downbeatTimes.length,
+      drops: this.dropTimes.slice(),
+      sections: this.sections.map((s) => ({ ...s })),
+      beatSource: this.beatSource,
+    };
+  }
+}
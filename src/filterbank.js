@@ -0,0 +1,225 @@
+/**
+ * Filterbank - Configurable N-band analyser view
+ *
+ * Splits the analyser magnitude spectrum into N bands (log-spaced by default,
+ * or an explicit list of crossover edges) and keeps a per-band AGC peak and
+ * attack/release envelope, mirroring AudioEngine's bandPeak/bandEnv for the
+ * four named bands.
+ *
+ * namedSplit() gives the named bands as a view of the filterbank: it moves the
+ * sub/bass/mid crossovers onto the active edges, so sub, bass, mid and treble
+ * are each a run of whole filterbank bands (plus whatever lies below the first
+ * or above the last edge). AudioEngine only uses it when snapping is enabled.
+ *
+ * The bin→band lookup is rebuilt only when the config, sample rate or bin
+ * count changes, so process() is a single pass over the spectrum.
+ *
+ * @example
+ * const fb = new Filterbank({ count: 16 });
+ * const out = fb.process(freqData, 48000, { attack: 0.7, release: 0.12, agcEnabled: true, agcDecay: 0.995 });
+ * out.env[0]; // lowest band, 0..1
+ * fb.namedSplit({ sub: 90, low: 180, mid: 2500 }); // { sub: 65.8, low: 144.2, mid: 3329.4 }
+ */
+
+export const FILTERBANK_MIN_BANDS = 1;
+export const FILTERBANK_MAX_BANDS = 64;
+
+export class Filterbank {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.count=8] - Number of log-spaced bands (ignored when edges is given)
+   * @param {number} [options.minHz=30] - Lower edge of the first log band
+   * @param {number} [options.maxHz=16000] - Upper edge of the last log band
+   * @param {number[]|null} [options.edges=null] - Explicit ascending edges in Hz (N+1 values for N bands)
+   */
+  constructor({ count = 8, minHz = 30, maxHz = 16000, edges = null } = {}) {
+    this.count = 8;
+    this.minHz = 30;
+    this.maxHz = 16000;
+    this.customEdges = null;
+    this.edges = [];
+    this.values = new Float32Array(0);
+    this.norm = new Float32Array(0);
+    this.env = new Float32Array(0);
+    this.peak = new Float32Array(0);
+    this._binBand = null; // Int16Array: band index per bin, -1 outside all bands
+    this._binCount = new Uint16Array(0);
+    this._fallbackBin = new Int32Array(0); // nearest bin for bands narrower than one bin
+    this._layoutKey = '';
+    this.configure({ count, minHz, maxHz, edges });
+  }
+
+  /**
+   * Build ascending log-spaced edges.
+   * @param {number} count
+   * @param {number} minHz
+   * @param {number} maxHz
+   * @returns {number[]} count + 1 edges
+   */
+  static logEdges(count, minHz, maxHz) {
+    const out = [];
+    const lo = Math.log(minHz);
+    const hi = Math.log(maxHz);
+    for (let i = 0; i <= count; i++) out.push(Math.exp(lo + (hi - lo) * (i / count)));
+    return out;
+  }
+
+  /**
+   * Validate a custom edge list: finite, positive, strictly ascending, 2..MAX+1 entries.
+   * @param {unknown} edges
+   * @returns {number[]|null}
+   */
+  static sanitizeEdges(edges) {
+    if (!Array.isArray(edges)) return null;
+    const out = edges.map(Number).filter((v) => Number.isFinite(v) && v > 0);
+    if (out.length < 2 || out.length > FILTERBANK_MAX_BANDS + 1) return null;
+    for (let i = 1; i < out.length; i++) if (out[i] <= out[i - 1]) return null;
+    return out;
+  }
+
+  /**
+   * Change band layout. Envelopes and AGC peaks reset when the band count changes.
+   * @param {Object} config - Any of { count, minHz, maxHz, edges } (edges: null clears custom edges)
+   */
+  configure({ count, minHz, maxHz, edges } = {}) {
+    if (Number.isFinite(count)) this.count = Math.round(Math.max(FILTERBANK_MIN_BANDS, Math.min(FILTERBANK_MAX_BANDS, count)));
+    if (Number.isFinite(minHz)) this.minHz = Math.max(10, Math.min(1000, minHz));
+    if (Number.isFinite(maxHz)) this.maxHz = Math.max(this.minHz * 2, Math.min(24000, maxHz));
+    if (edges === null) this.customEdges = null;
+    else if (edges !== undefined) {
+      const clean = Filterbank.sanitizeEdges(edges);
+      if (clean) this.customEdges = clean;
+      else console.warn('[Filterbank] Ignoring invalid edge list', edges);
+    }
+
+    // Custom edges set the band count, so count always describes the active layout
+    if (this.customEdges) this.count = this.customEdges.length - 1;
+    this.edges = this.customEdges ? this.customEdges.slice() : Filterbank.logEdges(this.count, this.minHz, this.maxHz);
+    const n = this.edges.length - 1;
+    if (n !== this.env.length) {
+      this.values = new Float32Array(n);
+      this.norm = new Float32Array(n);
+      this.env = new Float32Array(n);
+      this.peak = new Float32Array(n).fill(0.2);
+    }
+    this._layoutKey = '';
+  }
+
+  /** @returns {{count:number, minHz:number, maxHz:number, edges:number[]|null}} Preset-serializable config */
+  getConfig() {
+    return {
+      count: this.count,
+      minHz: this.minHz,
+      maxHz: this.maxHz,
+      edges: this.customEdges ? this.customEdges.slice() : null,
+    };
+  }
+
+  get bandCount() { return this.edges.length - 1; }
+
+  /**
+   * Named-band crossovers on the active edges. Each crossover takes the edge
+   * nearest to it on a log scale, in order and never sharing an edge with
+   * another; with fewer than three edges the requested crossovers are kept.
+   * @param {{sub:number, low:number, mid:number}} split - Requested crossovers in Hz
+   * @returns {{sub:number, low:number, mid:number}}
+   */
+  namedSplit(split) {
+    const requested = [split.sub, split.low, split.mid];
+    const edges = this.edges;
+    if (edges.length < requested.length) return { sub: split.sub, low: split.low, mid: split.mid };
+    const out = [];
+    let from = 0;
+    for (let k = 0; k < requested.length; k++) {
+      // Leave one edge for each crossover still to place
+      const to = edges.length - (requested.length - k);
+      const target = Math.log(Math.max(1, requested[k]));
+      let best = from;
+      for (let i = from + 1; i <= to; i++) {
+        if (Math.abs(Math.log(edges[i]) - target) < Math.abs(Math.log(edges[best]) - target)) best = i;
+      }
+      out.push(edges[best]);
+      from = best + 1;
+    }
+    return { sub: out[0], low: out[1], mid: out[2] };
+  }
+
+  reset() {
+    this.values.fill(0);
+    this.norm.fill(0);
+    this.env.fill(0);
+    this.peak.fill(0.2);
+  }
+
+  _ensureLayout(binCount, sampleRate) {
+    const key = `${binCount}:${sampleRate}:${this.edges.join(',')}`;
+    if (key === this._layoutKey) return;
+    const n = this.bandCount;
+    const binHz = sampleRate / 2 / binCount;
+    const binBand = new Int16Array(binCount).fill(-1);
+    const counts = new Uint16Array(n);
+    let band = 0;
+    for (let i = 0; i < binCount; i++) {
+      const f = i * binHz;
+      while (band < n && f >= this.edges[band + 1]) band++;
+      if (band >= n) break;
+      if (f >= this.edges[band]) { binBand[i] = band; counts[band]++; }
+    }
+    const fallback = new Int32Array(n);
+    for (let b = 0; b < n; b++) {
+      const center = Math.sqrt(this.edges[b] * this.edges[b + 1]);
+      fallback[b] = Math.max(0, Math.min(binCount - 1, Math.round(center / binHz)));
+    }
+    this._binBand = binBand;
+    this._binCount = counts;
+    this._fallbackBin = fallback;
+    this._layoutKey = key;
+  }
+
+  /**
+   * Average the spectrum into bands and step each band's AGC and envelope.
+   * @param {Uint8Array} freqData - Analyser byte magnitudes (0..255), linear bins up to Nyquist
+   * @param {number} sampleRate
+   * @param {Object} opts
+   * @param {number} opts.attack - Envelope rise speed 0..1
+   * @param {number} opts.release - Envelope fall speed 0..1
+   * @param {boolean} opts.agcEnabled
+   * @param {number} opts.agcDecay - Rolling-peak decay per frame
+   * @returns {{count:number, edges:number[], values:number[], norm:number[], env:number[]}}
+   */
+  process(freqData, sampleRate, { attack, release, agcEnabled, agcDecay }) {
+    const n = this.bandCount;
+    if (!freqData || !freqData.length || !sampleRate || n <= 0) {
+      return { count: n, edges: this.edges.slice(), values: Array.from(this.values), norm: Array.from(this.norm), env: Array.from(this.env) };
+    }
+    this._ensureLayout(freqData.length, sampleRate);
+    const values = this.values;
+    values.fill(0);
+    const binBand = this._binBand;
+    for (let i = 0; i < freqData.length; i++) {
+      const b = binBand[i];
+      if (b >= 0) values[b] += freqData[i] / 255;
+    }
+    for (let b = 0; b < n; b++) {
+      const c = this._binCount[b];
+      values[b] = c ? values[b] / c : freqData[this._fallbackBin[b]] / 255;
+
+      let v = values[b];
+      if (agcEnabled) {
+        this.peak[b] = Math.max(this.peak[b] * agcDecay, v);
+        v = this.peak[b] > 1e-6 ? v / this.peak[b] : v;
+      }
+      v = Math.max(0, Math.min(1, v));
+      this.norm[b] = v;
+      const env = this.env[b];
+      this.env[b] = v > env ? env + (v - env) * attack : env + (v - env) * release;
+    }
+    return {
+      count: n,
+      edges: this.edges.slice(),
+      values: Array.from(values),
+      norm: Array.from(this.norm),
+      env: Array.from(this.env),
+    };
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * KeyEstimator - Musical key from the per-frame chroma stream
+ *
+ * Integrates 12-bin chroma (C..B) over a sliding exponential window and
+ * correlates the result against the Krumhansl-Kessler major/minor key
+ * profiles in all 24 rotations. Output includes the Camelot wheel code so
+ * DJs can read harmonic compatibility at a glance.
+ *
+ * Frames are weighted by loudness so breakdowns and silence don't drag the
+ * estimate towards noise.
+ *
+ * @example
+ * const keys = new KeyEstimator({ windowSec: 12 });
+ * keys.push(meyda.chroma, performance.now(), rms);
+ * keys.estimate(); // { key: 'A', mode: 'minor', camelot: '8A', confidence: 0.6, ... }
+ */
+
+export const KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const NAME_TO_PITCH = {
+  C: 0, 'B#': 0, 'C#': 1, Db: 1, D: 2, 'D#': 3, Eb: 3, E: 4, Fb: 4, F: 5, 'E#': 5,
+  'F#': 6, Gb: 6, G: 7, 'G#': 8, Ab: 8, A: 9, 'A#': 10, Bb: 10, B: 11, Cb: 11,
+};
+
+// Krumhansl-Kessler probe-tone profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * Camelot wheel code for a key.
+ * @param {number} tonic - Pitch class 0..11 (C = 0)
+ * @param {'major'|'minor'} mode
+ * @returns {string} e.g. '8B' for C major, '8A' for A minor
+ */
+export function toCamelot(tonic, mode) {
+  const pc = ((tonic % 12) + 12) % 12;
+  // Minor keys share the number of their relative major (three semitones up)
+  const majorTonic = mode === 'minor' ? (pc + 3) % 12 : pc;
+  const number = ((majorTonic * 7 + 7) % 12) + 1;
+  return `${number}${mode === 'minor' ? 'A' : 'B'}`;
+}
+
+/**
+ * Build a key descriptor from a tonic name (as reported by Essentia) and scale.
+ * @param {string} name - e.g. 'A', 'Bb', 'C#'
+ * @param {string} scale - 'major' | 'minor'
+ * @param {number} confidence - 0..1
+ * @param {string} source
+ * @returns {Object|null}
+ */
+export function describeKey(name, scale, confidence, source) {
+  const tonic = NAME_TO_PITCH[String(name || '').trim()];
+  if (tonic === undefined) return null;
+  const mode = scale === 'minor' ? 'minor' : 'major';
+  return {
+    tonic,
+    key: KEY_NAMES[tonic],
+    mode,
+    name: `${KEY_NAMES[tonic]} ${mode}`,
+    camelot: toCamelot(tonic, mode),
+    confidence: Math.max(0, Math.min(1, Number(confidence) || 0)),
+    source,
+  };
+}
+
+function correlate(chroma, profile, tonic) {
+  let meanC = 0, meanP = 0;
+  for (let i = 0; i < 12; i++) { meanC += chroma[i]; meanP += profile[i]; }
+  meanC /= 12; meanP /= 12;
+  let num = 0, dc = 0, dp = 0;
+  for (let i = 0; i < 12; i++) {
+    const c = chroma[(i + tonic) % 12] - meanC;
+    const p = profile[i] - meanP;
+    num += c * p; dc += c * c; dp += p * p;
+  }
+  const den = Math.sqrt(dc * dp);
+  return den > 1e-9 ? num / den : 0;
+}
+
+export class KeyEstimator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowSec=12] - Integration time constant
+   * @param {number} [options.minWeight=0.02] - Frames quieter than this (RMS) are ignored
+   */
+  constructor({ windowSec = 12, minWeight = 0.02 } = {}) {
+    this.windowSec = windowSec;
+    this.minWeight = minWeight;
+    this._acc = new Float64Array(12);
+    this._mass = 0; // accumulated weight, used to tell "no data yet" from "flat chroma"
+    this._lastMs = 0;
+  }
+
+  setWindowSec(sec) { this.windowSec = Math.max(2, Math.min(60, sec)); }
+
+  reset() {
+    this._acc.fill(0);
+    this._mass = 0;
+    this._lastMs = 0;
+  }
+
+  /**
+   * Fold one chroma frame into the window.
+   * @param {ArrayLike<number>} chroma - 12 bins, C first
+   * @param {number} nowMs
+   * @param {number} [weight=1] - Typically frame RMS
+   */
+  push(chroma, nowMs, weight = 1) {
+    if (!chroma || chroma.length < 12) return;
+    const dtSec = this._lastMs > 0 ? Math.max(0, Math.min(1, (nowMs - this._lastMs) / 1000)) : 0;
+    this._lastMs = nowMs;
+    const decay = Math.exp(-dtSec / this.windowSec);
+    for (let i = 0; i < 12; i++) this._acc[i] *= decay;
+    this._mass *= decay;
+    if (!(weight >= this.minWeight)) return;
+    let sum = 0;
+    for (let i = 0; i < 12; i++) sum += Math.max(0, chroma[i] || 0);
+    if (sum <= 1e-9) return;
+    const w = weight / sum;
+    for (let i = 0; i < 12; i++) this._acc[i] += Math.max(0, chroma[i] || 0) * w;
+    this._mass += weight;
+  }
+
+  /**
+   * Best-matching key for the current window.
+   * Confidence combines the profile correlation with the margin over the best
+   * non-relative alternative (relative major/minor are near-ties by design).
+   * @returns {Object|null} null until enough audio has been integrated
+   */
+  estimate() {
+    if (this._mass < this.minWeight * 20) return null;
+    const scores = [];
+    for (let tonic = 0; tonic < 12; tonic++) {
+      scores.push({ tonic, mode: 'major', r: correlate(this._acc, MAJOR_PROFILE, tonic) });
+      scores.push({ tonic, mode: 'minor', r: correlate(this._acc, MINOR_PROFILE, tonic) });
+    }
+    scores.sort((a, b) => b.r - a.r);
+    const best = scores[0];
+    const relative = best.mode === 'major' ? { tonic: (best.tonic + 9) % 12, mode: 'minor' } : { tonic: (best.tonic + 3) % 12, mode: 'major' };
+    const rival = scores.find((s, i) => i > 0 && !(s.tonic === relative.tonic && s.mode === relative.mode));
+    const margin = rival ? best.r - rival.r : best.r;
+    const confidence = Math.max(0, Math.min(1, best.r)) * Math.max(0, Math.min(1, margin * 5));
+    return {
+      tonic: best.tonic,
+      key: KEY_NAMES[best.tonic],
+      mode: best.mode,
+      name: `${KEY_NAMES[best.tonic]} ${best.mode}`,
+      camelot: toCamelot(best.tonic, best.mode),
+      confidence,
+      source: 'live',
+    };
+  }
+}
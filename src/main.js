@@ -38,6 +38,10 @@ import { AutoSaveCoordinator } from './state/autoSaveCoordinator.js';
 import { SessionPersistence } from './storage/sessionPersistence.js';
 import { showRecoveryModal } from './recovery-modal.js';
 import { ReadinessGate } from './readiness-gate.js';
+import { MidiControlBinding } from './midi-control.js';
+import { FeatureRecorder, FeatureReplay } from './feature-recorder.js';
+import { PlaylistQueue, isAudioFile } from './playlist.js';
+import { buildFeaturePayload } from './feature-payload.js';
 
 // Global Error Handlers
 // ======================
@@ -108,6 +112,19 @@ if (audio) {
   sessionRecoveryGate.setReady('audioEngine');
 }
 
+// Hardware crossfader for dual-deck blending (MIDI access is only requested once a CC has been learned)
+const crossfaderMidi = new MidiControlBinding({
+  storageKey: 'cosmic_midi_crossfader',
+  onValue: (v) => audio.setCrossfader(v),
+});
+if (crossfaderMidi.binding) {
+  crossfaderMidi.enable().catch(() => {});
+}
+
+// Feature stream capture and playback (replay stands in for audio.update() while active)
+const featureRecorder = new FeatureRecorder();
+const featureReplay = new FeatureReplay();
+
 let performanceHud = null;
 
 // Global performance monitor for Guardian system
@@ -251,6 +268,28 @@ if (presetManager) {
   sessionRecoveryGate.setReady('presetManager');
 }
 
+// File playlist: multi-file drops queue up here; the queue (and its audio) persists across reloads
+const playlist = new PlaylistQueue({ audioEngine: audio });
+const playlistRestored = playlist.restore().catch((err) => {
+  console.warn('[Playlist] Restore failed:', err);
+});
+playlist.on('trackchange', ({ detail }) => {
+  const { entry } = detail;
+  // Per-track preset switching
+  if (entry.presetId) {
+    try {
+      presetManager.load(entry.presetId);
+    } catch (err) {
+      console.warn('[Playlist] Track preset could not be loaded:', err);
+    }
+  }
+  try { showToast(`Now playing: ${entry.name}`, 2200); } catch (_) {}
+  autoSaveCoordinator?.handleEvent('audio-source-switched');
+});
+playlist.on('error', ({ detail }) => {
+  try { showToast(detail?.error?.message || 'Playlist track failed to load', 3000); } catch (_) {}
+});
+
 // Session Recovery System - Phase 1: Continuous State Snapshotting
 // =================================================================
 const SESSION_ACTIVE_KEY = 'cosmic_session_active';
@@ -394,6 +433,13 @@ async function restoreCrashedSession(snapshot, context) {
       audioEngine.startMic(snapshot.audioSource.deviceId).catch(err => {
         console.warn('[SessionRecovery] Failed to restore audio:', err);
       });
+    } else if (snapshot.audioSource?.type === 'file') {
+      // Files can only come back through the persisted playlist
+      playlistRestored
+        .then(() => playlist.resume())
+        .catch(err => {
+          console.warn('[SessionRecovery] Failed to resume playlist:', err);
+        });
     }
     
     console.log('[SessionRecovery] Session restored successfully');
@@ -548,6 +594,10 @@ try {
     syncCoordinator: sync, // Pass sync coordinator so UI can control synchronization
     presetManager,
     openPresetLibrary,
+    crossfaderMidi,     // MIDI learn for the deck crossfader
+    featureRecorder,    // Record the live feature stream to NDJSON
+    featureReplay,      // Replay a recorded stream in place of live audio
+    playlist,           // File queue (reorder, shuffle/repeat, crossfade, per-track presets)
     
     // Callback: User clicked "Start System Audio" button
     // This attempts to capture system audio (what's playing on the computer)
@@ -837,6 +887,14 @@ function ensureFeatureWs(nowMs, { force = false } = {}) {
       }
     };
 
+    // Control messages coming back from the bridge (OSC in → WS)
+    ws.onmessage = (event) => {
+      if (ws !== featureWs) return;
+      let msg;
+      try { msg = JSON.parse(event.data); } catch (_) { return; }
+      handleBridgeControl(msg);
+    };
+
     featureWs = ws;
   } catch (_) {
     if (ws) {
@@ -859,6 +917,21 @@ function ensureFeatureWs(nowMs, { force = false } = {}) {
   }
 }
 
+/**
+ * Applies a control message forwarded by the OSC bridge.
+ * Currently: { type: 'control', name: 'crossfader', value: 0..1 }
+ *
+ * @param {Object} msg - Parsed WebSocket message
+ */
+function handleBridgeControl(msg) {
+  if (!msg || msg.type !== 'control') return;
+  const value = Number(msg.value);
+  if (!Number.isFinite(value)) return;
+  if (msg.name === 'crossfader') {
+    audio.setCrossfader(value);
+  }
+}
+
 /**
  * Sends audio features over WebSocket to the OSC bridge.
  * 
@@ -885,35 +958,7 @@ function sendFeaturesOverWs(features, nowMs) {
     }
 
     // Package up all the features we want to send
-    const payload = {
-      rms: features.rms,                    // Root mean square (overall volume)
-      rmsNorm: features.rmsNorm,             // Normalized RMS (0-1)
-      bandsEMA: features.bandsEMA,           // Frequency bands (exponentially smoothed)
-      bandEnv: features.bandEnv,            // Frequency band envelopes
-      bandNorm: features.bandNorm,          // Normalized frequency bands
-      centroidNorm: features.centroidNorm,  // Spectral centroid (brightness, normalized)
-      flux: features.flux,                  // Spectral flux (how much frequencies are changing)
-      fluxMean: features.fluxMean,           // Average flux
-      fluxStd: features.fluxStd,             // Standard deviation of flux
-      beat: !!features.beat,                // Beat detected (boolean)
-      drop: !!features.drop,                // Drop detected (boolean)
-      isBuilding: !!features.isBuilding,    // Energy building up (boolean)
-      buildLevel: features.buildLevel,      // How much energy is building (0-1)
-      bpm: features.bpm,                    // Beats per minute (tempo)
-      bpmConfidence: features.bpmConfidence, // How confident we are in the BPM (0-1)
-      bpmSource: features.bpmSource,         // Where BPM came from ('tap', 'beatGrid', etc.)
-      tapBpm: features.tapBpm,              // Manually tapped BPM
-      mfcc: features.mfcc,                   // Mel-frequency cepstral coefficients (audio characteristics)
-      chroma: features.chroma,               // Chroma features (musical note information)
-      pitchHz: features.pitchHz,             // Detected pitch in Hz
-      pitchConf: features.pitchConf,         // Pitch detection confidence (0-1)
-      aubioTempoBpm: features.aubioTempoBpm, // BPM from Aubio library
-      aubioTempoConf: features.aubioTempoConf, // Aubio confidence
-      beatGrid: features.beatGrid ? {        // Beat grid information (if available)
-        bpm: features.beatGrid.bpm,
-        confidence: features.beatGrid.confidence
-      } : null,
-    };
+    const payload = buildFeaturePayload(features);
     
     // Send as JSON message
     featureWs.send(JSON.stringify({ type: 'features', payload }));
@@ -1156,10 +1201,16 @@ function animate() {
   let features = null;
   if (pm) pm.markSectionStart('audio.update');
   try {
-    features = audio.update();
+    if (featureReplay.active) {
+      features = featureReplay.update(now);
+    } else {
+      features = audio.update();
+      if (features && featureRecorder.recording) featureRecorder.push(features, now);
+    }
   } finally {
     if (pm) pm.markSectionEnd('audio.update');
   }
+  playlist.update(now);
   if (!features) {
     // Receiver windows can render using remote features from sync
     if (pm) pm.markSectionStart('sync.remoteFeatures');
@@ -1267,7 +1318,10 @@ function animate() {
         `| ${utilPct}% util`,
         `| ${summary.sampleCount} samples`,
         `| worklet: ${fmt(summary.avgWorkletLatencyMs)}ms`,
-        `(${fmt(summary.minWorkletLatencyMs)}-${fmt(summary.maxWorkletLatencyMs)})`
+        `(${fmt(summary.minWorkletLatencyMs)}-${fmt(summary.maxWorkletLatencyMs)})`,
+        summary.workletCore
+          ? `| core: ${fmt(summary.workletCore.avgProcessMs)}ms/hop (${(summary.workletCore.load * 100).toFixed(1)}% load, ${summary.workletCore.transport}, ${summary.workletCore.dropped} dropped)`
+          : '| core: off'
       );
 
       // Periodically clear console to prevent unbounded memory growth
@@ -1377,16 +1431,34 @@ function animate() {
       });
     }
     
-    // Update drift details (more advanced tempo information)
+    // Update drift details (more advanced tempo information, plus detected key)
     if (features && ui.updateDriftDetails) {
       ui.updateDriftDetails({
         tapBpm: features.tapBpm,
         beatGrid: features.beatGrid,
         aubioTempo: features.aubioTempoBpm,
         aubioConf: features.aubioTempoConf,
+        key: features.key,
+        timeline: features.timeline,
       });
     }
     
+    // Update file transport readout (position, bar, loop)
+    if (ui.updateTransport) {
+      ui.updateTransport();
+    }
+
+    // Loudness meter in the performance HUD
+    if (features && performanceHud?.setLoudness) {
+      performanceHud.setLoudness(features.loudness);
+    }
+    if (performanceHud?.setAnalysisQueue) {
+      performanceHud.setAnalysisQueue(audio.getAubioQueueStats());
+    }
+    if (performanceHud?.setSourceHealth) {
+      performanceHud.setSourceHealth(audio.getSourceHealth());
+    }
+
     // Update beat indicator (small pulsing dot in settings header)
     if (ui.updateBeatIndicator) {
       ui.updateBeatIndicator(!!(features && features.beat));
@@ -1631,6 +1703,18 @@ function stopAnimation() {
     }
   }
 
+  try {
+    crossfaderMidi.dispose();
+  } catch (err) {
+    console.warn('Error disposing MIDI crossfader:', err);
+  }
+
+  try {
+    playlist.dispose();
+  } catch (err) {
+    console.warn('Error disposing playlist:', err);
+  }
+
   // Clean up audio engine
   if (audio && typeof audio.dispose === 'function') {
     try {
@@ -1720,10 +1804,27 @@ function handleDragLeaveOrDrop(e) {
 
 async function handleFileDrop(e) {
   e.preventDefault();
-  const file = e.dataTransfer?.files?.[0]; // Get first dropped file
+  const files = Array.from(e.dataTransfer?.files || []).filter(isAudioFile);
+
+  // Several files (or a queue already in use) go to the playlist
+  if (files.length > 1 || (files.length && playlist.length)) {
+    try {
+      const wasEmpty = playlist.length === 0;
+      const firstNew = playlist.length;
+      const added = await playlist.add(files);
+      showToast(`Queued ${added} track${added === 1 ? '' : 's'}`, 2000);
+      if (wasEmpty || !audio.isPlayingFile) await playlist.playIndex(firstNew, { crossfade: false });
+    } catch (err) {
+      console.error('Playlist drop failed', err);
+      try { showToast(err.message || 'Could not queue files.', 2600); } catch(_) {}
+    }
+    return;
+  }
+
+  const file = files[0]; // Single file: play it straight away
 
   // Only process audio files
-  if (file && file.type.startsWith('audio/')) {
+  if (file) {
     try {
       await audio.loadFile(file);
     } catch (err) {
@@ -0,0 +1,121 @@
+/**
+ * MidiControlBinding - Map a single MIDI CC to a 0..1 value
+ *
+ * Used for hardware crossfaders: call learn(), move the control, and the next
+ * Control Change message becomes the binding. The binding is persisted in
+ * localStorage so it survives reloads.
+ *
+ * Web MIDI is requested lazily (on enable/learn) so browsers without MIDI, or
+ * users who never touch this, don't see a permission prompt.
+ *
+ * @example
+ * const fader = new MidiControlBinding({
+ *   storageKey: 'cosmic_midi_crossfader',
+ *   onValue: (v) => audio.setCrossfader(v),
+ * });
+ * await fader.learn(); // resolves with { channel, cc } once a knob is moved
+ */
+export class MidiControlBinding {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key for the learned binding
+   * @param {(value: number) => void} options.onValue - Called with 0..1 on every matching CC
+   */
+  constructor({ storageKey, onValue }) {
+    this.storageKey = storageKey;
+    this.onValue = onValue;
+    this.binding = null; // { channel: 0..15, cc: 0..127 }
+    this._access = null;
+    this._learnResolver = null;
+    this._handler = (event) => this._onMessage(event);
+
+    try {
+      const raw = localStorage.getItem(storageKey);
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && Number.isInteger(parsed.channel) && Number.isInteger(parsed.cc)) {
+        this.binding = parsed;
+      }
+    } catch (_) {}
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  /**
+   * Request MIDI access and listen on all inputs (including ones plugged in later).
+   * @returns {Promise<boolean>} false if Web MIDI is unavailable or denied
+   */
+  async enable() {
+    if (this._access) return true;
+    if (!MidiControlBinding.isSupported()) return false;
+    try {
+      this._access = await navigator.requestMIDIAccess();
+    } catch (err) {
+      console.warn('[MIDI] access denied', err);
+      return false;
+    }
+    this._attachInputs();
+    this._access.onstatechange = () => this._attachInputs();
+    return true;
+  }
+
+  _attachInputs() {
+    if (!this._access) return;
+    for (const input of this._access.inputs.values()) {
+      // addEventListener dedupes identical listeners, so re-attaching is safe
+      input.addEventListener('midimessage', this._handler);
+    }
+  }
+
+  /**
+   * Bind to the next CC received.
+   * @returns {Promise<{channel:number, cc:number}|null>} null if MIDI is unavailable
+   */
+  async learn() {
+    const ok = await this.enable();
+    if (!ok) return null;
+    if (this._learnResolver) this._learnResolver(null);
+    return new Promise((resolve) => { this._learnResolver = resolve; });
+  }
+
+  clear() {
+    this.binding = null;
+    try { localStorage.removeItem(this.storageKey); } catch (_) {}
+  }
+
+  _onMessage(event) {
+    const data = event?.data;
+    if (!data || data.length < 3) return;
+    const status = data[0] & 0xf0;
+    if (status !== 0xb0) return; // Control Change only
+    const channel = data[0] & 0x0f;
+    const cc = data[1];
+    const value = data[2] / 127;
+
+    if (this._learnResolver) {
+      this.binding = { channel, cc };
+      try { localStorage.setItem(this.storageKey, JSON.stringify(this.binding)); } catch (_) {}
+      const resolve = this._learnResolver;
+      this._learnResolver = null;
+      resolve(this.binding);
+    }
+    if (this.binding && this.binding.channel === channel && this.binding.cc === cc) {
+      try { this.onValue(value); } catch (err) { console.warn('[MIDI] onValue error', err); }
+    }
+  }
+
+  dispose() {
+    if (this._learnResolver) {
+      this._learnResolver(null);
+      this._learnResolver = null;
+    }
+    if (this._access) {
+      for (const input of this._access.inputs.values()) {
+        input.removeEventListener('midimessage', this._handler);
+      }
+      this._access.onstatechange = null;
+      this._access = null;
+    }
+  }
+}
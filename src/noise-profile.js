@@ -0,0 +1,405 @@
+/**
+ * Noise profiles - per-bin venue noise spectra and a spectral noise gate
+ *
+ * The scalar noise gate subtracts one threshold from every bin, which kills
+ * quiet highs while venue rumble (much louder than the threshold in the lows)
+ * still gets through. A noise profile records the ambient spectrum bin by bin
+ * during calibration; NoiseProfileGate then removes exactly that spectrum:
+ *
+ * - 'subtract': magnitude spectral subtraction (|X| - a*|N|, floored at a
+ *               fraction of |X| to avoid "musical noise")
+ * - 'gate':     log-spaced bands open/close against the profile with
+ *               hysteresis and attack/release smoothing
+ *
+ * Profiles are stored in dB per bin (frequency-indexed, so they survive an FFT
+ * size change) together with the input gain at calibration time, so a later
+ * gain / auto-gain change shifts the profile instead of invalidating it.
+ * NoiseProfileStore keeps several named profiles (one per venue) in
+ * localStorage and remembers which one is active. A profile doubles as the
+ * venue profile: other per-venue settings (A/V offset) are stored on it via
+ * get/setVenueSetting, with a fallback used while no profile is active.
+ *
+ * @example
+ * const acc = new NoiseProfileAccumulator(analyser.frequencyBinCount);
+ * acc.push(freqBytes, analyser.minDecibels, analyser.maxDecibels); // for ~5s
+ * const profile = acc.finish({ name: 'Warehouse', binHz, gainDb: 0 });
+ * gate.setProfile(profile);
+ * gate.process(freqData, timeData, { binHz, minDb, maxDb, gainDb, nowMs });
+ */
+
+export const NOISE_GATE_MODES = ['subtract', 'gate'];
+
+const STORAGE_KEY = 'cosmicNoiseProfiles.v1';
+// Every calibration saves a new profile (~12 KB each); beyond this the oldest inactive ones go
+const MAX_PROFILES = 16;
+const FLOOR_DB = -160;
+
+function dbToMag(db) {
+  return db <= FLOOR_DB ? 0 : Math.pow(10, db / 20);
+}
+
+function magToDb(mag) {
+  return mag > 0 ? 20 * Math.log10(mag) : FLOOR_DB;
+}
+
+/**
+ * Collects analyser frames during calibration into a per-bin noise spectrum.
+ */
+export class NoiseProfileAccumulator {
+  constructor(binCount) {
+    this.binCount = binCount;
+    this._sum = new Float64Array(binCount);
+    this._sumSq = new Float64Array(binCount);
+    this.frames = 0;
+  }
+
+  /**
+   * @param {Uint8Array} freqBytes - getByteFrequencyData() output
+   * @param {number} minDb - analyser.minDecibels
+   * @param {number} maxDb - analyser.maxDecibels
+   */
+  push(freqBytes, minDb, maxDb) {
+    const n = Math.min(this.binCount, freqBytes.length);
+    const range = maxDb - minDb;
+    for (let i = 0; i < n; i++) {
+      const b = freqBytes[i];
+      const mag = b > 0 ? dbToMag(minDb + (b / 255) * range) : 0;
+      this._sum[i] += mag;
+      this._sumSq[i] += mag * mag;
+    }
+    this.frames++;
+  }
+
+  /**
+   * @param {Object} meta
+   * @param {string} meta.name
+   * @param {number} meta.binHz - Frequency resolution of the pushed frames
+   * @param {number} [meta.gainDb=0] - Total input gain in dB while recording
+   * @returns {Object|null} Profile, or null when no frames were pushed
+   */
+  finish({ name, binHz, gainDb = 0 }) {
+    if (!this.frames) return null;
+    const levelsDb = new Array(this.binCount);
+    const peakDb = new Array(this.binCount);
+    for (let i = 0; i < this.binCount; i++) {
+      const mean = this._sum[i] / this.frames;
+      const std = Math.sqrt(Math.max(0, this._sumSq[i] / this.frames - mean * mean));
+      levelsDb[i] = Math.round(magToDb(mean) * 10) / 10;
+      peakDb[i] = Math.round(magToDb(mean + std) * 10) / 10; // gate threshold: mean + 1 std
+    }
+    return {
+      id: `np-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name: String(name || 'Noise profile'),
+      createdAt: Date.now(),
+      binHz,
+      gainDb,
+      frames: this.frames,
+      levelsDb,
+      peakDb,
+    };
+  }
+}
+
+export class NoiseProfileGate {
+  /**
+   * @param {Object} [options]
+   * @param {'subtract'|'gate'} [options.mode='subtract']
+   * @param {number} [options.reduction=1.5] - Over-subtraction factor (subtract) / threshold scale (gate)
+   * @param {number} [options.floor=0.005] - Fraction of the input magnitude that always passes (subtract, -46 dB)
+   * @param {number} [options.bandCount=24] - Log-spaced bands (gate)
+   * @param {number} [options.openDb=6] - Band opens this far above the profile (gate)
+   * @param {number} [options.closeDb=3] - ...and closes again below this (hysteresis)
+   * @param {number} [options.attackMs=10]
+   * @param {number} [options.releaseMs=150]
+   */
+  constructor({ mode = 'subtract', reduction = 1.5, floor = 0.005, bandCount = 24, openDb = 6, closeDb = 3, attackMs = 10, releaseMs = 150 } = {}) {
+    this.mode = NOISE_GATE_MODES.includes(mode) ? mode : 'subtract';
+    this.reduction = reduction;
+    this.floor = floor;
+    this.bandCount = bandCount;
+    this.openDb = openDb;
+    this.closeDb = closeDb;
+    this.attackMs = attackMs;
+    this.releaseMs = releaseMs;
+    this.profile = null;
+    this._layoutKey = '';
+    this._bandKey = '';
+    this._noiseMag = null;   // mean noise magnitude per current bin
+    this._peakMag = null;    // mean + std per current bin
+    this._bandOf = null;     // bin -> band index
+    this._bandOpen = null;
+    this._bandGain = null;
+    this._mags = null;       // per-frame scratch, reused
+    this._bandSig = null;
+    this._bandNoise = null;
+    this._lastMs = 0;
+    this.lastGain = 1;
+  }
+
+  setProfile(profile) {
+    this.profile = profile && Array.isArray(profile.levelsDb) ? profile : null;
+    this._layoutKey = '';
+    this._bandKey = '';
+  }
+
+  setMode(mode) {
+    if (NOISE_GATE_MODES.includes(mode)) this.mode = mode;
+  }
+
+  setReduction(v) {
+    this.reduction = Math.max(0.25, Math.min(4, Number(v) || 1.5));
+  }
+
+  // Resample the profile (stored at its own bin spacing) onto the current bins
+  _ensureLayout(binCount, binHz, gainOffsetDb) {
+    const key = `${binCount}:${binHz}:${Math.round(gainOffsetDb * 10)}`;
+    if (key === this._layoutKey) return;
+    this._layoutKey = key;
+    const p = this.profile;
+    const src = p.levelsDb;
+    const srcPeak = p.peakDb || p.levelsDb;
+    const srcHz = p.binHz || binHz;
+    const sample = (arr, hz) => {
+      const x = hz / srcHz;
+      const i0 = Math.max(0, Math.min(arr.length - 1, Math.floor(x)));
+      const i1 = Math.min(arr.length - 1, i0 + 1);
+      const t = Math.max(0, Math.min(1, x - i0));
+      return arr[i0] + (arr[i1] - arr[i0]) * t;
+    };
+    this._noiseMag = new Float32Array(binCount);
+    this._peakMag = new Float32Array(binCount);
+    for (let i = 0; i < binCount; i++) {
+      const hz = i * binHz;
+      this._noiseMag[i] = dbToMag(sample(src, hz) + gainOffsetDb);
+      this._peakMag[i] = dbToMag(sample(srcPeak, hz) + gainOffsetDb);
+    }
+    // Log-spaced band layout for gate mode (20 Hz .. Nyquist); gate state survives gain changes
+    const bandKey = `${binCount}:${binHz}`;
+    if (bandKey === this._bandKey) return;
+    this._bandKey = bandKey;
+    const nyquist = binHz * binCount;
+    const lo = Math.log(20), hi = Math.log(Math.max(40, nyquist));
+    this._bandOf = new Uint8Array(binCount);
+    for (let i = 0; i < binCount; i++) {
+      const hz = Math.max(20, i * binHz);
+      this._bandOf[i] = Math.min(this.bandCount - 1, Math.floor((Math.log(hz) - lo) / (hi - lo) * this.bandCount));
+    }
+    this._bandOpen = new Uint8Array(this.bandCount);
+    this._bandGain = new Float32Array(this.bandCount);
+    this._bandSig = new Float64Array(this.bandCount);
+    this._bandNoise = new Float64Array(this.bandCount);
+  }
+
+  /**
+   * The profile resampled onto `binCount` bins and shifted to the current gain, plus the gate
+   * parameters, for running the same gate elsewhere (the analysis worklet's core pipeline).
+   * @param {number} binCount
+   * @param {number} binHz
+   * @param {number} [gainDb=0] - Current total input gain in dB
+   * @returns {Object|null} null without a profile; `key` changes whenever the layout does
+   */
+  getLayout(binCount, binHz, gainDb = 0) {
+    if (!this.profile) return null;
+    this._ensureLayout(binCount, binHz, gainDb - (this.profile.gainDb || 0));
+    return {
+      key: `${this.profile.id}:${this._layoutKey}:${this.mode}:${this.reduction}`,
+      mode: this.mode,
+      reduction: this.reduction,
+      floor: this.floor,
+      bandCount: this.bandCount,
+      openDb: this.openDb,
+      closeDb: this.closeDb,
+      attackMs: this.attackMs,
+      releaseMs: this.releaseMs,
+      noiseMag: this._noiseMag,
+      peakMag: this._peakMag,
+      bandOf: this._bandOf,
+    };
+  }
+
+  /**
+   * Remove the profiled noise from the analyser frame in place.
+   * @param {Uint8Array} freqData - Byte spectrum (modified)
+   * @param {Uint8Array} timeData - Byte waveform (scaled by the broadband gain)
+   * @param {Object} ctx
+   * @param {number} ctx.binHz
+   * @param {number} ctx.minDb - analyser.minDecibels
+   * @param {number} ctx.maxDb - analyser.maxDecibels
+   * @param {number} [ctx.gainDb=0] - Current total input gain in dB (profile shifts by the difference)
+   * @param {number} [ctx.nowMs]
+   * @returns {number} Broadband gain applied (0..1)
+   */
+  process(freqData, timeData, { binHz, minDb, maxDb, gainDb = 0, nowMs = performance.now() }) {
+    if (!this.profile || !freqData || !freqData.length) return 1;
+    const n = freqData.length;
+    this._ensureLayout(n, binHz, gainDb - (this.profile.gainDb || 0));
+    const range = maxDb - minDb;
+    const dtMs = this._lastMs > 0 ? Math.max(0, Math.min(250, nowMs - this._lastMs)) : 16;
+    this._lastMs = nowMs;
+
+    let energyIn = 0, energyOut = 0;
+    if (!this._mags || this._mags.length !== n) this._mags = new Float32Array(n);
+    const mags = this._mags;
+    for (let i = 0; i < n; i++) {
+      const b = freqData[i];
+      mags[i] = b > 0 ? dbToMag(minDb + (b / 255) * range) : 0;
+      energyIn += mags[i] * mags[i];
+    }
+
+    if (this.mode === 'gate') {
+      const sig = this._bandSig.fill(0);
+      const noise = this._bandNoise.fill(0);
+      for (let i = 0; i < n; i++) {
+        const band = this._bandOf[i];
+        sig[band] += mags[i] * mags[i];
+        const thr = this._peakMag[i] * this.reduction;
+        noise[band] += thr * thr;
+      }
+      const att = 1 - Math.exp(-dtMs / Math.max(1, this.attackMs));
+      const rel = 1 - Math.exp(-dtMs / Math.max(1, this.releaseMs));
+      for (let band = 0; band < this.bandCount; band++) {
+        const ratioDb = noise[band] > 0 ? 10 * Math.log10((sig[band] + 1e-20) / noise[band]) : Infinity;
+        if (this._bandOpen[band]) { if (ratioDb < this.closeDb) this._bandOpen[band] = 0; }
+        else if (ratioDb > this.openDb) this._bandOpen[band] = 1;
+        const target = this._bandOpen[band] ? 1 : 0;
+        const g = this._bandGain[band];
+        this._bandGain[band] = g + (target - g) * (target > g ? att : rel);
+      }
+      for (let i = 0; i < n; i++) mags[i] *= this._bandGain[this._bandOf[i]];
+    } else {
+      const a = this.reduction;
+      for (let i = 0; i < n; i++) {
+        const m = mags[i];
+        mags[i] = Math.max(m - a * this._noiseMag[i], m * this.floor);
+      }
+    }
+
+    for (let i = 0; i < n; i++) {
+      const m = mags[i];
+      energyOut += m * m;
+      freqData[i] = m > 0 ? Math.max(0, Math.min(255, Math.round((magToDb(m) - minDb) / range * 255))) : 0;
+    }
+
+    // Waveform follows the spectrum's overall energy change (it can't be filtered per bin here)
+    const gain = energyIn > 0 ? Math.sqrt(energyOut / energyIn) : 0;
+    if (timeData && gain < 0.999) {
+      for (let i = 0; i < timeData.length; i++) {
+        timeData[i] = Math.max(0, Math.min(255, Math.round(128 + (timeData[i] - 128) * gain)));
+      }
+    }
+    this.lastGain = gain;
+    return gain;
+  }
+}
+
+/**
+ * Named noise profiles in localStorage, plus the active one. At most
+ * MAX_PROFILES are kept: saving one more drops the oldest that isn't active.
+ */
+export class NoiseProfileStore {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage=window.localStorage]
+   */
+  constructor({ storage = (typeof window !== 'undefined' ? window.localStorage : null) } = {}) {
+    this.storage = storage;
+    this._data = { version: 1, activeId: null, profiles: [], defaults: {} };
+    try {
+      const parsed = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null');
+      if (parsed && Array.isArray(parsed.profiles)) {
+        this._data = {
+          version: 1,
+          activeId: parsed.activeId || null,
+          profiles: parsed.profiles.filter(p => p && p.id && Array.isArray(p.levelsDb)),
+          defaults: parsed.defaults && typeof parsed.defaults === 'object' ? parsed.defaults : {},
+        };
+      }
+    } catch (_) {}
+  }
+
+  _persist() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this._data));
+      return true;
+    } catch (err) {
+      console.warn('[NoiseProfileStore] Could not save noise profiles', err);
+      return false;
+    }
+  }
+
+  /** @returns {Array<{id:string,name:string,createdAt:number}>} */
+  list() {
+    return this._data.profiles.map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+  }
+
+  get(id) {
+    return this._data.profiles.find(p => p.id === id) || null;
+  }
+
+  get activeId() { return this._data.activeId; }
+
+  get active() { return this.get(this._data.activeId); }
+
+  setActive(id) {
+    this._data.activeId = id && this.get(id) ? id : null;
+    this._persist();
+    return this.active;
+  }
+
+  /** Add or replace a profile; a new one past MAX_PROFILES evicts the oldest inactive profile. */
+  save(profile) {
+    if (!profile?.id) return false;
+    const idx = this._data.profiles.findIndex(p => p.id === profile.id);
+    if (idx >= 0) this._data.profiles[idx] = profile;
+    else {
+      this._data.profiles.push(profile);
+      this._evict(profile.id);
+    }
+    return this._persist();
+  }
+
+  _evict(keepId) {
+    const profiles = this._data.profiles;
+    while (profiles.length > MAX_PROFILES) {
+      let oldest = -1;
+      for (let i = 0; i < profiles.length; i++) {
+        const p = profiles[i];
+        if (p.id === keepId || p.id === this._data.activeId) continue;
+        if (oldest < 0 || (p.createdAt || 0) < (profiles[oldest].createdAt || 0)) oldest = i;
+      }
+      if (oldest < 0) break;
+      const [removed] = profiles.splice(oldest, 1);
+      console.warn(`[NoiseProfileStore] Removed oldest noise profile "${removed.name}" (limit ${MAX_PROFILES})`);
+    }
+  }
+
+  /**
+   * Per-venue setting from the active profile (or the no-profile default).
+   * @param {string} key
+   * @param {*} [fallback]
+   */
+  getVenueSetting(key, fallback) {
+    const source = this.active?.settings || this._data.defaults;
+    return source && key in source ? source[key] : fallback;
+  }
+
+  setVenueSetting(key, value) {
+    const active = this.active;
+    if (active) active.settings = { ...(active.settings || {}), [key]: value };
+    else this._data.defaults = { ...this._data.defaults, [key]: value };
+    return this._persist();
+  }
+
+  rename(id, name) {
+    const p = this.get(id);
+    if (!p || !name) return false;
+    p.name = String(name);
+    return this._persist();
+  }
+
+  remove(id) {
+    this._data.profiles = this._data.profiles.filter(p => p.id !== id);
+    if (this._data.activeId === id) this._data.activeId = null;
+    return this._persist();
+  }
+}
@@ -0,0 +1,404 @@
+/**
+ * OfflineFeatureExtractor - AudioEngine's live feature pipeline on decoded PCM
+ *
+ * Runs the same per-frame chain as AudioEngine.update() (feature-core.js
+ * bands/flux/beat/tempo/drop logic, Filterbank, OnsetClassifier, BeatClock)
+ * without an AudioContext, so files can be analysed in Node and compared with
+ * what a live run sent to the OSC bridge. Frames are pulled at a fixed rate in
+ * audio time, like the ~60 fps render loop.
+ *
+ * With `pipeline: 'worklet'` (the default, as in the app) the gate, bands,
+ * centroid, flux, bass flux and beats come from the worklet core itself:
+ * analysis-processor.js runs in-process through WorkletHost, with the config
+ * AudioEngine._syncWorkletCore() sends and the harmonic/percussive split on,
+ * and its hop records are folded in the way AudioEngine._readWorkletCore()
+ * does. `pipeline: 'main'` runs the main-thread fallback instead:
+ * AnalyserEmulator reproduces the AnalyserNode read-out (Blackman window,
+ * temporal smoothing, dB → byte mapping), and with `frontEnd: 'multires'`
+ * bands, centroid and flux come from MultiResolutionFrontEnd. Either way the
+ * byte spectrum feeds the filterbank and onset classifier.
+ *
+ * There is no Meyda, Aubio or Essentia, so tempo comes from the inter-beat
+ * fallback tracker and mfcc/chroma/key/pitch/stereo/loudness and the
+ * perc/harm features stay empty. `levelsDb` (calibrated band levels) is
+ * filled from whichever front end runs. fluxMean/fluxStd are taken over the
+ * flux history, standing in for the worklet's running statistics.
+ *
+ * @example
+ * const extractor = new OfflineFeatureExtractor({ sampleRate: 48000, config: { dropEnabled: true } });
+ * for (const { t, features } of extractor.frames(mono)) {
+ *   console.log(t, features.beat, features.bpm);
+ * }
+ */
+
+import { makeTwiddles, fftInPlace } from './feature-timeline.js';
+import { Filterbank } from './filterbank.js';
+import { OnsetClassifier } from './onset-classifier.js';
+import { BeatClock } from './beat-clock.js';
+import { TempoOctaveResolver } from './tempo-octave.js';
+import { DropPredictor } from './drop-predictor.js';
+import { MultiResolutionFrontEnd, analyserLevelsDb } from './spectral-frontend.js';
+import { CORE_FIELDS, CORE_RATE_HZ } from './worklet-features.js';
+import { WorkletHost } from './worklet-host.js';
+import {
+  createFeatureState,
+  safeBpmToInterval,
+  computeRMS,
+  computeBands,
+  applyBandDynamics,
+  computeCentroid,
+  computeFlux,
+  computeBassFlux,
+  recordFlux,
+  recordBassFlux,
+  trimFluxHistory,
+  trimBassFluxHistory,
+  detectBeat,
+  updateFallbackTempo,
+  smoothLiveTempo,
+  stepTempoGrid,
+  updateDropBuild,
+} from './feature-core.js';
+
+/**
+ * AnalyserNode read-out on a sample buffer (WebAudio spec semantics).
+ */
+export class AnalyserEmulator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.fftSize=2048] - Power of two, as on the AnalyserNode
+   * @param {number} [options.smoothingTimeConstant=0.5] - AudioEngine's analyser setting
+   * @param {number} [options.minDecibels=-100]
+   * @param {number} [options.maxDecibels=-30]
+   */
+  constructor({ fftSize = 2048, smoothingTimeConstant = 0.5, minDecibels = -100, maxDecibels = -30 } = {}) {
+    this.fftSize = 1 << Math.round(Math.log2(Math.max(32, fftSize)));
+    this.smoothingTimeConstant = smoothingTimeConstant;
+    this.minDecibels = minDecibels;
+    this.maxDecibels = maxDecibels;
+    const N = this.fftSize;
+    this.frequencyBinCount = N >> 1;
+    this.freqData = new Uint8Array(N >> 1);
+    this.timeData = new Uint8Array(N);
+    this.floatData = new Float32Array(N >> 1); // dB, as getFloatFrequencyData
+    this._window = new Float32Array(N);
+    for (let i = 0; i < N; i++) {
+      this._window[i] = 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / N) + 0.08 * Math.cos((4 * Math.PI * i) / N);
+    }
+    this._re = new Float32Array(N);
+    this._im = new Float32Array(N);
+    this._twiddles = makeTwiddles(N);
+    this._smoothed = new Float32Array(N >> 1);
+  }
+
+  reset() {
+    this._smoothed.fill(0);
+  }
+
+  /**
+   * Fill freqData/floatData/timeData from the fftSize samples ending at `end` (zeros before the start).
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} end - Exclusive end index
+   */
+  analyse(samples, end) {
+    const N = this.fftSize;
+    const re = this._re; const im = this._im;
+    const start = end - N;
+    for (let i = 0; i < N; i++) {
+      const idx = start + i;
+      const x = idx >= 0 && idx < samples.length ? samples[idx] : 0;
+      this.timeData[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + x))));
+      re[i] = x * this._window[i];
+      im[i] = 0;
+    }
+    fftInPlace(re, im, this._twiddles);
+    const tau = this.smoothingTimeConstant;
+    const range = this.maxDecibels - this.minDecibels;
+    for (let k = 0; k < this.frequencyBinCount; k++) {
+      const mag = Math.hypot(re[k], im[k]) / N;
+      const s = tau * this._smoothed[k] + (1 - tau) * mag;
+      this._smoothed[k] = s;
+      const db = s > 0 ? 20 * Math.log10(s) : -Infinity;
+      this.floatData[k] = db;
+      this.freqData[k] = Math.max(0, Math.min(255, Math.floor((255 / range) * (db - this.minDecibels))));
+    }
+  }
+}
+
+export class OfflineFeatureExtractor {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate
+   * @param {number} [options.fftSize=2048] - Analyser size (AudioEngine.fftSize)
+   * @param {number} [options.frameRate=60] - Analysis frames per second of audio
+   * @param {'multires'|'analyser'} [options.frontEnd='multires'] - Spectral front end (AudioEngine.spectralFrontEnd)
+   * @param {'worklet'|'main'} [options.pipeline='worklet'] - Worklet feature pipeline, or the main-thread fallback
+   * @param {Object} [options.config] - AudioEngine field overrides (see createFeatureState);
+   *   `tempoRange: { min, max }` sets the preferred BPM range for octave folding;
+   *   `bandSplitSnap: true` moves the named-band crossovers onto the filterbank's edges
+   */
+  constructor({ sampleRate, fftSize = 2048, frameRate = 60, frontEnd = 'multires', pipeline = 'worklet', config = {} }) {
+    if (!(sampleRate > 0)) throw new Error('sampleRate is required');
+    if (pipeline !== 'worklet' && pipeline !== 'main') throw new Error(`pipeline must be worklet or main, got ${pipeline}`);
+    this.sampleRate = sampleRate;
+    this.frameRate = Math.max(1, Math.min(1000, frameRate));
+    this.state = createFeatureState(config);
+    this.analyser = new AnalyserEmulator({ fftSize });
+    this.frontEndMode = frontEnd === 'analyser' ? 'analyser' : 'multires';
+    this.frontEnd = frontEnd === 'analyser'
+      ? null
+      : new MultiResolutionFrontEnd({ sampleRate, smoothing: this.analyser.smoothingTimeConstant });
+    this.worklet = pipeline === 'worklet' ? new WorkletHost({ sampleRate }) : null;
+    this._workletEnd = 0;
+    this._workletSyncMs = -Infinity;
+    this._workletConfigKey = '';
+    this.filterbank = new Filterbank({ count: 8, minHz: 30, maxHz: 16000 });
+    // Named-band crossovers on the filterbank's edges, as AudioEngine._applyBandSplit() does with snapping on
+    if (config.bandSplitSnap) Object.assign(this.state.bandSplit, this.filterbank.namedSplit(this.state.bandSplit));
+    this.onsetClassifier = new OnsetClassifier({ midLowHz: this.state.bandSplit.low || 180 });
+    this.beatClock = new BeatClock({ beatsPerBar: this.state.dropGateBeatsPerBar || 4 });
+    this.tempoOctave = new TempoOctaveResolver({ range: config.tempoRange || null });
+    this.dropPredictor = new DropPredictor({ beatsPerBar: this.state.dropGateBeatsPerBar || 4 });
+    this.bpmEstimate = null;
+    this.bpmEstimateConfidence = 0;
+    this.bpmEstimateSource = null;
+    // Stand-in for AudioEngine.aubioFeatures, fed by the fallback tempo tracker
+    this.liveTempo = { tempoBpm: 0, tempoConf: 0, lastOnsetMs: 0 };
+  }
+
+  /**
+   * Iterate analysis frames over a mono buffer.
+   * @param {Float32Array} mono
+   * @returns {Generator<{index:number, t:number, features:Object}>} t in seconds
+   */
+  *frames(mono) {
+    const hop = this.sampleRate / this.frameRate;
+    for (let index = 0, end = hop; end <= mono.length; index++, end = hop * (index + 1)) {
+      const sample = Math.round(end);
+      yield { index, t: sample / this.sampleRate, features: this.process(mono, sample) };
+    }
+  }
+
+  /**
+   * Analyse the frame ending at sample `end`; call with increasing `end`.
+   * @param {Float32Array} mono
+   * @param {number} end
+   * @returns {Object} Features shaped like AudioEngine.update()
+   */
+  process(mono, end) {
+    const st = this.state;
+    const sr = this.sampleRate;
+    const now = (end / sr) * 1000;
+    const core = this.worklet ? this._readWorkletCore(mono, end, now) : null;
+    if (!core) this.analyser.analyse(mono, end);
+    const { freqData, timeData } = this.analyser;
+
+    const rms = core ? core.rms : computeRMS(timeData);
+    const multi = !core && this.frontEnd ? this.frontEnd.analyse(mono, end, {
+      bandSplit: st.bandSplit,
+      minDb: this.analyser.minDecibels,
+      maxDb: this.analyser.maxDecibels,
+      refBins: this.analyser.frequencyBinCount,
+    }) : null;
+    const bands = core ? core.bands : (multi ? applyBandDynamics(st, ...multi.bands) : computeBands(st, freqData, sr));
+    const filterbank = this.filterbank.process(freqData, sr, {
+      attack: st.envAttack,
+      release: st.envRelease,
+      agcEnabled: st.bandAGCEnabled,
+      agcDecay: st.bandAGCDecay,
+    });
+    let centroid, flux, bassFlux, levelsDb;
+    if (core) {
+      ({ centroid, flux, bassFlux, levelsDb } = core);
+    } else {
+      centroid = multi
+        ? { hz: multi.centroidHz, norm: Math.min(1, multi.centroidHz / 8000) }
+        : computeCentroid(freqData, sr);
+      flux = multi ? recordFlux(st, multi.flux) : computeFlux(st, freqData);
+      bassFlux = multi ? recordBassFlux(st, multi.bassFlux) : computeBassFlux(st, freqData, sr);
+      levelsDb = multi ? multi.levelsDb : analyserLevelsDb(this.analyser.floatData, sr, st.bandSplit);
+    }
+    const onsets = this.onsetClassifier.process({ freqData, sampleRate: sr, bassFlux, flux, bandEnv: bands.env, rms, nowMs: now });
+
+    const currentBpm = this.bpmEstimate || st.tapBpm || null;
+    let beat = core ? core.beat : detectBeat(st, flux, bands, currentBpm, now);
+    const detectedBeat = beat;
+
+    const live = this.liveTempo;
+    if (typeof live.tempoBpm === 'number' && isFinite(live.tempoBpm) && live.tempoBpm > 30 && live.tempoBpm < 300) {
+      const smoothed = smoothLiveTempo(this.bpmEstimate, live.tempoBpm, live.tempoConf);
+      this.bpmEstimate = smoothed.bpm;
+      this.bpmEstimateConfidence = smoothed.confidence;
+      this.bpmEstimateSource = 'aubio-live'; // what the live engine reports for the same path
+      if (st.tempoAssistEnabled) {
+        const intervalMs = safeBpmToInterval(smoothed.bpm);
+        if (intervalMs > 0) st.tempoIntervalMs = intervalMs;
+      }
+    }
+
+    const { quantBeat } = stepTempoGrid(st, now, beat);
+    const onsetPulse = live.lastOnsetMs > 0 && (now - live.lastOnsetMs) < 150;
+
+    const clock = this.beatClock;
+    clock.setBeatsPerBar(st.dropGateBeatsPerBar || 4);
+    const clockBpm = this.bpmEstimate || st.tapBpm || 0;
+    if (clockBpm > 0) clock.setTempo(clockBpm, this.bpmEstimateConfidence || 0.3, now);
+    if (detectedBeat) clock.onBeat(now);
+    const clockFrame = clock.update(now);
+
+    beat = beat || quantBeat || onsetPulse;
+
+    const tempo = updateFallbackTempo(st, beat, now);
+    if (tempo) {
+      live.tempoBpm = tempo.bpm > 0 ? this.tempoOctave.resolve('fallback', tempo.bpm, tempo.confidence).bpm : tempo.bpm;
+      live.tempoConf = tempo.confidence;
+      if (tempo.bpm > 0) live.lastOnsetMs = now;
+    }
+
+    const a = st.smoothing; const inv = 1 - a;
+    const levels = st.levels;
+    levels.rmsEMA = levels.rmsEMA * a + rms * inv;
+    levels.bandsEMA.bass = levels.bandsEMA.bass * a + bands.bass * inv;
+    levels.bandsEMA.mid = levels.bandsEMA.mid * a + bands.mid * inv;
+    levels.bandsEMA.treble = levels.bandsEMA.treble * a + bands.treble * inv;
+    levels.centroidEMA = levels.centroidEMA * a + centroid.norm * inv;
+
+    const history = st.fluxHistory;
+    const fluxMean = history.reduce((s, v) => s + v, 0) / history.length;
+    const fluxStd = Math.sqrt(history.reduce((s, v) => s + (v - fluxMean) * (v - fluxMean), 0) / history.length);
+    // Drops read the flux the beats were detected on, as AudioEngine.update() does
+    // (the band env stays whole: the HPSS shares come in frame messages not read here)
+    const detectFlux = core ? core.detectFlux : flux;
+    const { drop, isBuilding, buildLevel } = updateDropBuild(st, {
+      beat, quantBeat, flux: detectFlux,
+      fluxMean: core ? core.detectMean : fluxMean,
+      fluxStd: core ? core.detectStd : fluxStd,
+      bassFlux, bands, centroid, nowMs: now,
+    });
+    let dropPrediction = null;
+    if (st.dropEnabled && st.dropPredictionEnabled) {
+      this.dropPredictor.setBeatsPerBar(st.dropGateBeatsPerBar || 4);
+      this.dropPredictor.armThreshold = st.dropPredictArmThreshold;
+      dropPrediction = this.dropPredictor.update({
+        nowMs: now, clock: clockFrame, buildLevel, flux: detectFlux, centroidHz: centroid.hz, flatness: null, bass: bands.bass, drop,
+      });
+    }
+
+    return {
+      rms,
+      rmsNorm: Math.min(1, rms * 2.0),
+      bands,
+      bandsEMA: { ...levels.bandsEMA },
+      bandEnv: bands.env,
+      bandNorm: bands.norm,
+      filterbank,
+      centroidHz: centroid.hz,
+      centroidNorm: centroid.norm,
+      flux,
+      fluxMean,
+      fluxStd,
+      beat,
+      drop,
+      isBuilding,
+      buildLevel,
+      dropPrediction,
+      lastDropMs: st._lastDropMs,
+      bpm: this.bpmEstimate || 0,
+      bpmConfidence: this.bpmEstimateConfidence || 0,
+      bpmSource: this.bpmEstimateSource || '',
+      tapBpm: st.tapBpm || 0,
+      mfcc: null,
+      chroma: null,
+      key: null,
+      pitchHz: 0,
+      pitchConf: 0,
+      aubioTempoBpm: live.tempoBpm,
+      aubioTempoConf: live.tempoConf,
+      onsets,
+      levelsDb,
+      loudness: null,
+      beatGrid: null,
+      clock: clockFrame,
+      timeline: null,
+      section: null,
+      decks: null,
+      stereo: null,
+      perc: null,
+      harm: null,
+    };
+  }
+
+  // The core config AudioEngine._syncWorkletCore() sends, resent at the same 4 Hz when it changes
+  _syncWorkletCore(now) {
+    if (now - this._workletSyncMs < 250) return;
+    this._workletSyncMs = now;
+    const st = this.state;
+    const bpm = this.bpmEstimate || st.tapBpm || 0;
+    const core = {
+      enabled: true,
+      rateHz: CORE_RATE_HZ,
+      fftSize: this.analyser.fftSize,
+      frontEnd: this.frontEndMode,
+      smoothing: this.analyser.smoothingTimeConstant,
+      minDb: this.analyser.minDecibels,
+      maxDb: this.analyser.maxDecibels,
+      bandSplit: { sub: st.bandSplit.sub, low: st.bandSplit.low, mid: st.bandSplit.mid },
+      envAttack: st.envAttack,
+      envRelease: st.envRelease,
+      agcEnabled: !!st.bandAGCEnabled,
+      agcDecay: st.bandAGCDecay,
+      sensitivity: st.sensitivity,
+      refractoryMs: st.beatRefractoryMs || st.beatCooldownMs,
+      energyFloor: st.beatEnergyFloor,
+      fluxWindow: st.fluxWindow,
+      bassFluxWindow: st.bassFluxWindow,
+      bpm: Math.round(bpm * 2) / 2,
+      noiseGate: { enabled: !!st.noiseGateEnabled, threshold: Math.max(0, Math.min(0.95, st.noiseGateThreshold || 0)) },
+    };
+    const key = JSON.stringify(core);
+    if (key === this._workletConfigKey) return;
+    this._workletConfigKey = key;
+    this.worklet.send({ type: 'config', hpss: st.hpssEnabled !== false, core });
+  }
+
+  // Run the worklet up to `end` and fold its hop records into the state like
+  // AudioEngine._readWorkletCore(); null until the first hop
+  _readWorkletCore(mono, end, now) {
+    this._syncWorkletCore(now);
+    const records = this.worklet.run(mono, this._workletEnd, end);
+    this._workletEnd = end;
+    if (!records.length) return null;
+    const st = this.state;
+    const F = CORE_FIELDS;
+    let beatTime = null;
+    for (const { fields } of records) {
+      st.fluxHistory.push(fields[F.detectFlux]);
+      st.bassFluxHistory.push(fields[F.bassFlux]);
+      if (fields[F.beat] > 0) beatTime = fields[F.time];
+    }
+    trimFluxHistory(st);
+    trimBassFluxHistory(st);
+    const { fields: r, spectrum } = records[records.length - 1];
+    this.analyser.freqData.set(spectrum);
+    const env = { sub: r[F.envSub], bass: r[F.envBass], mid: r[F.envMid], treble: r[F.envTreble] };
+    st.bandEnv = { ...env };
+    // Beats keep the audio time of the hop that fired them
+    if (beatTime !== null) st._lastBeatMs = beatTime * 1000;
+    return {
+      rms: r[F.rms],
+      bands: {
+        sub: r[F.sub], bass: r[F.bass], mid: r[F.mid], treble: r[F.treble],
+        norm: { sub: r[F.normSub], bass: r[F.normBass], mid: r[F.normMid], treble: r[F.normTreble] },
+        env,
+      },
+      centroid: { hz: r[F.centroidHz], norm: r[F.centroidNorm] },
+      flux: r[F.flux],
+      detectFlux: r[F.detectFlux],
+      detectMean: r[F.detectMean],
+      detectStd: r[F.detectStd],
+      bassFlux: r[F.bassFlux],
+      beat: beatTime !== null,
+      levelsDb: { total: r[F.levelDb], sub: r[F.subDb], bass: r[F.bassDb], mid: r[F.midDb], treble: r[F.trebleDb] },
+    };
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * OnsetClassifier - Kick / snare / hi-hat events from multi-band spectral flux
+ *
+ * The generic `beat` fires on any big flux spike, so hats and snares pulse
+ * the same as kicks. This splits onsets by where the new energy lands:
+ *
+ * - kick:  low-band flux (the engine's bassFlux) spikes and dominates the mids
+ * - snare: mid-band flux spikes together with high-band "crack" and a
+ *          broadband (worklet) flux spike
+ * - hat:   high-band flux spikes while lows and mids stay quiet
+ *
+ * Each band's flux is z-scored against its own running mean/std (time-based
+ * EMA), so thresholds adapt to the mix. Several classes can fire in the same
+ * frame (kick + hat is common). Strength is 0..1 and also drives a short
+ * decaying envelope per class for smooth visual mapping.
+ *
+ * @example
+ * const onsets = new OnsetClassifier();
+ * const o = onsets.process({ freqData, sampleRate, bassFlux, flux, bandEnv, rms, nowMs });
+ * if (o.kick.hit) pulse(o.kick.strength);
+ */
+
+export const ONSET_CLASSES = ['kick', 'snare', 'hat'];
+
+// Envelope decay (ms) per class: hats are short, kicks ring longest
+const ENV_DECAY_MS = { kick: 180, snare: 150, hat: 70 };
+// Minimum spacing between two events of the same class
+const REFRACTORY_MS = { kick: 110, snare: 110, hat: 55 };
+
+function emaStats() {
+  return { mean: 0, var: 0, n: 0, z: 0 };
+}
+
+export class OnsetClassifier {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold=2.2] - z-score needed for an event (lower = more sensitive)
+   * @param {number} [options.statsTauSec=1.5] - Adaptation time of the per-band statistics
+   * @param {number} [options.midLowHz=180] - Lower edge of the snare band
+   * @param {number} [options.midHighHz=5000] - Upper edge of the snare band
+   * @param {number} [options.hatLowHz=6000] - Lower edge of the hat band
+   * @param {number} [options.hatHighHz=16000] - Upper edge of the hat band
+   */
+  constructor({ threshold = 2.2, statsTauSec = 1.5, midLowHz = 180, midHighHz = 5000, hatLowHz = 6000, hatHighHz = 16000 } = {}) {
+    this.threshold = threshold;
+    this.statsTauSec = statsTauSec;
+    this.midLowHz = midLowHz;
+    this.midHighHz = midHighHz;
+    this.hatLowHz = hatLowHz;
+    this.hatHighHz = hatHighHz;
+    this.reset();
+  }
+
+  reset() {
+    this._mag = null;     // this frame's spectrum (0..1), reused across frames
+    this._prevMag = null; // last frame's; the two swap after every frame
+    this._hasPrev = false;
+    this._stats = { low: emaStats(), mid: emaStats(), high: emaStats(), full: emaStats() };
+    this._lastMs = 0;
+    this._lastHitMs = { kick: -Infinity, snare: -Infinity, hat: -Infinity };
+    this._env = { kick: 0, snare: 0, hat: 0 };
+    this._armed = { kick: true, snare: true, hat: true }; // re-arm after z falls back, so one spike = one event
+  }
+
+  setThreshold(v) { this.threshold = Math.max(0.8, Math.min(6, Number(v) || 2.2)); }
+
+  setMidRange(lowHz, highHz) {
+    if (lowHz > 0 && highHz > lowHz) { this.midLowHz = lowHz; this.midHighHz = highHz; }
+  }
+
+  // Average positive magnitude change across a band (bins as 0..1)
+  _bandFlux(mag, prev, binHz, loHz, hiHz) {
+    const n = mag.length;
+    const b0 = Math.max(1, Math.floor(loHz / binHz));
+    const b1 = Math.min(n, Math.ceil(hiHz / binHz));
+    if (b1 <= b0) return 0;
+    let flux = 0;
+    for (let i = b0; i < b1; i++) {
+      const d = mag[i] - prev[i];
+      if (d > 0) flux += d;
+    }
+    return flux / (b1 - b0);
+  }
+
+  _updateStats(stats, value, alpha) {
+    stats.n++;
+    const std = Math.sqrt(stats.var) + 1e-4;
+    stats.z = stats.n > 1 ? (value - stats.mean) / std : 0;
+    // Cumulative average while warming up, so one early spike can't dominate; afterwards spikes
+    // feed the statistics at reduced weight so they don't raise the floor for the next hit
+    let a = Math.max(alpha, 1 / stats.n);
+    if (stats.n > 1 / alpha && stats.z > this.threshold) a *= 0.25;
+    const d = value - stats.mean;
+    stats.mean += a * d;
+    stats.var = (1 - a) * (stats.var + a * d * d);
+    return stats.z;
+  }
+
+  /**
+   * Classify the current frame.
+   * @param {Object} input
+   * @param {Uint8Array} input.freqData - Analyser byte spectrum
+   * @param {number} input.sampleRate
+   * @param {number} input.bassFlux - Low-band flux from the engine
+   * @param {number} [input.flux] - Broadband flux (worklet or main thread)
+   * @param {{bass?:number, mid?:number, treble?:number}} [input.bandEnv] - Band envelopes (0..1)
+   * @param {number} [input.rms=1] - Frame RMS; near-silence never triggers
+   * @param {number} [input.nowMs]
+   * @returns {{kick:{hit:boolean,strength:number,env:number}, snare:{hit:boolean,strength:number,env:number}, hat:{hit:boolean,strength:number,env:number}}}
+   */
+  process({ freqData, sampleRate, bassFlux = 0, flux = 0, bandEnv = null, rms = 1, nowMs = performance.now() }) {
+    const n = freqData ? freqData.length : 0;
+    const out = {
+      kick: { hit: false, strength: 0, env: 0 },
+      snare: { hit: false, strength: 0, env: 0 },
+      hat: { hit: false, strength: 0, env: 0 },
+    };
+    if (!n) return out;
+
+    const dtMs = this._lastMs > 0 ? Math.max(0, Math.min(250, nowMs - this._lastMs)) : 16;
+    this._lastMs = nowMs;
+    for (const cls of ONSET_CLASSES) this._env[cls] *= Math.exp(-dtMs / ENV_DECAY_MS[cls]);
+
+    if (!this._mag || this._mag.length !== n) {
+      this._mag = new Float32Array(n);
+      this._prevMag = new Float32Array(n);
+      this._hasPrev = false;
+    }
+    const mag = this._mag;
+    for (let i = 0; i < n; i++) mag[i] = freqData[i] / 255;
+    const prev = this._hasPrev ? this._prevMag : mag;
+    const binHz = (sampleRate || 48000) / 2 / n;
+    const midFlux = this._bandFlux(mag, prev, binHz, this.midLowHz, this.midHighHz);
+    const highFlux = this._bandFlux(mag, prev, binHz, this.hatLowHz, Math.min(this.hatHighHz, (sampleRate || 48000) / 2));
+    // The next frame writes over the older spectrum
+    this._mag = this._prevMag;
+    this._prevMag = mag;
+    this._hasPrev = true;
+
+    const alpha = 1 - Math.exp(-dtMs / 1000 / this.statsTauSec);
+    const zLow = this._updateStats(this._stats.low, bassFlux || 0, alpha);
+    const zMid = this._updateStats(this._stats.mid, midFlux, alpha);
+    const zHigh = this._updateStats(this._stats.high, highFlux, alpha);
+    const zFull = this._updateStats(this._stats.full, flux || 0, alpha);
+
+    if (!(rms > 0.005)) {
+      for (const cls of ONSET_CLASSES) out[cls].env = this._env[cls];
+      return out;
+    }
+
+    const thr = this.threshold;
+    const bassEnv = bandEnv?.bass ?? 1;
+    const trebleEnv = bandEnv?.treble ?? 1;
+    const candidates = {
+      // Low spike that isn't just the low tail of a broadband hit
+      kick: zLow > thr && zLow >= zMid * 0.6 ? zLow * (0.6 + 0.4 * Math.min(1, bassEnv * 2)) : 0,
+      // Mid body plus high crack, confirmed by broadband flux
+      snare: zMid > thr && zHigh > thr * 0.5 && zFull > thr * 0.5 && zMid > zLow * 0.7 ? zMid : 0,
+      // Highs on their own
+      hat: zHigh > thr && zMid < thr * 0.8 && zLow < thr ? zHigh * (0.6 + 0.4 * Math.min(1, trebleEnv * 2)) : 0,
+    };
+    const zOf = { kick: zLow, snare: zMid, hat: zHigh };
+
+    for (const cls of ONSET_CLASSES) {
+      // Re-arm once this band has settled back below the threshold
+      if (zOf[cls] < thr * 0.5) this._armed[cls] = true;
+      const score = candidates[cls];
+      if (score > 0 && this._armed[cls] && nowMs - this._lastHitMs[cls] >= REFRACTORY_MS[cls]) {
+        const strength = Math.max(0.05, Math.min(1, (score - thr) / (thr * 2) + 0.25));
+        out[cls].hit = true;
+        out[cls].strength = strength;
+        this._lastHitMs[cls] = nowMs;
+        this._armed[cls] = false;
+        this._env[cls] = Math.max(this._env[cls], strength);
+      }
+      out[cls].env = this._env[cls];
+    }
+    return out;
+  }
+}
@@ -140,6 +140,7 @@ function injectStyles() {
       display: flex;
       align-items: center;
       justify-content: space-between;
+      flex-wrap: wrap;
       gap: 8px;
       font-variant-numeric: tabular-nums;
       margin-bottom: 6px;
@@ -387,8 +388,16 @@ export class PerformanceHud {
     this.dropBadge = document.createElement('div');
     this.dropBadge.className = 'guardian-hud__badge';
     this.dropBadge.textContent = 'Drops 0';
+    this.loudnessBadge = document.createElement('div');
+    this.loudnessBadge.className = 'guardian-hud__badge';
+    this.loudnessBadge.textContent = 'LUFS —';
+    this.sourceBadge = document.createElement('div');
+    this.sourceBadge.className = 'guardian-hud__badge';
+    this.sourceBadge.textContent = 'Source —';
     this.infoRow.appendChild(this.qualityBadge);
     this.infoRow.appendChild(this.dropBadge);
+    this.infoRow.appendChild(this.loudnessBadge);
+    this.infoRow.appendChild(this.sourceBadge);
 
     this.details = document.createElement('div');
     this.details.className = 'guardian-hud__details';
@@ -399,6 +408,10 @@ export class PerformanceHud {
       budget: this._createDetailRow('Budget util'),
       renderer: this._createDetailRow('Draw calls'),
       memory: this._createDetailRow('Memory'),
+      loudness: this._createDetailRow('Loudness M/S/I'),
+      autoGain: this._createDetailRow('Auto-gain'),
+      analysisQueue: this._createDetailRow('Meyda/Aubio queue'),
+      source: this._createDetailRow('Source health'),
     };
     Object.values(this.detailNodes).forEach((node) => {
       this.details.appendChild(node.row);
@@ -505,6 +518,74 @@ export class PerformanceHud {
     this._updatePeeker(metrics);
   }
 
+  /**
+   * Show audio loudness (features.loudness). Throttled like the perf metrics.
+   * @param {{momentary:number, shortTerm:number, integrated:number, gainDb?:number, autoGain?:boolean}|null} loudness
+   */
+  setLoudness(loudness) {
+    if (this.disabled || !this.loudnessBadge) return;
+    const nowTs = performance.now();
+    if (nowTs - (this.lastLoudnessTs || 0) < this.updateIntervalMs) return;
+    this.lastLoudnessTs = nowTs;
+    if (!loudness) {
+      this.loudnessBadge.textContent = 'LUFS —';
+      this.detailNodes.loudness.valueEl.textContent = 'n/a';
+      this.detailNodes.autoGain.valueEl.textContent = 'off';
+      return;
+    }
+    const lufs = (v) => (Number.isFinite(v) && v > -70 ? formatNumber(v, 1) : '−∞');
+    this.loudnessBadge.textContent = `${lufs(loudness.shortTerm)} LUFS`;
+    this.detailNodes.loudness.valueEl.textContent = `${lufs(loudness.momentary)} / ${lufs(loudness.shortTerm)} / ${lufs(loudness.integrated)}`;
+    const gainDb = Number(loudness.gainDb) || 0;
+    this.detailNodes.autoGain.valueEl.textContent = loudness.autoGain
+      ? `${gainDb >= 0 ? '+' : ''}${formatNumber(gainDb, 1)} dB → ${formatNumber(loudness.targetLufs, 0)} LUFS`
+      : 'off';
+  }
+
+  /**
+   * Show Meyda/Aubio back-pressure (AudioEngine.getAubioQueueStats()). Throttled like the perf metrics.
+   * @param {{queueDepth:number, maxDepth:number, highWater:number, dropped:number, thread?:string, avgProcessMs?:number}|null} stats
+   */
+  setAnalysisQueue(stats) {
+    if (this.disabled || !this.detailNodes) return;
+    const nowTs = performance.now();
+    if (nowTs - (this.lastAnalysisQueueTs || 0) < this.updateIntervalMs) return;
+    this.lastAnalysisQueueTs = nowTs;
+    if (!stats) {
+      this.detailNodes.analysisQueue.valueEl.textContent = 'n/a';
+      return;
+    }
+    const cost = Number.isFinite(stats.avgProcessMs) && stats.avgProcessMs > 0
+      ? ` · ${formatNumber(stats.avgProcessMs, 2)} ms`
+      : '';
+    this.detailNodes.analysisQueue.valueEl.textContent =
+      `${stats.thread || 'main'} ${stats.queueDepth}/${stats.maxDepth} · peak ${stats.highWater} · ${stats.dropped} dropped${cost}`;
+  }
+
+  /**
+   * Show the running audio source and its health (AudioEngine.getSourceHealth()). Throttled like the perf metrics.
+   * @param {{source:string|null, label:string, state:string, clip:number, dc:number, lastFailover:Object|null}|null} health
+   */
+  setSourceHealth(health) {
+    if (this.disabled || !this.sourceBadge) return;
+    const nowTs = performance.now();
+    if (nowTs - (this.lastSourceHealthTs || 0) < this.updateIntervalMs) return;
+    this.lastSourceHealthTs = nowTs;
+    if (!health || !health.source) {
+      this.sourceBadge.textContent = 'Source —';
+      this.sourceBadge.style.color = '';
+      this.detailNodes.source.valueEl.textContent = 'stopped';
+      return;
+    }
+    const ok = health.state === 'ok';
+    this.sourceBadge.textContent = ok ? health.label : `${health.label}: ${health.state}`;
+    this.sourceBadge.style.color = ok ? '' : '#ffb74d';
+    const lf = health.lastFailover;
+    const failover = lf ? ` · last ${lf.from} → ${lf.to || 'none'}` : '';
+    this.detailNodes.source.valueEl.textContent =
+      `${health.state} · clip ${formatNumber((health.clip || 0) * 100, 2)}% · DC ${formatNumber(health.dc || 0, 3)}${failover}`;
+  }
+
   _pushHistory(value) {
     if (!Number.isFinite(value)) return;
     this.fpsHistory.push(value);
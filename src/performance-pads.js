@@ -14,6 +14,16 @@
 
 const clamp = (v, a, b) => Math.min(b, Math.max(a, v));
 
+// Quantize grid sizes in beats
+// '1' is one bar in the beat clock's meter (features.clock.beatsPerBar)
+const QUANTIZE_BEATS = { '1/8': 0.5, '1/4': 1, '1/2': 2, '1': null };
+// Drum-triggered quantize: wait for the next classified onset instead of a grid line
+const QUANTIZE_ONSETS = ['kick', 'snare', 'hat'];
+// Drop-triggered quantize: hold until the predicted drop lands (features.dropPrediction.landed)
+const QUANTIZE_DROP = 'drop';
+// ...but no longer than this: a build that never arms falls back to the next downbeat
+const DROP_WAIT_BARS = 16;
+
 // FIX: Track active instances to detect singleton violations
 let _activeInstance = null;
 
@@ -32,6 +42,8 @@ export class PerformanceController {
     // Global musical context snapshot
     this._lastBpm = 120;
     this._beatMs = 500;
+    this._beatsPerBar = 4; // beat clock's meter, for '1' quantize and the drop wait
+    this._lastClockPos = null; // previous beat-clock position, for quantize boundary crossings
 
     // Pad 1 — Manual tunnel zoom (geometry only)
     this.pad1 = {
@@ -56,9 +68,10 @@ export class PerformanceController {
       _snapRemainMs: 0,
       _bounceRemainMs: 0,
       gain: 1.0,                   // user-adjustable live intensity 0.2..2.0
-      quantize: null,              // '1/4' | '1/2' | '1' | null
+      quantize: null,              // '1/8' | '1/4' | '1/2' | '1' | 'kick' | 'snare' | 'hat' | 'drop' | null
       _pendingEngage: false,
       _pendingRelease: false,
+      _pendingSinceMs: 0,
     };
 
     // Pad 2 — Shutter shot (very short pulse)
@@ -68,6 +81,7 @@ export class PerformanceController {
       durationMs: 120,
       gain: 1.0,
       quantize: '1/4',
+      _pendingSinceMs: 0,
       _active: false,
       _t0: 0,
       // pulse shape parameters
@@ -98,6 +112,7 @@ export class PerformanceController {
       gapMs: 40,
       gain: 1.0,
       quantize: '1/8',
+      _pendingSinceMs: 0,
       _active: false,
       _t0: 0,
       zoomPulse: 3.5,
@@ -126,6 +141,50 @@ export class PerformanceController {
     try { this.sync?.sendPadEvent?.(event); } catch (_) {}
   }
 
+  // Beat position from the phase-locked clock, or null when it isn't trustworthy
+  _clockPosition(features) {
+    const c = features?.clock;
+    if (!c || !(c.lock >= 0.3) || !Number.isFinite(c.beatPosition)) return null;
+    // Bar-relative position so '1' quantize lands on downbeats
+    return (c.barIndex + c.barPhase) * this._beatsPerBar;
+  }
+
+  // True on the frame the clock crosses a quantize boundary ('1/8' = half a beat, '1' = one bar);
+  // falls back to detected beats when the clock isn't locked
+  // ('kick' / 'snare' / 'hat' fire on the next onset of that class instead,
+  // 'drop' on the downbeat the drop predictor expects the drop on, or on the next
+  // downbeat when there is no prediction (drop detection off) or the pad has waited DROP_WAIT_BARS)
+  _onQuantizeBoundary(quantize, clockPos, features, pendingSinceMs = 0) {
+    if (QUANTIZE_ONSETS.includes(quantize)) return !!features?.onsets?.[quantize]?.hit;
+    if (quantize === QUANTIZE_DROP) {
+      const prediction = features?.dropPrediction;
+      if (prediction?.landed) return true;
+      const waitedOut = pendingSinceMs > 0 && this.nowMs - pendingSinceMs >= DROP_WAIT_BARS * this._beatsPerBar * this._beatMs;
+      if (prediction && !waitedOut) return false;
+      quantize = '1';
+    }
+    if (clockPos === null || this._lastClockPos == null) return !!features?.beat;
+    const div = quantize === '1' ? this._beatsPerBar : (QUANTIZE_BEATS[quantize] || 1);
+    return Math.floor(clockPos / div) > Math.floor(this._lastClockPos / div);
+  }
+
+  /**
+   * Change a pad's quantize mode at runtime.
+   * @param {number} pad - Pad number (1, 2 or 4 support quantize)
+   * @param {string|null} mode - '1/8' | '1/4' | '1/2' | '1' | 'kick' | 'snare' | 'hat' | 'drop' | null
+   * @returns {boolean} false when the pad or mode is unknown
+   */
+  setPadQuantize(pad, mode) {
+    const target = this[`pad${pad}`];
+    if (!target || !('quantize' in target)) return false;
+    if (mode !== null && !(mode in QUANTIZE_BEATS) && !QUANTIZE_ONSETS.includes(mode) && mode !== QUANTIZE_DROP) {
+      console.warn('[PerformanceController] Unknown quantize mode:', mode);
+      return false;
+    }
+    target.quantize = mode;
+    return true;
+  }
+
   // Public API used by the animation loop
   update(dt /* seconds */, nowMs = performance.now(), features = null) {
     this.nowMs = nowMs;
@@ -133,11 +192,15 @@ export class PerformanceController {
       this._lastBpm = features.bpm;
       this._beatMs = 60000 / this._lastBpm;
     }
+    const bpb = features?.clock?.beatsPerBar;
+    if (Number.isFinite(bpb) && bpb >= 1) this._beatsPerBar = bpb;
     const p = this.pad1;
+    const clockPos = this._clockPosition(features);
     // Quantize start/stop if requested
     if (this.enabled && p.quantize) {
-      if (p._pendingEngage && features?.beat) { p.isDown = true; p._pendingEngage = false; }
-      if (p._pendingRelease && features?.beat) { p.isDown = false; p._pendingRelease = false; }
+      const onGrid = this._onQuantizeBoundary(p.quantize, clockPos, features, p._pendingSinceMs);
+      if (p._pendingEngage && onGrid) { p.isDown = true; p._pendingEngage = false; }
+      if (p._pendingRelease && onGrid) { p.isDown = false; p._pendingRelease = false; }
     }
     const target = (this.enabled && (p.isDown || p.latched)) ? 1 : 0;
     const att = p.attackMs > 0 ? clamp(dt * 1000 / p.attackMs, 0, 1) : 1;
@@ -149,7 +212,7 @@ export class PerformanceController {
     if (p._bounceRemainMs > 0) p._bounceRemainMs = Math.max(0, p._bounceRemainMs - dt * 1000);
 
     // Pad 2 quantize scheduling (atomic check-and-clear to prevent double-fire)
-    if (this.enabled && this.pad2 && this.pad2.quantize && features?.beat) {
+    if (this.enabled && this.pad2 && this.pad2.quantize && this._onQuantizeBoundary(this.pad2.quantize, clockPos, features, this.pad2._pendingSinceMs)) {
       if (this.pad2._pending) {
         this.pad2._pending = false;
         this.pad2._active = true;
@@ -158,7 +221,7 @@ export class PerformanceController {
       }
     }
     // Pad 4 quantize scheduling (atomic check-and-clear to prevent double-fire)
-    if (this.enabled && this.pad4 && this.pad4.quantize && features?.beat) {
+    if (this.enabled && this.pad4 && this.pad4.quantize && this._onQuantizeBoundary(this.pad4.quantize, clockPos, features, this.pad4._pendingSinceMs)) {
       if (this.pad4._pending) {
         this.pad4._pending = false;
         this.pad4._active = true;
@@ -167,6 +230,8 @@ export class PerformanceController {
       }
     }
 
+    this._lastClockPos = clockPos;
+
     // HUD update (cheap)
     if (this._hudPad1) {
       this._hudPad1.style.setProperty('--fill', String(clamp(p.intensity, 0, 1)));
@@ -373,7 +438,7 @@ export class PerformanceController {
       if (k === '1') {
         ev.preventDefault();
         const p = this.pad1;
-        if (p.quantize) { p._pendingEngage = true; } else { p.isDown = true; }
+        if (p.quantize) { p._pendingEngage = true; p._pendingSinceMs = this.nowMs; } else { p.isDown = true; }
         this._broadcast({ key: '1', action: 'engage', t: this.nowMs });
         const now = this.nowMs || performance.now();
         // Double-tap within 250ms toggles latch
@@ -386,7 +451,7 @@ export class PerformanceController {
       if (k === '2') {
         ev.preventDefault();
         const p2 = this.pad2;
-        if (p2.quantize) { p2._pending = true; } else { p2._active = true; p2._t0 = this.nowMs; }
+        if (p2.quantize) { p2._pending = true; p2._pendingSinceMs = this.nowMs; } else { p2._active = true; p2._t0 = this.nowMs; }
         this._broadcast({ key: '2', action: 'shot', t: this.nowMs });
       }
 
@@ -400,7 +465,7 @@ export class PerformanceController {
       if (k === '4') {
         ev.preventDefault();
         const p4 = this.pad4;
-        if (p4.quantize) { p4._pending = true; } else { p4._active = true; p4._t0 = this.nowMs; }
+        if (p4.quantize) { p4._pending = true; p4._pendingSinceMs = this.nowMs; } else { p4._active = true; p4._t0 = this.nowMs; }
         this._broadcast({ key: '4', action: 'shot', t: this.nowMs });
       }
 
@@ -431,7 +496,7 @@ export class PerformanceController {
       if (!this.enabled) return;
       if (k === '1') {
         // Release only ends momentary; latched keeps running
-        if (this.pad1.quantize) { this.pad1._pendingRelease = true; } else { this.pad1.isDown = false; }
+        if (this.pad1.quantize) { this.pad1._pendingRelease = true; this.pad1._pendingSinceMs = this.nowMs; } else { this.pad1.isDown = false; }
         // Trigger snap-back pulse if not latched
         if (!this.pad1.latched) {
           this.pad1._snapRemainMs = this.pad1.releaseSnapMs;
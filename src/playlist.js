@@ -0,0 +1,457 @@
+/**
+ * PlaylistQueue - Ordered file queue with auto-advance and crossfades
+ *
+ * Holds the tracks dropped onto the page, plays them through
+ * AudioEngine.loadFile() (crossfading when a track is already playing) and
+ * advances automatically shortly before the end of each track. Shuffle and
+ * repeat (off / all / one) are supported.
+ *
+ * Every queued track is analysed in the background (BPM, key, beat grid via
+ * AudioEngine.analyzeFileInBackground) one at a time, so its grid is ready the
+ * moment it starts playing.
+ *
+ * The queue survives reloads: metadata lives in localStorage and the audio
+ * files themselves in IndexedDB. The current track and position are saved
+ * periodically so session recovery can resume where playback stopped.
+ *
+ * Events (subscribe with on(event, handler); handler receives { event, detail }):
+ * - 'change'      queue contents or settings changed
+ * - 'trackchange' a new track started: { index, entry, previous }
+ * - 'error'       auto-advance couldn't start the next track: { error }
+ *
+ * @example
+ * const playlist = new PlaylistQueue({ audioEngine: audio });
+ * await playlist.restore();
+ * await playlist.add(dataTransfer.files);
+ * playlist.on('trackchange', ({ detail }) => console.log(detail.entry.name));
+ * // every frame:
+ * playlist.update(performance.now());
+ */
+
+const STORAGE_KEY = 'cosmicPlaylist.v1';
+const DB_NAME = 'cosmic-playlist';
+const DB_STORE = 'tracks';
+const REPEAT_MODES = ['off', 'all', 'one'];
+const POSITION_SAVE_INTERVAL_MS = 5000;
+const ANALYSIS_DELAY_MS = 3000;     // let the playing track's own analysis go first
+const MAX_ANALYSIS_ATTEMPTS = 2;
+
+// --- IndexedDB (File/Blob objects are structured-cloneable) ---
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(DB_STORE)) req.result.createObjectStore(DB_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbRequest(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, mode);
+    const req = fn(tx.objectStore(DB_STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function makeId() {
+  return `trk_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Whether a dropped/picked file is audio: by MIME type, else by extension
+ * (some platforms hand over files with an empty type).
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isAudioFile(file) {
+  if (!file) return false;
+  if (file.type) return file.type.startsWith('audio/');
+  return /\.(mp3|wav|ogg|oga|flac|m4a|aac|aif|aiff|opus|webm)$/i.test(file.name || '');
+}
+
+export class PlaylistQueue {
+  /**
+   * @param {Object} options
+   * @param {import('./audio.js').AudioEngine} options.audioEngine
+   * @param {Storage} [options.storage=window.localStorage]
+   */
+  constructor({ audioEngine, storage = (typeof window !== 'undefined' ? window.localStorage : null) } = {}) {
+    this.audioEngine = audioEngine;
+    this.storage = storage;
+
+    this.entries = [];            // [{ id, name, size, type, lastModified, analysis, presetId, missing }]
+    this.currentIndex = -1;
+    this.shuffle = false;
+    this.repeat = 'all';          // 'off' | 'all' | 'one'
+    this.autoAdvance = true;
+    this.crossfadeSec = 4;
+
+    this._files = new Map();      // id -> File
+    this._results = new Map();    // id -> raw Essentia result (memory only; beat grids are large)
+    this._attempts = new Map();   // id -> background analysis attempts
+    this._order = [];             // play order (indices into entries); shuffled when shuffle is on
+    this._listeners = new Set();
+    this._loading = false;
+    this._analysing = false;
+    this._analysisTimer = null;
+    this._lastPositionSaveMs = 0;
+    this._savedPositionSec = 0;
+    this._db = null;
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    const entry = { event, handler };
+    this._listeners.add(entry);
+    return () => this._listeners.delete(entry);
+  }
+
+  _emit(event, detail) {
+    for (const l of this._listeners) {
+      if (l.event !== event && l.event !== '*') continue;
+      try { l.handler({ event, detail }); } catch (err) { console.warn('[Playlist] Listener error', err); }
+    }
+  }
+
+  get current() { return this.entries[this.currentIndex] || null; }
+
+  get length() { return this.entries.length; }
+
+  /** True while the engine is playing the playlist's current track (not an ad-hoc file). */
+  get isActive() {
+    const cur = this.current;
+    return !!cur && !!this.audioEngine?.currentFile && this.audioEngine.currentFile === this._files.get(cur.id);
+  }
+
+  // --- Persistence ---
+
+  async _getDb() {
+    if (!this._db) this._db = await openDb();
+    return this._db;
+  }
+
+  _save() {
+    if (!this.storage) return;
+    const data = {
+      version: 1,
+      entries: this.entries.map(({ missing, ...rest }) => rest),
+      currentId: this.current?.id || null,
+      positionSec: this._savedPositionSec,
+      shuffle: this.shuffle,
+      repeat: this.repeat,
+      autoAdvance: this.autoAdvance,
+      crossfadeSec: this.crossfadeSec,
+    };
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (err) {
+      console.warn('[Playlist] Failed to save queue', err);
+    }
+  }
+
+  /**
+   * Load the queue saved by a previous session (files from IndexedDB).
+   * Tracks whose audio could not be recovered stay listed with `missing: true`.
+   */
+  async restore() {
+    let data = null;
+    try { data = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null'); } catch (_) {}
+    if (!data || !Array.isArray(data.entries)) return false;
+    this.shuffle = !!data.shuffle;
+    this.repeat = REPEAT_MODES.includes(data.repeat) ? data.repeat : 'all';
+    this.autoAdvance = data.autoAdvance !== false;
+    this.crossfadeSec = Number.isFinite(data.crossfadeSec) ? data.crossfadeSec : 4;
+    this._savedPositionSec = Number(data.positionSec) || 0;
+    this.entries = data.entries.filter((e) => e && e.id).map((e) => ({ ...e, missing: true }));
+    try {
+      const db = await this._getDb();
+      for (const entry of this.entries) {
+        const file = await idbRequest(db, 'readonly', (store) => store.get(entry.id));
+        if (file) {
+          this._files.set(entry.id, file);
+          entry.missing = false;
+        }
+      }
+    } catch (err) {
+      console.warn('[Playlist] Could not read stored tracks', err);
+    }
+    this.currentIndex = data.currentId ? this.entries.findIndex((e) => e.id === data.currentId) : -1;
+    this._rebuildOrder();
+    this._emit('change', {});
+    this._scheduleAnalysis();
+    return true;
+  }
+
+  // --- Queue editing ---
+
+  /**
+   * Append audio files (non-audio files are skipped).
+   * @param {FileList|File[]} files
+   * @returns {Promise<number>} Number of tracks added
+   */
+  async add(files) {
+    const list = Array.from(files || []).filter(isAudioFile);
+    if (!list.length) return 0;
+    let db = null;
+    try { db = await this._getDb(); } catch (err) { console.warn('[Playlist] Tracks will not survive a reload', err); }
+    for (const file of list) {
+      const entry = {
+        id: makeId(),
+        name: file.name || 'Untitled',
+        size: file.size || 0,
+        type: file.type || '',
+        lastModified: file.lastModified || 0,
+        analysis: null,
+        presetId: null,
+        missing: false,
+      };
+      this._files.set(entry.id, file);
+      this.entries.push(entry);
+      if (db) {
+        try { await idbRequest(db, 'readwrite', (store) => store.put(file, entry.id)); } catch (err) {
+          console.warn('[Playlist] Failed to store track', entry.name, err);
+        }
+      }
+    }
+    this._rebuildOrder();
+    this._save();
+    this._emit('change', {});
+    this._scheduleAnalysis();
+    return list.length;
+  }
+
+  remove(id) {
+    const index = this.entries.findIndex((e) => e.id === id);
+    if (index < 0) return;
+    this.entries.splice(index, 1);
+    this._files.delete(id);
+    this._results.delete(id);
+    this._attempts.delete(id);
+    if (index < this.currentIndex) this.currentIndex--;
+    else if (index === this.currentIndex) this.currentIndex = -1;
+    this._deleteStored([id]);
+    this._rebuildOrder();
+    this._save();
+    this._emit('change', {});
+  }
+
+  move(fromIndex, toIndex) {
+    const n = this.entries.length;
+    if (fromIndex < 0 || fromIndex >= n || toIndex < 0 || toIndex >= n || fromIndex === toIndex) return;
+    const currentId = this.current?.id;
+    const [entry] = this.entries.splice(fromIndex, 1);
+    this.entries.splice(toIndex, 0, entry);
+    this.currentIndex = currentId ? this.entries.findIndex((e) => e.id === currentId) : -1;
+    this._rebuildOrder();
+    this._save();
+    this._emit('change', {});
+  }
+
+  clear() {
+    const ids = this.entries.map((e) => e.id);
+    this.entries = [];
+    this._files.clear();
+    this._results.clear();
+    this._attempts.clear();
+    this.currentIndex = -1;
+    this._savedPositionSec = 0;
+    this._order = [];
+    this._deleteStored(ids);
+    this._save();
+    this._emit('change', {});
+  }
+
+  async _deleteStored(ids) {
+    try {
+      const db = await this._getDb();
+      await idbRequest(db, 'readwrite', (store) => { for (const id of ids) store.delete(id); return null; });
+    } catch (_) {}
+  }
+
+  setShuffle(v) { this.shuffle = !!v; this._rebuildOrder(); this._save(); this._emit('change', {}); }
+  setRepeat(mode) { if (REPEAT_MODES.includes(mode)) { this.repeat = mode; this._save(); this._emit('change', {}); } }
+  setAutoAdvance(v) { this.autoAdvance = !!v; this._save(); this._emit('change', {}); }
+  setCrossfadeSec(sec) { this.crossfadeSec = Math.max(0, Math.min(30, Number(sec) || 0)); this._save(); }
+
+  /** Preset to load whenever this track starts (null to keep whatever is active). */
+  setTrackPreset(id, presetId) {
+    const entry = this.entries.find((e) => e.id === id);
+    if (!entry) return;
+    entry.presetId = presetId || null;
+    this._save();
+    this._emit('change', {});
+  }
+
+  _rebuildOrder() {
+    const order = this.entries.map((_, i) => i);
+    if (this.shuffle) {
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      // Keep the current track first so "next" walks the rest of the shuffle
+      const at = order.indexOf(this.currentIndex);
+      if (at > 0) { order.splice(at, 1); order.unshift(this.currentIndex); }
+    }
+    this._order = order;
+  }
+
+  _stepIndex(direction) {
+    const n = this._order.length;
+    if (!n) return -1;
+    const pos = this._order.indexOf(this.currentIndex);
+    let nextPos = pos + direction;
+    if (pos < 0) nextPos = direction > 0 ? 0 : n - 1;
+    if (nextPos >= n || nextPos < 0) {
+      if (this.repeat !== 'all') return -1;
+      if (this.shuffle && direction > 0) {
+        const last = this.currentIndex;
+        this._rebuildOrder();
+        // Avoid playing the same track twice in a row across reshuffles
+        if (this._order.length > 1 && this._order[0] === last) this._order.push(this._order.shift());
+        return this._order[0];
+      }
+      nextPos = (nextPos + n) % n;
+    }
+    return this._order[nextPos];
+  }
+
+  // --- Playback ---
+
+  /**
+   * Play a queue entry.
+   * @param {number} index
+   * @param {Object} [options]
+   * @param {boolean} [options.crossfade=true] - Crossfade from the playing file
+   * @param {number} [options.positionSec=0] - Start offset
+   */
+  async playIndex(index, { crossfade = true, positionSec = 0 } = {}) {
+    const entry = this.entries[index];
+    if (!entry) return false;
+    const file = this._files.get(entry.id);
+    if (!file) throw new Error(`"${entry.name}" is no longer available — add it again`);
+    if (this._loading) return false;
+    this._loading = true;
+    const previous = this.current;
+    try {
+      const fade = crossfade && this.audioEngine.isPlayingFile && !this.audioEngine.filePaused ? this.crossfadeSec : 0;
+      await this.audioEngine.loadFile(file, { crossfadeSec: fade });
+      this.currentIndex = index;
+      if (this._results.has(entry.id)) this.audioEngine.applyPrecomputedAnalysis(this._results.get(entry.id));
+      if (positionSec > 0) this.audioEngine.seek(positionSec);
+      this._savedPositionSec = positionSec > 0 ? positionSec : 0;
+      this._lastPositionSaveMs = performance.now();
+      if (this.shuffle && this._order.indexOf(index) < 0) this._rebuildOrder();
+      this._save();
+      this._emit('trackchange', { index, entry, previous });
+      this._emit('change', {});
+    } finally {
+      this._loading = false;
+      this._scheduleAnalysis();
+    }
+    return true;
+  }
+
+  async next(options = {}) {
+    const index = this._stepIndex(1);
+    if (index < 0) return false;
+    return this.playIndex(index, options);
+  }
+
+  async previous(options = {}) {
+    const index = this._stepIndex(-1);
+    if (index < 0) return false;
+    return this.playIndex(index, options);
+  }
+
+  /** Resume the saved track at its saved position (session recovery). */
+  async resume() {
+    if (this.currentIndex < 0 || !this._files.has(this.current.id)) return false;
+    return this.playIndex(this.currentIndex, { crossfade: false, positionSec: this._savedPositionSec });
+  }
+
+  /**
+   * Per-frame housekeeping: auto-advance before the end of the track and
+   * periodic position saves. Cheap when idle.
+   */
+  update(nowMs = performance.now()) {
+    if (this._loading || !this.isActive) return;
+    const t = this.audioEngine.getTransportState();
+    if (!t.loaded) return;
+    if (nowMs - this._lastPositionSaveMs >= POSITION_SAVE_INTERVAL_MS) {
+      this._lastPositionSaveMs = nowMs;
+      this._savedPositionSec = t.positionSec;
+      this._save();
+    }
+    // Repeat-one and loop regions keep the track going; paused tracks don't advance
+    if (!this.autoAdvance || !t.playing || t.loop || this.repeat === 'one') return;
+    const remainingSec = (t.durationSec - t.positionSec) / (t.rate || 1);
+    const lead = Math.max(0.1, Math.min(this.crossfadeSec, t.durationSec / 4));
+    if (remainingSec > lead) return;
+    const index = this._stepIndex(1);
+    if (index < 0) {
+      // End of the queue: stop at the end instead of looping the last track
+      if (remainingSec <= 0.1) this.audioEngine.pause();
+      return;
+    }
+    this.playIndex(index).catch((err) => {
+      console.warn('[Playlist] Auto-advance failed', err);
+      this._emit('error', { error: err });
+    });
+  }
+
+  // --- Background analysis ---
+
+  _scheduleAnalysis() {
+    if (this._analysisTimer || this._analysing) return;
+    this._analysisTimer = setTimeout(() => {
+      this._analysisTimer = null;
+      this._analyseNext();
+    }, ANALYSIS_DELAY_MS);
+  }
+
+  async _analyseNext() {
+    if (this._analysing) return;
+    if (this._loading) { this._scheduleAnalysis(); return; }
+    const entry = this.entries.find((e) => !this._results.has(e.id) && this._files.has(e.id)
+      && (this._attempts.get(e.id) || 0) < MAX_ANALYSIS_ATTEMPTS);
+    if (!entry) return;
+    this._analysing = true;
+    this._attempts.set(entry.id, (this._attempts.get(entry.id) || 0) + 1);
+    try {
+      const out = await this.audioEngine.analyzeFileInBackground(this._files.get(entry.id));
+      if (out && this.entries.includes(entry)) {
+        this._results.set(entry.id, out.result);
+        entry.analysis = {
+          bpm: out.bpm,
+          confidence: out.confidence,
+          duration: out.duration,
+          key: out.key ? { name: out.key.name, camelot: out.key.camelot } : null,
+        };
+        // The track may have started before its analysis finished
+        if (this.current === entry && this.isActive) this.audioEngine.applyPrecomputedAnalysis(out.result);
+        this._save();
+        this._emit('change', {});
+      }
+    } catch (err) {
+      console.warn('[Playlist] Background analysis failed for', entry.name, err);
+    } finally {
+      this._analysing = false;
+    }
+    this._scheduleAnalysis();
+  }
+
+  dispose() {
+    if (this._analysisTimer) { clearTimeout(this._analysisTimer); this._analysisTimer = null; }
+    this._listeners.clear();
+    try { this._db?.close(); } catch (_) {}
+    this._db = null;
+  }
+}
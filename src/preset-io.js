@@ -26,18 +26,27 @@ export function capturePresetSnapshot({ sceneApi, audioEngine }) {
       visualMode: params.visualMode || 'overlay',
     },
     audio: {
-      gain: audioEngine.gainNode?.gain?.value || 1,
+      gain: audioEngine.gain ?? (audioEngine.gainNode?.gain?.value || 1),
+      autoGain: {
+        enabled: !!audioEngine.autoGainEnabled,
+        targetLufs: audioEngine.autoGainTargetLufs,
+        maxDb: audioEngine.autoGainMaxDb,
+      },
       sensitivity: audioEngine.sensitivity,
       smoothing: audioEngine.smoothing,
       fftSize: audioEngine.fftSize,
-      lowHz: audioEngine.bandSplit?.low,
-      midHz: audioEngine.bandSplit?.mid,
-      subHz: audioEngine.bandSplit?.sub,
+      lowHz: audioEngine.bandSplitHz?.low,
+      midHz: audioEngine.bandSplitHz?.mid,
+      subHz: audioEngine.bandSplitHz?.sub,
+      bandSplitSnap: !!audioEngine.bandSplitSnapEnabled,
       beatCooldown: audioEngine.beatCooldownMs || audioEngine.beatRefractoryMs,
       envAttack: audioEngine.envAttack,
       envRelease: audioEngine.envRelease,
       agcEnabled: !!audioEngine.bandAGCEnabled,
       agcDecay: audioEngine.bandAGCDecay,
+      tempoRange: audioEngine.getPreferredBpmRange ? audioEngine.getPreferredBpmRange() : null,
+      hpss: !!audioEngine.hpssEnabled,
+      filterbank: audioEngine.getFilterbankConfig ? audioEngine.getFilterbankConfig() : undefined,
       drop: {
         enabled: !!audioEngine.dropEnabled,
         flux: audioEngine.dropFluxThresh,
@@ -49,6 +58,8 @@ export function capturePresetSnapshot({ sceneApi, audioEngine }) {
         beatsPerBar: audioEngine.dropGateBeatsPerBar,
         downbeatToleranceMs: audioEngine.dropDownbeatGateToleranceMs,
         useBassFlux: !!audioEngine.dropUseBassFlux,
+        predict: audioEngine.dropPredictionEnabled !== false,
+        predictArmThreshold: audioEngine.dropPredictArmThreshold,
         autoThresholds: !!audioEngine.autoDropThresholdsEnabled,
       },
     },
@@ -140,11 +151,18 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
 
     if (snapshot.audio) {
       if (typeof snapshot.audio.gain === 'number') audioEngine.setGain(snapshot.audio.gain);
+      if (snapshot.audio.autoGain && audioEngine.setAutoGainEnabled) {
+        const ag = snapshot.audio.autoGain;
+        if (typeof ag.targetLufs === 'number') audioEngine.setAutoGainTarget(ag.targetLufs);
+        if (typeof ag.maxDb === 'number') audioEngine.setAutoGainMaxDb(ag.maxDb);
+        if (typeof ag.enabled === 'boolean') audioEngine.setAutoGainEnabled(ag.enabled);
+      }
       if (typeof snapshot.audio.sensitivity === 'number') audioEngine.setSensitivity(snapshot.audio.sensitivity);
       if (typeof snapshot.audio.smoothing === 'number') audioEngine.setSmoothing(snapshot.audio.smoothing);
       if (typeof snapshot.audio.fftSize === 'number') audioEngine.setFFTSize(snapshot.audio.fftSize);
       if (typeof snapshot.audio.lowHz === 'number' && typeof snapshot.audio.midHz === 'number') audioEngine.setBandSplit(snapshot.audio.lowHz, snapshot.audio.midHz);
       if (typeof snapshot.audio.subHz === 'number') audioEngine.setSubHz(snapshot.audio.subHz);
+      if (typeof snapshot.audio.bandSplitSnap === 'boolean' && audioEngine.setBandSplitSnapEnabled) audioEngine.setBandSplitSnapEnabled(snapshot.audio.bandSplitSnap);
       if (typeof snapshot.audio.beatCooldown === 'number') audioEngine.setBeatCooldown(snapshot.audio.beatCooldown);
       if (typeof snapshot.audio.envAttack === 'number') audioEngine.setEnvAttack(snapshot.audio.envAttack);
       if (typeof snapshot.audio.envRelease === 'number') audioEngine.setEnvRelease(snapshot.audio.envRelease);
@@ -152,6 +170,18 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
       if (typeof snapshot.audio.noiseGateThreshold === 'number') audioEngine.setNoiseGateThreshold(snapshot.audio.noiseGateThreshold);
       if (typeof snapshot.audio.agcEnabled === 'boolean') audioEngine.setBandAgcEnabled(snapshot.audio.agcEnabled);
       if (typeof snapshot.audio.agcDecay === 'number') audioEngine.setBandAgcDecay(snapshot.audio.agcDecay);
+      if (typeof snapshot.audio.hpss === 'boolean' && audioEngine.setHpssEnabled) audioEngine.setHpssEnabled(snapshot.audio.hpss);
+      // null clears the range; presets saved before ranges existed leave it alone
+      if (snapshot.audio.tempoRange !== undefined && audioEngine.setPreferredBpmRange) audioEngine.setPreferredBpmRange(snapshot.audio.tempoRange);
+      if (snapshot.audio.filterbank && typeof snapshot.audio.filterbank === 'object' && audioEngine.setFilterbankConfig) {
+        const fb = snapshot.audio.filterbank;
+        audioEngine.setFilterbankConfig({
+          count: typeof fb.count === 'number' ? fb.count : undefined,
+          minHz: typeof fb.minHz === 'number' ? fb.minHz : undefined,
+          maxHz: typeof fb.maxHz === 'number' ? fb.maxHz : undefined,
+          edges: Array.isArray(fb.edges) ? fb.edges : null,
+        });
+      }
       if (snapshot.audio.drop) {
         if (typeof snapshot.audio.drop.enabled === 'boolean') audioEngine.setDropEnabled(snapshot.audio.drop.enabled);
         if (typeof snapshot.audio.drop.flux === 'number') audioEngine.setDropFluxThresh(snapshot.audio.drop.flux);
@@ -163,6 +193,8 @@ export function applyPresetSnapshot(snapshot, { sceneApi, audioEngine, silent =
         if (typeof snapshot.audio.drop.beatsPerBar === 'number') audioEngine.setDropGateBeatsPerBar(snapshot.audio.drop.beatsPerBar);
         if (typeof snapshot.audio.drop.downbeatToleranceMs === 'number') audioEngine.setDropDownbeatToleranceMs(snapshot.audio.drop.downbeatToleranceMs);
         if (typeof snapshot.audio.drop.useBassFlux === 'boolean') audioEngine.setDropUseBassFlux(snapshot.audio.drop.useBassFlux);
+        if (typeof snapshot.audio.drop.predict === 'boolean' && audioEngine.setDropPredictionEnabled) audioEngine.setDropPredictionEnabled(snapshot.audio.drop.predict);
+        if (typeof snapshot.audio.drop.predictArmThreshold === 'number' && audioEngine.setDropPredictArmThreshold) audioEngine.setDropPredictArmThreshold(snapshot.audio.drop.predictArmThreshold);
         if (typeof snapshot.audio.drop.autoThresholds === 'boolean') audioEngine.setAutoDropThresholdsEnabled(snapshot.audio.drop.autoThresholds);
       }
     }
@@ -11,6 +11,7 @@
 
 import { capturePresetSnapshot, applyPresetSnapshot } from './preset-io.js';
 import { showToast } from './toast.js';
+import { parseBpmRange } from './tempo-octave.js';
 import { storageMutex } from './storage/localStorage-mutex.js';
 
 const STORAGE_KEYS = {
@@ -66,6 +67,7 @@ const DEFAULT_PRESETS = [
         envRelease: 0.16,
         agcEnabled: true,
         agcDecay: 0.995,
+        tempoRange: { min: 100, max: 130 },
         drop: {
           enabled: true,
           flux: 1.45,
@@ -132,6 +134,7 @@ const DEFAULT_PRESETS = [
         envRelease: 0.12,
         agcEnabled: true,
         agcDecay: 0.995,
+        tempoRange: { min: 160, max: 180 },
         noiseGateEnabled: true,
         noiseGateThreshold: 0.12,
         beatEnergyFloor: 0.30,
@@ -508,6 +511,11 @@ export class PresetManager {
     const target = this._resolvePreset(id);
     if (!target) throw new Error(`Preset not found for load: ${id}`);
     const snapshot = this._applyGuards(deepClone(target.data));
+    // Presets saved before BPM ranges existed: take the range from a "160-180bpm" tag or "BPM 100–120" name
+    if (snapshot.audio && snapshot.audio.tempoRange === undefined) {
+      const range = [target.name, ...(target.tags || [])].map(parseBpmRange).find(Boolean);
+      if (range) snapshot.audio.tempoRange = range;
+    }
     if (!options.skipRollbackCapture) {
       this._previousSnapshot = capturePresetSnapshot({ sceneApi: this.sceneApi, audioEngine: this.audioEngine });
     }
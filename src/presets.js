@@ -14,6 +14,7 @@ export const BUILT_IN_PRESETS = {
       envRelease: 0.16,
       agcEnabled: true,
       agcDecay: 0.995,
+      tempoRange: { min: 100, max: 130 },
       drop: { enabled: true, flux: 1.45, bass: 0.58, centroidSlope: 0.022, minBeats: 6, cooldownMs: 6200 },
     },
     visuals: { bloomReactive: 0.82 },
@@ -59,6 +60,7 @@ export const BUILT_IN_PRESETS = {
       envRelease: 0.12,
       agcEnabled: true,
       agcDecay: 0.995,
+      tempoRange: { min: 160, max: 180 },
       noiseGateEnabled: true,
       noiseGateThreshold: 0.12,
       beatEnergyFloor: 0.30,
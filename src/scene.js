@@ -708,6 +708,7 @@ export function initScene() {
     },
     metrics: {
       coreScale: 1,
+      beatPhase: 0,
       outerScale: 1,
       coreNoise: 0,
       coreBrightness: 0,
@@ -755,6 +756,7 @@ export function initScene() {
     effectsChromaticScale: 1.0,
     _centroidEma: Number.NaN,
     _cameraRoll: 0,
+    _panSway: 0,
     _fluxSway: 0,
     _parallaxCentroidEma: Number.NaN,
     _parallaxFluxEma: Number.NaN,
@@ -806,8 +808,18 @@ export function initScene() {
         // FOV pump strength
         fovPumpFromBass: 0.6,
         cameraRollFromCentroid: 0.18,
+        cameraSwayFromPan: 0.15,
+        pulseFromBeatClock: 0,
+        // drum onset triggers (kick/snare/hat classifier envelopes)
+        corePunchFromKick: 0,
+        flashFromSnare: 0,
+        twinkleFromHats: 0,
+        // harmonic/percussive split: rings follow drums, light colour follows harmony
+        ringsFromPercussive: 0,
+        colorFromHarmony: 0,
         mainSwayFromFlux: 0.12,
         chromaLightInfluence: 0.22,
+        hueFromKey: 0,
         ringBrightFromChroma: 0.3,
         // Advanced mapping toggle
         advancedMapping: false,
@@ -846,6 +858,7 @@ export function initScene() {
           glintSize: 0.035,
         glintIntensity: 1.2,
         predatorMode: false,
+        gazeFromPan: 0.12,
       },
       },
       // Morph/Webcam removed
@@ -877,6 +890,7 @@ export function initScene() {
       saturation: 0.65,
       irisGain: 1.0,
       glint: new THREE.Vector2(0.25, -0.18),
+      gaze: new THREE.Vector2(0, 0),
       qualityDropActive: false,
       dropBlinkCooldown: 0,
     },
@@ -1721,6 +1735,21 @@ export function initScene() {
       dominantChromaEnergy = 0;
     }
     dominantChromaEnergy = Math.min(1, dominantChromaEnergy);
+
+    // Harmonic palette: pull the chroma hue toward the key's slot on the Camelot wheel,
+    // so mixes between compatible keys (adjacent numbers) move to neighbouring hues
+    const keyHueAmt = THREE.MathUtils.clamp(state.params.map.hueFromKey ?? 0, 0, 1);
+    const keyInfo = features?.key;
+    if (keyHueAmt > 0 && keyInfo && typeof keyInfo.camelot === 'string') {
+      const camelotNum = parseInt(keyInfo.camelot, 10);
+      if (camelotNum >= 1 && camelotNum <= 12) {
+        const keyHue = (camelotNum - 1) / 12;
+        const keyWeight = keyHueAmt * Math.min(1, 0.25 + (keyInfo.confidence ?? 0) * 1.5);
+        let hueDelta = keyHue - chromaHue;
+        hueDelta -= Math.round(hueDelta); // shortest way round the hue circle
+        chromaHue = THREE.MathUtils.euclideanModulo(chromaHue + hueDelta * keyWeight, 1);
+      }
+    }
     state.metrics.chromaIndex = dominantChromaIndex;
     state.metrics.chromaEnergy = dominantChromaEnergy;
     state.metrics.chromaHue = chromaHue;
@@ -1777,6 +1806,14 @@ export function initScene() {
         const glintY = -0.18 + 0.06 * Math.cos(t * 0.45);
         state.eye.glint.set(glintX, glintY);
 
+        // Pupil follows the stereo image: pan steers left/right, a narrow (mono-ish) mix recentres it
+        const stereo = features?.stereo;
+        const gazeAmt = eyeCfg.gazeFromPan ?? 0.12;
+        const gazeX = stereo ? THREE.MathUtils.clamp(stereo.pan * gazeAmt, -0.2, 0.2) : 0;
+        const gazeY = stereo ? THREE.MathUtils.clamp((stereo.width - 0.5) * gazeAmt * 0.4, -0.1, 0.1) : 0;
+        state.eye.gaze.x = THREE.MathUtils.lerp(state.eye.gaze.x, gazeX, Math.min(1, dt * 4));
+        state.eye.gaze.y = THREE.MathUtils.lerp(state.eye.gaze.y, gazeY, Math.min(1, dt * 4));
+
         const perfDrop = state.params.performanceMode;
         const fiberContrast = perfDrop ? Math.max(0.6, (eyeCfg.fiberContrast ?? 1.2) * 0.75) : (eyeCfg.fiberContrast ?? 1.2);
         const fiberNoiseScale = perfDrop ? Math.max(1.2, (eyeCfg.fiberNoiseScale ?? 3.0) * 0.7) : (eyeCfg.fiberNoiseScale ?? 3.0);
@@ -1795,6 +1832,7 @@ export function initScene() {
           fiberNoiseScale,
           limbus,
           glintPos: state.eye.glint,
+          gaze: state.eye.gaze,
           glintSize: eyeCfg.glintSize ?? 0.035,
           glintIntensity: eyeCfg.glintIntensity ?? 1.2,
           alpha,
@@ -1837,6 +1875,9 @@ export function initScene() {
     const rollStrength = state.params.map.cameraRollFromCentroid ?? 0;
     const rollTarget = THREE.MathUtils.clamp(centroidDelta * rollStrength, -0.45, 0.45);
     state._cameraRoll = THREE.MathUtils.lerp(state._cameraRoll ?? 0, rollTarget, 0.12);
+    const panStrength = state.params.map.cameraSwayFromPan ?? 0;
+    const panTarget = THREE.MathUtils.clamp((features?.stereo?.pan ?? 0) * panStrength, -0.3, 0.3);
+    state._panSway = THREE.MathUtils.lerp(state._panSway ?? 0, panTarget, 0.08);
 
     const flux = features?.flux ?? 0;
     const fluxMean = features?.fluxMean ?? flux;
@@ -1906,6 +1947,18 @@ export function initScene() {
     } else {
       breathe = 1 + rms * state.params.map.sizeFromRms + bassPunch * 0.4;
     }
+    // Beat-clock pulse: decays over each beat with an accent on bar starts, faded by lock confidence
+    const clock = features?.clock;
+    const clockPulseAmt = state.params.map.pulseFromBeatClock ?? 0;
+    if (clock && clockPulseAmt > 0) {
+      const beatEnv = Math.pow(1 - clock.beatPhase, 4);
+      const barAccent = clock.beatInBar === 0 ? 1.5 : 1;
+      breathe += beatEnv * barAccent * clock.lock * clockPulseAmt * 0.12;
+    }
+    const onsets = features?.onsets;
+    const kickPunchAmt = state.params.map.corePunchFromKick ?? 0;
+    if (onsets?.kick && kickPunchAmt > 0) breathe += onsets.kick.env * kickPunchAmt * 0.15;
+    state.metrics.beatPhase = clock ? clock.beatPhase : 0;
     state.coreSphere.scale.set(breathe, breathe, breathe);
     state.metrics.coreScale = breathe;
     if (state.outerSphere) {
@@ -1919,7 +1972,14 @@ export function initScene() {
     const wBass = state.params.map.bandWeightBass;
     const wMid = state.params.map.bandWeightMid;
     const wTreble = state.params.map.bandWeightTreble;
+    // Rings blend toward the percussive band envelopes when the worklet split is running
+    const percEnv = features?.perc?.env;
+    const percW = percEnv ? THREE.MathUtils.clamp(state.params.map.ringsFromPercussive ?? 0, 0, 1) : 0;
+    const rBass = percW > 0 ? THREE.MathUtils.lerp(bass, percEnv.bass ?? 0, percW) : bass;
+    const rMid = percW > 0 ? THREE.MathUtils.lerp(mid, percEnv.mid ?? 0, percW) : mid;
+    const rTreble = percW > 0 ? THREE.MathUtils.lerp(treble, percEnv.treble ?? 0, percW) : treble;
     const bandMixBase = (bass * wBass * 0.6 + mid * wMid * 0.3 + treble * wTreble * 0.1);
+    const ringMixBase = percW > 0 ? (rBass * wBass * 0.6 + rMid * wMid * 0.3 + rTreble * wTreble * 0.1) : bandMixBase;
     let ringScaleAccum = 0;
     let ringSpeedAccum = 0;
     let ringNoiseAccum = 0;
@@ -1927,13 +1987,13 @@ export function initScene() {
     const ringCount = state.orbitRings.children.length || 1;
     state.orbitRings.children.forEach((ring, index) => {
       // Advanced mapping per-target
-      let ringScaleMix = bandMixBase;
-      let ringSpeedMix = bandMixBase;
+      let ringScaleMix = ringMixBase;
+      let ringSpeedMix = ringMixBase;
       if (state.params.map.advancedMapping) {
         const ws = state.params.map.ringScaleWeights || { bass: 0.8, mid: 0.6, treble: 0.2 };
         const wv = state.params.map.ringSpeedWeights || { bass: 0.6, mid: 0.9, treble: 0.3 };
-        ringScaleMix = Math.max(0, bass * ws.bass + mid * ws.mid + treble * ws.treble);
-        ringSpeedMix = Math.max(0, bass * wv.bass + mid * wv.mid + treble * wv.treble);
+        ringScaleMix = Math.max(0, rBass * ws.bass + rMid * ws.mid + rTreble * ws.treble);
+        ringSpeedMix = Math.max(0, rBass * wv.bass + rMid * wv.mid + rTreble * wv.treble);
       }
       const speed = 0.0004 * (index + 1) * (1 + ringSpeedMix * state.params.map.ringSpeedFromBands);
       ring.rotation.z += speed; ring.rotation.x += speed * 0.3; ring.rotation.y += speed * 0.2;
@@ -1961,7 +2021,8 @@ export function initScene() {
       const coreNoise = Math.max(0.0, mid * state.params.map.sphereNoiseFromMid);
       state.coreSphere.material.uniforms.uReactiveScale.value = coreNoise;
       const sparkle = treble * state.params.map.sphereSparkleFromTreble;
-      const coreBright = Math.max(0.0, rms * state.params.map.sphereBrightnessFromRms + sparkle * 0.6);
+      const snareFlash = (features?.onsets?.snare?.env || 0) * (state.params.map.flashFromSnare ?? 0);
+      const coreBright = Math.max(0.0, rms * state.params.map.sphereBrightnessFromRms + sparkle * 0.6 + snareFlash * 0.8);
       state.coreSphere.material.uniforms.uReactiveBright.value = coreBright;
       state.metrics.coreNoise = coreNoise;
       state.metrics.coreBrightness = coreBright;
@@ -1994,7 +2055,10 @@ export function initScene() {
 
     // Lens flare subtle color boost with centroid/chroma + intensity from bass
     const chromaInfluence = Math.max(0, state.params.map.chromaLightInfluence ?? 0);
-    const chromaMix = Math.min(1, chromaInfluence * dominantChromaEnergy);
+    // Harmony gate: chroma tints the light only while the harmonic layer carries energy
+    const harmW = features?.harm?.env ? THREE.MathUtils.clamp(state.params.map.colorFromHarmony ?? 0, 0, 1) : 0;
+    const harmGate = (1 - harmW) + harmW * Math.min(1, (features?.harm?.env?.mid ?? 0) * 1.5);
+    const chromaMix = Math.min(1, chromaInfluence * dominantChromaEnergy * harmGate);
     const baseHue = THREE.MathUtils.euclideanModulo(0.6 + 0.4 * centroid, 1);
     const hue = THREE.MathUtils.lerp(baseHue, chromaHue, chromaMix);
     const centralColor = state._centralColor;
@@ -2019,7 +2083,8 @@ export function initScene() {
 
     // Stars twinkle more with treble
     if (state.starfield?.material?.uniforms?.uTwinkleGain) {
-      const twinkleValue = Math.max(0.0, treble * wTreble * state.params.map.starTwinkleFromTreble);
+      const hatTwinkle = (features?.onsets?.hat?.env || 0) * (state.params.map.twinkleFromHats ?? 0);
+      const twinkleValue = Math.max(0.0, treble * wTreble * state.params.map.starTwinkleFromTreble + hatTwinkle);
       state.starfield.material.uniforms.uTwinkleGain.value = twinkleValue;
       state.metrics.starTwinkle = twinkleValue;
     }
@@ -2142,6 +2207,7 @@ export function initScene() {
         const warpGain = typeof d.warpGain === 'number' ? d.warpGain : 0.8;
         const warpOnBeat = d.warpOnBeat !== false;
         const warpOnDropBoost = typeof d.warpOnDropBoost === 'number' ? d.warpOnDropBoost : 0.6;
+        const preDropWarp = typeof d.preDropWarp === 'number' ? d.preDropWarp : 0.0;
         const tintHue = typeof d.tintHue === 'number' ? d.tintHue : 0.0;
         const tintSat = typeof d.tintSat === 'number' ? d.tintSat : 0.0;
         const tintMixBase = typeof d.tintMixBase === 'number'
@@ -2186,6 +2252,11 @@ export function initScene() {
         let warpSource = 0;
         if (warpFrom === 'bass') warpSource = bass; else if (warpFrom === 'mid') warpSource = mid; else if (warpFrom === 'treble') warpSource = treble; else if (warpFrom === 'rms') warpSource = rms; else warpSource = bass;
         let warp = warpSource * warpGain + (warpOnBeat && isBeat ? 0.25 : 0) + (isDrop ? warpOnDropBoost : 0);
+        // Ramp up over the last two bars before a predicted drop, weighted by its probability
+        const dropPrediction = features && features.dropPrediction;
+        if (preDropWarp > 0 && dropPrediction && dropPrediction.active && Number.isFinite(dropPrediction.etaBars)) {
+          warp += preDropWarp * dropPrediction.probability * THREE.MathUtils.clamp(1 - dropPrediction.etaBars / 2, 0, 1);
+        }
         warp = Math.max(0, warp + (typeof perf.dispersionWarp === 'number' ? perf.dispersionWarp : 0));
         const hue = (tintHue + state.metrics.chromaHue) - Math.floor(tintHue + state.metrics.chromaHue);
         const sat = THREE.MathUtils.clamp(tintSat, 0, 1);
@@ -2552,7 +2623,7 @@ export function initScene() {
     try { state.controls.update(dt); } catch(err) {
       console.warn('Camera controls update error:', err);
     }
-    try { state.camera.rotation.z = state._cameraRoll || 0; } catch(err) {
+    try { state.camera.rotation.z = (state._cameraRoll || 0) + (state._panSway || 0); } catch(err) {
       console.warn('Camera rotation update error:', err);
     }
     state.metrics.cameraRoll = state._cameraRoll || 0;
@@ -23,6 +23,8 @@ import {
 } from './dispersion-config.js';
 import { capturePresetSnapshot, applyPresetSnapshot } from './preset-io.js';
 import { showToast } from './toast.js';
+import { parseBpmRange } from './tempo-octave.js';
+import { GENERATOR_TYPES, GENERATOR_LABELS } from './signal-generator.js';
 import { StateSnapshot } from './state-snapshot.js';
 import { SnapshotHistory } from './state/snapshotHistory.js';
 
@@ -133,7 +135,7 @@ function runTrackedCleanup() {
   }
 }
 
-export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreenshot, openPresetLibrary, syncCoordinator }) {
+export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreenshot, openPresetLibrary, syncCoordinator, crossfaderMidi, featureRecorder, featureReplay, playlist }) {
   // Clean up any existing handlers before initialization
   // This prevents accumulation on module reload or re-initialization
   if (_settingsUIInitialized) {
@@ -185,6 +187,8 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
         #settings-content .session-summary { display: flex; align-items: center; gap: 10px; flex-wrap: wrap; }
         #settings-content .session-summary .fps-pill { padding: 2px 8px; border-radius: 12px; background: rgba(255,255,255,0.08); font-variant-numeric: tabular-nums; }
         #settings-content .session-summary .sync-pill { margin-right: 4px; }
+        /* Inline button groups (transport, recorder, playlist) */
+        #settings-content .button-row { display: flex; align-items: center; gap: 6px; flex-wrap: wrap; margin: 4px 0; }
         /* Hotkey help overlay */
         #settings-hotkey-help { position: fixed; inset: 0; background: rgba(8,8,12,0.88); color: #fff; z-index: 10000; display: none; }
         #settings-hotkey-help .inner { max-width: 760px; margin: 10vh auto; padding: 16px 20px; background: rgba(20,20,28,0.9); border-radius: 10px; line-height: 1.6; font-family: system-ui, sans-serif; }
@@ -1034,7 +1038,9 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
         showToast('File selection failed');
       }
     }));
-    container.appendChild(button('Stop', () => { try { audioEngine.stop(); } catch(_){} }));
+    container.appendChild(button('Stop', () => { try { audioEngine.stop(); render('source'); } catch(_){} }));
+    container.appendChild(buildTransport());
+    if (playlist) container.appendChild(buildPlaylist());
 
     // Inline hint for macOS users
     if (isMac) {
@@ -1076,21 +1082,173 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     }
 
     container.appendChild(deviceRow);
+    container.appendChild(buildFailover(devices));
+    container.appendChild(buildGenerator());
+    container.appendChild(buildDecks(opts));
     return container;
   }
 
+  // Backup sources to switch to when the running one ends, drops out or goes silent
+  function buildFailover(devices) {
+    const el = h('div', { class: 'section' });
+    el.appendChild(h('div', { class: 'section-title' }, 'Failover'));
+    const policy = audioEngine.getFailoverPolicy();
+    const health = audioEngine.getSourceHealth();
+    const describe = (st) => (st.source ? `${st.label} · ${st.state === 'ok' ? 'OK' : st.state}` : 'no source');
+    el.appendChild(fieldRow('Current Source', h('span', {}, describe(health))));
+    el.appendChild(fieldRow('Auto Failover', checkbox(policy.enabled, (v) => { audioEngine.setFailoverPolicy({ enabled: v }); })));
+    el.appendChild(fieldRow('Fail Over on Silence', checkbox(policy.failOnSilence, (v) => { audioEngine.setFailoverPolicy({ failOnSilence: v }); })));
+    el.appendChild(fieldRow('Silence Timeout (s)', slider({
+      min: 2, max: 60, step: 1, value: policy.silenceSec,
+      onchange: (v) => { audioEngine.setFailoverPolicy({ silenceSec: v }); },
+    })));
+    const entryOpts = [
+      { label: '(none)', value: '' },
+      { label: 'Virtual device (BlackHole, ...)', value: 'virtual' },
+      ...devices.map((d, i) => ({ label: d.label || `Mic ${i + 1}`, value: `mic:${d.deviceId || ''}` })),
+      { label: 'Last file (monitor off)', value: 'file' },
+    ];
+    const chain = [...policy.chain];
+    for (let i = 0; i < 3; i++) {
+      const current = chain[i] || '';
+      // Keep entries for devices that aren't plugged in right now
+      const opts = entryOpts.some(o => o.value === current) ? entryOpts : [...entryOpts, { label: `${current} (missing)`, value: current }];
+      el.appendChild(fieldRow(`Backup ${i + 1}`, select(opts, current, (v) => {
+        chain[i] = v;
+        audioEngine.setFailoverPolicy({ chain: chain.filter(Boolean) });
+      })));
+    }
+    if (health.lastFailover) {
+      const lf = health.lastFailover;
+      el.appendChild(h('div', { style: { fontSize: '11px', opacity: '0.75', marginTop: '4px' } },
+        `Last failover: ${lf.from} → ${lf.to || 'none'} (${lf.reason}, ${new Date(lf.at).toLocaleTimeString()})`));
+    }
+    return el;
+  }
+
+  // Synthetic test signals with known beats and drops (see signal-generator.js)
+  function buildGenerator() {
+    const el = h('div', { class: 'section' });
+    el.appendChild(h('div', { class: 'section-title' }, 'Signal Generator'));
+    const opts = { ...audioEngine.generatorOptions };
+    el.appendChild(fieldRow('Signal', select(GENERATOR_TYPES.map(t => ({ label: GENERATOR_LABELS[t], value: t })), opts.type, (v) => { opts.type = v; })));
+    el.appendChild(fieldRow('BPM', slider({ min: 60, max: 200, step: 1, value: opts.bpm, onchange: (v) => { opts.bpm = v; } })));
+    el.appendChild(fieldRow('Beats per Bar', select([3, 4, 5, 7].map(n => ({ label: String(n), value: String(n) })), String(opts.beatsPerBar), (v) => { opts.beatsPerBar = Number(v); })));
+    el.appendChild(fieldRow('Build Bars (Drums)', slider({ min: 2, max: 16, step: 1, value: opts.buildBars, onchange: (v) => { opts.buildBars = v; } })));
+    el.appendChild(fieldRow('Drop Bars (Drums)', slider({ min: 2, max: 16, step: 1, value: opts.dropBars, onchange: (v) => { opts.dropBars = v; } })));
+    el.appendChild(h('div', { class: 'button-row' }, [
+      button('Start Generator', async () => {
+        try {
+          await audioEngine.startGenerator(opts);
+          render('source');
+        } catch (e) {
+          showToast(e.message || 'Generator failed to start');
+        }
+      }),
+    ]));
+    el.appendChild(fieldRow('Truth vs Detected', h('div', { id: 'generator-status' }, describeGenerator(audioEngine.getGeneratorState()))));
+    return el;
+  }
+  function describeGenerator(st) {
+    if (!st) return 'not running';
+    const p = st.position;
+    const parts = [];
+    if (st.truthBpm > 0) {
+      const err = st.bpmErrorPct === null ? '' : ` (${st.bpmErrorPct >= 0 ? '+' : ''}${st.bpmErrorPct.toFixed(1)}%)`;
+      parts.push(`${st.truthBpm} BPM → ${st.detectedBpm ? st.detectedBpm.toFixed(1) : '—'}${err}`);
+      parts.push(`bar ${p.bar + 1}.${p.beatInBar + 1}`);
+    }
+    parts.push(p.section);
+    if (p.dropInSec !== null) parts.push(`drop in ${p.dropInSec.toFixed(1)} s`);
+    return parts.join(' · ');
+  }
+
+  // Dual-deck analysis: two independent inputs blended by a crossfader
+  function buildDecks(deviceOpts) {
+    const el = h('div', { class: 'section' });
+    el.appendChild(h('div', { class: 'section-title' }, 'Decks'));
+    const deckStatus = (id) => {
+      const st = audioEngine.getDeckStates ? audioEngine.getDeckStates()[id] : null;
+      return st ? `${st.label || st.kind}${st.bpm ? ` · ${st.bpm} BPM` : ''}` : 'off';
+    };
+    ['a', 'b'].forEach((id) => {
+      const label = `Deck ${id.toUpperCase()}`;
+      const storageKey = `cosmic_deck_${id}_device_id`;
+      const status = h('span', {}, deckStatus(id));
+      const refresh = () => { status.textContent = deckStatus(id); };
+      let deviceId = localStorage.getItem(storageKey) || '';
+      const dd = select([{ label: '(choose input)', value: '' }, ...deviceOpts], deviceId, (v) => {
+        deviceId = v;
+        try { localStorage.setItem(storageKey, v); } catch (_) {}
+      });
+      el.appendChild(fieldRow(label, status));
+      el.appendChild(dd);
+      el.appendChild(h('div', {}, [
+        button('Start Input', async () => {
+          const opt = deviceOpts.find(o => o.value === deviceId);
+          try { await audioEngine.startDeck(id, { kind: 'device', deviceId: deviceId || undefined, label: opt?.label }); } catch (_) { /* toast shown by engine */ }
+          refresh();
+        }),
+        button('File', () => {
+          const input = document.createElement('input');
+          input.type = 'file';
+          input.accept = 'audio/*';
+          input.onchange = async () => {
+            try {
+              const f = input.files?.[0];
+              if (f) await audioEngine.startDeck(id, { kind: 'file', file: f });
+            } catch (_) {
+              // engine already toasted
+            } finally {
+              input.onchange = null;
+              input.remove();
+              refresh();
+            }
+          };
+          input.click();
+        }),
+        button('Stop', () => { audioEngine.stopDeck(id); refresh(); }),
+      ]));
+    });
+    el.appendChild(fieldRow('Crossfader (A ↔ B)', slider({ min: 0, max: 1, step: 0.01, value: audioEngine.crossfader ?? 0.5, oninput: (v) => audioEngine.setCrossfader(v) })));
+    el.appendChild(fieldRow('Visuals follow crossfader', checkbox(!!audioEngine.deckBlendDrivesVisuals, (v) => audioEngine.setDeckBlendDrivesVisuals(v))));
+    if (crossfaderMidi) {
+      const describeBinding = () => (crossfaderMidi.binding ? `CC ${crossfaderMidi.binding.cc} · ch ${crossfaderMidi.binding.channel + 1}` : 'not mapped');
+      const midiStatus = h('span', {}, describeBinding());
+      el.appendChild(fieldRow('MIDI Crossfader', midiStatus));
+      el.appendChild(h('div', {}, [
+        button('Learn', async () => {
+          midiStatus.textContent = 'move a fader…';
+          const bound = await crossfaderMidi.learn();
+          if (!bound) showToast('Web MIDI unavailable');
+          midiStatus.textContent = describeBinding();
+        }),
+        button('Clear', () => { crossfaderMidi.clear(); midiStatus.textContent = describeBinding(); }, { class: 'ghost' }),
+      ]));
+    }
+    return el;
+  }
+
   function buildAudio() {
     const st = {
-      gain: 1.0,
+      gain: audioEngine.gain ?? 1.0,
+      autoGain: !!audioEngine.autoGainEnabled,
+      autoGainTarget: audioEngine.autoGainTargetLufs ?? -18,
+      autoGainMaxDb: audioEngine.autoGainMaxDb ?? 24,
       sensitivity: audioEngine.sensitivity || 1.0,
       smoothing: audioEngine.smoothing || 0.6,
       fftSize: audioEngine.fftSize || 2048,
-      subHz: audioEngine.bandSplit?.sub || 90,
-      lowHz: audioEngine.bandSplit?.low || 200,
-      midHz: audioEngine.bandSplit?.mid || 2000,
+      subHz: audioEngine.bandSplitHz?.sub || 90,
+      lowHz: audioEngine.bandSplitHz?.low || 200,
+      midHz: audioEngine.bandSplitHz?.mid || 2000,
+      bandSplitSnap: !!audioEngine.bandSplitSnapEnabled,
       beatRefractory: (audioEngine.beatRefractoryMs || audioEngine.beatCooldownMs || 350),
       beatEnergyFloor: (audioEngine.beatEnergyFloor ?? 0.28),
       noiseGateEnabled: !!audioEngine.noiseGateEnabled,
+      hpssEnabled: !!audioEngine.hpssEnabled,
+      workletFeaturesEnabled: audioEngine.workletFeaturesEnabled !== false,
+      spectralFrontEnd: audioEngine.spectralFrontEnd || 'multires',
+      analysisWorkerEnabled: audioEngine.analysisWorkerEnabled !== false,
       noiseGateThreshold: (audioEngine.noiseGateThreshold ?? 0.10),
       envAttack: audioEngine.envAttack ?? 0.7,
       envRelease: audioEngine.envRelease ?? 0.12,
@@ -1106,6 +1264,8 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       dropBeatsPerBar: audioEngine.dropGateBeatsPerBar ?? 4,
       dropDownbeatTolMs: audioEngine.dropDownbeatGateToleranceMs ?? 80,
       dropUseBassFlux: !!audioEngine.dropUseBassFlux,
+      dropPredict: audioEngine.dropPredictionEnabled !== false,
+      dropPredictArm: audioEngine.dropPredictArmThreshold ?? 0.5,
       autoDropThresholds: !!audioEngine.autoDropThresholdsEnabled,
       lowCpu: !!audioEngine.lowCpuMode,
     };
@@ -1115,6 +1275,12 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     try { showAdv = !!JSON.parse(localStorage.getItem(AUDIO_SHOW_ADV_KEY) || 'false'); } catch(_) { showAdv = false; }
     el.appendChild(fieldRow('Show Advanced', checkbox(showAdv, (v)=>{ try { localStorage.setItem(AUDIO_SHOW_ADV_KEY, JSON.stringify(!!v)); } catch(_) {} render('audio'); })));
     el.appendChild(fieldRow('Gain', slider({ min: 0.1, max: 4.0, step: 0.1, value: st.gain, oninput: (v) => audioEngine.setGain(v) })));
+    el.appendChild(fieldRow('Auto-Gain (Loudness)', checkbox(st.autoGain, (v) => audioEngine.setAutoGainEnabled(v))));
+    el.appendChild(fieldRow('Target Loudness (LUFS)', slider({ min: -30, max: -8, step: 1, value: st.autoGainTarget, oninput: (v) => audioEngine.setAutoGainTarget(v) })));
+    if (showAdv) {
+      el.appendChild(fieldRow('Auto-Gain Range (±dB)', slider({ min: 6, max: 36, step: 1, value: st.autoGainMaxDb, oninput: (v) => audioEngine.setAutoGainMaxDb(v) })));
+      el.appendChild(fieldRow('Integrated Loudness', button('Reset', () => { audioEngine.resetLoudness(); showToast('Integrated loudness reset'); }, { class: 'ghost' })));
+    }
     el.appendChild(fieldRow('Beat Sensitivity', slider({ min: 0.0, max: 2.0, step: 0.05, value: st.sensitivity, oninput: (v) => audioEngine.setSensitivity(v) })));
     el.appendChild(fieldRow('Smoothing', slider({ min: 0.0, max: 0.95, step: 0.05, value: st.smoothing, oninput: (v) => audioEngine.setSmoothing(v) })));
     if (showAdv) {
@@ -1127,18 +1293,74 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       el.appendChild(fieldRow('Sub Cutoff (Hz)', slider({ min: 40, max: 120, step: 5, value: st.subHz, oninput: (v) => audioEngine.setSubHz(v) })));
       el.appendChild(fieldRow('Bass Cutoff (Hz)', slider({ min: 60, max: 400, step: 10, value: st.lowHz, oninput: (v) => audioEngine.setBandSplit(v, st.midHz=(st.midHz||2000)) })));
       el.appendChild(fieldRow('Mid Cutoff (Hz)', slider({ min: 800, max: 5000, step: 50, value: st.midHz, oninput: (v) => audioEngine.setBandSplit(st.lowHz=(st.lowHz||200), v) })));
+      el.appendChild(fieldRow('Snap Cutoffs to Filterbank', checkbox(st.bandSplitSnap, (v) => audioEngine.setBandSplitSnapEnabled(v))));
+      const fbCfg = audioEngine.getFilterbankConfig();
+      el.appendChild(fieldRow('Filterbank Bands', select([4, 8, 16, 32].map(n => ({ label: String(n), value: n })), fbCfg.edges ? null : fbCfg.count, (v) => {
+        const parsed = parseInt(v, 10);
+        if (isFinite(parsed) && parsed > 0) { audioEngine.setFilterbankBandCount(parsed); render('audio'); }
+      })));
+      const edgesInput = h('input', { type: 'text', placeholder: 'e.g. 30, 60, 120, 250, 500, 1000, 4000, 16000', value: fbCfg.edges ? fbCfg.edges.map(e => Math.round(e)).join(', ') : '' });
+      trackDomListener(edgesInput, 'change', () => {
+        const raw = edgesInput.value.trim();
+        if (!raw) { audioEngine.setFilterbankConfig({ edges: null }); showToast('Filterbank: log-spaced bands'); return; }
+        const edges = raw.split(/[\s,]+/).map(Number);
+        const valid = edges.length >= 2 && edges.length <= 65 && edges.every((e, i) => Number.isFinite(e) && e > 0 && (i === 0 || e > edges[i - 1]));
+        if (!valid) { showToast('Invalid edges (need 2–65 ascending Hz values)'); return; }
+        audioEngine.setFilterbankConfig({ edges });
+        showToast(`Filterbank: ${edges.length - 1} custom bands`);
+      });
+      el.appendChild(fieldRow('Filterbank Edges (Hz)', edgesInput));
     }
     el.appendChild(fieldRow('Beat Refractory (ms)', slider({ min: 100, max: 1500, step: 25, value: st.beatRefractory, oninput: (v) => audioEngine.setBeatRefractory(v) })));
     el.appendChild(fieldRow('Beat Energy Floor', slider({ min: 0.0, max: 1.0, step: 0.02, value: st.beatEnergyFloor, oninput: (v) => audioEngine.setBeatEnergyFloor(v) })));
     el.appendChild(fieldRow('Noise Gate', checkbox(st.noiseGateEnabled, (v)=> audioEngine.setNoiseGateEnabled(v) )));
+    el.appendChild(fieldRow('Harmonic/Percussive Split', checkbox(st.hpssEnabled, (v)=> audioEngine.setHpssEnabled(v) )));
     if (showAdv) {
+      el.appendChild(fieldRow('Worklet Feature Pipeline', checkbox(st.workletFeaturesEnabled, (v)=> audioEngine.setWorkletFeaturesEnabled(v) )));
+      el.appendChild(fieldRow('Spectral Front End', select([
+        { label: 'Multi-resolution (float)', value: 'multires' },
+        { label: 'Analyser (byte)', value: 'analyser' },
+      ], st.spectralFrontEnd, (v) => audioEngine.setSpectralFrontEnd(v))));
+      el.appendChild(fieldRow('Meyda/Aubio in Worker', checkbox(st.analysisWorkerEnabled, (v)=> audioEngine.setAnalysisWorkerEnabled(v) )));
       el.appendChild(fieldRow('Noise Gate Threshold', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.noiseGateThreshold, oninput: (v) => audioEngine.setNoiseGateThreshold(v) })));
       el.appendChild(fieldRow('Calibrate Noise Gate (5s)', button('Calibrate', async ()=>{
+        const name = prompt('Noise profile name (venue)', `Venue ${(audioEngine.getNoiseProfiles?.().length || 0) + 1}`);
+        if (name === null) return;
         try {
-          const thr = await audioEngine.calibrateNoiseGate(5000);
-          showToast(`Calibrated: ${Number.isFinite(thr) ? thr.toFixed(2) : String(thr)}`);
+          await audioEngine.calibrateNoiseGate(5000, { name: name.trim() || undefined });
+          render('audio');
         } catch(_) { showToast('Calibration failed'); }
       }, { class: 'ghost' })));
+      const profiles = audioEngine.getNoiseProfiles?.() || [];
+      const activeProfile = audioEngine.getActiveNoiseProfileId?.() || '';
+      const profileSel = select([{ label: 'None (flat threshold)', value: '' }, ...profiles.map(p => ({ label: p.name, value: p.id }))], activeProfile, (v) => {
+        audioEngine.setNoiseProfile(v || null);
+        render('audio');
+      });
+      profileSel.value = activeProfile;
+      el.appendChild(fieldRow('Venue Profile', profileSel));
+      if (activeProfile) {
+        const gate = audioEngine.noiseProfileGate;
+        const modeSel = select([
+          { label: 'Spectral subtraction', value: 'subtract' },
+          { label: 'Band gate (hysteresis)', value: 'gate' },
+        ], gate.mode, (v) => audioEngine.setNoiseGateMode(v));
+        modeSel.value = gate.mode;
+        el.appendChild(fieldRow('Profile Mode', modeSel));
+        el.appendChild(fieldRow('Noise Reduction', slider({ min: 0.5, max: 3.0, step: 0.1, value: gate.reduction, oninput: (v) => audioEngine.setNoiseReduction(v) })));
+        el.appendChild(fieldRow('Manage Profile', h('div', { class: 'button-row' }, [
+          button('Rename', () => {
+            const current = profiles.find(p => p.id === activeProfile);
+            const name = prompt('Rename noise profile', current?.name || '');
+            if (name && audioEngine.renameNoiseProfile(activeProfile, name.trim())) render('audio');
+          }, { class: 'ghost' }),
+          button('Delete', () => {
+            if (!confirm('Delete this noise profile?')) return;
+            audioEngine.deleteNoiseProfile(activeProfile);
+            render('audio');
+          }, { class: 'ghost' }),
+        ])));
+      }
       el.appendChild(fieldRow('Envelope Attack', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.envAttack, oninput: (v) => audioEngine.setEnvAttack(v) })));
       el.appendChild(fieldRow('Envelope Release', slider({ min: 0.0, max: 1.0, step: 0.01, value: st.envRelease, oninput: (v) => audioEngine.setEnvRelease(v) })));
       el.appendChild(fieldRow('Band AGC (Auto Gain)', checkbox(st.agcEnabled, (v)=> audioEngine.setBandAgcEnabled(v) )));
@@ -1160,6 +1382,8 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       el.appendChild(fieldRow('Downbeat Tolerance (ms)', slider({ min: 20, max: 150, step: 5, value: st.dropDownbeatTolMs, oninput: (v) => audioEngine.setDropDownbeatToleranceMs(v) })));
       el.appendChild(fieldRow('Use Bass Flux for Build', checkbox(st.dropUseBassFlux, (v)=> audioEngine.setDropUseBassFlux(v) )));
       el.appendChild(fieldRow('Auto-Adapt Thresholds (25s)', checkbox(st.autoDropThresholds, (v)=> audioEngine.setAutoDropThresholdsEnabled(v) )));
+      el.appendChild(fieldRow('Predict Drops', checkbox(st.dropPredict, (v)=> audioEngine.setDropPredictionEnabled(v) )));
+      el.appendChild(fieldRow('Prediction Arm Probability', slider({ min: 0.1, max: 0.95, step: 0.05, value: st.dropPredictArm, oninput: (v) => audioEngine.setDropPredictArmThreshold(v) })));
     }
 
     // Reactivity Profiles
@@ -1208,9 +1432,69 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
       ])
     ]);
     el.appendChild(profiles);
+    el.appendChild(buildAvLatency());
     return el;
   }
 
+  // A/V offset (per venue profile) and the click round-trip calibration wizard
+  function buildAvLatency() {
+    const wrap = h('div', {}, [ h('div', { class: 'section-title' }, 'A/V Latency') ]);
+    const venue = audioEngine.noiseProfiles?.active?.name;
+    const describe = (ms) => (ms < 0
+      ? 'Visuals late: beats fire early (file grid / locked clock)'
+      : (ms > 0 ? 'Visuals early: all features delayed' : 'No compensation'));
+    const modeText = h('div', {}, describe(audioEngine.avOffsetMs || 0));
+    wrap.appendChild(fieldRow('A/V Offset (ms)', slider({ min: -300, max: 300, step: 5, value: audioEngine.avOffsetMs || 0, resetValue: 0, oninput: (v) => {
+      modeText.textContent = describe(audioEngine.setAvOffsetMs(v));
+    } })));
+    wrap.appendChild(fieldRow('Offset Mode', modeText));
+    wrap.appendChild(fieldRow('Stored For', h('div', {}, venue ? `Venue profile "${venue}"` : 'Default (no venue profile)')));
+
+    const status = h('div', {}, 'Point a mic at the monitor / PA, then start. Six clicks will play.');
+    const micSel = select([{ label: 'Default microphone', value: '' }], '', () => {});
+    audioEngine.getInputDevices().then((devices) => {
+      for (const [i, d] of devices.entries()) {
+        const opt = document.createElement('option');
+        opt.value = d.deviceId || '';
+        opt.textContent = d.label || `Mic ${i + 1}`;
+        micSel.appendChild(opt);
+      }
+    }).catch(() => {});
+    micSel.value = '';
+    wrap.appendChild(fieldRow('Calibration Mic', micSel));
+    wrap.appendChild(fieldRow('Calibration', status));
+    const row = h('div', { class: 'button-row' });
+    let running = false;
+    let applyBtn = null;
+    row.appendChild(button('Start Calibration', async () => {
+      if (running) return;
+      running = true;
+      status.textContent = 'Listening…';
+      if (applyBtn) { applyBtn.remove(); applyBtn = null; }
+      try {
+        const res = await audioEngine.calibrateAvLatency({
+          deviceId: micSel.value || undefined,
+          onProgress: ({ index, total, latencyMs }) => {
+            status.textContent = `Click ${index}/${total}: ${latencyMs === null ? 'not heard' : `${latencyMs.toFixed(1)} ms`}`;
+          },
+        });
+        status.textContent = `Round trip ${res.roundTripMs.toFixed(1)} ms (±${res.spreadMs.toFixed(1)}, ${res.hits}/${res.clicks} clicks), output ${res.outputLatencyMs.toFixed(0)} ms → suggested offset ${res.suggestedOffsetMs} ms`;
+        applyBtn = button(`Apply ${res.suggestedOffsetMs} ms`, () => {
+          audioEngine.setAvOffsetMs(res.suggestedOffsetMs);
+          showToast(`A/V offset ${audioEngine.avOffsetMs} ms`);
+          render('audio');
+        });
+        row.appendChild(applyBtn);
+      } catch (err) {
+        status.textContent = err?.message || 'Calibration failed';
+      } finally {
+        running = false;
+      }
+    }, { class: 'ghost' }));
+    wrap.appendChild(row);
+    return wrap;
+  }
+
   function buildVisuals() {
     const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Visuals') ]);
     // Theme
@@ -1296,16 +1580,31 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
         glintSize: 0.035,
         glintIntensity: 1.2,
         predatorMode: false,
+        gazeFromPan: 0.12,
       };
     }
     if (typeof m.cameraRollFromCentroid !== 'number') m.cameraRollFromCentroid = 0.18;
+    if (typeof m.cameraSwayFromPan !== 'number') m.cameraSwayFromPan = 0.15;
+    if (typeof m.pulseFromBeatClock !== 'number') m.pulseFromBeatClock = 0;
+    if (typeof m.corePunchFromKick !== 'number') m.corePunchFromKick = 0;
+    if (typeof m.flashFromSnare !== 'number') m.flashFromSnare = 0;
+    if (typeof m.twinkleFromHats !== 'number') m.twinkleFromHats = 0;
+    if (typeof m.ringsFromPercussive !== 'number') m.ringsFromPercussive = 0;
+    if (typeof m.colorFromHarmony !== 'number') m.colorFromHarmony = 0;
     if (typeof m.mainSwayFromFlux !== 'number') m.mainSwayFromFlux = 0.12;
     if (typeof m.chromaLightInfluence !== 'number') m.chromaLightInfluence = 0.22;
+    if (typeof m.hueFromKey !== 'number') m.hueFromKey = 0;
     if (typeof m.ringBrightFromChroma !== 'number') m.ringBrightFromChroma = 0.3;
     const el = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Mapping') ]);
     el.appendChild(fieldRow('Sphere Size from RMS', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.sizeFromRms, oninput: (v)=>{ m.sizeFromRms = v; } })));
     el.appendChild(fieldRow('Ring Scale from Bands', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.ringScaleFromBands, oninput: (v)=>{ m.ringScaleFromBands = v; } })));
     el.appendChild(fieldRow('Ring Speed from Bands', slider({ min: 0.0, max: 3.0, step: 0.1, value: m.ringSpeedFromBands, oninput: (v)=>{ m.ringSpeedFromBands = v; } })));
+    el.appendChild(fieldRow('Core Pulse from Beat Clock', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.pulseFromBeatClock, oninput: (v)=>{ m.pulseFromBeatClock = v; } })));
+    el.appendChild(fieldRow('Core Punch from Kick', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.corePunchFromKick, oninput: (v)=>{ m.corePunchFromKick = v; } })));
+    el.appendChild(fieldRow('Core Flash from Snare', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.flashFromSnare, oninput: (v)=>{ m.flashFromSnare = v; } })));
+    el.appendChild(fieldRow('Star Twinkle from Hats', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.twinkleFromHats, oninput: (v)=>{ m.twinkleFromHats = v; } })));
+    el.appendChild(fieldRow('Rings from Percussive', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.ringsFromPercussive, oninput: (v)=>{ m.ringsFromPercussive = v; } })));
+    el.appendChild(fieldRow('Light Color from Harmony', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.colorFromHarmony, oninput: (v)=>{ m.colorFromHarmony = v; } })));
     el.appendChild(fieldRow('Camera Shake from Beat', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.cameraShakeFromBeat, oninput: (v)=>{ m.cameraShakeFromBeat = v; } })));
     el.appendChild(fieldRow('Bloom Color from Centroid', slider({ min: 0.0, max: 1.0, step: 0.05, value: m.colorBoostFromCentroid, oninput: (v)=>{ m.colorBoostFromCentroid = v; } })));
     el.appendChild(fieldRow('Core Brightness from RMS', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.sphereBrightnessFromRms, oninput: (v)=>{ m.sphereBrightnessFromRms = v; } })));
@@ -1321,8 +1620,10 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     el.appendChild(fieldRow('Stars from Treble', slider({ min: 0.0, max: 3.0, step: 0.05, value: m.starTwinkleFromTreble, oninput: (v)=>{ m.starTwinkleFromTreble = v; } })));
     el.appendChild(fieldRow('Ring Tilt from Bass', slider({ min: 0.0, max: 2.0, step: 0.05, value: m.ringTiltFromBass, oninput: (v)=>{ m.ringTiltFromBass = v; } })));
     el.appendChild(fieldRow('Camera Roll from Centroid Δ', slider({ min: 0.0, max: 0.6, step: 0.01, value: m.cameraRollFromCentroid, oninput: (v)=>{ m.cameraRollFromCentroid = v; } })));
+    el.appendChild(fieldRow('Camera Sway from Stereo Pan', slider({ min: 0.0, max: 0.5, step: 0.01, value: m.cameraSwayFromPan, oninput: (v)=>{ m.cameraSwayFromPan = v; } })));
     el.appendChild(fieldRow('Group Sway from Flux', slider({ min: 0.0, max: 0.6, step: 0.01, value: m.mainSwayFromFlux, oninput: (v)=>{ m.mainSwayFromFlux = v; } })));
     el.appendChild(fieldRow('Light Hue from Chroma', slider({ min: 0.0, max: 1.0, step: 0.02, value: m.chromaLightInfluence, oninput: (v)=>{ m.chromaLightInfluence = v; } })));
+    el.appendChild(fieldRow('Hue from Key (Camelot)', slider({ min: 0.0, max: 1.0, step: 0.02, value: m.hueFromKey, oninput: (v)=>{ m.hueFromKey = v; } })));
     el.appendChild(fieldRow('Ring Brightness from Chroma', slider({ min: 0.0, max: 1.5, step: 0.05, value: m.ringBrightFromChroma, oninput: (v)=>{ m.ringBrightFromChroma = v; } })));
     const eye = m.eye;
     el.appendChild(h('div', { class: 'section-title' }, 'Eye'));
@@ -1347,6 +1648,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     el.appendChild(fieldRow('Cornea Opacity', slider({ min: 0.1, max: 1.0, step: 0.02, value: eye.corneaOpacity ?? 0.65, oninput: (v) => { eye.corneaOpacity = v; } })));
     el.appendChild(fieldRow('Glint Size', slider({ min: 0.01, max: 0.1, step: 0.002, value: eye.glintSize ?? 0.035, oninput: (v) => { eye.glintSize = v; } })));
     el.appendChild(fieldRow('Glint Intensity', slider({ min: 0.0, max: 2.0, step: 0.05, value: eye.glintIntensity ?? 1.2, oninput: (v) => { eye.glintIntensity = v; } })));
+    el.appendChild(fieldRow('Gaze from Stereo Pan', slider({ min: 0.0, max: 0.3, step: 0.01, value: eye.gazeFromPan ?? 0.12, oninput: (v) => { eye.gazeFromPan = v; } })));
     el.appendChild(fieldRow('Predator Mode', checkbox(!!sceneApi.state.eye?.predatorMode, (v) => sceneApi.setEyePredatorMode(v) )));
     el.appendChild(fieldRow('Manual Blink', button('Blink', () => sceneApi.triggerEyeBlink())));
 
@@ -1391,6 +1693,20 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     // Live (Aubio) diagnostics for Chrome Tab / BlackHole inputs
     el.appendChild(fieldRow('Live BPM', h('div', { id: 'live-bpm' }, '0')));
     el.appendChild(fieldRow('Confidence', h('div', { id: 'live-conf' }, '0')));
+    el.appendChild(fieldRow('Key', h('div', { id: 'live-key' }, formatKey(audioEngine.getKey ? audioEngine.getKey() : null))));
+    // Preferred range for half/double-time folding; presets set it, this overrides until the next preset load
+    const currentRange = audioEngine.getPreferredBpmRange ? audioEngine.getPreferredBpmRange() : null;
+    const rangeKey = (r) => (r ? `${r.min}-${r.max}` : 'none');
+    const rangeOptions = [{ label: 'None', value: 'none' }, ...BPM_RANGE_CHOICES.map((r) => ({ label: formatBpmRange(r), value: rangeKey(r) }))];
+    if (currentRange && !rangeOptions.some((o) => o.value === rangeKey(currentRange))) {
+      rangeOptions.push({ label: formatBpmRange(currentRange), value: rangeKey(currentRange) });
+    }
+    el.appendChild(fieldRow('Preferred Range', select(rangeOptions, rangeKey(currentRange), (v) => {
+      if (!audioEngine.setPreferredBpmRange) return;
+      const [min, max] = v === 'none' ? [] : v.split('-').map(Number);
+      audioEngine.setPreferredBpmRange(v === 'none' ? null : { min, max });
+    })));
+    el.appendChild(fieldRow('Octave Fold', h('div', { id: 'octave-fold' }, '—')));
     el.appendChild(button('Recalculate BPM', async ()=>{
       await audioEngine.recalcBpm();
       const auto = document.getElementById('auto-bpm');
@@ -1412,6 +1728,34 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     tap.appendChild(h('div', {}, [ button('+10 ms', ()=> audioEngine.nudgeQuantizePhase(10)), button('-10 ms', ()=> audioEngine.nudgeQuantizePhase(-10)), button('+25 ms', ()=> audioEngine.nudgeQuantizePhase(25)), button('-25 ms', ()=> audioEngine.nudgeQuantizePhase(-25)), button('Align Now', ()=> audioEngine.alignQuantizePhase()) ]));
     el.appendChild(tap);
 
+    const pre = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'File Pre-analysis') ]);
+    pre.appendChild(fieldRow('Enable (next file)', checkbox(audioEngine.timelineEnabled, (v)=> audioEngine.setTimelineEnabled(v) )));
+    pre.appendChild(fieldRow('Lookahead (ms)', slider({ min: 0, max: 4000, step: 50, value: audioEngine.timelineLookaheadMs, oninput: (v) => audioEngine.setTimelineLookaheadMs(v) })));
+    const timelineSummary = () => {
+      const tl = audioEngine.getFeatureTimeline ? audioEngine.getFeatureTimeline() : null;
+      if (!tl) return 'none';
+      const s = tl.getSummary();
+      return `${s.beats} beats · ${s.downbeats} bars · ${s.drops.length} drops · ${s.sections.length} sections (${s.beatSource})`;
+    };
+    const summaryNode = h('div', { id: 'timeline-summary' }, timelineSummary());
+    pre.appendChild(fieldRow('Timeline', summaryNode));
+    const sectionCanvas = h('canvas', { id: 'timeline-sections', width: '320', height: '34', style: { width: '100%', height: '34px', display: 'block', marginTop: '6px', borderRadius: '4px' } });
+    pre.appendChild(sectionCanvas);
+    drawSectionStrip(sectionCanvas, null);
+    pre.appendChild(button('Refresh', () => { summaryNode.textContent = timelineSummary(); drawSectionStrip(sectionCanvas, null); }, { class: 'ghost' }));
+    el.appendChild(pre);
+
+    const tmap = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Tempo Map') ]);
+    tmap.appendChild(fieldRow('Enable (next file)', checkbox(audioEngine.tempoMapEnabled, (v)=> audioEngine.setTempoMapEnabled(v) )));
+    const tempoMapSummary = () => formatTempoMap(audioEngine.getTempoMap ? audioEngine.getTempoMap() : null);
+    const tempoMapNode = h('div', { id: 'tempo-map-summary' }, tempoMapSummary());
+    tmap.appendChild(fieldRow('Map', tempoMapNode));
+    const tempoMapCanvas = h('canvas', { id: 'tempo-map', width: '320', height: '60', style: { width: '100%', height: '60px', display: 'block', marginTop: '6px', borderRadius: '4px' } });
+    tmap.appendChild(tempoMapCanvas);
+    drawTempoMap(tempoMapCanvas, null);
+    tmap.appendChild(button('Refresh', () => { tempoMapNode.textContent = tempoMapSummary(); drawTempoMap(tempoMapCanvas, null); }, { class: 'ghost' }));
+    el.appendChild(tmap);
+
     // Auto-apply shader preset by BPM bucket
     let autoApply = false;
     try { autoApply = !!JSON.parse(localStorage.getItem('cosmic_auto_shader_preset') || 'false'); } catch(_) { autoApply = false; }
@@ -1970,6 +2314,10 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
                   const params = ensureDispersionParams();
                   const values = PRESETS[name] || {};
                   Object.assign(params, withDispersionDefaults({ ...params, ...values }));
+                  // Picking a BPM preset by hand also sets its range for octave folding
+                  // (not on auto-apply, which picks the preset from the BPM itself)
+                  const range = parseBpmRange(name);
+                  if (range && audioEngine.setPreferredBpmRange) audioEngine.setPreferredBpmRange(range);
                   updatePinnedHudOverlay();
                   notifyRenderAll();
                   showShaderHud(name, 'Applied');
@@ -2386,6 +2734,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     }
     const summary = h('div', { class: 'session-summary' }, summaryItems);
     el.appendChild(fieldRow('Session', summary));
+    if (featureRecorder && featureReplay) el.appendChild(buildFeatureRecording());
 
     // Session History Section
     el.appendChild(h('div', { class: 'section-title' }, 'Session History'));
@@ -2938,11 +3287,407 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     const a = document.getElementById('auto-bpm');
     if (a && typeof bpm === 'number') a.textContent = String(Math.round(bpm ?? 0));
   }
-  function updateDriftDetails({ tapBpm, beatGrid, aubioTempo, aubioConf }) {
+  const SECTION_COLORS = {
+    intro: '#3b6ea5',
+    build: '#d9a441',
+    drop: '#d2463c',
+    breakdown: '#5a9e7c',
+    main: '#8a6fbf',
+    outro: '#4b5563',
+  };
+  let lastSectionStripMs = 0;
+  let lastTempoMapMs = 0;
+  // File arrangement strip: one block per section, playhead at playbackSec (null = no playhead)
+  function drawSectionStrip(canvas, playbackSec) {
+    const ctx2d = canvas?.getContext ? canvas.getContext('2d') : null;
+    if (!ctx2d) return;
+    const w = canvas.width; const hgt = canvas.height;
+    ctx2d.clearRect(0, 0, w, hgt);
+    ctx2d.fillStyle = 'rgba(255,255,255,0.06)';
+    ctx2d.fillRect(0, 0, w, hgt);
+    const tl = audioEngine.getFeatureTimeline ? audioEngine.getFeatureTimeline() : null;
+    if (!tl || !tl.ready || !(tl.duration > 0)) return;
+    const scale = w / tl.duration;
+    ctx2d.font = '10px sans-serif';
+    ctx2d.textBaseline = 'middle';
+    for (const sec of tl.sections) {
+      const x = sec.start * scale;
+      const sw = Math.max(1, (sec.end - sec.start) * scale);
+      ctx2d.globalAlpha = 0.45 + 0.55 * sec.energy;
+      ctx2d.fillStyle = SECTION_COLORS[sec.label] || '#888';
+      ctx2d.fillRect(x, 0, sw - 1, hgt);
+      ctx2d.globalAlpha = 1;
+      if (sw > 34) {
+        ctx2d.fillStyle = 'rgba(255,255,255,0.9)';
+        ctx2d.fillText(sec.label, x + 3, hgt / 2);
+      }
+    }
+    if (Number.isFinite(playbackSec)) {
+      ctx2d.fillStyle = '#fff';
+      ctx2d.fillRect(Math.round(playbackSec * scale), 0, 2, hgt);
+    }
+  }
+  const BPM_RANGE_CHOICES = [
+    { min: 80, max: 100 },
+    { min: 100, max: 120 },
+    { min: 120, max: 130 },
+    { min: 130, max: 145 },
+    { min: 160, max: 180 },
+  ];
+  function formatBpmRange(r) {
+    return r ? `${Math.round(r.min)}–${Math.round(r.max)} BPM` : 'None';
+  }
+  // Most recent octave resolution, e.g. "aubio 87 → 174 (×2)"
+  function formatOctaveFold(diag) {
+    const sources = diag && diag.sources ? Object.entries(diag.sources) : [];
+    if (!diag || !diag.range || !sources.length) return '—';
+    const [name, rec] = sources.reduce((a, b) => ((b[1].at || 0) > (a[1].at || 0) ? b : a));
+    return rec.factor === 1 ? `${name} ${rec.bpm} (kept)` : `${name} ${rec.input} → ${rec.bpm} (×${rec.factor})`;
+  }
+  function formatTempoMap(map) {
+    if (!map) return 'none';
+    const s = map.getSummary();
+    const range = s.variable ? `${s.minBpm.toFixed(1)} → ${s.maxBpm.toFixed(1)} BPM` : `${s.minBpm.toFixed(1)} BPM (steady)`;
+    return `${s.segments} segment${s.segments === 1 ? '' : 's'} · ${range} · ${s.beats} beats`;
+  }
+  // Tempo map plot: window estimates as dots, segment tempos as steps, playhead at playbackSec
+  function drawTempoMap(canvas, playbackSec) {
+    const ctx2d = canvas?.getContext ? canvas.getContext('2d') : null;
+    if (!ctx2d) return;
+    const w = canvas.width; const hgt = canvas.height;
+    ctx2d.clearRect(0, 0, w, hgt);
+    ctx2d.fillStyle = 'rgba(255,255,255,0.06)';
+    ctx2d.fillRect(0, 0, w, hgt);
+    const map = audioEngine.getTempoMap ? audioEngine.getTempoMap() : null;
+    if (!map || !(map.duration > 0) || !map.segments.length) return;
+    const summary = map.getSummary();
+    // Pad the BPM range so a steady track draws as a mid-height line
+    const pad = Math.max(2, (summary.maxBpm - summary.minBpm) * 0.15);
+    const lo = summary.minBpm - pad;
+    const hi = summary.maxBpm + pad;
+    const xScale = w / map.duration;
+    const yOf = (bpm) => hgt - ((bpm - lo) / (hi - lo)) * hgt;
+
+    ctx2d.fillStyle = 'rgba(138,111,191,0.55)';
+    for (const pt of map.points) {
+      if (pt.bpm < lo || pt.bpm > hi) continue;
+      ctx2d.fillRect(Math.round(pt.time * xScale), Math.round(yOf(pt.bpm)), 2, 2);
+    }
+    ctx2d.strokeStyle = '#f5b94a';
+    ctx2d.lineWidth = 2;
+    ctx2d.beginPath();
+    map.segments.forEach((seg, i) => {
+      const y = yOf(seg.bpm);
+      if (i === 0) ctx2d.moveTo(seg.start * xScale, y);
+      else ctx2d.lineTo(seg.start * xScale, y);
+      ctx2d.lineTo(seg.end * xScale, y);
+    });
+    ctx2d.stroke();
+
+    ctx2d.font = '10px sans-serif';
+    ctx2d.textBaseline = 'top';
+    ctx2d.fillStyle = 'rgba(255,255,255,0.9)';
+    for (const seg of map.segments) {
+      if ((seg.end - seg.start) * xScale < 40) continue;
+      const y = yOf(seg.bpm);
+      ctx2d.fillText(seg.bpm.toFixed(1), seg.start * xScale + 3, y > hgt - 14 ? y - 13 : y + 3);
+    }
+    if (Number.isFinite(playbackSec)) {
+      ctx2d.fillStyle = '#fff';
+      ctx2d.fillRect(Math.round(playbackSec * xScale), 0, 2, hgt);
+    }
+  }
+  // Playlist queue; the list redraws itself in place when the queue changes
+  let playlistSectionEl = null;
+  if (playlist) {
+    trackCleanup(playlist.on('change', () => {
+      if (playlistSectionEl && playlistSectionEl.isConnected) fillPlaylist(playlistSectionEl);
+    }));
+  }
+  function pickAudioFiles(onFiles) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'audio/*';
+    input.multiple = true;
+    input.onchange = async () => {
+      try {
+        if (input.files?.length) await onFiles(input.files);
+      } catch (err) {
+        showToast(err.message || 'File load failed');
+      } finally {
+        input.onchange = null;
+        input.remove();
+      }
+    };
+    input.click();
+  }
+  function buildPlaylist() {
+    playlistSectionEl = h('div', { class: 'section' });
+    fillPlaylist(playlistSectionEl);
+    return playlistSectionEl;
+  }
+  function fillPlaylist(el) {
+    el.replaceChildren(h('div', { class: 'section-title' }, `Playlist${playlist.length ? ` (${playlist.length})` : ''}`));
+    const controls = h('div', { class: 'button-row' });
+    controls.appendChild(button('Add Files…', () => pickAudioFiles(async (files) => {
+      const wasEmpty = playlist.length === 0;
+      const added = await playlist.add(files);
+      showToast(`Queued ${added} track${added === 1 ? '' : 's'}`);
+      if (wasEmpty && added && !audioEngine.isPlayingFile) await playlist.playIndex(0, { crossfade: false });
+    })));
+    controls.appendChild(button('◀◀ Prev', () => { playlist.previous().catch((e) => showToast(e.message)); }, { class: 'ghost' }));
+    controls.appendChild(button('Next ▶▶', () => { playlist.next().catch((e) => showToast(e.message)); }, { class: 'ghost' }));
+    controls.appendChild(button('Clear', () => {
+      if (playlist.length && confirm('Remove all tracks from the playlist?')) playlist.clear();
+    }, { class: 'ghost' }));
+    el.appendChild(controls);
+
+    el.appendChild(fieldRow('Auto-advance', checkbox(playlist.autoAdvance, (v) => playlist.setAutoAdvance(v))));
+    el.appendChild(fieldRow('Shuffle', checkbox(playlist.shuffle, (v) => playlist.setShuffle(v))));
+    const repeatSel = select([
+      { label: 'Off', value: 'off' },
+      { label: 'All', value: 'all' },
+      { label: 'One', value: 'one' },
+    ], playlist.repeat, (v) => playlist.setRepeat(v));
+    repeatSel.value = playlist.repeat;
+    el.appendChild(fieldRow('Repeat', repeatSel));
+    el.appendChild(fieldRow('Crossfade (s)', slider({ min: 0, max: 16, step: 0.5, value: playlist.crossfadeSec, oninput: (v) => playlist.setCrossfadeSec(v) })));
+
+    if (!playlist.length) {
+      el.appendChild(h('div', { style: { fontSize: '11px', opacity: '0.7', margin: '6px 0' } }, 'Drop several audio files on the page (or use Add Files…) to build a queue.'));
+      return;
+    }
+    const presetOpts = [{ label: 'Keep current preset', value: '' }]
+      .concat((presetManager?.list?.() || []).map((p) => ({ label: p.name, value: p.id })));
+    const list = h('div', { style: { display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '6px' } });
+    playlist.entries.forEach((entry, i) => {
+      const isCurrent = i === playlist.currentIndex;
+      const a = entry.analysis;
+      const info = [
+        a && a.bpm ? `${Math.round(a.bpm)} BPM` : (entry.missing ? 'missing' : 'analysing…'),
+        a && a.key ? a.key.camelot : null,
+        a && a.duration ? formatClock(a.duration * 1000) : null,
+      ].filter(Boolean).join(' · ');
+      const title = h('div', {
+        style: { flex: '1', minWidth: '0', cursor: entry.missing ? 'default' : 'pointer', opacity: entry.missing ? '0.5' : '1' },
+        title: entry.missing ? 'Audio not stored — add the file again' : 'Play',
+        onClick: () => { if (!entry.missing) playlist.playIndex(i).catch((e) => showToast(e.message)); },
+      }, [
+        h('div', { style: { fontWeight: isCurrent ? '600' : '400', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' } }, `${isCurrent ? '▶ ' : ''}${i + 1}. ${entry.name}`),
+        h('div', { style: { fontSize: '11px', opacity: '0.7' } }, info),
+      ]);
+      const presetSel = select(presetOpts, entry.presetId || '', (v) => playlist.setTrackPreset(entry.id, v || null));
+      presetSel.value = entry.presetId || '';
+      presetSel.title = 'Preset to load when this track starts';
+      presetSel.style.maxWidth = '130px';
+      const row = h('div', {
+        class: 'button-row',
+        style: { padding: '4px 6px', borderRadius: '6px', background: isCurrent ? 'rgba(120,180,255,0.12)' : 'rgba(255,255,255,0.04)' },
+      }, [
+        title,
+        presetSel,
+        button('▲', () => playlist.move(i, i - 1), { class: 'ghost', style: 'padding: 2px 6px;' }),
+        button('▼', () => playlist.move(i, i + 1), { class: 'ghost', style: 'padding: 2px 6px;' }),
+        button('×', () => playlist.remove(entry.id), { class: 'ghost', style: 'padding: 2px 6px;' }),
+      ]);
+      list.appendChild(row);
+    });
+    el.appendChild(list);
+  }
+
+  // File transport bar: play/pause, scrubber with position readout, bar loops, rate
+  let _transportScrubbing = false;
+  let _transportLastUpdate = 0;
+  function describeTransport(t) {
+    if (!t.loaded) return 'No file loaded';
+    let text = `${formatClock(t.positionSec * 1000)} / ${formatClock(t.durationSec * 1000)}`;
+    if (t.bar >= 0) text += ` · bar ${t.bar + 1}${t.barCount ? `/${t.barCount}` : ''}`;
+    if (t.loop) text += ` · loop ${t.loop.startBar + 1}–${t.loop.endBar}`;
+    if (Math.abs(t.rate - 1) > 1e-3) text += ` · ${t.rate.toFixed(2)}×`;
+    if (!t.playing) text += ' · paused';
+    return text;
+  }
+  function buildTransport() {
+    const wrap = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'File Transport') ]);
+    const t = audioEngine.getTransportState();
+    wrap.appendChild(fieldRow('Position', h('div', { id: 'transport-pos' }, describeTransport(t))));
+    const scrub = h('input', { id: 'transport-scrub', type: 'range', min: '0', max: String(Math.max(1, t.durationSec)), step: '0.1', value: String(t.positionSec), style: { width: '100%' } });
+    scrub.disabled = !t.loaded;
+    trackDomListener(scrub, 'input', () => { _transportScrubbing = true; });
+    trackDomListener(scrub, 'change', () => {
+      _transportScrubbing = false;
+      audioEngine.seek(parseFloat(scrub.value));
+    });
+    wrap.appendChild(scrub);
+
+    const row = h('div', { class: 'button-row' });
+    row.appendChild(button(t.playing || !t.loaded ? 'Pause' : 'Play', () => {
+      const cur = audioEngine.getTransportState();
+      if (!cur.loaded) { showToast('Load a file first'); return; }
+      if (cur.playing) audioEngine.pause(); else audioEngine.play();
+      render('source');
+    }));
+    row.appendChild(button('|◀ Bar', () => {
+      const cur = audioEngine.getTransportState();
+      const bars = audioEngine.getFileBarTimes();
+      if (!cur.loaded || cur.bar < 0) return;
+      // Restart the current bar, or go to the previous one if we're right at its start
+      const idx = cur.positionSec - bars[cur.bar] < 0.3 ? Math.max(0, cur.bar - 1) : cur.bar;
+      audioEngine.seek(bars[idx]);
+    }, { class: 'ghost' }));
+    row.appendChild(button('Bar ▶|', () => {
+      const cur = audioEngine.getTransportState();
+      const bars = audioEngine.getFileBarTimes();
+      if (!cur.loaded || cur.bar < 0 || cur.bar + 1 >= bars.length) return;
+      audioEngine.seek(bars[cur.bar + 1]);
+    }, { class: 'ghost' }));
+    wrap.appendChild(row);
+
+    const loopRow = h('div', { class: 'button-row' });
+    for (const bars of [4, 8, 16, 32]) {
+      loopRow.appendChild(button(`Loop ${bars}`, () => {
+        const cur = audioEngine.getTransportState();
+        if (!cur.loaded) { showToast('Load a file first'); return; }
+        if (cur.bar < 0 || !audioEngine.setLoop(cur.bar, cur.bar + bars)) { showToast('No bar grid yet — wait for analysis'); return; }
+        showToast(`Looping bars ${cur.bar + 1}–${cur.bar + bars}`);
+      }, { class: 'ghost' }));
+    }
+    loopRow.appendChild(button('Clear Loop', () => { audioEngine.setLoop(null); }, { class: 'ghost' }));
+    wrap.appendChild(loopRow);
+
+    wrap.appendChild(fieldRow('Playback Rate', slider({ min: 0.5, max: 2, step: 0.01, value: t.rate, precision: 2, resetValue: 1, oninput: (v) => audioEngine.setRate(v) })));
+    return wrap;
+  }
+  function updateTransport() {
+    const pos = document.getElementById('transport-pos');
+    if (!pos) return;
+    const now = performance.now();
+    if (now - _transportLastUpdate < 100) return;
+    _transportLastUpdate = now;
+    const t = audioEngine.getTransportState();
+    pos.textContent = describeTransport(t);
+    const gen = document.getElementById('generator-status');
+    if (gen) gen.textContent = describeGenerator(audioEngine.getGeneratorState());
+    const scrub = document.getElementById('transport-scrub');
+    if (scrub && !_transportScrubbing) {
+      scrub.disabled = !t.loaded;
+      scrub.max = String(Math.max(1, t.durationSec));
+      scrub.value = String(t.positionSec);
+    }
+  }
+  function formatClock(ms) {
+    const total = Math.max(0, Math.floor((ms || 0) / 1000));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+  // Accepts "2:13", "1:02:13" or plain seconds
+  function parseClock(text) {
+    const parts = String(text || '').trim().split(':').map(Number);
+    if (!parts.length || parts.some((n) => !Number.isFinite(n) || n < 0)) return null;
+    return parts.reduce((acc, n) => acc * 60 + n, 0) * 1000;
+  }
+  function buildFeatureRecording() {
+    const wrap = h('div', { class: 'section' }, [ h('div', { class: 'section-title' }, 'Feature Recording') ]);
+    const recStatus = featureRecorder.recording
+      ? `Recording… ${formatClock(featureRecorder.durationMs)}`
+      : (featureRecorder.frameCount ? `${featureRecorder.frameCount} frames · ${formatClock(featureRecorder.durationMs)} · ${(featureRecorder.bytes / 1048576).toFixed(1)} MB` : 'Nothing recorded');
+    wrap.appendChild(fieldRow('Recorder', h('div', {}, recStatus)));
+    const recRow = h('div', { class: 'button-row' });
+    recRow.appendChild(button(featureRecorder.recording ? 'Stop Recording' : 'Record', () => {
+      if (featureRecorder.recording) {
+        featureRecorder.stop();
+        showToast(`Recorded ${formatClock(featureRecorder.durationMs)} of features`);
+      } else {
+        if (featureReplay.active) { showToast('Stop replay before recording'); return; }
+        featureRecorder.start(performance.now(), { fftSize: audioEngine.fftSize, sampleRate: audioEngine.ctx?.sampleRate || null });
+        showToast('Recording feature stream');
+      }
+      render('session');
+    }));
+    recRow.appendChild(button('Download', () => {
+      if (!featureRecorder.download()) showToast('Nothing recorded yet');
+    }, { class: 'ghost' }));
+    wrap.appendChild(recRow);
+
+    const replayStatus = featureReplay.loaded
+      ? `${featureReplay.frames.length} frames · ${formatClock(featureReplay.durationMs)}${featureReplay.active ? ' · playing (replaces live audio)' : ''}`
+      : 'No recording loaded';
+    wrap.appendChild(fieldRow('Replay', h('div', {}, replayStatus)));
+    const replayRow = h('div', { class: 'button-row' });
+    replayRow.appendChild(button('Load…', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.ndjson,.jsonl,application/x-ndjson,application/json';
+      input.onchange = async () => {
+        try {
+          const f = input.files?.[0];
+          if (!f) return;
+          const info = featureReplay.load(await f.text());
+          showToast(`Loaded ${info.frames} frames (${formatClock(info.durationMs)})`);
+          render('session');
+        } catch (err) {
+          showToast(err.message || 'Recording load failed');
+        } finally {
+          input.onchange = null;
+          input.remove();
+        }
+      };
+      input.click();
+    }, { class: 'ghost' }));
+    const seekInput = h('input', { type: 'text', placeholder: 'Start at (m:ss)', style: 'width: 96px; padding: 4px 8px; background: rgba(255,255,255,0.08); border: 1px solid rgba(255,255,255,0.12); border-radius: 6px; color: inherit;' });
+    replayRow.appendChild(seekInput);
+    replayRow.appendChild(button(featureReplay.active ? 'Stop Replay' : 'Play', () => {
+      if (featureReplay.active) {
+        featureReplay.stop();
+      } else {
+        if (!featureReplay.loaded) { showToast('Load a recording first'); return; }
+        const fromMs = seekInput.value ? parseClock(seekInput.value) : 0;
+        if (fromMs === null) { showToast('Start time must look like 2:13'); return; }
+        if (featureRecorder.recording) featureRecorder.stop();
+        featureReplay.start(performance.now(), fromMs);
+      }
+      render('session');
+    }));
+    wrap.appendChild(replayRow);
+    wrap.appendChild(fieldRow('Loop Replay', checkbox(featureReplay.loop, (v) => featureReplay.setLoop(v))));
+    wrap.appendChild(fieldRow('Replay Speed', slider({ min: 0.25, max: 2, step: 0.05, value: featureReplay.rate, oninput: (v) => featureReplay.setRate(v) })));
+    return wrap;
+  }
+  function formatKey(key) {
+    if (!key) return '—';
+    return `${key.name} · ${key.camelot} (${Math.round((key.confidence || 0) * 100)}%${key.source === 'essentia' ? ', track' : ''})`;
+  }
+  function updateDriftDetails({ tapBpm, beatGrid, aubioTempo, aubioConf, key, timeline }) {
     const lb = document.getElementById('live-bpm');
     if (lb && typeof aubioTempo === 'number') lb.textContent = String(Math.round(aubioTempo ?? 0));
     const lc = document.getElementById('live-conf');
     if (lc && typeof aubioConf === 'number') lc.textContent = (aubioConf || 0).toFixed(2);
+    const lk = document.getElementById('live-key');
+    if (lk) {
+      const text = formatKey(key);
+      if (lk.textContent !== text) lk.textContent = text;
+    }
+    const strip = document.getElementById('timeline-sections');
+    const nowMs = performance.now();
+    if (strip && timeline && nowMs - lastSectionStripMs > 100) {
+      lastSectionStripMs = nowMs;
+      drawSectionStrip(strip, timeline.timeSec);
+    }
+    const fold = document.getElementById('octave-fold');
+    if (fold && nowMs - lastTempoMapMs > 100 && audioEngine.getBpmDiagnostics) {
+      const text = formatOctaveFold(audioEngine.getBpmDiagnostics().octave);
+      if (fold.textContent !== text) fold.textContent = text;
+    }
+    const tempoCanvas = document.getElementById('tempo-map');
+    if (tempoCanvas && nowMs - lastTempoMapMs > 100) {
+      lastTempoMapMs = nowMs;
+      const transport = audioEngine.getTransportState ? audioEngine.getTransportState() : null;
+      drawTempoMap(tempoCanvas, transport && transport.loaded ? transport.positionSec : null);
+      const summaryNode = document.getElementById('tempo-map-summary');
+      if (summaryNode) {
+        const text = formatTempoMap(audioEngine.getTempoMap ? audioEngine.getTempoMap() : null);
+        if (summaryNode.textContent !== text) summaryNode.textContent = text;
+      }
+    }
   }
   function updateSyncStatus(status = {}) {
     if (!showProjectorControls) return;
@@ -2982,7 +3727,7 @@ export function initSettingsUI({ sceneApi, audioEngine, presetManager, onScreens
     }
   }
 
-  return { open, close, updateFpsLabel, updateBpmLabel, updateTapAndDrift, updateDriftDetails, updateSyncStatus, updateBeatIndicator };
+  return { open, close, updateFpsLabel, updateBpmLabel, updateTapAndDrift, updateDriftDetails, updateTransport, updateSyncStatus, updateBeatIndicator };
 }
 
 // Cleanup function to remove all event listeners and reset state
@@ -15,6 +15,7 @@ export const SHADER_PRESETS = {
     warpGain: 1.8,
     warpOnBeat: true,
     warpOnDropBoost: 1.2,
+    preDropWarp: 0.8,
     brightness: 1.0,
     brightnessGain: 0.45,
     contrast: 1.0,
@@ -223,6 +224,7 @@ export const SHADER_PRESETS = {
     warpGain: 1.80,
     warpOnBeat: true,
     warpOnDropBoost: 1.2,
+    preDropWarp: 0.6,
     // Color & tone locked to defaults
     tintHue: 0.0,
     tintSat: 0.0,
@@ -263,6 +265,7 @@ export const SHADER_PRESETS = {
     warpGain: 2.20,
     warpOnBeat: true,
     warpOnDropBoost: 1.35,
+    preDropWarp: 0.8,
     // Color & tone locked to defaults
     tintHue: 0.0,
     tintSat: 0.0,
@@ -0,0 +1,343 @@
+/**
+ * Signal generator - synthetic test signals with known ground truth
+ *
+ * Testing mappings used to mean playing music and judging by ear. These
+ * renderers produce signals whose beats, bars, builds and drops are known
+ * exactly, so beat detection, drop logic and the tempo pipeline can be
+ * checked against them:
+ *
+ * - 'click':  metronome at `bpm`, accented (higher, louder) downbeats
+ * - 'sweep':  logarithmic sine sweep `sweepFromHz` → `sweepToHz` over `sweepSec`
+ * - 'pink':   pink noise (-3 dB/octave), for band balance and gate calibration
+ * - 'drums':  kick / snare / hat groove with a programmable arrangement:
+ *             `introBars` of groove, `buildBars` of snare roll (quarters →
+ *             8ths → 16ths → 32nds) over a noise riser with the kick dropping
+ *             out for the last two bars, then `dropBars` of kick + sub bass
+ *             starting with a crash on the drop downbeat
+ *
+ * Rendering is plain Float32 math, so the same signals run through the
+ * offline tools in Node. Output is mono, peak-normalised to `levelDb`, and
+ * designed to loop seamlessly (AudioEngine.startGenerator plays it looped);
+ * `truth` lists the times within one loop.
+ *
+ * @example
+ * const { samples, truth } = renderTestSignal({ type: 'drums', bpm: 128, sampleRate: 48000 });
+ * truth.drops;      // [15.0] - seconds into the loop
+ * truth.downbeats;  // [0, 1.875, 3.75, ...]
+ */
+
+export const GENERATOR_TYPES = ['click', 'sweep', 'pink', 'drums'];
+
+export const GENERATOR_LABELS = Object.freeze({
+  click: 'Metronome',
+  sweep: 'Sine sweep',
+  pink: 'Pink noise',
+  drums: 'Drums (build/drop)',
+});
+
+export const DEFAULT_GENERATOR_OPTIONS = Object.freeze({
+  type: 'click',
+  bpm: 120,
+  beatsPerBar: 4,
+  bars: 16,            // loop length for 'click'
+  levelDb: -6,         // peak level (dBFS)
+  sweepSec: 10,
+  sweepFromHz: 20,
+  sweepToHz: 20000,
+  noiseSec: 10,
+  introBars: 4,
+  buildBars: 8,
+  dropBars: 8,
+  seed: 1,
+});
+
+/**
+ * Normalise generator options (unknown keys dropped, numbers clamped).
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+export function normalizeGeneratorOptions(options = {}) {
+  const d = DEFAULT_GENERATOR_OPTIONS;
+  const o = options && typeof options === 'object' ? options : {};
+  const num = (v, fallback, min, max) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+  };
+  const int = (v, fallback, min, max) => Math.round(num(v, fallback, min, max));
+  const sweepFromHz = num(o.sweepFromHz, d.sweepFromHz, 10, 20000);
+  return {
+    type: GENERATOR_TYPES.includes(o.type) ? o.type : d.type,
+    bpm: num(o.bpm, d.bpm, 40, 240),
+    beatsPerBar: int(o.beatsPerBar, d.beatsPerBar, 2, 12),
+    bars: int(o.bars, d.bars, 1, 64),
+    levelDb: num(o.levelDb, d.levelDb, -60, 0),
+    sweepSec: num(o.sweepSec, d.sweepSec, 1, 120),
+    sweepFromHz,
+    sweepToHz: num(o.sweepToHz, d.sweepToHz, sweepFromHz * 1.01, 24000),
+    noiseSec: num(o.noiseSec, d.noiseSec, 1, 120),
+    introBars: int(o.introBars, d.introBars, 0, 32),
+    buildBars: int(o.buildBars, d.buildBars, 1, 32),
+    dropBars: int(o.dropBars, d.dropBars, 1, 32),
+    seed: int(o.seed, d.seed, 0, 0x7fffffff),
+  };
+}
+
+// mulberry32: small deterministic PRNG so a seed renders the same signal everywhere
+function makeRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Add a voice at `startSec`; wraps around the end so the loop stays seamless
+function mix(out, sampleRate, startSec, lengthSec, voice) {
+  const start = Math.round(startSec * sampleRate);
+  const n = Math.round(lengthSec * sampleRate);
+  const len = out.length;
+  for (let i = 0; i < n; i++) {
+    const idx = (start + i) % len;
+    out[idx] += voice(i / sampleRate, i);
+  }
+}
+
+function kick(gain = 1) {
+  let phase = 0;
+  let lastT = 0;
+  return (t) => {
+    // Pitch falls 150 → 50 Hz in the first ~50 ms
+    const f = 50 + 100 * Math.exp(-t / 0.03);
+    phase += 2 * Math.PI * f * (t - lastT);
+    lastT = t;
+    return gain * Math.sin(phase) * Math.exp(-t / 0.15);
+  };
+}
+
+function snare(random, gain = 1) {
+  let prev = 0;
+  return (t) => {
+    const white = random() * 2 - 1;
+    const hp = white - prev; // crude high-pass for the crack
+    prev = white;
+    return gain * (0.7 * hp * Math.exp(-t / 0.08) + 0.5 * Math.sin(2 * Math.PI * 185 * t) * Math.exp(-t / 0.05));
+  };
+}
+
+function hat(random, gain = 1) {
+  let prev = 0;
+  return (t) => {
+    const white = random() * 2 - 1;
+    const hp = white - prev;
+    prev = white;
+    return gain * hp * Math.exp(-t / 0.02);
+  };
+}
+
+function crash(random, gain = 1) {
+  let prev = 0;
+  return (t) => {
+    const white = random() * 2 - 1;
+    const hp = white - prev;
+    prev = white;
+    return gain * hp * Math.exp(-t / 0.8);
+  };
+}
+
+function click(accent) {
+  const f = accent ? 1600 : 1000;
+  const gain = accent ? 1 : 0.6;
+  return (t) => gain * Math.sin(2 * Math.PI * f * t) * Math.exp(-t / 0.012);
+}
+
+function beatTimes(bars, beatsPerBar, beatSec, offsetSec = 0) {
+  const beats = [];
+  const downbeats = [];
+  for (let b = 0; b < bars * beatsPerBar; b++) {
+    const t = offsetSec + b * beatSec;
+    beats.push(t);
+    if (b % beatsPerBar === 0) downbeats.push(t);
+  }
+  return { beats, downbeats };
+}
+
+function normalizePeak(samples, levelDb) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const a = Math.abs(samples[i]);
+    if (a > peak) peak = a;
+  }
+  if (peak <= 0) return;
+  const g = Math.pow(10, levelDb / 20) / peak;
+  for (let i = 0; i < samples.length; i++) samples[i] *= g;
+}
+
+function renderClick(o, sampleRate) {
+  const beatSec = 60 / o.bpm;
+  const durationSec = o.bars * o.beatsPerBar * beatSec;
+  const samples = new Float32Array(Math.round(durationSec * sampleRate));
+  const { beats, downbeats } = beatTimes(o.bars, o.beatsPerBar, beatSec);
+  beats.forEach((t, i) => mix(samples, sampleRate, t, 0.06, click(i % o.beatsPerBar === 0)));
+  return { samples, durationSec, truth: { bpm: o.bpm, beatsPerBar: o.beatsPerBar, beats, downbeats, builds: [], drops: [] } };
+}
+
+function renderSweep(o, sampleRate) {
+  const durationSec = o.sweepSec;
+  const n = Math.round(durationSec * sampleRate);
+  const samples = new Float32Array(n);
+  const f0 = o.sweepFromHz;
+  const f1 = Math.min(o.sweepToHz, sampleRate / 2 - 1);
+  const k = Math.log(f1 / f0);
+  const fade = Math.min(n >> 1, Math.round(0.01 * sampleRate)); // avoid clicks at the loop point
+  for (let i = 0; i < n; i++) {
+    const t = i / sampleRate;
+    // Exponential sweep phase: 2π f0 T / ln(f1/f0) · (e^{t/T · ln(f1/f0)} - 1)
+    const phase = (2 * Math.PI * f0 * durationSec / k) * (Math.exp((t / durationSec) * k) - 1);
+    const env = Math.min(1, i / fade, (n - 1 - i) / fade);
+    samples[i] = Math.sin(phase) * env;
+  }
+  return {
+    samples,
+    durationSec,
+    truth: { bpm: 0, beatsPerBar: 0, beats: [], downbeats: [], builds: [], drops: [], sweep: { fromHz: f0, toHz: f1, durationSec } },
+  };
+}
+
+function renderPink(o, sampleRate) {
+  const durationSec = o.noiseSec;
+  const samples = new Float32Array(Math.round(durationSec * sampleRate));
+  const random = makeRandom(o.seed);
+  // Paul Kellett's refined pink filter
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const white = random() * 2 - 1;
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.96900 * b2 + white * 0.1538520;
+    b3 = 0.86650 * b3 + white * 0.3104856;
+    b4 = 0.55000 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.0168980;
+    samples[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+    b6 = white * 0.115926;
+  }
+  return { samples, durationSec, truth: { bpm: 0, beatsPerBar: 0, beats: [], downbeats: [], builds: [], drops: [] } };
+}
+
+function renderDrums(o, sampleRate) {
+  const random = makeRandom(o.seed);
+  const bpb = o.beatsPerBar;
+  const beatSec = 60 / o.bpm;
+  const barSec = bpb * beatSec;
+  const totalBars = o.introBars + o.buildBars + o.dropBars;
+  const durationSec = totalBars * barSec;
+  const samples = new Float32Array(Math.round(durationSec * sampleRate));
+  const buildStart = o.introBars * barSec;
+  const dropStart = (o.introBars + o.buildBars) * barSec;
+  const backbeat = (beat) => bpb >= 4 ? beat % 2 === 1 : beat === bpb - 1;
+
+  for (let bar = 0; bar < totalBars; bar++) {
+    const barT = bar * barSec;
+    const inBuild = bar >= o.introBars && bar < o.introBars + o.buildBars;
+    const inDrop = bar >= o.introBars + o.buildBars;
+    if (inBuild) {
+      const b = bar - o.introBars;
+      // Roll density doubles each quarter of the build: 1, 2, 4, 8 hits per beat
+      const perBeat = 1 << Math.min(3, Math.floor((b / o.buildBars) * 4));
+      const progress = (b + 1) / o.buildBars;
+      for (let i = 0; i < bpb * perBeat; i++) {
+        mix(samples, sampleRate, barT + (i * beatSec) / perBeat, 0.2, snare(random, 0.25 + 0.45 * progress));
+      }
+      const kickOut = o.buildBars > 2 && b >= o.buildBars - 2;
+      if (!kickOut) for (let beat = 0; beat < bpb; beat++) mix(samples, sampleRate, barT + beat * beatSec, 0.35, kick(0.8));
+      continue;
+    }
+    for (let beat = 0; beat < bpb; beat++) {
+      const t = barT + beat * beatSec;
+      mix(samples, sampleRate, t, 0.35, kick(inDrop ? 1.2 : 0.9));
+      if (backbeat(beat)) mix(samples, sampleRate, t, 0.2, snare(random, inDrop ? 0.7 : 0.5));
+      mix(samples, sampleRate, t + beatSec / 2, 0.06, hat(random, inDrop ? 0.35 : 0.25));
+      if (inDrop) {
+        // Sub bass between the kicks (sidechain-style swell)
+        mix(samples, sampleRate, t + 0.05, beatSec - 0.06, (x) => 0.45 * Math.sin(2 * Math.PI * 55 * x) * Math.min(1, x / 0.04) * Math.min(1, (beatSec - 0.06 - x) / 0.02));
+      }
+    }
+    if (inDrop && bar === o.introBars + o.buildBars) mix(samples, sampleRate, barT, 1.6, crash(random, 0.6));
+  }
+
+  // Riser: white noise through a one-pole low-pass whose cutoff climbs 200 Hz → 10 kHz
+  const riserLen = Math.round((dropStart - buildStart) * sampleRate);
+  const riserStart = Math.round(buildStart * sampleRate);
+  let lp = 0;
+  for (let i = 0; i < riserLen; i++) {
+    const p = i / riserLen;
+    const cutoff = 200 * Math.pow(50, p);
+    const a = 1 - Math.exp((-2 * Math.PI * cutoff) / sampleRate);
+    lp += a * ((random() * 2 - 1) - lp);
+    samples[riserStart + i] += lp * 0.5 * p * p;
+  }
+
+  const { beats, downbeats } = beatTimes(totalBars, bpb, beatSec);
+  return {
+    samples,
+    durationSec,
+    truth: {
+      bpm: o.bpm,
+      beatsPerBar: bpb,
+      beats,
+      downbeats,
+      builds: [{ startSec: buildStart, endSec: dropStart }],
+      drops: [dropStart],
+    },
+  };
+}
+
+const RENDERERS = { click: renderClick, sweep: renderSweep, pink: renderPink, drums: renderDrums };
+
+/**
+ * Render one loop of a test signal.
+ * @param {Object} options - See DEFAULT_GENERATOR_OPTIONS, plus sampleRate
+ * @param {number} options.sampleRate
+ * @returns {{samples:Float32Array, sampleRate:number, durationSec:number, options:Object,
+ *   truth:{bpm:number, beatsPerBar:number, beats:number[], downbeats:number[], builds:Array<{startSec:number,endSec:number}>, drops:number[], sweep?:Object}}}
+ */
+export function renderTestSignal({ sampleRate, ...options }) {
+  if (!(sampleRate > 0)) throw new Error('renderTestSignal: sampleRate required');
+  const o = normalizeGeneratorOptions(options);
+  const { samples, durationSec, truth } = RENDERERS[o.type](o, sampleRate);
+  normalizePeak(samples, o.levelDb);
+  return { samples, sampleRate, durationSec, options: o, truth: { type: o.type, loopSec: durationSec, ...truth } };
+}
+
+/**
+ * Where a playback position falls in the ground truth (position wraps with the loop).
+ * @param {Object} truth - renderTestSignal().truth
+ * @param {number} positionSec
+ * @returns {{loopSec:number, beat:number, bar:number, beatInBar:number, section:string, dropInSec:number|null}}
+ *   beat/bar are 0-based indices into the loop (-1 for signals without beats)
+ */
+export function describeTruthPosition(truth, positionSec) {
+  const loop = truth.loopSec || 1;
+  const pos = ((positionSec % loop) + loop) % loop;
+  const beatSec = truth.bpm > 0 ? 60 / truth.bpm : 0;
+  const beat = beatSec ? Math.floor(pos / beatSec + 1e-9) : -1;
+  const bpb = truth.beatsPerBar || 1;
+  let section = truth.type === 'drums' ? 'intro' : truth.type;
+  for (const b of truth.builds) if (pos >= b.startSec && pos < b.endSec) section = 'build';
+  let dropInSec = null;
+  for (const d of truth.drops) {
+    if (pos >= d) section = 'drop';
+    const ahead = d >= pos ? d - pos : d + loop - pos;
+    if (dropInSec === null || ahead < dropInSec) dropInSec = ahead;
+  }
+  return {
+    loopSec: pos,
+    beat,
+    bar: beat >= 0 ? Math.floor(beat / bpb) : -1,
+    beatInBar: beat >= 0 ? beat % bpb : -1,
+    section,
+    dropInSec,
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * Song structure segmentation for pre-analysed files
+ *
+ * Splits a FeatureTimeline into arrangement sections (intro / build / drop /
+ * breakdown / main / outro) with start/end times and a relative energy level.
+ *
+ * Works bar by bar: each bar gets a chroma + timbre + energy vector, a
+ * novelty curve compares the bars before and after every bar line, and the
+ * strongest novelty peaks (at least minSectionBars apart) become section
+ * boundaries. Drops found by the timeline are always boundaries. Because
+ * everything happens on bar lines, sections snap to the beat grid for free.
+ *
+ * @example
+ * const sections = segmentSongStructure(timeline);
+ * // [{ index: 0, label: 'intro', start: 0, end: 31.2, energy: 0.35, bars: 16 }, ...]
+ */
+
+export const SECTION_LABELS = ['intro', 'build', 'drop', 'breakdown', 'main', 'outro'];
+
+const DROP_ENERGY = 0.72;      // relative energy at/above which a section counts as a drop
+const BREAKDOWN_ENERGY = 0.45; // relative energy below which a mid-track section is a breakdown
+
+/**
+ * Bar start times covering the whole file (first bar starts at 0).
+ * Uses downbeats, then every 4th beat, then fixed 2s blocks.
+ */
+function barStarts(timeline) {
+  const duration = timeline.duration;
+  let marks = timeline.downbeatTimes.length >= 4 ? timeline.downbeatTimes : null;
+  if (!marks && timeline.beatTimes.length >= 16) {
+    marks = timeline.beatTimes.filter((_, i) => i % 4 === 0);
+  }
+  if (!marks) {
+    marks = [];
+    for (let t = 0; t < duration; t += 2) marks.push(t);
+  }
+  const starts = [0];
+  for (const t of marks) {
+    if (t > starts[starts.length - 1] + 0.5 && t < duration - 0.5) starts.push(t);
+  }
+  return starts;
+}
+
+function distance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) { const d = a[i] - b[i]; sum += d * d; }
+  return Math.sqrt(sum);
+}
+
+function meanVector(vectors, from, to) {
+  const dims = vectors[0].length;
+  const out = new Float32Array(dims);
+  const lo = Math.max(0, from);
+  const hi = Math.min(vectors.length, to);
+  if (hi <= lo) return out;
+  for (let i = lo; i < hi; i++) for (let d = 0; d < dims; d++) out[d] += vectors[i][d];
+  for (let d = 0; d < dims; d++) out[d] /= (hi - lo);
+  return out;
+}
+
+/**
+ * @param {import('./feature-timeline.js').FeatureTimeline} timeline - Analysed timeline
+ * @param {Object} [options]
+ * @param {number} [options.contextBars=4] - Bars compared on each side of a candidate boundary
+ * @param {number} [options.minSectionBars=8] - Minimum section length
+ * @returns {Array<{index:number, label:string, start:number, end:number, energy:number, bars:number}>}
+ */
+export function segmentSongStructure(timeline, { contextBars = 4, minSectionBars = 8 } = {}) {
+  if (!timeline || !timeline.frameCount || !(timeline.duration > 0)) return [];
+  const duration = timeline.duration;
+  const starts = barStarts(timeline);
+  const barCount = starts.length;
+  const bounds = starts.concat([duration]);
+
+  // Per-bar descriptors: chroma (unit length), timbre (bands + brightness), energy
+  const chromaVecs = [];
+  const timbreVecs = [];
+  const energy = new Float32Array(barCount);
+  const hasChroma = !!timeline.chroma;
+  for (let b = 0; b < barCount; b++) {
+    const f0 = timeline._frameIndex(bounds[b]);
+    const f1 = Math.max(f0 + 1, timeline._frameIndex(bounds[b + 1]));
+    const chroma = new Float32Array(12);
+    const timbre = new Float32Array(5);
+    let e = 0;
+    for (let f = f0; f < f1; f++) {
+      if (hasChroma) for (let c = 0; c < 12; c++) chroma[c] += timeline.chroma[f * 12 + c];
+      timbre[0] += timeline.sub[f];
+      timbre[1] += timeline.bass[f];
+      timbre[2] += timeline.mid[f];
+      timbre[3] += timeline.treble[f];
+      timbre[4] += timeline.centroid[f];
+      // Same low-end energy blend the drop detector uses
+      e += timeline.rms[f] * 0.5 + (timeline.sub[f] + timeline.bass[f]) * 0.25;
+    }
+    const count = f1 - f0;
+    let norm = 0;
+    for (let c = 0; c < 12; c++) norm += chroma[c] * chroma[c];
+    norm = Math.sqrt(norm);
+    if (norm > 1e-9) for (let c = 0; c < 12; c++) chroma[c] /= norm;
+    for (let d = 0; d < 5; d++) timbre[d] /= count;
+    chromaVecs.push(chroma);
+    timbreVecs.push(timbre);
+    energy[b] = e / count;
+  }
+
+  // Novelty at each bar line: how different the next few bars are from the previous few
+  const novelty = new Float32Array(barCount);
+  const k = Math.max(1, contextBars);
+  for (let b = 1; b < barCount; b++) {
+    const chromaDist = distance(meanVector(chromaVecs, b - k, b), meanVector(chromaVecs, b, b + k));
+    const timbreDist = distance(meanVector(timbreVecs, b - k, b), meanVector(timbreVecs, b, b + k));
+    let eBefore = 0, eAfter = 0, nB = 0, nA = 0;
+    for (let i = Math.max(0, b - k); i < b; i++) { eBefore += energy[i]; nB++; }
+    for (let i = b; i < Math.min(barCount, b + k); i++) { eAfter += energy[i]; nA++; }
+    const energyDist = Math.abs((nA ? eAfter / nA : 0) - (nB ? eBefore / nB : 0));
+    novelty[b] = chromaDist * 0.5 + timbreDist + energyDist * 2;
+  }
+
+  let mean = 0;
+  for (let b = 1; b < barCount; b++) mean += novelty[b];
+  mean /= Math.max(1, barCount - 1);
+
+  // Drops are always boundaries; then greedily add the strongest novelty peaks
+  const boundaryBars = new Set([0]);
+  const barAt = (t) => {
+    let best = 0;
+    for (let b = 1; b < barCount; b++) if (Math.abs(starts[b] - t) < Math.abs(starts[best] - t)) best = b;
+    return best;
+  };
+  for (const t of timeline.dropTimes) boundaryBars.add(barAt(t));
+  const minGap = Math.max(1, minSectionBars);
+  const farEnough = (b) => {
+    for (const other of boundaryBars) if (Math.abs(other - b) < minGap) return false;
+    return b >= minGap && barCount - b >= Math.ceil(minGap / 2);
+  };
+  const candidates = [];
+  for (let b = 1; b < barCount; b++) {
+    const isPeak = novelty[b] >= (novelty[b - 1] || 0) && novelty[b] >= (novelty[b + 1] || 0);
+    if (isPeak && novelty[b] > mean) candidates.push(b);
+  }
+  candidates.sort((a, b) => novelty[b] - novelty[a]);
+  for (const b of candidates) if (farEnough(b)) boundaryBars.add(b);
+
+  // Builds ramp gradually, so novelty rarely peaks where they start: split off the
+  // timeline's build window ahead of each drop when energy actually rises through it
+  const riseRatio = (b0, b1) => {
+    const mid = b0 + Math.floor((b1 - b0) / 2);
+    let first = 0, second = 0;
+    for (let b = b0; b < mid; b++) first += energy[b];
+    for (let b = mid; b < b1; b++) second += energy[b];
+    return (second / Math.max(1, b1 - mid)) / Math.max(1e-6, first / Math.max(1, mid - b0));
+  };
+  for (const t of timeline.dropTimes) {
+    const dropBar = barAt(t);
+    const buildBar = barAt(t - (timeline.buildWindowSec || 8));
+    if (dropBar - buildBar < 2) continue;
+    let clear = true;
+    for (const other of boundaryBars) if (other !== dropBar && Math.abs(other - buildBar) < 2) clear = false;
+    if (clear && buildBar > 0 && riseRatio(buildBar, dropBar) > 1.1) boundaryBars.add(buildBar);
+  }
+
+  const sortedBars = Array.from(boundaryBars).sort((a, b) => a - b);
+  const sections = [];
+  let maxEnergy = 1e-6;
+  for (let s = 0; s < sortedBars.length; s++) {
+    const b0 = sortedBars[s];
+    const b1 = s + 1 < sortedBars.length ? sortedBars[s + 1] : barCount;
+    let e = 0;
+    for (let b = b0; b < b1; b++) e += energy[b];
+    e /= Math.max(1, b1 - b0);
+    // Rising energy inside the section (second half vs first half) marks a build
+    const rising = (b1 - b0) >= 2 && riseRatio(b0, b1) > 1.1;
+    maxEnergy = Math.max(maxEnergy, e);
+    sections.push({ start: bounds[b0], end: bounds[b1], rawEnergy: e, rising, bars: b1 - b0 });
+  }
+
+  const dropSet = new Set(timeline.dropTimes.map((t) => barAt(t)));
+  const labelled = sections.map((sec, i) => {
+    const relEnergy = Math.min(1, sec.rawEnergy / maxEnergy);
+    const next = sections[i + 1];
+    const nextIsDrop = !!next && (dropSet.has(sortedBars[i + 1]) || next.rawEnergy / maxEnergy >= DROP_ENERGY);
+    let label;
+    if (relEnergy >= DROP_ENERGY) label = 'drop';
+    else if (i === 0) label = 'intro';
+    else if (i === sections.length - 1) label = 'outro';
+    else if (nextIsDrop && sec.rising) label = 'build';
+    else if (relEnergy < BREAKDOWN_ENERGY) label = 'breakdown';
+    else label = nextIsDrop ? 'build' : 'main';
+    return {
+      index: i,
+      label,
+      start: sec.start,
+      end: sec.end,
+      energy: relEnergy,
+      bars: sec.bars,
+    };
+  });
+
+  // Novelty can split one long section in two; merge neighbours that ended up with the
+  // same label and similar energy, unless the second one starts at a detected drop
+  const merged = [];
+  for (let i = 0; i < labelled.length; i++) {
+    const sec = labelled[i];
+    const prev = merged[merged.length - 1];
+    if (prev && prev.label === sec.label && Math.abs(prev.energy - sec.energy) < 0.15 && !dropSet.has(sortedBars[i])) {
+      prev.energy = (prev.energy * prev.bars + sec.energy * sec.bars) / (prev.bars + sec.bars);
+      prev.end = sec.end;
+      prev.bars += sec.bars;
+    } else {
+      merged.push({ ...sec });
+    }
+  }
+  merged.forEach((sec, i) => { sec.index = i; });
+  return merged;
+}
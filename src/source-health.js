@@ -0,0 +1,224 @@
+/**
+ * Source health - notice when the live input goes bad, and what to fall back to
+ *
+ * When a screen share ends, a USB interface drops out or the DJ software stops
+ * routing, the analyser just reads silence and the visuals go dead until
+ * someone notices. SourceHealthMonitor watches the running source once per
+ * render frame and classifies it:
+ *
+ * - 'ended':    every audio track of the stream has ended (share stopped,
+ *               device unplugged)
+ * - 'dead':     the tracks are still there but have been muted for `deadMs`
+ *               (the browser gets no data from the device)
+ * - 'silent':   level below `silenceDb` for `silenceSec`
+ * - 'clipping': more than 1% of samples flat-topped at the peak over the last
+ *               second (the worklet counts plateaus, so input gain doesn't matter)
+ * - 'dc-offset': the input's DC component above 0.05 (a faulty interface or
+ *               cable; the analysis path removes it, but the device needs fixing)
+ * - 'ok'
+ *
+ * 'ended', 'dead' and (optionally) 'silent' ask for a failover; clipping and
+ * DC offset are only reported. AudioEngine then walks the failover chain:
+ * 'virtual' (the first loopback input such as BlackHole), 'mic:<deviceId>'
+ * (a specific input, empty id = default) and 'file' (the last file played,
+ * opt-in; it starts with the monitor off so the PA never plays an old track).
+ * Screen/tab capture can't be a backup: getDisplayMedia needs a user gesture.
+ *
+ * FailoverPolicyStore keeps the policy in localStorage.
+ *
+ * @example
+ * const monitor = new SourceHealthMonitor(policy);
+ * monitor.reset(performance.now());
+ * // per frame:
+ * const status = monitor.observe({ nowMs, rms, dc, clip, tracks: stream.getAudioTracks() });
+ * if (status.failover) engine.failover(status.state);
+ */
+
+const STORAGE_KEY = 'cosmicSourceFailover.v1';
+
+export const FAILOVER_ENTRIES = ['virtual', 'file'];
+export const VIRTUAL_DEVICE_NAMES = ['blackhole', 'loopback', 'soundflower', 'vb-cable', 'background music'];
+
+export const DEFAULT_FAILOVER_POLICY = Object.freeze({
+  enabled: true,
+  chain: Object.freeze(['virtual']),
+  failOnSilence: false,        // a quiet break in the set is not a dead source
+  silenceSec: 10,
+  silenceDb: -60,
+  deadMs: 2000,
+});
+
+const CLIP_ON = 0.01;       // flat-topped sample fraction that raises 'clipping'
+const CLIP_OFF = 0.002;     // ... and clears it
+const DC_ON = 0.05;
+const DC_OFF = 0.03;
+const GRACE_MS = 3000;      // after a source starts, before silence counts
+
+export const SOURCE_ISSUE_LABELS = Object.freeze({
+  ok: 'OK',
+  ended: 'ended',
+  dead: 'no data',
+  silent: 'silent',
+  clipping: 'clipping',
+  'dc-offset': 'DC offset',
+});
+
+/**
+ * Normalise a stored or user-supplied policy.
+ * @param {Object} [policy]
+ * @returns {{enabled:boolean, chain:string[], failOnSilence:boolean, silenceSec:number, silenceDb:number, deadMs:number}}
+ */
+export function normalizeFailoverPolicy(policy = {}) {
+  const base = DEFAULT_FAILOVER_POLICY;
+  const p = policy && typeof policy === 'object' ? policy : {};
+  const num = (v, fallback, min, max) => (Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : fallback);
+  const chain = Array.isArray(p.chain)
+    ? p.chain.filter((e, i, arr) => typeof e === 'string' && (FAILOVER_ENTRIES.includes(e) || e.startsWith('mic:')) && arr.indexOf(e) === i)
+    : [...base.chain];
+  return {
+    enabled: typeof p.enabled === 'boolean' ? p.enabled : base.enabled,
+    chain,
+    failOnSilence: typeof p.failOnSilence === 'boolean' ? p.failOnSilence : base.failOnSilence,
+    silenceSec: num(p.silenceSec, base.silenceSec, 2, 120),
+    silenceDb: num(p.silenceDb, base.silenceDb, -90, -30),
+    deadMs: num(p.deadMs, base.deadMs, 500, 10000),
+  };
+}
+
+/**
+ * Human-readable name of a chain entry.
+ * @param {string} entry
+ * @param {Array<{deviceId:string,label:string}>} [devices]
+ */
+export function describeFailoverEntry(entry, devices = []) {
+  if (entry === 'system') return 'System audio';
+  if (entry === 'virtual') return 'Virtual device';
+  if (entry === 'file') return 'Last file (muted)';
+  if (typeof entry === 'string' && entry.startsWith('mic:')) {
+    const id = entry.slice(4);
+    if (!id) return 'Default mic';
+    const device = devices.find(d => d.deviceId === id);
+    return device?.label || 'Mic';
+  }
+  return String(entry);
+}
+
+/**
+ * First loopback input (BlackHole, Loopback, ...) among the devices.
+ * @param {Array<{deviceId:string,label:string}>} devices
+ */
+export function findVirtualDevice(devices) {
+  return (devices || []).find(d => VIRTUAL_DEVICE_NAMES.some(n => (d.label || '').toLowerCase().includes(n))) || null;
+}
+
+export class SourceHealthMonitor {
+  /**
+   * @param {Object} [policy] - See DEFAULT_FAILOVER_POLICY
+   */
+  constructor(policy = {}) {
+    this.configure(policy);
+    this.reset(0);
+  }
+
+  configure(policy) {
+    this.policy = normalizeFailoverPolicy(policy);
+  }
+
+  /** Forget the previous source (call when a new one starts). */
+  reset(nowMs) {
+    this.startedMs = nowMs;
+    this.state = 'ok';
+    this.since = nowMs;
+    this._quietSinceMs = -1;
+    this._mutedSinceMs = -1;
+    this._clip = 0;
+    this._dc = 0;
+    this._clipping = false;
+    this._dcOffset = false;
+    this._lastMs = nowMs;
+  }
+
+  /**
+   * Classify the source for this frame.
+   * @param {Object} sample
+   * @param {number} sample.nowMs
+   * @param {number} sample.rms - Input RMS (0..1)
+   * @param {number} [sample.dc=0] - DC component of the input
+   * @param {number} [sample.clip=0] - Fraction of flat-topped samples since the last call
+   * @param {MediaStreamTrack[]|null} [sample.tracks] - Audio tracks of a live stream (null for files)
+   * @returns {{state:string, since:number, failover:boolean, levelDb:number, clip:number, dc:number}}
+   */
+  observe({ nowMs, rms, dc = 0, clip = 0, tracks = null }) {
+    const p = this.policy;
+    const dt = Math.max(0, Math.min(1000, nowMs - this._lastMs));
+    this._lastMs = nowMs;
+    // One-second exponential averages for the warnings
+    const a = 1 - Math.exp(-dt / 1000);
+    this._clip += ((Number.isFinite(clip) ? clip : 0) - this._clip) * a;
+    this._dc += (Math.abs(Number.isFinite(dc) ? dc : 0) - this._dc) * a;
+    this._clipping = this._clipping ? this._clip > CLIP_OFF : this._clip > CLIP_ON;
+    this._dcOffset = this._dcOffset ? this._dc > DC_OFF : this._dc > DC_ON;
+
+    const levelDb = rms > 0 ? 20 * Math.log10(rms) : -120;
+    const inGrace = nowMs - this.startedMs < GRACE_MS;
+    if (levelDb >= p.silenceDb || inGrace) this._quietSinceMs = -1;
+    else if (this._quietSinceMs < 0) this._quietSinceMs = nowMs;
+
+    let ended = false;
+    let muted = false;
+    if (tracks && tracks.length) {
+      ended = tracks.every(t => t.readyState === 'ended');
+      muted = !ended && tracks.every(t => t.muted);
+    }
+    if (!muted) this._mutedSinceMs = -1;
+    else if (this._mutedSinceMs < 0) this._mutedSinceMs = nowMs;
+
+    let state = 'ok';
+    if (ended) state = 'ended';
+    else if (this._mutedSinceMs >= 0 && nowMs - this._mutedSinceMs >= p.deadMs) state = 'dead';
+    else if (this._quietSinceMs >= 0 && nowMs - this._quietSinceMs >= p.silenceSec * 1000) state = 'silent';
+    else if (this._clipping) state = 'clipping';
+    else if (this._dcOffset) state = 'dc-offset';
+    if (state !== this.state) {
+      this.state = state;
+      this.since = nowMs;
+    }
+    return {
+      state,
+      since: this.since,
+      failover: state === 'ended' || state === 'dead' || (state === 'silent' && p.failOnSilence),
+      levelDb,
+      clip: this._clip,
+      dc: this._dc,
+    };
+  }
+}
+
+export class FailoverPolicyStore {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage=window.localStorage]
+   */
+  constructor({ storage = (typeof window !== 'undefined' ? window.localStorage : null) } = {}) {
+    this.storage = storage;
+  }
+
+  /** @returns {Object} Stored policy, normalised (defaults when nothing is stored) */
+  load() {
+    try {
+      return normalizeFailoverPolicy(JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null') || {});
+    } catch (_) {
+      return normalizeFailoverPolicy({});
+    }
+  }
+
+  save(policy) {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(normalizeFailoverPolicy(policy)));
+      return true;
+    } catch (err) {
+      console.warn('[FailoverPolicyStore] Could not save failover policy', err);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * MultiResolutionFrontEnd - float dB spectra at two window lengths
+ *
+ * The AnalyserNode byte read-out quantises every bin to 256 steps over a
+ * 70 dB window and ties all bands to one FFT size: long enough for clean sub
+ * bins and the treble smears transients, short enough for tight hats and the
+ * sub band is a couple of bins wide. This front end analyses the same samples
+ * twice per hop, in float:
+ *
+ * - long window (~85 ms, ~12 Hz bins at 48 kHz): sub and bass levels, bass flux
+ * - short window (~21 ms): mid and treble levels, flux, and the upper part of
+ *   the centroid. Flux only covers the bins from the low split up (the
+ *   analyser path's flux is full-band); changes below it show up in bass flux.
+ *
+ * Both use the analyser's temporal smoothing constant; at the short window's
+ * hop that still reacts about four times faster than a 2048-point analyser,
+ * and it keeps flux on the same scale as the byte path.
+ *
+ * Spectra are Hann-windowed and amplitude-calibrated (a full-scale sine reads
+ * 0 dBFS in its peak bin). Band values come back on the AnalyserNode's
+ * normalised scale (0..1 over minDb..maxDb after its Blackman / N scaling),
+ * and flux is rescaled to the analyser's bin count, so sensitivity, the beat
+ * energy floor and drop thresholds tuned on the byte path keep their meaning.
+ *
+ * `levelsDb` are calibrated band levels: mean-square power per band relative
+ * to a full-scale sine, in dBFS after the input gain (like the loudness meter).
+ *
+ * analysis-processor.js carries its own copy of this for the worklet core,
+ * which keeps the per-hop buffers on its core state; keep the two in step.
+ *
+ * @example
+ * const frontEnd = new MultiResolutionFrontEnd({ sampleRate: 48000 });
+ * const out = frontEnd.analyse(mono, end, { bandSplit: { sub: 90, low: 180, mid: 2500 }, refBins: 1024 });
+ * out.bands;          // [sub, bass, mid, treble] on the analyser's 0..1 scale
+ * out.levelsDb.bass;  // e.g. -18.4 (dBFS)
+ */
+
+import { makeTwiddles, fftInPlace } from './feature-timeline.js';
+
+export const LEVEL_FLOOR_DB = -100;
+// AnalyserNode dB of a bin-centred sine minus its dBFS (Blackman coherent gain 0.42, |X| / N)
+export const ANALYSER_SCALE_DB = 20 * Math.log10(0.42 / 2);
+// Mean of the squared Blackman window, for band power from AnalyserNode spectra
+const BLACKMAN_POWER = 0.3046;
+
+const LONG_WINDOW_SEC = 0.085;
+const SHORT_WINDOW_SEC = 0.021;
+
+/**
+ * Window sizes (powers of two) for a sample rate.
+ * @param {number} sampleRate
+ * @returns {{long:number, short:number}}
+ */
+export function frontEndSizes(sampleRate) {
+  const pow2 = (n) => 1 << Math.max(8, Math.min(15, Math.round(Math.log2(n))));
+  return { long: pow2(sampleRate * LONG_WINDOW_SEC), short: pow2(sampleRate * SHORT_WINDOW_SEC) };
+}
+
+const toDbfs = (meanSquare) => (meanSquare > 0 ? Math.max(LEVEL_FLOOR_DB, 10 * Math.log10(meanSquare / 0.5)) : LEVEL_FLOOR_DB);
+
+function makeResolution(size, smoothing) {
+  const window = new Float32Array(size);
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < size; i++) {
+    const w = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+    window[i] = w;
+    sum += w;
+    sumSq += w * w;
+  }
+  const bins = size >> 1;
+  return {
+    size,
+    bins,
+    smoothing,
+    window,
+    ampScale: 2 / sum,                     // |X| -> sine amplitude
+    powerScale: sum * sum / (2 * size * sumSq), // amplitude^2 -> mean square (1 / (2 * ENBW))
+    twiddles: makeTwiddles(size),
+    re: new Float32Array(size),
+    im: new Float32Array(size),
+    amp: new Float32Array(bins),
+    prev: new Float32Array(bins),
+  };
+}
+
+export class MultiResolutionFrontEnd {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate
+   * @param {number} [options.smoothing=0.5] - Temporal smoothing (AnalyserNode semantics)
+   */
+  constructor({ sampleRate, smoothing = 0.5 }) {
+    this.sampleRate = sampleRate;
+    const sizes = frontEndSizes(sampleRate);
+    this.long = makeResolution(sizes.long, smoothing);
+    this.short = makeResolution(sizes.short, smoothing);
+    this.reset();
+  }
+
+  reset() {
+    for (const r of [this.long, this.short]) {
+      r.amp.fill(0);
+      r.prev.fill(0);
+    }
+    this._hasPrev = false;
+  }
+
+  setSmoothing(smoothing) {
+    const tau = Math.max(0, Math.min(1, smoothing));
+    this.long.smoothing = tau;
+    this.short.smoothing = tau;
+  }
+
+  /**
+   * Analyse the samples ending at `end` (zeros before the start).
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} end - Exclusive end index
+   * @param {Object} options
+   * @param {{sub:number, low:number, mid:number}} options.bandSplit - Hz
+   * @param {number} [options.minDb=-100] - AnalyserNode minDecibels
+   * @param {number} [options.maxDb=-30] - AnalyserNode maxDecibels
+   * @param {number} [options.refBins=1024] - AnalyserNode frequencyBinCount (flux scale)
+   * @param {Float32Array|null} [options.gateGains] - Per-bin gains on the refBins grid (noise profile gate)
+   * @param {number} [options.gateThreshold=-1] - Flat gate on the normalised values, -1 = off
+   * @returns {{bands:number[], centroidHz:number, flux:number, bassFlux:number, levelsDb:Object}}
+   */
+  analyse(samples, end, { bandSplit, minDb = -100, maxDb = -30, refBins = 1024, gateGains = null, gateThreshold = -1 }) {
+    const sr = this.sampleRate;
+    const range = maxDb - minDb;
+    const split = bandSplit;
+    const subHz = Math.max(20, Math.min(split.sub || 90, (split.low || 180) - 5));
+    const lowHz = split.low || 180;
+    const midHz = split.mid || 2500;
+    const refBinHz = sr / 2 / refBins;
+    const sums = [0, 0, 0, 0];
+    const counts = [0, 0, 0, 0];
+    const power = [0, 0, 0, 0];
+    let num = 0;
+    let den = 0;
+    let flux = 0;
+    let bassFlux = 0;
+    let bassFluxBins = 0;
+    const hasPrev = this._hasPrev;
+
+    for (const r of [this.long, this.short]) {
+      const isLong = r === this.long;
+      const { size, bins, window, re, im, amp, prev } = r;
+      const start = end - size;
+      for (let i = 0; i < size; i++) {
+        const idx = start + i;
+        re[i] = (idx >= 0 && idx < samples.length ? samples[idx] : 0) * window[i];
+        im[i] = 0;
+      }
+      fftInPlace(re, im, r.twiddles);
+      const binHz = sr / 2 / bins;
+      const tau = r.smoothing;
+      const cutoffHz = Math.max(40, Math.min(lowHz, 600));
+      const cutoffBin = Math.max(1, Math.min(bins >> 1, Math.floor(cutoffHz / binHz)));
+      for (let k = 0; k < bins; k++) {
+        const f = k * binHz;
+        // Long window covers everything below the low split, short window the rest
+        if (isLong ? f >= lowHz : f < lowHz) { prev[k] = 0; continue; }
+        const a = Math.hypot(re[k], im[k]) * r.ampScale;
+        const s = tau * amp[k] + (1 - tau) * a;
+        amp[k] = Number.isFinite(s) ? s : 0;
+        const g = gateGains ? gateGains[Math.min(refBins - 1, Math.round(f / refBinHz))] : 1;
+        const ag = amp[k] * g;
+        const db = ag > 0 ? 20 * Math.log10(ag) : -Infinity;
+        let v = (db + ANALYSER_SCALE_DB - minDb) / range;
+        v = v > 1 ? 1 : (v > 0 ? v : 0);
+        if (gateThreshold >= 0) v = v <= gateThreshold ? 0 : (v - gateThreshold) / (1 - gateThreshold);
+        const band = f < subHz ? 0 : (f < lowHz ? 1 : (f < midHz ? 2 : 3));
+        sums[band] += v;
+        counts[band]++;
+        power[band] += ag * ag * r.powerScale;
+        num += f * v * binHz;
+        den += v * binHz;
+        if (isLong) {
+          if (k < cutoffBin) {
+            if (hasPrev) { const d = v - prev[k]; if (d > 0) bassFlux += d; }
+            bassFluxBins++;
+          }
+        } else if (hasPrev) {
+          const d = v - prev[k];
+          if (d > 0) flux += d;
+        }
+        prev[k] = v;
+      }
+    }
+    this._hasPrev = true;
+
+    const bands = [0, 0, 0, 0];
+    for (let b = 0; b < 4; b++) bands[b] = counts[b] ? sums[b] / counts[b] : 0;
+    return {
+      bands,
+      centroidHz: den > 0 ? num / den : 0,
+      flux: flux * (refBins / this.short.bins),
+      bassFlux: bassFluxBins ? bassFlux / bassFluxBins : 0,
+      levelsDb: {
+        total: toDbfs(power[0] + power[1] + power[2] + power[3]),
+        sub: toDbfs(power[0]),
+        bass: toDbfs(power[1]),
+        mid: toDbfs(power[2]),
+        treble: toDbfs(power[3]),
+      },
+    };
+  }
+}
+
+/**
+ * Calibrated band levels from an AnalyserNode float spectrum (getFloatFrequencyData).
+ * @param {Float32Array} dbSpectrum - dB per bin (|X| / N of a Blackman-windowed frame)
+ * @param {number} sampleRate
+ * @param {{sub:number, low:number, mid:number}} bandSplit
+ * @returns {{total:number, sub:number, bass:number, mid:number, treble:number}} dBFS
+ */
+export function analyserLevelsDb(dbSpectrum, sampleRate, bandSplit) {
+  const bins = dbSpectrum.length;
+  const binHz = sampleRate / 2 / bins;
+  const subHz = Math.max(20, Math.min(bandSplit.sub || 90, (bandSplit.low || 180) - 5));
+  const lowHz = bandSplit.low || 180;
+  const midHz = bandSplit.mid || 2500;
+  const power = [0, 0, 0, 0];
+  for (let k = 0; k < bins; k++) {
+    const db = dbSpectrum[k];
+    if (!(db > -Infinity)) continue;
+    const f = k * binHz;
+    const band = f < subHz ? 0 : (f < lowHz ? 1 : (f < midHz ? 2 : 3));
+    power[band] += (2 / BLACKMAN_POWER) * Math.pow(10, db / 10);
+  }
+  return {
+    total: toDbfs(power[0] + power[1] + power[2] + power[3]),
+    sub: toDbfs(power[0]),
+    bass: toDbfs(power[1]),
+    mid: toDbfs(power[2]),
+    treble: toDbfs(power[3]),
+  };
+}
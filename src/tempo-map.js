@@ -0,0 +1,454 @@
+/**
+ * TempoMap - BPM versus time for long files and DJ mixes
+ *
+ * The file BPM estimate picks one tempo for the whole file, which is wrong
+ * for a mix that drifts from 124 to 140 BPM over an hour. This walks the
+ * decoded file in overlapping windows, estimates tempo per window from
+ * onset-envelope autocorrelation, smooths the curve (octave-consistent with
+ * its neighbours, median filtered) and splits it into constant-tempo
+ * segments wherever it moves by more than changeTolerance.
+ *
+ * The segments are stitched into one continuous beat grid: beats are walked
+ * forward with the local period and softly pulled toward strong onsets. At
+ * each tempo change the boundary is moved onto the onsets (where they stop
+ * following the old grid and start following the new one) and the new
+ * segment's phase is searched again from there, so the grid stays in phase
+ * through the change without gaps or double beats at segment borders.
+ *
+ * @example
+ * const map = new TempoMap();
+ * await map.analyze(mono, 44100);
+ * if (map.variable) engine.beatGrid = map.toBeatGrid();
+ * map.segmentAt(playbackSec).bpm;
+ */
+
+const HOP = 512;                  // onset envelope hop (samples)
+const FRAME = 1024;               // energy frame per envelope value
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const SAMPLES_PER_CHUNK = 1 << 20; // envelope samples processed before yielding
+const WINDOWS_PER_CHUNK = 64;
+const MIN_CONFIDENCE = 0.15;      // windows below this (silence, beatless breakdowns) are ignored
+const SNAP_WINDOW = 0.12;         // beat walk: search ±12% of a period for the onset
+const SNAP_GAIN = 0.35;           // fraction of the onset offset corrected per beat
+
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function foldToRange(bpm) {
+  let v = bpm;
+  while (v < 80) v *= 2;
+  while (v > 180) v *= 0.5;
+  return v;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted.length ? sorted[sorted.length >> 1] : 0;
+}
+
+export class TempoMap {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowSec=12] - Analysis window length
+   * @param {number} [options.hopSec=4] - Window spacing
+   * @param {number} [options.changeTolerance=0.012] - Relative BPM change that starts a new segment
+   * @param {number} [options.minSegmentSec=24] - Shorter segments are merged into a neighbour
+   * @param {number} [options.beatsPerBar=4]
+   */
+  constructor({ windowSec = 12, hopSec = 4, changeTolerance = 0.012, minSegmentSec = 24, beatsPerBar = 4 } = {}) {
+    this.windowSec = Math.max(4, windowSec);
+    this.hopSec = Math.max(1, hopSec);
+    this.changeTolerance = Math.max(0.002, changeTolerance);
+    this.minSegmentSec = Math.max(this.hopSec, minSegmentSec);
+    this.beatsPerBar = Math.max(1, Math.floor(beatsPerBar));
+
+    this.ready = false;
+    this.duration = 0;
+    this.points = [];    // [{ time, bpm, confidence }] window centres after smoothing
+    this.segments = [];  // [{ start, end, bpm, confidence }] covering 0..duration
+    this.beatTimes = [];
+    this.downbeats = [];
+  }
+
+  /** True when the file has more than one tempo. */
+  get variable() {
+    return this.segments.length > 1;
+  }
+
+  /**
+   * Analyse a mono buffer. Resolves to this map, or null if cancelled / too short.
+   * @param {Float32Array} mono
+   * @param {number} sampleRate
+   * @param {Object} [options]
+   * @param {Function} [options.isCancelled] - Polled between chunks; return true to abort
+   * @returns {Promise<TempoMap|null>}
+   */
+  async analyze(mono, sampleRate, { isCancelled = null } = {}) {
+    this.ready = false;
+    if (!mono || !(sampleRate > 0) || mono.length < sampleRate * this.windowSec * 2) return null;
+    const cancelled = () => typeof isCancelled === 'function' && isCancelled();
+
+    const env = await this._onsetEnvelope(mono, cancelled);
+    if (!env) return null;
+    const fps = sampleRate / HOP;
+    this.duration = mono.length / sampleRate;
+
+    const raw = [];
+    const winFrames = Math.round(this.windowSec * fps);
+    const hopFrames = Math.max(1, Math.round(this.hopSec * fps));
+    for (let start = 0, n = 0; start + winFrames <= env.length; start += hopFrames, n++) {
+      if (n > 0 && n % WINDOWS_PER_CHUNK === 0) {
+        await yieldToEventLoop();
+        if (cancelled()) return null;
+      }
+      const est = this._estimateWindow(env.subarray(start, start + winFrames), fps);
+      if (est) raw.push({ time: (start + winFrames / 2) / fps, ...est });
+    }
+
+    this.points = this._smooth(raw);
+    this.segments = this._segment(this.points);
+    this._buildBeatGrid(env, fps);
+    this._refineSegmentTempo();
+    this.ready = this.segments.length > 0;
+    return this.ready ? this : null;
+  }
+
+  // Positive log-energy differences, mean removed, normalised to 0..1 (one value per HOP)
+  async _onsetEnvelope(mono, cancelled) {
+    const frames = Math.floor((mono.length - FRAME) / HOP);
+    if (frames < 8) return null;
+    const env = new Float32Array(frames);
+    let prev = 0;
+    for (let i = 0; i < frames; i++) {
+      if (i > 0 && (i * HOP) % SAMPLES_PER_CHUNK < HOP) {
+        await yieldToEventLoop();
+        if (cancelled()) return null;
+      }
+      const off = i * HOP;
+      let e = 0;
+      for (let j = 0; j < FRAME; j++) { const v = mono[off + j]; e += v * v; }
+      const loge = Math.log(1e-9 + e);
+      const d = loge - prev; prev = loge;
+      env[i] = d > 0 ? d : 0;
+    }
+    let mean = 0;
+    for (let i = 0; i < frames; i++) mean += env[i];
+    mean /= frames;
+    let max = 0;
+    for (let i = 0; i < frames; i++) { env[i] = Math.max(0, env[i] - mean); max = Math.max(max, env[i]); }
+    if (max > 0) for (let i = 0; i < frames; i++) env[i] /= max;
+    return env;
+  }
+
+  // Autocorrelation tempo for one window; the double-period lag reinforces the true beat over off-beats
+  _estimateWindow(env, fps) {
+    const minLag = Math.max(1, Math.floor(fps * 60 / MAX_BPM));
+    const maxLag = Math.ceil(fps * 60 / MIN_BPM);
+    if (env.length < maxLag * 3) return null;
+    const acf = new Float32Array(maxLag * 2 + 2);
+    for (let lag = minLag; lag < acf.length && lag < env.length; lag++) {
+      let acc = 0;
+      for (let i = lag; i < env.length; i++) acc += env[i] * env[i - lag];
+      acf[lag] = acc / (env.length - lag);
+    }
+    let best = 0; let bestScore = 0; let sum = 0; let count = 0;
+    const scores = new Float32Array(maxLag + 1);
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const score = acf[lag] + 0.5 * (acf[lag * 2] || 0);
+      scores[lag] = score;
+      sum += score; count++;
+      if (score > bestScore) { bestScore = score; best = lag; }
+    }
+    if (!best || !(bestScore > 0)) return null;
+    // Parabolic interpolation for a fractional lag
+    let lag = best;
+    if (best > minLag && best < maxLag) {
+      const a = scores[best - 1]; const b = scores[best]; const c = scores[best + 1];
+      const denom = a - 2 * b + c;
+      if (denom < 0) lag = best + 0.5 * (a - c) / denom;
+    }
+    const mean = sum / Math.max(1, count);
+    const confidence = Math.max(0, Math.min(1, (bestScore - mean) / bestScore));
+    return { bpm: (60 * fps) / lag, confidence };
+  }
+
+  // Octave-consistent with the running tempo, then a 5-point median
+  _smooth(raw) {
+    const usable = raw.filter((p) => p.confidence >= MIN_CONFIDENCE);
+    if (!usable.length) return [];
+    const folded = [];
+    let ref = median(usable.slice(0, 8).map((p) => foldToRange(p.bpm)));
+    for (const p of usable) {
+      let bpm = foldToRange(p.bpm);
+      for (const k of [0.5, 2, 2 / 3, 1.5]) {
+        const alt = bpm * k;
+        if (alt >= MIN_BPM && alt <= MAX_BPM && Math.abs(alt - ref) < Math.abs(bpm - ref) && Math.abs(alt - ref) / ref < 0.06) bpm = alt;
+      }
+      folded.push({ time: p.time, bpm, confidence: p.confidence });
+      ref = ref + (bpm - ref) * 0.3;
+    }
+    return folded.map((p, i) => {
+      const nb = folded.slice(Math.max(0, i - 2), i + 3).map((q) => q.bpm);
+      return { time: p.time, bpm: median(nb), confidence: p.confidence };
+    });
+  }
+
+  _segment(points) {
+    if (!points.length) return [];
+    const tol = this.changeTolerance;
+    const segs = [];
+    let cur = { start: 0, points: [points[0]] };
+    let pending = [];
+    const segBpm = (pts) => {
+      let w = 0; let s = 0;
+      for (const p of pts) { s += p.bpm * p.confidence; w += p.confidence; }
+      return w > 0 ? s / w : pts[0].bpm;
+    };
+    for (let i = 1; i < points.length; i++) {
+      const p = points[i];
+      const bpm = segBpm(cur.points);
+      if (Math.abs(p.bpm - bpm) / bpm > tol) {
+        pending.push(p);
+        // Two windows in a row away from the segment tempo (and agreeing with each other) = tempo change
+        if (pending.length >= 2 && Math.abs(pending[1].bpm - pending[0].bpm) / pending[0].bpm <= tol * 1.5) {
+          const lastIn = cur.points[cur.points.length - 1];
+          const boundary = (lastIn.time + pending[0].time) / 2;
+          segs.push({ start: cur.start, end: boundary, points: cur.points });
+          cur = { start: boundary, points: pending };
+          pending = [];
+        } else if (pending.length >= 2) {
+          pending.shift();
+        }
+      } else {
+        cur.points.push(...pending, p);
+        pending = [];
+      }
+    }
+    cur.points.push(...pending);
+    segs.push({ start: cur.start, end: this.duration, points: cur.points });
+
+    // Merge short segments into the neighbour with the closer tempo
+    let merged = true;
+    while (merged && segs.length > 1) {
+      merged = false;
+      for (let i = 0; i < segs.length; i++) {
+        const s = segs[i];
+        if (s.end - s.start >= this.minSegmentSec) continue;
+        const bpm = segBpm(s.points);
+        const left = segs[i - 1]; const right = segs[i + 1];
+        const target = !left ? right : !right ? left
+          : (Math.abs(segBpm(left.points) - bpm) <= Math.abs(segBpm(right.points) - bpm) ? left : right);
+        target.start = Math.min(target.start, s.start);
+        target.end = Math.max(target.end, s.end);
+        target.points = target === left ? target.points.concat(s.points) : s.points.concat(target.points);
+        segs.splice(i, 1);
+        merged = true;
+        break;
+      }
+    }
+
+    const out = segs.map((s) => ({
+      start: s.start,
+      end: s.end,
+      bpm: Math.round(segBpm(s.points) * 10) / 10,
+      confidence: s.points.reduce((a, p) => a + p.confidence, 0) / s.points.length,
+    }));
+    // Neighbours that rounded to the same tempo are one segment
+    for (let i = out.length - 1; i > 0; i--) {
+      if (Math.abs(out[i].bpm - out[i - 1].bpm) / out[i - 1].bpm <= tol * 0.5) {
+        out[i - 1].end = out[i].end;
+        out[i - 1].confidence = (out[i - 1].confidence + out[i].confidence) / 2;
+        out.splice(i, 1);
+      }
+    }
+    out[0].start = 0;
+    out[out.length - 1].end = this.duration;
+    return out;
+  }
+
+  // Envelope frame of the best beat phase for `period` (frames) over up to 16 beats from startFrame
+  _combPhase(env, startFrame, endFrame, period) {
+    const start = Math.max(0, Math.round(startFrame));
+    const beats = Math.max(1, Math.min(16, Math.floor((endFrame - start) / period)));
+    let bestOff = 0; let bestSum = -1;
+    for (let off = 0; off < Math.ceil(period); off++) {
+      let s = 0;
+      for (let k = 0; k < beats; k++) s += env[Math.round(start + off + k * period)] || 0;
+      if (s > bestSum) { bestSum = s; bestOff = off; }
+    }
+    return start + bestOff;
+  }
+
+  // Envelope peak within ±1 frame of a grid beat, so a slightly off period still scores its onset
+  _gridScore(env, frame) {
+    const i = Math.round(frame);
+    return Math.max(env[i - 1] || 0, env[i] || 0, env[i + 1] || 0);
+  }
+
+  // The window tempos only place a tempo change to within a window. Fit the old tempo's phase
+  // before it and the new tempo's phase after it, then move the boundary to the beat where the
+  // onsets stop following the old grid and start following the new one. The first beat of the
+  // new segment is kept as its phase anchor for the beat walk.
+  _refineBoundaries(env, fps) {
+    const segs = this.segments;
+    const half = this.windowSec / 2;
+    for (let i = 1; i < segs.length; i++) {
+      const prev = segs[i - 1]; const next = segs[i];
+      const coarse = next.start;
+      const lo = Math.max(prev.start, coarse - this.windowSec) * fps;
+      const hi = Math.min(next.end, coarse + this.windowSec) * fps;
+      const oldPeriod = (60 / prev.bpm) * fps;
+      const newPeriod = (60 / next.bpm) * fps;
+      const oldFitEnd = Math.max(lo + oldPeriod * 4, (coarse - half) * fps);
+      const newFitStart = Math.min(hi - newPeriod * 4, (coarse + half) * fps);
+      if (oldFitEnd >= hi || newFitStart <= lo) {
+        next.anchor = this._combPhase(env, coarse * fps, hi, newPeriod) / fps;
+        continue;
+      }
+
+      // Old grid carried forward across the region, new grid carried backward
+      const oldPhase = this._combPhase(env, lo, oldFitEnd, oldPeriod);
+      const oldBeats = [];
+      for (let f = oldPhase; f < hi; f += oldPeriod) oldBeats.push(f);
+      let newFirst = this._combPhase(env, newFitStart, hi, newPeriod);
+      while (newFirst - newPeriod >= lo) newFirst -= newPeriod;
+      const newBeats = [];
+      for (let f = newFirst; f < hi; f += newPeriod) newBeats.push(f);
+
+      // Split at b: old beats before b plus new beats from b on; b runs over both grids and ties
+      // go to the later split, where the new grid carried backward only lines up with old onsets by chance
+      const cuts = oldBeats.concat(newBeats).sort((a, b) => a - b);
+      let best = newBeats[0]; let bestScore = -1;
+      for (const b of cuts) {
+        let score = 0;
+        for (const f of oldBeats) { if (f >= b) break; score += this._gridScore(env, f); }
+        for (const f of newBeats) if (f >= b) score += this._gridScore(env, f);
+        if (score >= bestScore) { bestScore = score; best = b; }
+      }
+      const first = newBeats.find((f) => f >= best);
+      const boundary = (first === undefined ? newBeats[newBeats.length - 1] : first) / fps;
+      if (boundary > prev.start && boundary < next.end) {
+        prev.end = boundary;
+        next.start = boundary;
+        next.anchor = boundary;
+      } else {
+        next.anchor = this._combPhase(env, coarse * fps, hi, newPeriod) / fps;
+      }
+    }
+  }
+
+  _buildBeatGrid(env, fps) {
+    this.beatTimes = [];
+    this.downbeats = [];
+    if (!this.segments.length) return;
+    const frameOffsetSec = (FRAME / 2) / (fps * HOP); // envelope frame i describes the energy rise centred here
+    const toSec = (frame) => frame / fps + frameOffsetSec;
+
+    this._refineBoundaries(env, fps);
+
+    let mean = 0;
+    for (let i = 0; i < env.length; i++) mean += env[i];
+    mean /= Math.max(1, env.length);
+    const strong = mean * 2.5;
+
+    // Each segment starts from its own phase (a comb over the first 16 beats, or the refined
+    // boundary beat) rather than the previous segment's walk, which has no onsets to snap to
+    // once the tempo moves away from it.
+    const segs = this.segments;
+    const beats = this.beatTimes;
+    let t = toSec(this._combPhase(env, 0, env.length, (60 / segs[0].bpm) * fps));
+    for (let s = 0; s < segs.length; s++) {
+      const next = segs[s + 1];
+      const end = next ? next.start : this.duration;
+      const p = 60 / segs[s].bpm;
+      while (t < end) {
+        beats.push(t);
+        const pred = t + p;
+        // Pull toward the strongest onset near the predicted beat
+        const lo = Math.max(0, Math.floor((pred - frameOffsetSec - p * SNAP_WINDOW) * fps));
+        const hi = Math.min(env.length - 1, Math.ceil((pred - frameOffsetSec + p * SNAP_WINDOW) * fps));
+        let peak = -1; let peakVal = strong;
+        for (let i = lo; i <= hi; i++) if (env[i] > peakVal) { peakVal = env[i]; peak = i; }
+        t = peak >= 0 ? pred + SNAP_GAIN * (toSec(peak) - pred) : pred;
+      }
+      if (!next) break;
+      t = next.anchor + frameOffsetSec;
+      // No double beat where the old grid's last beat sits right against the new anchor
+      if (beats.length && t - beats[beats.length - 1] < (60 / next.bpm) * 0.5) beats.pop();
+      delete next.anchor;
+    }
+    for (let i = 0; i < beats.length; i += this.beatsPerBar) this.downbeats.push(beats[i]);
+  }
+
+  // Window tempos are limited by the envelope lag resolution; the onset-snapped beats are not
+  _refineSegmentTempo() {
+    const beats = this.beatTimes;
+    for (const seg of this.segments) {
+      let first = -1; let last = -1;
+      for (let i = 0; i < beats.length; i++) {
+        if (beats[i] < seg.start) continue;
+        if (beats[i] >= seg.end) break;
+        if (first < 0) first = i;
+        last = i;
+      }
+      if (last - first < 8) continue;
+      const bpm = 60 / ((beats[last] - beats[first]) / (last - first));
+      if (Math.abs(bpm - seg.bpm) / seg.bpm < 0.03) seg.bpm = Math.round(bpm * 10) / 10;
+    }
+  }
+
+  /**
+   * Index of the segment containing `sec` (clamped to the first/last segment).
+   * @param {number} sec
+   * @returns {number} -1 when the map is empty
+   */
+  segmentIndexAt(sec) {
+    const segs = this.segments;
+    if (!segs.length) return -1;
+    let lo = 0, hi = segs.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (segs[mid].start <= sec) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  /** @returns {{start:number, end:number, bpm:number, confidence:number}|null} */
+  segmentAt(sec) {
+    const i = this.segmentIndexAt(sec);
+    return i >= 0 ? this.segments[i] : null;
+  }
+
+  /**
+   * Beat grid in the AudioEngine.beatGrid shape (source 'tempo-map').
+   * @returns {Object}
+   */
+  toBeatGrid() {
+    const longest = this.segments.reduce((a, s) => (!a || s.end - s.start > a.end - a.start ? s : a), null);
+    const weighted = this.segments.reduce((acc, s) => acc + s.confidence * (s.end - s.start), 0);
+    return {
+      bpm: longest ? longest.bpm : 0,
+      confidence: this.duration > 0 ? weighted / this.duration : 0,
+      beatTimes: this.beatTimes.slice(),
+      downbeats: this.downbeats.slice(),
+      loudness: null,
+      source: 'tempo-map',
+      updatedAt: performance.now(),
+      duration: this.duration,
+    };
+  }
+
+  /**
+   * @returns {{segments:number, minBpm:number, maxBpm:number, beats:number, variable:boolean}}
+   */
+  getSummary() {
+    const bpms = this.segments.map((s) => s.bpm);
+    return {
+      segments: this.segments.length,
+      minBpm: bpms.length ? Math.min(...bpms) : 0,
+      maxBpm: bpms.length ? Math.max(...bpms) : 0,
+      beats: this.beatTimes.length,
+      variable: this.variable,
+    };
+  }
+}
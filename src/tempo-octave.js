@@ -0,0 +1,206 @@
+/**
+ * TempoOctaveResolver - folds half/double-time BPM estimates into a preferred range
+ *
+ * Tempo trackers lock onto the right pulse but often the wrong metrical level
+ * (70 vs 140, 87 vs 174). Presets declare the BPM range they are tuned for
+ * (e.g. DnB 160–180) and every tempo source passes its estimate through
+ * resolve(), which scores the ×½ / ×1 / ×2 readings:
+ *
+ * - range fit: 1 inside the range, falling off with the octave distance outside
+ * - confidence: the unfolded reading gets a bonus proportional to the source's
+ *   confidence, so a confident estimate just outside a loose range stays put
+ * - continuity: readings near the source's previous resolution are preferred,
+ *   so a tracker wobbling around an octave boundary doesn't flip-flop
+ *
+ * Without a range every estimate passes through unchanged (factor 1).
+ *
+ * @example
+ * const octave = new TempoOctaveResolver({ range: { min: 160, max: 180 } });
+ * octave.resolve('aubio', 87, 0.6); // { bpm: 174, factor: 2, ... }
+ */
+
+const FACTORS = [0.5, 1, 2];
+const RANGE_FALLOFF_OCT = 0.35;   // octave distance at which range fit drops to 1/e
+const IDENTITY_BONUS = 0.5;       // × confidence, for the unfolded reading
+const CONTINUITY_BONUS = 0.4;
+const CONTINUITY_WIDTH_OCT = 0.05;
+
+export class TempoOctaveResolver {
+  /**
+   * @param {Object} [options]
+   * @param {{min:number, max:number}|null} [options.range=null] - Preferred BPM range
+   */
+  constructor({ range = null } = {}) {
+    this.range = null;
+    this._bySource = new Map(); // source -> last resolution
+    this.setRange(range);
+  }
+
+  /**
+   * @param {{min:number, max:number}|null} range - null disables folding
+   * @returns {{min:number, max:number}|null} The sanitised range
+   */
+  setRange(range) {
+    const next = normalizeBpmRange(range);
+    const changed = (next?.min ?? null) !== (this.range?.min ?? null) || (next?.max ?? null) !== (this.range?.max ?? null);
+    this.range = next;
+    if (changed) this._bySource.clear();
+    return this.range;
+  }
+
+  getRange() { return this.range ? { ...this.range } : null; }
+
+  /**
+   * Fold one estimate without touching per-source state.
+   * @param {number} bpm
+   * @param {number} [confidence=0.5] - 0..1
+   * @param {number|null} [reference=null] - Previous tempo for continuity
+   * @returns {{bpm:number, factor:number, inRange:boolean|null, score:number}}
+   */
+  fold(bpm, confidence = 0.5, reference = null) {
+    if (!(bpm > 0) || !isFinite(bpm)) return { bpm: 0, factor: 1, inRange: null, score: 0 };
+    const range = this.range;
+    if (!range) return { bpm, factor: 1, inRange: null, score: 0 };
+    const conf = Math.max(0, Math.min(1, Number(confidence) || 0));
+    let best = null;
+    for (const factor of FACTORS) {
+      const candidate = bpm * factor;
+      if (candidate < 30 || candidate > 300) continue;
+      let score = rangeFit(candidate, range);
+      if (factor === 1) score += IDENTITY_BONUS * conf;
+      if (reference > 0) {
+        const d = Math.log2(candidate / reference) / CONTINUITY_WIDTH_OCT;
+        score += CONTINUITY_BONUS * Math.exp(-d * d);
+      }
+      if (!best || score > best.score) best = { bpm: candidate, factor, score };
+    }
+    if (!best) return { bpm, factor: 1, inRange: false, score: 0 };
+    best.inRange = best.bpm >= range.min && best.bpm <= range.max;
+    return best;
+  }
+
+  /**
+   * Fold an estimate from a named source and remember the result for diagnostics and continuity.
+   * @param {string} source - e.g. 'aubio', 'fallback', 'file', 'essentia', 'tempo-map'
+   * @param {number} bpm
+   * @param {number} [confidence=0.5]
+   * @param {Object} [extra] - Extra fields recorded with the resolution
+   * @returns {{bpm:number, factor:number, inRange:boolean|null, input:number, confidence:number}}
+   */
+  resolve(source, bpm, confidence = 0.5, extra = null) {
+    const prev = this._bySource.get(source);
+    const result = this.fold(bpm, confidence, prev ? prev.bpm : null);
+    const record = {
+      input: bpm,
+      bpm: result.bpm,
+      factor: result.factor,
+      inRange: result.inRange,
+      confidence: Math.max(0, Math.min(1, Number(confidence) || 0)),
+      at: Date.now(),
+      ...(extra || {}),
+    };
+    if (result.bpm > 0) this._bySource.set(source, record);
+    return record;
+  }
+
+  /** Forget continuity for one source (or all). */
+  reset(source) {
+    if (source === undefined) this._bySource.clear();
+    else this._bySource.delete(source);
+  }
+
+  getDiagnostics() {
+    const sources = {};
+    for (const [name, rec] of this._bySource) {
+      sources[name] = {
+        input: Math.round(rec.input * 10) / 10,
+        bpm: Math.round(rec.bpm * 10) / 10,
+        factor: rec.factor,
+        inRange: rec.inRange,
+        confidence: Math.round(rec.confidence * 100) / 100,
+        at: rec.at,
+        ...(rec.candidates !== undefined ? { candidates: rec.candidates, folded: rec.folded } : {}),
+      };
+    }
+    return { range: this.getRange(), sources };
+  }
+}
+
+function rangeFit(bpm, range) {
+  if (bpm >= range.min && bpm <= range.max) return 1;
+  const oct = bpm < range.min ? Math.log2(range.min / bpm) : Math.log2(bpm / range.max);
+  const x = oct / RANGE_FALLOFF_OCT;
+  return Math.exp(-x * x);
+}
+
+/**
+ * Validate a { min, max } BPM range; accepts [min, max] too.
+ * @returns {{min:number, max:number}|null}
+ */
+export function normalizeBpmRange(range) {
+  if (!range) return null;
+  const min = Number(Array.isArray(range) ? range[0] : range.min);
+  const max = Number(Array.isArray(range) ? range[1] : range.max);
+  if (!isFinite(min) || !isFinite(max)) return null;
+  const lo = Math.max(40, Math.min(min, max));
+  const hi = Math.min(240, Math.max(min, max));
+  if (!(hi > lo)) return null;
+  return { min: lo, max: hi };
+}
+
+/**
+ * Parse a range from names like "BPM 100–120 • Chill Flow", "160-180bpm" or "BPM 180+".
+ * @returns {{min:number, max:number}|null}
+ */
+export function parseBpmRange(text) {
+  if (typeof text !== 'string') return null;
+  const span = text.match(/(\d{2,3})\s*[–—-]\s*(\d{2,3})\s*(?:bpm)?/i);
+  if (span && /bpm/i.test(text)) return normalizeBpmRange({ min: Number(span[1]), max: Number(span[2]) });
+  const open = text.match(/bpm\s*(\d{2,3})\s*\+/i);
+  if (open) return normalizeBpmRange({ min: Number(open[1]), max: Number(open[1]) * 1.2 });
+  return null;
+}
+
+/**
+ * Re-express a beat grid at `factor` × its tempo (2: insert mid-beats, 0.5: keep every other beat).
+ * Bars keep their length in beats, so downbeats are thinned or interpolated the same way.
+ * @param {Object} grid - { bpm, beatTimes, downbeats, ... }
+ * @param {number} factor - 0.5, 1 or 2
+ * @returns {Object} New grid (the input when factor is 1)
+ */
+export function rescaleBeatGrid(grid, factor) {
+  if (!grid || factor === 1 || !(factor > 0)) return grid;
+  const beats = Array.isArray(grid.beatTimes) ? grid.beatTimes : [];
+  const downbeats = Array.isArray(grid.downbeats) ? grid.downbeats : [];
+  let beatTimes;
+  let nextDownbeats;
+  if (factor === 2) {
+    beatTimes = interleaveMidpoints(beats);
+    nextDownbeats = interleaveMidpoints(downbeats);
+  } else if (factor === 0.5) {
+    // Keep the beat parity that carries the first downbeat
+    const anchor = downbeats.length ? downbeats[0] : beats[0];
+    let parity = 0;
+    if (anchor !== undefined) {
+      let nearest = 0;
+      for (let i = 1; i < beats.length; i++) {
+        if (Math.abs(beats[i] - anchor) < Math.abs(beats[nearest] - anchor)) nearest = i;
+      }
+      parity = nearest & 1;
+    }
+    beatTimes = beats.filter((_, i) => (i & 1) === parity);
+    nextDownbeats = downbeats.filter((_, i) => (i & 1) === 0);
+  } else {
+    return grid;
+  }
+  return { ...grid, bpm: (grid.bpm || 0) * factor, beatTimes, downbeats: nextDownbeats };
+}
+
+function interleaveMidpoints(times) {
+  const out = [];
+  for (let i = 0; i < times.length; i++) {
+    out.push(times[i]);
+    if (i + 1 < times.length) out.push((times[i] + times[i + 1]) / 2);
+  }
+  return out;
+}
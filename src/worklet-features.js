@@ -0,0 +1,241 @@
+/**
+ * WorkletFeatureReader - main-thread side of the worklet's core feature pipeline
+ *
+ * analysis-processor.js computes the per-frame core features (noise gate,
+ * bands, centroid, flux, bass flux, beat) at a fixed hop of sampleRate / 60
+ * samples, either on the same AnalyserNode-style byte spectrum the main thread
+ * used to read or on the float multi-resolution front end
+ * (spectral-frontend.js), so feature timing no longer depends on the render frame rate and a
+ * stalled frame doesn't swallow beats. Each hop produces one record:
+ *
+ * - a Float64 field vector (CORE_FIELDS below)
+ * - the gated byte spectrum (frequencyBinCount bytes) for main-thread
+ *   consumers that still want bins (filterbank, onset classifier)
+ *
+ * Records travel through a SharedArrayBuffer ring when the page is
+ * cross-origin isolated, otherwise as transferred postMessage payloads that
+ * are queued here. Either way read() returns every record since the previous
+ * call, so beats between two render frames are still seen.
+ *
+ * Ring layout (must match analysis-processor.js):
+ *   Int32[CORE_HEADER_INTS]                  header: [writeCount, binCount, slots, fieldCount]
+ *   Float64[slots * CORE_FIELD_COUNT]        fields, slot-major
+ *   Uint8[slots * binCount]                  spectra, slot-major
+ * The worklet fills slot writeCount % slots, then bumps writeCount.
+ *
+ * @example
+ * const reader = new WorkletFeatureReader();
+ * const sab = reader.allocate(1024); // null without cross-origin isolation
+ * node.port.postMessage({ type: 'config', core: { enabled: true, ring: sab, ... } });
+ * // per render frame:
+ * const batch = reader.read();
+ * if (batch) for (const rec of batch.records) fluxHistory.push(rec[CORE_FIELDS.detectFlux]);
+ */
+
+export const CORE_RATE_HZ = 60;
+export const CORE_RING_SLOTS = 32;
+export const CORE_HEADER_INTS = 4;
+
+export const CORE_FIELDS = Object.freeze({
+  time: 0,          // audio time (s) at the end of the hop
+  hop: 1,           // hop counter since the last reset
+  rms: 2,           // latest 512-sample frame RMS (ungated, as before)
+  sub: 3, bass: 4, mid: 5, treble: 6,
+  normSub: 7, normBass: 8, normMid: 9, normTreble: 10,
+  envSub: 11, envBass: 12, envMid: 13, envTreble: 14,
+  centroidHz: 15,
+  centroidNorm: 16,
+  flux: 17,         // full-mix analyser flux
+  fluxMean: 18,
+  fluxStd: 19,
+  bassFlux: 20,
+  detectFlux: 21,   // flux the beat detector ran on (percussive with HPSS on)
+  detectMean: 22,
+  detectStd: 23,
+  beat: 24,         // 1 when the hop fired a beat
+  gateGain: 25,     // broadband gain of the noise gate (1 = open)
+  processMs: 26,    // worklet time spent on this hop
+  levelDb: 27,      // calibrated dBFS levels (see spectral-frontend.js)
+  subDb: 28, bassDb: 29, midDb: 30, trebleDb: 31,
+});
+export const CORE_FIELD_COUNT = 32;
+
+/**
+ * Byte size of a ring for `binCount` spectrum bins.
+ * @param {number} binCount
+ * @param {number} [slots=CORE_RING_SLOTS]
+ */
+export function coreRingBytes(binCount, slots = CORE_RING_SLOTS) {
+  return CORE_HEADER_INTS * 4 + slots * CORE_FIELD_COUNT * 8 + slots * binCount;
+}
+
+/** Whether SharedArrayBuffer can be posted to the worklet (requires cross-origin isolation). */
+export function canShareMemory() {
+  return typeof SharedArrayBuffer === 'function' && globalThis.crossOriginIsolated === true;
+}
+
+export class WorkletFeatureReader {
+  constructor() {
+    this.transport = 'none';   // 'sab' | 'message' | 'none'
+    this.binCount = 0;
+    this._header = null;
+    this._fields = null;
+    this._spectra = null;
+    this._slots = CORE_RING_SLOTS;
+    this._readCount = 0;
+    this._queue = [];          // message fallback: [{ fields, spectrum }]
+    this.spectrum = null;      // latest record's spectrum (copy)
+    this.latest = null;        // latest record's fields (copy)
+    this.dropped = 0;
+    this._resetTimings();
+  }
+
+  /**
+   * Allocate a shared ring (or switch to the message fallback when memory can't be shared).
+   * @param {number} binCount - frequencyBinCount of the emulated analyser
+   * @returns {SharedArrayBuffer|null} Buffer to hand to the worklet, or null for postMessage
+   */
+  allocate(binCount) {
+    this.reset();
+    this.binCount = binCount;
+    if (!canShareMemory()) {
+      this.transport = 'message';
+      this._header = this._fields = this._spectra = null;
+      return null;
+    }
+    const slots = this._slots;
+    const sab = new SharedArrayBuffer(coreRingBytes(binCount, slots));
+    this._header = new Int32Array(sab, 0, CORE_HEADER_INTS);
+    this._fields = new Float64Array(sab, CORE_HEADER_INTS * 4, slots * CORE_FIELD_COUNT);
+    this._spectra = new Uint8Array(sab, CORE_HEADER_INTS * 4 + slots * CORE_FIELD_COUNT * 8, slots * binCount);
+    this._header[1] = binCount;
+    this._header[2] = slots;
+    this._header[3] = CORE_FIELD_COUNT;
+    this.transport = 'sab';
+    return sab;
+  }
+
+  /** Forget everything read so far (source switch, worklet reset). */
+  reset() {
+    this._readCount = this._header ? Atomics.load(this._header, 0) : 0;
+    this._queue.length = 0;
+    this.spectrum = null;
+    this.latest = null;
+    this.dropped = 0;
+  }
+
+  /** Stop reading (worklet gone or pipeline disabled). */
+  detach() {
+    this.reset();
+    this.transport = 'none';
+    this._header = this._fields = this._spectra = null;
+    this.binCount = 0;
+  }
+
+  /**
+   * Queue a record that arrived by postMessage (fallback transport).
+   * @param {Float64Array} fields
+   * @param {Uint8Array} spectrum
+   */
+  push(fields, spectrum) {
+    if (this.transport !== 'message' || !(fields instanceof Float64Array)) return;
+    this._queue.push({ fields, spectrum });
+    // Same bound as the ring: a long stall keeps the newest records
+    const limit = this._slots - 2;
+    if (this._queue.length > limit) {
+      this.dropped += this._queue.length - limit;
+      this._queue.splice(0, this._queue.length - limit);
+    }
+  }
+
+  /** @returns {boolean} Whether any record has been read since the last reset */
+  get ready() { return this.latest !== null; }
+
+  /**
+   * Records written since the previous call, oldest first.
+   * @returns {{records: Float64Array[], beat: boolean, beatTime: number|null, dropped: number}|null}
+   *   null when the pipeline has produced nothing yet
+   */
+  read() {
+    const records = [];
+    let spectrum = null;
+    let dropped = 0;
+    if (this.transport === 'sab' && this._header) {
+      const written = Atomics.load(this._header, 0);
+      // Leave a two-slot margin so the slot the worklet is filling is never read
+      let from = this._readCount;
+      const oldest = written - (this._slots - 2);
+      if (from < oldest) { dropped = oldest - from; from = oldest; }
+      const bins = this.binCount;
+      for (let n = from; n < written; n++) {
+        const slot = n % this._slots;
+        records.push(this._fields.slice(slot * CORE_FIELD_COUNT, (slot + 1) * CORE_FIELD_COUNT));
+        if (n === written - 1) spectrum = this._spectra.subarray(slot * bins, (slot + 1) * bins);
+      }
+      this._readCount = written;
+    } else if (this.transport === 'message' && this._queue.length) {
+      for (const rec of this._queue) records.push(rec.fields);
+      spectrum = this._queue[this._queue.length - 1].spectrum;
+      this._queue.length = 0;
+    }
+    this.dropped += dropped;
+    if (records.length) {
+      this.latest = records[records.length - 1];
+      if (spectrum) {
+        if (!this.spectrum || this.spectrum.length !== spectrum.length) this.spectrum = new Uint8Array(spectrum.length);
+        this.spectrum.set(spectrum);
+      }
+    }
+    if (!this.latest) return null;
+
+    let beat = false;
+    let beatTime = null;
+    const t = this._timings;
+    for (const rec of records) {
+      if (rec[CORE_FIELDS.beat] > 0) { beat = true; beatTime = rec[CORE_FIELDS.time]; }
+      const ms = rec[CORE_FIELDS.processMs];
+      t.records++;
+      t.processTotal += ms;
+      if (ms > t.processMax) t.processMax = ms;
+      if (t.lastTime > 0) { t.hopTotal += rec[CORE_FIELDS.time] - t.lastTime; t.hops++; }
+      t.lastTime = rec[CORE_FIELDS.time];
+    }
+    t.reads++;
+    if (!records.length) t.emptyReads++;
+    t.dropped += dropped;
+    return { records, beat, beatTime, dropped };
+  }
+
+  _resetTimings() {
+    this._timings = { reads: 0, emptyReads: 0, records: 0, processTotal: 0, processMax: 0, hopTotal: 0, hops: 0, lastTime: 0, dropped: 0 };
+  }
+
+  /**
+   * Worklet-side timings since the last call (for AudioEngine diagnostics).
+   * @param {boolean} [reset=true]
+   * @returns {Object|null} null before any record arrived
+   */
+  getTimings(reset = true) {
+    const t = this._timings;
+    if (!t.records) return null;
+    const hopMs = t.hops ? (t.hopTotal / t.hops) * 1000 : 1000 / CORE_RATE_HZ;
+    const avgProcessMs = t.processTotal / t.records;
+    const summary = {
+      transport: this.transport,
+      records: t.records,
+      hopMs,
+      avgProcessMs,
+      maxProcessMs: t.processMax,
+      load: hopMs > 0 ? avgProcessMs / hopMs : 0,
+      recordsPerRead: t.reads ? t.records / t.reads : 0,
+      emptyReads: t.emptyReads,
+      dropped: t.dropped,
+    };
+    if (reset) {
+      const lastTime = t.lastTime;
+      this._resetTimings();
+      this._timings.lastTime = lastTime;
+    }
+    return summary;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * WorkletHost - analysis-processor.js outside an AudioWorklet
+ *
+ * Loads the analysis processor in Node with the AudioWorkletGlobalScope
+ * globals it reads (AudioWorkletProcessor, registerProcessor, sampleRate,
+ * currentFrame) stubbed, and feeds it mono samples in render quanta. The
+ * offline extractor runs the worklet's core hop through this, so the
+ * evaluator scores the same beats the live engine gets, and
+ * tools/check-noise-gate.mjs tests the worklet's noise gate with it.
+ *
+ * sampleRate and currentFrame are globals in a worklet; each host sets them
+ * before every call into its processor, so several hosts can run side by
+ * side in one process. Node only: the import stubs globals on globalThis.
+ *
+ * @example
+ * const host = new WorkletHost({ sampleRate: 48000 });
+ * host.send({ type: 'config', core: { enabled: true, fftSize: 2048 } });
+ * const records = host.run(mono, 0, 4800); // [{ type: 'core', fields, spectrum }, ...]
+ */
+
+const RENDER_QUANTUM = 128;
+
+let Processor = null;
+if (typeof globalThis.AudioWorkletProcessor !== 'function') {
+  globalThis.AudioWorkletProcessor = class AudioWorkletProcessor {
+    constructor() {
+      this.port = { postMessage() {}, onmessage: null };
+    }
+  };
+}
+globalThis.registerProcessor = (_name, cls) => { Processor = cls; };
+globalThis.sampleRate = 48000;
+globalThis.currentFrame = 0;
+await import('./analysis-processor.js');
+
+export class WorkletHost {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate
+   */
+  constructor({ sampleRate }) {
+    if (!(sampleRate > 0)) throw new Error('sampleRate is required');
+    this.sampleRate = sampleRate;
+    this.frame = 0;
+    this._records = [];
+    this._output = new Float32Array(RENDER_QUANTUM);
+    this._enter();
+    this.processor = new Processor();
+    // Core records only; frame messages (Meyda/Aubio, HPSS, loudness) have no consumer here
+    this.processor.port.postMessage = (msg) => {
+      if (msg && msg.type === 'core') this._records.push(msg);
+    };
+  }
+
+  _enter() {
+    globalThis.sampleRate = this.sampleRate;
+    globalThis.currentFrame = this.frame;
+  }
+
+  /**
+   * Deliver a message to the processor's port, as AudioWorkletNode.port.postMessage does.
+   * @param {Object} data
+   */
+  send(data) {
+    this._enter();
+    this.processor.port.onmessage({ data });
+  }
+
+  /**
+   * Feed samples[start, end) in render quanta.
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} [start=0]
+   * @param {number} [end=samples.length]
+   * @returns {{type:'core', fields:Float64Array, spectrum:Uint8Array}[]} Core records posted meanwhile
+   */
+  run(samples, start = 0, end = samples.length) {
+    const records = this._records = [];
+    for (let i = start; i < end; i += RENDER_QUANTUM) {
+      const n = Math.min(RENDER_QUANTUM, end - i);
+      this._enter();
+      this.processor.process([[samples.subarray(i, i + n)]], [[this._output]]);
+      this.frame += n;
+    }
+    return records;
+  }
+}
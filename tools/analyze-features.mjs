@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/*
+  Offline feature analysis: WAV / raw PCM → per-frame NDJSON or CSV.
+
+  Runs the browser's feature pipeline (src/offline-features.js on top of
+  src/feature-core.js) over an audio file and writes one row per analysis
+  frame. Rows carry the same keys as the WebSocket payload the OSC bridge
+  receives (src/feature-payload.js), plus `t` (seconds) and `frame`, so a file
+  analysed here can be diffed against a live recording of the same track.
+
+  Usage:
+    node analyze-features.mjs track.wav > track.ndjson
+    node analyze-features.mjs track.wav --format csv --out track.csv
+    ffmpeg -i track.mp3 -f s16le -ac 2 -ar 48000 - | node analyze-features.mjs - --pcm s16le --rate 48000 --channels 2
+
+  Options:
+    --format ndjson|csv   Output format (default ndjson)
+    --out <path>          Write to a file instead of stdout
+    --fps <n>             Analysis frames per second of audio (default 60, the render loop rate)
+    --fft <n>             Analyser FFT size (default 2048, AudioEngine.fftSize)
+    --front-end <mode>    Spectral front end: multires | analyser (default multires)
+    --pipeline <mode>     worklet | main: the worklet core (default, as live) or the main-thread fallback
+    --drops               Enable build/drop detection (off by default, as in the app)
+    --sensitivity <n>     Beat sensitivity 0..2 (default 1)
+    --config <path>       JSON object of AudioEngine field overrides, e.g. {"dropUseBassFlux": true}
+    --pcm <fmt>           Input is headerless PCM: s16le | s24le | s32le | f32le
+    --rate <hz>           Raw PCM sample rate (default 48000)
+    --channels <n>        Raw PCM channel count (default 2)
+*/
+
+import fs from 'node:fs';
+import { OfflineFeatureExtractor } from '../src/offline-features.js';
+import { buildFeaturePayload, flattenPayload } from '../src/feature-payload.js';
+import { PCM_FORMATS, readInput, pcmToMono, decodeWav } from './audio-input.mjs';
+
+function usage(code = 0) {
+  const text = fs.readFileSync(new URL(import.meta.url), 'utf8');
+  const block = text.slice(text.indexOf('/*') + 2, text.indexOf('*/'));
+  (code ? process.stderr : process.stdout).write(block.replace(/^\n/, '') + '\n');
+  process.exit(code);
+}
+
+function parseArgs(argv) {
+  const opts = { input: null, format: 'ndjson', out: null, fps: 60, fft: 2048, 'front-end': 'multires', pipeline: 'worklet', drops: false, sensitivity: null, config: null, pcm: null, rate: 48000, channels: 2 };
+  const takesValue = new Set(['format', 'out', 'fps', 'fft', 'front-end', 'pipeline', 'sensitivity', 'config', 'pcm', 'rate', 'channels']);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') usage(0);
+    if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      if (name === 'drops') { opts.drops = true; continue; }
+      if (!takesValue.has(name) || i + 1 >= argv.length) {
+        console.error(`[analyze] unknown or incomplete option ${arg}`);
+        usage(1);
+      }
+      opts[name] = argv[++i];
+    } else if (opts.input === null) {
+      opts.input = arg;
+    } else {
+      console.error(`[analyze] unexpected argument ${arg}`);
+      usage(1);
+    }
+  }
+  if (!opts.input) usage(1);
+  if (opts.format !== 'ndjson' && opts.format !== 'csv') throw new Error(`--format must be ndjson or csv, got ${opts.format}`);
+  if (opts['front-end'] !== 'multires' && opts['front-end'] !== 'analyser') throw new Error(`--front-end must be multires or analyser, got ${opts['front-end']}`);
+  if (opts.pipeline !== 'worklet' && opts.pipeline !== 'main') throw new Error(`--pipeline must be worklet or main, got ${opts.pipeline}`);
+  if (opts.pcm && !PCM_FORMATS[opts.pcm]) throw new Error(`--pcm must be one of ${Object.keys(PCM_FORMATS).join(', ')}`);
+  for (const key of ['fps', 'fft', 'rate', 'channels']) {
+    opts[key] = Number(opts[key]);
+    if (!(opts[key] > 0)) throw new Error(`--${key} must be a positive number`);
+  }
+  if (opts.sensitivity !== null) opts.sensitivity = Number(opts.sensitivity);
+  return opts;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(Math.round(value * 1e6) / 1e6) : '';
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const roundNumbers = (_key, value) => (typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 1e6) / 1e6 : value);
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const raw = await readInput(opts.input);
+  const { sampleRate, mono } = opts.pcm
+    ? { sampleRate: opts.rate, mono: pcmToMono(raw, 0, raw.length, { ...PCM_FORMATS[opts.pcm], channels: opts.channels }) }
+    : decodeWav(raw);
+
+  const config = opts.config ? JSON.parse(fs.readFileSync(opts.config, 'utf8')) : {};
+  if (opts.drops) config.dropEnabled = true;
+  if (Number.isFinite(opts.sensitivity)) config.sensitivity = opts.sensitivity;
+  const extractor = new OfflineFeatureExtractor({ sampleRate, fftSize: opts.fft, frameRate: opts.fps, frontEnd: opts['front-end'], pipeline: opts.pipeline, config });
+
+  const out = opts.out ? fs.createWriteStream(opts.out) : process.stdout;
+  const write = (text) => (out.write(text) ? null : new Promise((resolve) => out.once('drain', resolve)));
+
+  let columns = null;
+  let frames = 0;
+  let beats = 0;
+  let pending = '';
+  for (const { index, t, features } of extractor.frames(mono)) {
+    const row = { t: Math.round(t * 1e6) / 1e6, frame: index, ...buildFeaturePayload(features) };
+    if (opts.format === 'ndjson') {
+      pending += JSON.stringify(row, roundNumbers) + '\n';
+    } else {
+      const flat = flattenPayload(row);
+      if (!columns) {
+        columns = Object.keys(flat);
+        pending += columns.join(',') + '\n';
+      }
+      pending += columns.map((c) => csvCell(flat[c])).join(',') + '\n';
+    }
+    frames++;
+    if (features.beat) beats++;
+    if (pending.length > 1 << 16) {
+      await write(pending);
+      pending = '';
+    }
+  }
+  if (pending) await write(pending);
+  if (opts.out) await new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
+
+  const seconds = mono.length / sampleRate;
+  console.error(`[analyze] ${frames} frames (${seconds.toFixed(1)}s @ ${sampleRate} Hz, ${opts.fps} fps), ${beats} beat frames, bpm ${extractor.bpmEstimate || 0}`);
+}
+
+main().catch((err) => {
+  console.error(`[analyze] ${err.message || err}`);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+/*
+  Audio input for the offline tools: WAV files and headerless PCM → mono Float32.
+
+  The down-mix averages the channels, like the AnalyserNode does.
+*/
+
+import fs from 'node:fs';
+
+export const PCM_FORMATS = {
+  s16le: { bits: 16, float: false },
+  s24le: { bits: 24, float: false },
+  s32le: { bits: 32, float: false },
+  f32le: { bits: 32, float: true },
+};
+
+export async function readInput(path) {
+  if (path !== '-') return fs.readFileSync(path);
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Interleaved integer/float PCM → mono Float32 (channel average, as the analyser's down-mix)
+export function pcmToMono(buf, offset, byteLength, { bits, float, channels }) {
+  const bytesPerSample = bits / 8;
+  const frameBytes = bytesPerSample * channels;
+  const frames = Math.floor(byteLength / frameBytes);
+  const mono = new Float32Array(frames);
+  const read = float
+    ? (bits === 64 ? (p) => buf.readDoubleLE(p) : (p) => buf.readFloatLE(p))
+    : bits === 8 ? (p) => (buf.readUInt8(p) - 128) / 128
+    : bits === 16 ? (p) => buf.readInt16LE(p) / 32768
+    : bits === 24 ? (p) => buf.readIntLE(p, 3) / 8388608
+    : (p) => buf.readInt32LE(p) / 2147483648;
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    const base = offset + f * frameBytes;
+    for (let c = 0; c < channels; c++) sum += read(base + c * bytesPerSample);
+    mono[f] = sum / channels;
+  }
+  return mono;
+}
+
+export function decodeWav(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('not a RIFF/WAVE file (use --pcm for headerless PCM)');
+  }
+  let fmt = null;
+  let pos = 12;
+  while (pos + 8 <= buf.length) {
+    const id = buf.toString('ascii', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const body = pos + 8;
+    if (id === 'fmt ') {
+      let tag = buf.readUInt16LE(body);
+      if (tag === 0xfffe && size >= 26) tag = buf.readUInt16LE(body + 24); // WAVE_FORMAT_EXTENSIBLE sub-format
+      fmt = {
+        float: tag === 3,
+        tag,
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bits: buf.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      if (!fmt) throw new Error('WAV data chunk before fmt chunk');
+      if (fmt.tag !== 1 && fmt.tag !== 3) throw new Error(`unsupported WAV encoding (format tag ${fmt.tag})`);
+      if (![8, 16, 24, 32, 64].includes(fmt.bits) || (fmt.float && fmt.bits < 32)) throw new Error(`unsupported WAV bit depth ${fmt.bits}`);
+      const length = Math.min(size, buf.length - body); // streamed WAVs may carry a bogus size
+      return { sampleRate: fmt.sampleRate, mono: pcmToMono(buf, body, length, fmt) };
+    }
+    pos = body + size + (size & 1);
+  }
+  throw new Error('WAV file has no data chunk');
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/*
+  Check that the worklet core's noise gate suppresses a calibrated noise profile.
+
+  Runs src/analysis-processor.js in Node through WorkletHost (AudioWorklet
+  globals stubbed), records a noise profile from the core's own spectra the way
+  Settings → Calibrate does, then feeds the same noise with the profile sent
+  the way AudioEngine._syncWorkletCore() sends it. The profiled gate must pull
+  the gated spectrum and broadband gain well down on noise alone and keep a
+  tone on top of the noise. Exits with 1 when it doesn't.
+
+  Usage:
+    node check-noise-gate.mjs
+*/
+
+import { NoiseProfileAccumulator, NoiseProfileGate } from '../src/noise-profile.js';
+import { WorkletHost } from '../src/worklet-host.js';
+
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 2048;
+const MIN_DB = -100;
+const MAX_DB = -30;
+
+const loadProcessor = () => new WorkletHost({ sampleRate: SAMPLE_RATE });
+
+function coreConfig(gateEnabled, noiseProfile) {
+  return {
+    type: 'config',
+    core: {
+      enabled: true,
+      rateHz: 60,
+      fftSize: FFT_SIZE,
+      frontEnd: 'multires',
+      smoothing: 0.5,
+      minDb: MIN_DB,
+      maxDb: MAX_DB,
+      noiseGate: { enabled: gateEnabled, threshold: 0 },
+      noiseProfile,
+    },
+  };
+}
+
+// Deterministic white noise plus an optional 1 kHz tone
+function signal(seconds, { noise = 0.05, tone = 0 } = {}) {
+  const out = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  let seed = 12345;
+  for (let i = 0; i < out.length; i++) {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    out[i] = noise * ((seed / 2 ** 32) * 2 - 1) + tone * Math.sin((2 * Math.PI * 1000 * i) / SAMPLE_RATE);
+  }
+  return out;
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / Math.max(1, values.length);
+const spectrumLevel = (records) => mean(records.map(r => mean(Array.from(r.spectrum)) / 255));
+const gateGain = (records) => mean(records.map(r => r.fields[25])); // CORE_FIELDS.gateGain
+
+const bins = FFT_SIZE / 2;
+const binHz = SAMPLE_RATE / 2 / bins;
+const failures = [];
+const check = (ok, label) => {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}`);
+  if (!ok) failures.push(label);
+};
+
+// Calibrate: ungated spectra of the noise
+const calib = loadProcessor();
+calib.send(coreConfig(false, null));
+const ungated = calib.run(signal(4)).slice(30); // skip the smoothing warm-up
+const acc = new NoiseProfileAccumulator(bins);
+for (const r of ungated) acc.push(r.spectrum, MIN_DB, MAX_DB);
+const gate = new NoiseProfileGate({ mode: 'subtract' });
+gate.setProfile(acc.finish({ name: 'check', binHz }));
+const ungatedLevel = spectrumLevel(ungated);
+
+for (const mode of ['subtract', 'gate']) {
+  gate.setMode(mode);
+  const layout = gate.getLayout(bins, binHz, 0);
+
+  const noiseOnly = loadProcessor();
+  noiseOnly.send(coreConfig(true, layout));
+  const gated = noiseOnly.run(signal(4)).slice(30);
+  const level = spectrumLevel(gated);
+  check(level < ungatedLevel * 0.5, `${mode}: noise spectrum ${ungatedLevel.toFixed(3)} → ${level.toFixed(3)}`);
+  check(gateGain(gated) < 0.5, `${mode}: broadband gain on noise ${gateGain(gated).toFixed(3)}`);
+
+  const withTone = loadProcessor();
+  withTone.send(coreConfig(true, layout));
+  const tone = withTone.run(signal(4, { tone: 0.3 })).slice(30);
+  const k = Math.round(1000 / binHz);
+  const toneLevel = mean(tone.map(r => r.spectrum[k] / 255));
+  check(toneLevel > 0.5, `${mode}: 1 kHz tone kept at ${toneLevel.toFixed(3)}`);
+}
+
+if (failures.length) {
+  console.error(`[check-noise-gate] ${failures.length} check(s) failed`);
+  process.exit(1);
+}
+console.log('[check-noise-gate] profiled gate suppresses the calibrated noise');
@@ -27,6 +27,8 @@ module.exports = {
         WS_PORT: process.env.WS_PORT || '8090', // WebSocket listening port
         OSC_HOST: process.env.OSC_HOST || '127.0.0.1', // OSC destination address (default: localhost)
         OSC_PORT: process.env.OSC_PORT || '9000', // OSC destination port
+        OSC_IN_HOST: process.env.OSC_IN_HOST || '127.0.0.1', // OSC control listening address (default: localhost only)
+        OSC_IN_PORT: process.env.OSC_IN_PORT || '9001', // OSC control listening port
         BRIDGE_HEARTBEAT_MS: process.env.BRIDGE_HEARTBEAT_MS || '5000', // How often to print status (5 seconds)
       },
       
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/*
+  Beat / tempo / drop accuracy of the engine against annotated tracks.
+
+  Runs the engine's offline pipeline (src/beat-evaluation.js on top of
+  src/offline-features.js) over each track and scores its beats, downbeats,
+  tempo and drops against the annotations: F-measure, CMLt/AMLt continuity,
+  tempo Acc1/Acc2 and drop hits (detected and predicted). Give several --config values to compare
+  parameter sets side by side on the same tracks.
+
+  Usage:
+    node evaluate-beats.mjs track.wav track.beats
+    node evaluate-beats.mjs --list dataset.txt --config '{"beatRefractoryMs": 300}' --config tuned.json
+    node evaluate-beats.mjs --generate drums --bpm 128 --loops 2
+
+  Annotations: one beat time (s) per line, optionally followed by its position
+  in the bar (1 = downbeat) or the word "drop"; or a .jams file (beat,
+  beat_position, tempo namespaces; segment/tag values containing "drop").
+  A --list file has one "audio.wav annotations" pair per line.
+
+  Options:
+    --list <path>          Evaluate every track of a list file
+    --generate <type>      Evaluate on a synthetic signal with known truth: click | drums
+    --bpm <n>              Tempo of the generated signal (default 120)
+    --loops <n>            Loops of the generated signal (default 2)
+    --config <json|path>   Engine settings, e.g. {"beatRefractoryMs": 300}; repeat to compare sets
+    --name <label>         Column label for the preceding --config (default: file name or "config N")
+    --skip <sec>           Ignore beats before this time (default 5)
+    --drop-tolerance <n>   Drop hit window in beats (default 2)
+    --fps <n>              Analysis frames per second (default 60)
+    --fft <n>              Analyser FFT size (default 2048)
+    --front-end <mode>     multires | analyser (default multires)
+    --pipeline <mode>      worklet | main: the worklet core (default, as live) or the main-thread fallback
+    --json <path>          Also write the full per-track reports as JSON
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { evaluateTrack, parseBeatAnnotations, summarizeReports, SUMMARY_METRICS } from '../src/beat-evaluation.js';
+import { renderTestSignal } from '../src/signal-generator.js';
+import { decodeWav } from './audio-input.mjs';
+
+function usage(code = 0) {
+  const text = fs.readFileSync(new URL(import.meta.url), 'utf8');
+  const block = text.slice(text.indexOf('/*') + 2, text.indexOf('*/'));
+  (code ? process.stderr : process.stdout).write(block.replace(/^\n/, '') + '\n');
+  process.exit(code);
+}
+
+function parseArgs(argv) {
+  const opts = { inputs: [], list: null, generate: null, bpm: 120, loops: 2, configs: [], skip: 5, 'drop-tolerance': 2, fps: 60, fft: 2048, 'front-end': 'multires', pipeline: 'worklet', json: null };
+  const takesValue = new Set(['list', 'generate', 'bpm', 'loops', 'config', 'name', 'skip', 'drop-tolerance', 'fps', 'fft', 'front-end', 'pipeline', 'json']);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') usage(0);
+    if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      if (!takesValue.has(name) || i + 1 >= argv.length) {
+        console.error(`[evaluate] unknown or incomplete option ${arg}`);
+        usage(1);
+      }
+      const value = argv[++i];
+      if (name === 'config') opts.configs.push(loadConfig(value, opts.configs.length + 1));
+      else if (name === 'name') {
+        if (!opts.configs.length) throw new Error('--name must follow a --config');
+        opts.configs[opts.configs.length - 1].name = value;
+      } else opts[name] = value;
+    } else {
+      opts.inputs.push(arg);
+    }
+  }
+  if (!opts.configs.length) opts.configs.push({ name: 'default', config: {} });
+  const sources = [opts.list, opts.generate, opts.inputs.length ? true : null].filter(Boolean).length;
+  if (sources !== 1) usage(1);
+  if (opts.inputs.length && opts.inputs.length !== 2) throw new Error('expected <audio.wav> <annotations>');
+  if (opts.generate && opts.generate !== 'click' && opts.generate !== 'drums') throw new Error(`--generate must be click or drums, got ${opts.generate}`);
+  if (opts['front-end'] !== 'multires' && opts['front-end'] !== 'analyser') throw new Error(`--front-end must be multires or analyser, got ${opts['front-end']}`);
+  if (opts.pipeline !== 'worklet' && opts.pipeline !== 'main') throw new Error(`--pipeline must be worklet or main, got ${opts.pipeline}`);
+  for (const key of ['bpm', 'loops', 'fps', 'fft', 'drop-tolerance']) {
+    opts[key] = Number(opts[key]);
+    if (!(opts[key] > 0)) throw new Error(`--${key} must be a positive number`);
+  }
+  opts.skip = Number(opts.skip);
+  if (!(opts.skip >= 0)) throw new Error('--skip must be zero or more');
+  return opts;
+}
+
+// Inline JSON object or a path to one
+function loadConfig(value, index) {
+  const inline = value.trim().startsWith('{');
+  const config = JSON.parse(inline ? value : fs.readFileSync(value, 'utf8'));
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error(`--config ${value} is not a JSON object`);
+  return { name: inline ? `config ${index}` : path.basename(value, path.extname(value)), config };
+}
+
+function loadTrackList(listPath) {
+  const dir = path.dirname(listPath);
+  return fs.readFileSync(listPath, 'utf8').split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map((line) => {
+      const [audio, annotations] = line.split(/\s+/);
+      if (!annotations) throw new Error(`${listPath}: expected "audio annotations" in line "${line}"`);
+      return { audio: path.resolve(dir, audio), annotations: path.resolve(dir, annotations) };
+    });
+}
+
+// One loop of the generator, repeated, with the truth shifted per loop
+function generatedTrack(type, bpm, loops) {
+  const sampleRate = 48000;
+  const { samples, truth } = renderTestSignal({ type, bpm, sampleRate });
+  const mono = new Float32Array(samples.length * loops);
+  const repeat = (times) => Array.from({ length: loops }, (_, k) => times.map(t => t + k * truth.loopSec)).flat();
+  for (let k = 0; k < loops; k++) mono.set(samples, k * samples.length);
+  return {
+    name: `generated ${type} ${bpm} BPM`,
+    load: () => ({
+      sampleRate,
+      mono,
+      reference: { beats: repeat(truth.beats), downbeats: repeat(truth.downbeats), drops: repeat(truth.drops), tempo: truth.bpm },
+    }),
+  };
+}
+
+function fileTrack({ audio, annotations }) {
+  return {
+    name: path.basename(audio),
+    load: () => {
+      const { sampleRate, mono } = decodeWav(fs.readFileSync(audio));
+      return { sampleRate, mono, reference: parseBeatAnnotations(fs.readFileSync(annotations, 'utf8')) };
+    },
+  };
+}
+
+const pct = (v) => (v === null || v === undefined ? '—' : `${(v * 100).toFixed(1)}%`);
+
+function printTable(rows, columns) {
+  const widths = columns.map((c, i) => Math.max(c.length, ...rows.map(r => String(r[i]).length)));
+  const line = (cells) => cells.map((c, i) => (i === 0 ? String(c).padEnd(widths[i]) : String(c).padStart(widths[i]))).join('  ');
+  console.log(line(columns));
+  for (const row of rows) console.log(line(row));
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const tracks = opts.generate
+    ? [generatedTrack(opts.generate, opts.bpm, opts.loops)]
+    : (opts.list ? loadTrackList(opts.list) : [{ audio: opts.inputs[0], annotations: opts.inputs[1] }]).map(fileTrack);
+  const evalOptions = { skipSec: opts.skip, dropToleranceBeats: opts['drop-tolerance'], fps: opts.fps, fftSize: opts.fft, frontEnd: opts['front-end'], pipeline: opts.pipeline };
+
+  const results = opts.configs.map(c => ({ ...c, tracks: [] }));
+  for (const track of tracks) {
+    const { sampleRate, mono, reference } = track.load();
+    if (!reference.beats.length) console.error(`[evaluate] ${track.name}: no beats in the annotations`);
+    for (const result of results) {
+      const report = evaluateTrack(mono, sampleRate, reference, { ...evalOptions, config: result.config });
+      result.tracks.push({ track: track.name, ...report });
+      console.error(`[evaluate] ${track.name} [${result.name}]: F ${pct(report.beat.fMeasure)}, AMLt ${pct(report.beat.amlt)}, tempo ${report.tempo.estimated.toFixed(1)}/${(report.tempo.reference || 0).toFixed(1)} BPM, drops ${report.drops.hits}/${report.drops.reference} (predicted ${report.predictedDrops.hits})`);
+    }
+  }
+
+  for (const result of results) result.mean = summarizeReports(result.tracks);
+  const rows = SUMMARY_METRICS.map(([group, key]) => [`${group}.${key}`, ...results.map(r => pct(r.mean[`${group}.${key}`]))]);
+  console.log(`${tracks.length} track${tracks.length === 1 ? '' : 's'}, beats after ${opts.skip}s`);
+  printTable(rows, ['metric', ...results.map(r => r.name)]);
+
+  if (opts.json) {
+    const out = { options: evalOptions, configs: results.map(({ name, config, mean, tracks: reports }) => ({ name, config, mean, tracks: reports })) };
+    fs.writeFileSync(opts.json, JSON.stringify(out, null, 2));
+  }
+}
+
+main().catch((err) => {
+  console.error(`[evaluate] ${err.message || err}`);
+  process.exit(1);
+});
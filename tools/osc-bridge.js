@@ -4,13 +4,15 @@
 
   - Receives feature frames from the browser via WebSocket (JSON)
   - Emits OSC messages to a configurable host/port
+  - Listens for OSC control messages and forwards them to the browser
 
   Defaults:
     WS listen: 127.0.0.1:8090
     OSC out:   127.0.0.1:9000
+    OSC in:    127.0.0.1:9001 (set OSC_IN_HOST=0.0.0.0 to take control from another machine)
 
   You can override via env vars:
-    WS_HOST, WS_PORT, OSC_HOST, OSC_PORT
+    WS_HOST, WS_PORT, OSC_HOST, OSC_PORT, OSC_IN_HOST, OSC_IN_PORT
 */
 
 // Load environment variables from .env if present (tools directory)
@@ -22,8 +24,15 @@ const WS_HOST = process.env.WS_HOST || '127.0.0.1';
 const WS_PORT = parseInt(process.env.WS_PORT || '8090', 10);
 const OSC_HOST = process.env.OSC_HOST || '127.0.0.1';
 const OSC_PORT = parseInt(process.env.OSC_PORT || '9000', 10);
+const OSC_IN_HOST = process.env.OSC_IN_HOST || '127.0.0.1';
+const OSC_IN_PORT = parseInt(process.env.OSC_IN_PORT || '9001', 10);
 const HEARTBEAT_MS = parseInt(process.env.BRIDGE_HEARTBEAT_MS || '5000', 10);
 
+// Inbound OSC address → control name understood by the browser (src/main.js handleBridgeControl)
+const CONTROL_ADDRESSES = {
+  '/reactive/control/crossfader': 'crossfader',
+};
+
 const udpPort = new osc.UDPPort({ localAddress: '0.0.0.0', localPort: 0, remoteAddress: OSC_HOST, remotePort: OSC_PORT });
 udpPort.on('ready', () => {
   console.log(`[OSC] → ${OSC_HOST}:${OSC_PORT}`);
@@ -31,6 +40,26 @@ udpPort.on('ready', () => {
 udpPort.on('error', (e) => console.error('[OSC] error', e));
 udpPort.open();
 
+const udpIn = new osc.UDPPort({ localAddress: OSC_IN_HOST, localPort: OSC_IN_PORT });
+udpIn.on('ready', () => {
+  console.log(`[OSC] ← listening on ${OSC_IN_HOST}:${OSC_IN_PORT}`);
+});
+udpIn.on('message', (message) => {
+  const name = CONTROL_ADDRESSES[message?.address];
+  if (!name) return;
+  const arg = Array.isArray(message.args) ? message.args[0] : undefined;
+  const value = Number(arg && typeof arg === 'object' ? arg.value : arg);
+  if (!Number.isFinite(value)) return;
+  const frame = JSON.stringify({ type: 'control', name, value });
+  clients.forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      try { ws.send(frame); } catch (_) {}
+    }
+  });
+});
+udpIn.on('error', (e) => console.error('[OSC in] error', e));
+udpIn.open();
+
 const wss = new WebSocket.Server({ host: WS_HOST, port: WS_PORT });
 const clients = new Set();
 wss.on('listening', () => {
@@ -81,6 +110,15 @@ wss.on('connection', (ws, req) => {
     send('/reactive/drop', f.drop ? 1 : 0);
     send('/reactive/isBuilding', f.isBuilding ? 1 : 0);
     send('/reactive/buildLevel', f.buildLevel || 0);
+    if (f.dropPrediction) {
+      const dp = f.dropPrediction;
+      send('/reactive/drop/probability', dp.probability || 0);
+      send('/reactive/drop/etaBeats', dp.active && Number.isFinite(dp.etaBeats) ? dp.etaBeats : -1);
+      send('/reactive/drop/etaBars', dp.active && Number.isFinite(dp.etaBars) ? dp.etaBars : -1);
+      send('/reactive/drop/etaMs', dp.active && Number.isFinite(dp.etaMs) ? dp.etaMs : -1);
+      send('/reactive/drop/armed', dp.armed ? 1 : 0);
+      send('/reactive/drop/landed', dp.landed ? 1 : 0);
+    }
 
     // Bands
     if (f.bandsEMA) {
@@ -101,6 +139,15 @@ wss.on('connection', (ws, req) => {
       send('/reactive/bandNorm/treble', f.bandNorm.treble || 0);
     }
 
+    // N-band filterbank envelopes (bounded like the other arrays)
+    if (Array.isArray(f.filterbank)) {
+      const count = Math.min(f.filterbank.length, 64);
+      send('/reactive/bands/count', count);
+      for (let i = 0; i < count; i++) {
+        send(`/reactive/bands/${i}`, f.filterbank[i] || 0);
+      }
+    }
+
     // MFCC and Chroma arrays (bounded lengths)
     if (Array.isArray(f.mfcc)) {
       for (let i = 0; i < Math.min(f.mfcc.length, 13); i++) {
@@ -113,12 +160,138 @@ wss.on('connection', (ws, req) => {
       }
     }
 
+    // Musical key (tonic 0..11 from C, mode 1 = major / 0 = minor, Camelot as string and number)
+    if (f.key) {
+      send('/reactive/key/tonic', Number.isFinite(f.key.tonic) ? f.key.tonic : -1);
+      send('/reactive/key/mode', f.key.mode === 'major' ? 1 : 0);
+      send('/reactive/key/confidence', f.key.confidence || 0);
+      if (f.key.name) send('/reactive/key/name', f.key.name);
+      if (f.key.camelot) {
+        send('/reactive/key/camelot', f.key.camelot);
+        send('/reactive/key/camelotNumber', parseInt(f.key.camelot, 10) || 0);
+      }
+    }
+
     // Beat grid info (send compactly)
     if (f.beatGrid) {
       const bg = f.beatGrid;
       send('/reactive/beatGrid/bpm', bg.bpm || 0);
       send('/reactive/beatGrid/conf', bg.confidence || 0);
     }
+
+    // Beat clock (continuous phases; beat/downbeat are 1 on the frame the clock crosses them)
+    if (f.clock) {
+      const c = f.clock;
+      send('/reactive/clock/bpm', c.bpm || 0);
+      send('/reactive/clock/beatPhase', c.beatPhase || 0);
+      send('/reactive/clock/barPhase', c.barPhase || 0);
+      send('/reactive/clock/beatInBar', c.beatInBar || 0);
+      send('/reactive/clock/barIndex', c.barIndex || 0);
+      send('/reactive/clock/lock', c.lock || 0);
+      send('/reactive/clock/beat', c.beat ? 1 : 0);
+      send('/reactive/clock/downbeat', c.downbeat ? 1 : 0);
+    }
+
+    // Drum onsets (strength on the hit frame, else 0; *Env decays after each hit)
+    if (f.onsets) {
+      for (const cls of ['kick', 'snare', 'hat']) {
+        const o = f.onsets[cls];
+        if (!o) continue;
+        send(`/reactive/onset/${cls}`, o.hit ? (o.strength || 0) : 0);
+        send(`/reactive/onset/${cls}Env`, o.env || 0);
+      }
+    }
+
+    // Dual-deck analysis
+    if (f.decks) {
+      send('/reactive/deck/crossfader', f.decks.crossfader || 0);
+      for (const id of ['a', 'b', 'blend']) {
+        const d = f.decks[id];
+        if (!d) continue;
+        send(`/reactive/deck/${id}/rms`, d.rms || 0);
+        send(`/reactive/deck/${id}/bass`, d.bandEnv?.bass || 0);
+        send(`/reactive/deck/${id}/mid`, d.bandEnv?.mid || 0);
+        send(`/reactive/deck/${id}/treble`, d.bandEnv?.treble || 0);
+        send(`/reactive/deck/${id}/beat`, d.beat ? 1 : 0);
+        send(`/reactive/deck/${id}/bpm`, d.bpm || 0);
+      }
+    }
+
+    // Arrangement section (file playback); labels: intro, build, drop, breakdown, main, outro
+    if (f.section) {
+      const sec = f.section;
+      send('/reactive/section/index', Number.isFinite(sec.index) ? sec.index : -1);
+      send('/reactive/section/label', sec.label || '');
+      send('/reactive/section/energy', sec.energy || 0);
+      send('/reactive/section/progress', sec.progress || 0);
+      send('/reactive/section/nextMs', Number.isFinite(sec.nextInMs) ? sec.nextInMs : -1);
+      if (sec.nextLabel) send('/reactive/section/nextLabel', sec.nextLabel);
+      send('/reactive/section/changed', sec.changed ? 1 : 0);
+    }
+
+    // Stereo field
+    if (f.stereo) {
+      const st = f.stereo;
+      send('/reactive/stereo/width', st.width || 0);
+      send('/reactive/stereo/pan', st.pan || 0);
+      send('/reactive/stereo/correlation', Number.isFinite(st.correlation) ? st.correlation : 1);
+      for (const side of ['left', 'right']) {
+        const b = st[side];
+        if (!b) continue;
+        send(`/reactive/stereo/${side}/bass`, b.bass || 0);
+        send(`/reactive/stereo/${side}/mid`, b.mid || 0);
+        send(`/reactive/stereo/${side}/treble`, b.treble || 0);
+      }
+    }
+
+    // Harmonic/percussive split (worklet HPSS; absent when the split is off)
+    if (f.perc) {
+      const p = f.perc;
+      send('/reactive/perc/flux', p.flux || 0);
+      send('/reactive/perc/bass', p.env?.bass || 0);
+      send('/reactive/perc/mid', p.env?.mid || 0);
+      send('/reactive/perc/treble', p.env?.treble || 0);
+      send('/reactive/perc/ratio', p.ratio || 0);
+    }
+    if (f.harm) {
+      const hm = f.harm;
+      send('/reactive/harm/bass', hm.env?.bass || 0);
+      send('/reactive/harm/mid', hm.env?.mid || 0);
+      send('/reactive/harm/treble', hm.env?.treble || 0);
+      send('/reactive/harm/ratio', hm.ratio || 0);
+      if (Array.isArray(hm.chroma)) {
+        for (let i = 0; i < Math.min(hm.chroma.length, 12); i++) {
+          send(`/reactive/harm/chroma/${i}`, hm.chroma[i] || 0);
+        }
+      }
+    }
+
+    // Loudness (LUFS, -70 = silence) and the auto-gain trim in dB
+    if (f.loudness) {
+      const l = f.loudness;
+      send('/reactive/loudness/momentary', Number.isFinite(l.momentary) ? l.momentary : -70);
+      send('/reactive/loudness/shortTerm', Number.isFinite(l.shortTerm) ? l.shortTerm : -70);
+      send('/reactive/loudness/integrated', Number.isFinite(l.integrated) ? l.integrated : -70);
+      send('/reactive/loudness/gainDb', l.gainDb || 0);
+    }
+
+    // Calibrated band levels (dBFS, -100 = silence)
+    if (f.levelsDb) {
+      for (const band of ['total', 'sub', 'bass', 'mid', 'treble']) {
+        const v = f.levelsDb[band];
+        send(`/reactive/db/${band}`, Number.isFinite(v) ? v : -100);
+      }
+    }
+
+    // File pre-analysis lookahead (-1 when no upcoming event is known)
+    if (f.timeline) {
+      const tl = f.timeline;
+      send('/reactive/timeline/nextBeatMs', Number.isFinite(tl.nextBeatInMs) ? tl.nextBeatInMs : -1);
+      send('/reactive/timeline/nextDownbeatMs', Number.isFinite(tl.nextDownbeatInMs) ? tl.nextDownbeatInMs : -1);
+      send('/reactive/timeline/nextDropMs', Number.isFinite(tl.nextDropInMs) ? tl.nextDropInMs : -1);
+      send('/reactive/timeline/aheadBuildLevel', tl.aheadBuildLevel || 0);
+      send('/reactive/timeline/aheadBass', tl.aheadBass || 0);
+    }
   });
 });
 
@@ -194,7 +367,8 @@ function gracefulShutdown(signal) {
   try {
     console.log('[Shutdown] Closing OSC UDP port...');
     udpPort.close();
-    console.log('[Shutdown] OSC UDP port closed');
+    udpIn.close();
+    console.log('[Shutdown] OSC UDP ports closed');
   } catch (err) {
     console.error('[Shutdown] Error closing OSC port:', err);
   }
@@ -12,12 +12,26 @@
 
 import { defineConfig } from 'vite';
 
+// Cross-origin isolation: the analysis worklet only gets a SharedArrayBuffer ring
+// (src/worklet-features.js) when the page is served with both headers. Without them
+// it falls back to postMessage. Any production host has to send the same headers.
+const crossOriginIsolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+};
+
 export default defineConfig({
   // Development server settings
   // When you run "npm run dev", this tells Vite how to start the server
   server: {
     port: 5173, // The port number where the app will be available (http://localhost:5173)
     open: false, // Don't automatically open the browser when starting the server
+    headers: crossOriginIsolationHeaders,
+  },
+
+  // "npm run preview" serves the production build with the same headers
+  preview: {
+    headers: crossOriginIsolationHeaders,
   },
   
   // Production build settings
@@ -31,6 +45,14 @@ export default defineConfig({
       external: ['essentia.js', 'ml5', 'butterchurn', 'wavesurfer.js']
     }
   },
+
+  // Web workers bundled from src/ (analysis-worker.js) are ES modules, so they can
+  // lazy-load Meyda/Aubio with dynamic import() like the main thread does. The
+  // analysis worklet goes through the same pipeline (?worker&url) so its static
+  // imports get bundled in; it must not use dynamic import()
+  worker: {
+    format: 'es',
+  },
 });
 
 